@@ -331,6 +331,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: false, error: error.message });
     });
     return true;
+  } else if (message.type === 'GENERATE_COMMENT') {
+    // Cmd+Shift+L with the openai or template provider: generated by the runner
+    generateCommentWithRunner(message.post).then((result) => {
+      sendResponse({ success: true, comment: result.comment });
+    }).catch((error) => {
+      console.error('LinkRight: Failed to generate comment:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
   }
 });
 
@@ -461,6 +470,43 @@ function getDefaultSettings() {
     runnerBaseUrl: 'http://127.0.0.1:3001',
     privacyPolicyUrl: 'https://linkright.in/privacy',
     maxActions: 10,
+    maxSessionMinutes: 0,
+    maxDailyComments: 0,
+    reviewMode: false,
+    reviewTimeoutSec: 120,
+    decisionSource: 'webhook',
+    minReactions: 0,
+    minComments: 0,
+    minReposts: 0,
+    minScore: 30,
+    preferredAuthors: '',
+    blockedAuthors: '',
+    includeKeywords: '',
+    excludeKeywords: '',
+    feedSource: 'home',
+    feedSourceHashtag: '',
+    feedSourceKeywords: '',
+    feedSourceProfile: '',
+    feedSourceProfiles: '',
+    postsPerProfile: 3,
+    decisionFailurePolicy: 'engage',
+    decisionRetries: 2,
+    decisionTimeoutSec: 180,
+    breakerThreshold: 0,
+    breakerAction: 'pause',
+    dedupSamePost: true,
+    authorCooldownDays: 0,
+    commentProvider: 'n8n',
+    // Empty = WEBHOOK_TIMEOUT from config.js for Cmd+Shift+L, the runner's default for sessions
+    n8nTimeoutSec: '',
+    // Sent to the linkedin-reply workflow as x-runner-token; never the runner's own xRunnerToken
+    n8nToken: '',
+    openaiBaseUrl: 'http://127.0.0.1:11434/v1',
+    openaiApiKey: '',
+    openaiModel: 'llama3.1',
+    openaiSystemPrompt: '',
+    openaiTimeoutSec: 60,
+    commentTemplates: '',
     waitActionMinMs: 500,
     waitActionMaxMs: 1000,
     waitAfterCommentMinMs: 1000,
@@ -483,6 +529,55 @@ async function getLatestSettings() {
   });
 }
 
+/**
+ * Provider config for the runner: { type, n8n, openai, template }.
+ * Empty values are left out so the runner's defaults apply.
+ */
+function buildCommentProviderConfig(settings) {
+  return {
+    type: settings.commentProvider || 'n8n',
+    n8n: {
+      url: settings.webhookUrl,
+      token: settings.n8nToken,
+      timeoutMs: settings.n8nTimeoutSec ? settings.n8nTimeoutSec * 1000 : undefined
+    },
+    openai: {
+      baseUrl: settings.openaiBaseUrl,
+      apiKey: settings.openaiApiKey,
+      model: settings.openaiModel,
+      systemPrompt: settings.openaiSystemPrompt,
+      timeoutMs: (settings.openaiTimeoutSec || 60) * 1000
+    },
+    template: {
+      templates: settings.commentTemplates
+    }
+  };
+}
+
+/**
+ * Generate one comment with the runner's comment provider (POST /api/comments/generate),
+ * so Cmd+Shift+L and runner sessions share the same openai and template providers
+ */
+async function generateCommentWithRunner(post) {
+  const settings = await getLatestSettings();
+  const baseUrl = (settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
+
+  const response = await fetch(`${baseUrl}/api/comments/generate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-runner-token': settings.xRunnerToken || 'dev-secure-token-12345'
+    },
+    body: JSON.stringify({ post, commentProvider: buildCommentProviderConfig(settings) })
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || result.error || `API returned ${response.status}`);
+  }
+  return result;
+}
+
 /**
  * Build payload for runner API
  */
@@ -497,9 +592,46 @@ function buildRunnerPayload(settings) {
     optimizeEngagement: settings.optimizeEngagement || false,
     postAnalysisWebhook: settings.postAnalysisWebhook || 'https://n8n.linkright.in/webhook/linkedin-parse',
 
+    // Review mode: hold each generated comment for approval
+    reviewMode: settings.reviewMode || false,
+    reviewTimeoutSec: settings.reviewTimeoutSec,
+
+    // Comment generation provider for this session
+    commentProvider: buildCommentProviderConfig(settings),
+
     // Thresholds
     thresholds: {
-      maxActions: settings.maxActions
+      maxActions: settings.maxActions,
+      maxSessionMinutes: settings.maxSessionMinutes,
+      maxDailyComments: settings.maxDailyComments,
+      minReactions: settings.minReactions,
+      minComments: settings.minComments,
+      minReposts: settings.minReposts
+    },
+
+    // Optimized mode decision source and local scoring rules
+    scoring: {
+      source: settings.decisionSource || 'webhook',
+      minScore: settings.minScore,
+      preferredAuthors: settings.preferredAuthors,
+      blockedAuthors: settings.blockedAuthors,
+      includeKeywords: settings.includeKeywords,
+      excludeKeywords: settings.excludeKeywords
+    },
+
+    // What to do when linkedin-parse fails, and when to stop asking
+    decisionPolicy: {
+      onFailure: settings.decisionFailurePolicy || 'engage',
+      retries: settings.decisionRetries,
+      timeoutSec: settings.decisionTimeoutSec,
+      breakerThreshold: settings.breakerThreshold,
+      breakerAction: settings.breakerAction || 'pause'
+    },
+
+    // Cross-session dedup against the runner's engagement index
+    dedup: {
+      samePost: settings.dedupSamePost !== false,
+      authorCooldownDays: settings.authorCooldownDays || 0
     },
 
     // Timing ranges (milliseconds)
@@ -601,7 +733,8 @@ async function startRunner() {
 
     const response = await fetch(`${RUNNER_API_URL}/runner/start`, {
       method: 'POST',
-      headers
+      headers,
+      body: JSON.stringify({ source: buildFeedSource(settings) })
     });
 
     if (!response.ok) {
@@ -734,6 +867,24 @@ async function getRunnerStatus() {
 }
 
 
+/**
+ * Feed source for /api/runner/start from the Feed Source settings
+ */
+function buildFeedSource(settings) {
+  switch (settings.feedSource) {
+    case 'hashtag':
+      return { type: 'hashtag', hashtag: settings.feedSourceHashtag };
+    case 'search':
+      return { type: 'search', keywords: settings.feedSourceKeywords };
+    case 'profile':
+      return { type: 'profile', profile: settings.feedSourceProfile };
+    case 'list':
+      return { type: 'list', profiles: settings.feedSourceProfiles, postsPerProfile: settings.postsPerProfile || 3 };
+    default:
+      return { type: 'home' };
+  }
+}
+
 /**
  * Start keyboard-only automation
  */
@@ -773,6 +924,11 @@ async function startKeyboardAutomation() {
     // Build payload
     const payload = buildRunnerPayload(settings);
 
+    // A saved post queue (sidebar Runner tab) replaces feed tab-walking for this run
+    const stored = await chrome.storage.local.get(['linkright.postQueue']);
+    const postQueue = (stored['linkright.postQueue'] || '').trim();
+    if (postQueue) payload.queue = postQueue;
+
     console.log('LinkRight: Payload (token redacted)', {
       ...payload,
       token: settings.xRunnerToken ? '[REDACTED]' : '[MISSING]'
@@ -793,6 +949,14 @@ async function startKeyboardAutomation() {
     const result = await response.json();
     console.log('LinkRight: Keyboard automation started', result);
 
+    // The runner has the queue now - clear it so the next run goes back to the feed
+    if (result.runMode === 'queue') {
+      await chrome.storage.local.set({ 'linkright.postQueue': '' });
+      if (result.queue?.invalid?.length) {
+        await showWarningToast(`Post queue: ${result.queue.invalid.length} line(s) skipped (no post URL or URN)`);
+      }
+    }
+
     return result;
 
   } catch (error) {
@@ -16,6 +16,10 @@ class LinkRightWidget {
     this.miniIconPosition = { top: 200 };
     this.automationRunning = false;
 
+    // LinkedIn DOM selectors by element role (selectors/linkedin.json or the runner's live copy)
+    this.selectorProfile = null;
+    this.selectorProfileLoading = null;
+
     // OPTIMIZATION: Webhook throttling with efficient guards
     this.webhookInFlight = false;
     this.lastWebhookAt = 0;
@@ -152,6 +156,9 @@ class LinkRightWidget {
     // Load settings first
     await this.loadSettings();
 
+    // Selectors for the comment editor and post context
+    await this.loadSelectorProfile();
+
     // Load current engagement state and position
     await this.loadState();
 
@@ -414,6 +421,12 @@ class LinkRightWidget {
    * Update sidebar content based on current view
    */
   updateSidebarContent(sidebar) {
+    // Only the Runner view shows live runner state; leaving it closes the event stream and status poll
+    if (this.currentView !== 'runner') {
+      this.stopRunnerEventStream();
+      this.stopRunnerStatusPolling();
+    }
+
     // Preserve scroll position
     const contentArea = sidebar.querySelector('.linkright-sidebar-content');
     const scrollTop = contentArea ? contentArea.scrollTop : 0;
@@ -636,13 +649,16 @@ class LinkRightWidget {
             <path d="M11 18h2v-2h-2v2zm1-16C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm0-14c-2.21 0-4 1.79-4 4h2c0-1.1.9-2 2-2s2 .9 2 2c0 2-3 1.75-3 5h2c0-2.25 3-2.5 3-5 0-2.21-1.79-4-4-4z"/>
           </svg>
         </button>
-        <!-- ARCHIVED - Results/Reports tab removed (data now in Google Sheets)
         <button class="linkright-header-btn" data-action="report" title="Session Reports (Alt+3)">
           <svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 24 24" height="16" width="16" xmlns="http://www.w3.org/2000/svg">
             <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zM9 17H7v-7h2v7zm4 0h-2V7h2v10zm4 0h-2v-4h2v4z"/>
           </svg>
         </button>
-        -->
+        <button class="linkright-header-btn" data-action="history" title="Session History">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z"/>
+          </svg>
+        </button>
         <button class="linkright-header-btn" data-action="settings" title="Settings (Alt+2)" ${isAutomationRunning ? 'disabled style="opacity:0.5;cursor:not-allowed;"' : ''}>
           <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
             <path d="M19.14,12.94c0.04-0.3,0.06-0.61,0.06-0.94c0-0.32-0.02-0.64-0.07-0.94l2.03-1.58c0.18-0.14,0.23-0.41,0.12-0.61 l-1.92-3.32c-0.12-0.22-0.37-0.29-0.59-0.22l-2.39,0.96c-0.5-0.38-1.03-0.7-1.62-0.94L14.4,2.81c-0.04-0.24-0.24-0.41-0.48-0.41 h-3.84c-0.24,0-0.43,0.17-0.47,0.41L9.25,5.35C8.66,5.59,8.12,5.92,7.63,6.29L5.24,5.33c-0.22-0.08-0.47,0-0.59,0.22L2.74,8.87 C2.62,9.08,2.66,9.34,2.86,9.48l2.03,1.58C4.84,11.36,4.82,11.69,4.82,12s0.02,0.64,0.07,0.94l-2.03,1.58 c-0.18,0.14-0.23,0.41-0.12,0.61l1.92,3.32c0.12,0.22,0.37,0.29,0.59,0.22l2.39-0.96c0.5,0.38,1.03,0.7,1.62,0.94l0.36,2.54 c0.05,0.24,0.24,0.41,0.48,0.41h3.84c0.24,0,0.44-0.17,0.47-0.41l0.36-2.54c0.59-0.24,1.13-0.56,1.62-0.94l2.39,0.96 c0.22,0.08,0.47,0,0.59-0.22l1.92-3.32c0.12-0.22,0.07-0.47-0.12-0.61L19.14,12.94z M12,15.6c-1.98,0-3.6-1.62-3.6-3.6 s1.62-3.6,3.6-3.6s3.6,1.62,3.6,3.6S13.98,15.6,12,15.6z"/>
@@ -664,9 +680,10 @@ class LinkRightWidget {
     switch (this.currentView) {
       case 'settings':
         return this.getSettingsContent();
-      // ARCHIVED - Results/Reports tab removed (data now in Google Sheets)
-      // case 'report':
-      //   return this.getReportContent();
+      case 'report':
+        return this.getReportContent();
+      case 'history':
+        return this.getHistoryContent();
       case 'runner':
         return this.getRunnerContent();
       default:
@@ -749,8 +766,55 @@ class LinkRightWidget {
       optimizeEngagement: false, // Default to aggressive mode
       postAnalysisWebhook: 'https://n8n.linkright.in/webhook/linkedin-parse',
 
+      // Optimized mode decision: 'webhook' (linkedin-parse), 'local' (rule-based score) or 'both'
+      decisionSource: 'webhook',
+      minReactions: 0,
+      minComments: 0,
+      minReposts: 0,
+      minScore: 30,           // 0-100
+      preferredAuthors: '',   // Comma separated
+      blockedAuthors: '',
+      includeKeywords: '',
+      excludeKeywords: '',
+
+      // linkedin-parse failures: 'engage' (fail open), 'skip' (fail closed) or 'retry' (backoff, then skip)
+      decisionFailurePolicy: 'engage',
+      decisionRetries: 2,
+      decisionTimeoutSec: 180,
+      breakerThreshold: 0,       // Consecutive failures before the breaker trips (0 = off)
+      breakerAction: 'pause',    // 'pause' the session or 'skip_all' remaining posts
+
+      // Where the runner looks for posts: 'home', 'hashtag', 'search', 'profile' or 'list' (saved people)
+      feedSource: 'home',
+      feedSourceHashtag: '',
+      feedSourceKeywords: '',
+      feedSourceProfile: '',   // Profile or company URL
+      feedSourceProfiles: '',  // Saved list: one profile URL per line
+      postsPerProfile: 3,
+
+      // Review mode: approve/edit/regenerate/reject each comment before it is posted
+      reviewMode: false,
+      reviewTimeoutSec: 120,
+
+      // Comment generation provider: 'n8n' (webhookUrl), 'openai' (any OpenAI-compatible endpoint) or 'template'
+      commentProvider: 'n8n',
+      n8nTimeoutSec: '', // Empty = WEBHOOK_TIMEOUT from config.js
+      n8nToken: '', // Workflow token sent as x-runner-token; the runner's API Token is never sent to n8n
+      openaiBaseUrl: 'http://127.0.0.1:11434/v1',
+      openaiApiKey: '',
+      openaiModel: 'llama3.1',
+      openaiSystemPrompt: '',
+      openaiTimeoutSec: 60,
+      commentTemplates: '', // One per line; empty = built-in templates
+
       // Threshold settings
       maxActions: 10,
+      maxSessionMinutes: 0,  // 0 = no time limit
+      maxDailyComments: 0,   // 0 = no daily cap
+
+      // Cross-session dedup against the runner's engagement index
+      dedupSamePost: true,     // Never comment on the same post twice
+      authorCooldownDays: 0,   // At most one comment per author per N days (0 = off)
       // Pure tab navigation always uses AND logic (all thresholds must pass)
 
       // Timing settings (milliseconds) - Pure Tab Navigation
@@ -820,7 +884,10 @@ class LinkRightWidget {
 
     // Clamp all numeric values to >= 0
     const numericFields = [
-      'maxActions',
+      'maxActions', 'maxSessionMinutes', 'maxDailyComments', 'authorCooldownDays', 'reviewTimeoutSec',
+      'n8nTimeoutSec', 'openaiTimeoutSec', 'postsPerProfile',
+      'minReactions', 'minComments', 'minReposts', 'minScore',
+      'decisionRetries', 'decisionTimeoutSec', 'breakerThreshold',
       'waitActionMinMs', 'waitActionMaxMs',
       'waitAfterCommentMinMs', 'waitAfterCommentMaxMs',
       'waitBetweenCommentsMinMs', 'waitBetweenCommentsMaxMs'
@@ -866,6 +933,10 @@ class LinkRightWidget {
       errors.webhookUrl = 'Invalid webhook URL. Must start with http:// or https://';
     }
 
+    if (settings.commentProvider === 'openai' && !this.isValidUrl(settings.openaiBaseUrl || '')) {
+      errors.openaiBaseUrl = 'Invalid OpenAI-compatible base URL. Must start with http:// or https://';
+    }
+
     if (settings.privacyPolicyUrl && !this.isValidUrl(settings.privacyPolicyUrl)) {
       errors.privacyPolicyUrl = 'Invalid privacy policy URL. Must start with http:// or https://';
     }
@@ -874,9 +945,372 @@ class LinkRightWidget {
       errors.runnerBaseUrl = 'Invalid Runner Base URL. Must start with http:// or https://';
     }
 
+    const sourceFields = {
+      hashtag: ['feedSourceHashtag', 'Feed source: enter a hashtag'],
+      search: ['feedSourceKeywords', 'Feed source: enter search keywords'],
+      profile: ['feedSourceProfile', 'Feed source: enter a profile or company URL'],
+      list: ['feedSourceProfiles', 'Feed source: add at least one profile URL']
+    };
+    const sourceField = sourceFields[settings.feedSource];
+    if (sourceField && !String(settings[sourceField[0]] || '').trim()) {
+      errors.feedSource = sourceField[1];
+    }
+
     return errors;
   }
 
+  /**
+   * Optimized-mode decision source and local scoring rules (part of the Engagement Mode section)
+   */
+  getLocalScoringSettingsContent() {
+    const source = this.settings.decisionSource || 'webhook';
+    const option = (value, label) => `<option value="${value}" ${source === value ? 'selected' : ''}>${label}</option>`;
+    const numberInput = (key, label, max) => `
+              <div class="linkright-setting-group">
+                <label class="linkright-setting-label" for="setting-${key}">${label}</label>
+                <input
+                  type="number"
+                  id="setting-${key}"
+                  class="linkright-setting-input"
+                  min="0"
+                  ${max ? `max="${max}"` : ''}
+                  value="${this.settings[key] || 0}"
+                  data-setting="${key}"
+                  aria-label="${label}">
+              </div>`;
+    const listInput = (key, label, placeholder) => `
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-${key}">${label}</label>
+              <input
+                type="text"
+                id="setting-${key}"
+                class="linkright-setting-input"
+                placeholder="${placeholder}"
+                value="${this.escapeHtml(this.settings[key] || '')}"
+                data-setting="${key}"
+                aria-label="${label}">
+            </div>`;
+
+    return `
+          <div class="linkright-setting-group" style="margin-top:12px;">
+            <label class="linkright-setting-label" for="setting-decision-source">Decision Source</label>
+            <select
+              id="setting-decision-source"
+              class="linkright-setting-input"
+              data-setting="decisionSource"
+              aria-label="Engagement decision source">
+              ${option('webhook', 'linkedin-parse webhook')}
+              ${option('local', 'Local scoring (no network)')}
+              ${option('both', 'Local scoring, then webhook')}
+            </select>
+            <span class="linkright-help-text">How Optimized mode decides whether to engage</span>
+          </div>
+
+          ${source !== 'webhook' ? `
+            <div class="linkright-setting-row">
+              ${numberInput('minReactions', 'Min Reactions')}
+              ${numberInput('minComments', 'Min Comments')}
+            </div>
+            <div class="linkright-setting-row">
+              ${numberInput('minReposts', 'Min Reposts')}
+              ${numberInput('minScore', 'Min Score', 100)}
+            </div>
+            ${listInput('preferredAuthors', 'Preferred Authors', 'Jane Doe, Acme Corp')}
+            ${listInput('blockedAuthors', 'Blocked Authors', 'Comma separated')}
+            ${listInput('includeKeywords', 'Boost Keywords', 'hiring, product, ai')}
+            ${listInput('excludeKeywords', 'Exclude Keywords', 'giveaway, crypto')}
+            <span class="linkright-help-text">Score 0-100 from reactions, comments, reposts, keywords and preferred authors. Preferred authors skip the minimums.</span>
+          ` : ''}
+
+          ${source !== 'local' ? this.getDecisionPolicySettingsContent() : ''}
+    `;
+  }
+
+  /**
+   * What Optimized mode does when linkedin-parse fails, plus the circuit breaker
+   */
+  getDecisionPolicySettingsContent() {
+    const policy = this.settings.decisionFailurePolicy || 'engage';
+    const breakerAction = this.settings.breakerAction || 'pause';
+    const option = (current, value, label) => `<option value="${value}" ${current === value ? 'selected' : ''}>${label}</option>`;
+
+    return `
+          <div class="linkright-setting-group" style="margin-top:12px;">
+            <label class="linkright-setting-label" for="setting-decision-failure-policy">If Analysis Fails</label>
+            <select
+              id="setting-decision-failure-policy"
+              class="linkright-setting-input"
+              data-setting="decisionFailurePolicy"
+              aria-label="Policy when post analysis fails">
+              ${option(policy, 'engage', 'Engage anyway (fail open)')}
+              ${option(policy, 'skip', 'Skip the post (fail closed)')}
+              ${option(policy, 'retry', 'Retry with backoff, then skip')}
+            </select>
+          </div>
+
+          <div class="linkright-setting-row">
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-decision-timeout">Analysis Timeout (s)</label>
+              <input
+                type="number"
+                id="setting-decision-timeout"
+                class="linkright-setting-input"
+                min="1"
+                value="${this.settings.decisionTimeoutSec || 180}"
+                data-setting="decisionTimeoutSec"
+                aria-label="Analysis timeout in seconds">
+            </div>
+            ${policy === 'retry' ? `
+              <div class="linkright-setting-group">
+                <label class="linkright-setting-label" for="setting-decision-retries">Retries</label>
+                <input
+                  type="number"
+                  id="setting-decision-retries"
+                  class="linkright-setting-input"
+                  min="0"
+                  max="5"
+                  value="${this.settings.decisionRetries ?? 2}"
+                  data-setting="decisionRetries"
+                  aria-label="Analysis retries">
+              </div>
+            ` : ''}
+          </div>
+
+          <div class="linkright-setting-row">
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-breaker-threshold">Breaker After</label>
+              <input
+                type="number"
+                id="setting-breaker-threshold"
+                class="linkright-setting-input"
+                min="0"
+                value="${this.settings.breakerThreshold ?? 0}"
+                data-setting="breakerThreshold"
+                aria-label="Consecutive failures before the circuit breaker trips">
+            </div>
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-breaker-action">Then</label>
+              <select
+                id="setting-breaker-action"
+                class="linkright-setting-input"
+                data-setting="breakerAction"
+                aria-label="Circuit breaker action">
+                ${option(breakerAction, 'pause', 'Pause session')}
+                ${option(breakerAction, 'skip_all', 'Skip all posts')}
+              </select>
+            </div>
+          </div>
+          <span class="linkright-help-text">Consecutive analysis failures before the breaker trips (0 = off). Defaulted decisions are marked in the HUD and Reports.</span>
+    `;
+  }
+
+  /**
+   * Comment generation provider section of the settings view.
+   * Only the selected provider's fields are rendered; hidden ones keep their saved values.
+   */
+  getCommentProviderSettingsContent() {
+    const provider = this.settings.commentProvider || 'n8n';
+    const option = (value, label) => `<option value="${value}" ${provider === value ? 'selected' : ''}>${label}</option>`;
+
+    return `
+        <div class="linkright-settings-section">
+          <h4 class="linkright-section-title">Comment Generation</h4>
+
+          <div class="linkright-setting-group">
+            <label class="linkright-setting-label" for="setting-comment-provider">Provider</label>
+            <select
+              id="setting-comment-provider"
+              class="linkright-setting-input"
+              data-setting="commentProvider"
+              aria-label="Comment generation provider">
+              ${option('n8n', 'n8n webhook (linkedin-reply)')}
+              ${option('openai', 'OpenAI-compatible chat API')}
+              ${option('template', 'Templates (offline)')}
+            </select>
+            <span class="linkright-help-text">Used for the next runner session and Cmd+Shift+L. OpenAI and templates are generated by the runner, so it must be running</span>
+          </div>
+
+          ${provider === 'n8n' ? `
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-n8n-timeout">Webhook Timeout (s)</label>
+              <input
+                type="number"
+                id="setting-n8n-timeout"
+                class="linkright-setting-input"
+                min="1"
+                placeholder="${window.LINKRIGHT_CONFIG.WEBHOOK_TIMEOUT / 1000}"
+                value="${this.settings.n8nTimeoutSec || ''}"
+                data-setting="n8nTimeoutSec"
+                aria-label="Webhook timeout in seconds">
+              <span class="linkright-help-text">Posts to the Webhook URL under API Configuration. Empty = ${window.LINKRIGHT_CONFIG.WEBHOOK_TIMEOUT / 1000}s from config.js</span>
+            </div>
+
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-n8n-token">Webhook Token</label>
+              <input
+                type="password"
+                id="setting-n8n-token"
+                class="linkright-setting-input"
+                placeholder="Leave empty if the workflow does not check one"
+                value="${this.escapeHtml(this.settings.n8nToken || '')}"
+                data-setting="n8nToken"
+                aria-label="Webhook token">
+              <span class="linkright-help-text">Sent to the workflow as x-runner-token. Not the runner's API Token</span>
+            </div>
+          ` : ''}
+
+          ${provider === 'openai' ? `
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-openai-base">Base URL</label>
+              <input
+                type="url"
+                id="setting-openai-base"
+                class="linkright-setting-input"
+                placeholder="http://127.0.0.1:11434/v1"
+                value="${this.escapeHtml(this.settings.openaiBaseUrl || '')}"
+                data-setting="openaiBaseUrl"
+                aria-label="OpenAI-compatible base URL">
+              <span class="linkright-help-text">Requests go to &lt;base&gt;/chat/completions (OpenAI, Ollama, LM Studio, vLLM)</span>
+            </div>
+
+            <div class="linkright-setting-row">
+              <div class="linkright-setting-group">
+                <label class="linkright-setting-label" for="setting-openai-model">Model</label>
+                <input
+                  type="text"
+                  id="setting-openai-model"
+                  class="linkright-setting-input"
+                  placeholder="llama3.1"
+                  value="${this.escapeHtml(this.settings.openaiModel || '')}"
+                  data-setting="openaiModel"
+                  aria-label="Model name">
+              </div>
+              <div class="linkright-setting-group">
+                <label class="linkright-setting-label" for="setting-openai-timeout">Timeout (s)</label>
+                <input
+                  type="number"
+                  id="setting-openai-timeout"
+                  class="linkright-setting-input"
+                  min="1"
+                  value="${this.settings.openaiTimeoutSec || 60}"
+                  data-setting="openaiTimeoutSec"
+                  aria-label="Model timeout in seconds">
+              </div>
+            </div>
+
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-openai-key">API Key</label>
+              <input
+                type="password"
+                id="setting-openai-key"
+                class="linkright-setting-input"
+                placeholder="Leave empty for local models"
+                value="${this.escapeHtml(this.settings.openaiApiKey || '')}"
+                data-setting="openaiApiKey"
+                aria-label="API key">
+            </div>
+
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-openai-prompt">System Prompt</label>
+              <textarea
+                id="setting-openai-prompt"
+                class="linkright-setting-input"
+                rows="3"
+                placeholder="Leave empty for the built-in prompt"
+                data-setting="openaiSystemPrompt"
+                aria-label="System prompt">${this.escapeHtml(this.settings.openaiSystemPrompt || '')}</textarea>
+            </div>
+          ` : ''}
+
+          ${provider === 'template' ? `
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-comment-templates">Templates</label>
+              <textarea
+                id="setting-comment-templates"
+                class="linkright-setting-input"
+                rows="4"
+                placeholder="Thanks for sharing this, {firstName}!"
+                data-setting="commentTemplates"
+                aria-label="Comment templates">${this.escapeHtml(this.settings.commentTemplates || '')}</textarea>
+              <span class="linkright-help-text">One per line. {author}, {firstName} and {excerpt} are filled in. Empty = built-in set</span>
+            </div>
+          ` : ''}
+        </div>
+    `;
+  }
+
+  /**
+   * Where the runner looks for posts; the field for the chosen source shows after saving
+   */
+  getFeedSourceSettingsContent() {
+    const source = this.settings.feedSource || 'home';
+    const option = (value, label) => `<option value="${value}" ${source === value ? 'selected' : ''}>${label}</option>`;
+    const textInput = (key, label, placeholder, help) => `
+          <div class="linkright-setting-group">
+            <label class="linkright-setting-label" for="setting-${key}">${label}</label>
+            <input
+              type="text"
+              id="setting-${key}"
+              class="linkright-setting-input"
+              placeholder="${placeholder}"
+              value="${this.escapeHtml(this.settings[key] || '')}"
+              data-setting="${key}"
+              aria-label="${label}">
+            <span class="linkright-help-text">${help}</span>
+          </div>`;
+
+    return `
+        <div class="linkright-settings-section">
+          <h4 class="linkright-section-title">Feed Source</h4>
+
+          <div class="linkright-setting-group">
+            <label class="linkright-setting-label" for="setting-feed-source">Find Posts In</label>
+            <select
+              id="setting-feed-source"
+              class="linkright-setting-input"
+              data-setting="feedSource"
+              aria-label="Feed source">
+              ${option('home', 'Home feed')}
+              ${option('hashtag', 'Hashtag feed')}
+              ${option('search', 'Content search')}
+              ${option('profile', 'A person\'s or company\'s activity')}
+              ${option('list', 'Saved list of people')}
+            </select>
+            <span class="linkright-help-text">Used when the runner starts. Finite sources end the session once they run out of posts</span>
+          </div>
+
+          ${source === 'hashtag' ? textInput('feedSourceHashtag', 'Hashtag', '#productmanagement', 'Posts from linkedin.com/feed/hashtag/...') : ''}
+          ${source === 'search' ? textInput('feedSourceKeywords', 'Search Keywords', 'b2b onboarding', 'Content search results for these keywords') : ''}
+          ${source === 'profile' ? textInput('feedSourceProfile', 'Profile or Company URL', 'https://www.linkedin.com/in/jane-doe/', 'Their recent activity page') : ''}
+
+          ${source === 'list' ? `
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-feed-source-profiles">People</label>
+              <textarea
+                id="setting-feed-source-profiles"
+                class="linkright-setting-input"
+                rows="4"
+                placeholder="https://www.linkedin.com/in/jane-doe/"
+                data-setting="feedSourceProfiles"
+                aria-label="Saved list of profiles">${this.escapeHtml(this.settings.feedSourceProfiles || '')}</textarea>
+              <span class="linkright-help-text">One profile or company URL per line, visited in order</span>
+            </div>
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-posts-per-profile">Posts Per Person</label>
+              <input
+                type="number"
+                id="setting-posts-per-profile"
+                class="linkright-setting-input"
+                min="1"
+                value="${this.settings.postsPerProfile || 3}"
+                data-setting="postsPerProfile"
+                aria-label="Posts per person">
+            </div>
+          ` : ''}
+        </div>
+    `;
+  }
+
   /**
    * Get settings content
    */
@@ -931,8 +1365,39 @@ class LinkRightWidget {
               data-setting="postAnalysisWebhook">
             <span style="font-size:10px;color:#6B7280;">Used in Optimized mode only</span>
           </div>
+
+          ${this.getLocalScoringSettingsContent()}
+
+          <div style="margin-top:12px;padding:12px;background:#FFFBEB;border-radius:6px;border:1px solid #FDE68A;">
+            <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px;">
+              <label style="font-size:13px;font-weight:600;color:#92400E;">
+                ✋ Review Comments
+              </label>
+              <label class="linkright-switch">
+                <input type="checkbox" id="setting-review-mode" data-setting="reviewMode" ${this.settings.reviewMode ? 'checked' : ''}>
+                <span class="linkright-slider"></span>
+              </label>
+            </div>
+            <p style="font-size:11px;color:#B45309;margin:0 0 8px;line-height:1.4;">
+              Pause on every generated comment so you can approve, edit, regenerate or reject it (Runner tab or on-page HUD)
+            </p>
+            <label class="linkright-setting-label" for="setting-review-timeout">Review Timeout (s)</label>
+            <input
+              type="number"
+              id="setting-review-timeout"
+              class="linkright-setting-input"
+              min="10"
+              value="${this.settings.reviewTimeoutSec || 120}"
+              data-setting="reviewTimeoutSec"
+              aria-label="Review timeout in seconds">
+            <span class="linkright-help-text">Unanswered comments are rejected after this long</span>
+          </div>
         </div>
 
+        ${this.getFeedSourceSettingsContent()}
+
+        ${this.getCommentProviderSettingsContent()}
+
         <!-- API Configuration Section -->
         <div class="linkright-settings-section">
           <h4 class="linkright-section-title">API Configuration</h4>
@@ -1006,6 +1471,53 @@ class LinkRightWidget {
               aria-label="Maximum actions">
             <span class="linkright-help-text">Stop after this many actions</span>
           </div>
+
+          <div class="linkright-setting-row">
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-max-session-minutes">Time Limit (min)</label>
+              <input
+                type="number"
+                id="setting-max-session-minutes"
+                class="linkright-setting-input"
+                min="0"
+                value="${this.settings.maxSessionMinutes || 0}"
+                data-setting="maxSessionMinutes"
+                aria-label="Session time limit in minutes">
+            </div>
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-max-daily-comments">Daily Cap</label>
+              <input
+                type="number"
+                id="setting-max-daily-comments"
+                class="linkright-setting-input"
+                min="0"
+                value="${this.settings.maxDailyComments || 0}"
+                data-setting="maxDailyComments"
+                aria-label="Maximum comments per day">
+            </div>
+          </div>
+          <span class="linkright-help-text">0 = no limit</span>
+
+          <div class="linkright-setting-row" style="margin-top:12px;align-items:flex-end;">
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-dedup-same-post">
+                <input type="checkbox" id="setting-dedup-same-post" data-setting="dedupSamePost" ${this.settings.dedupSamePost !== false ? 'checked' : ''}>
+                Never the Same Post
+              </label>
+            </div>
+            <div class="linkright-setting-group">
+              <label class="linkright-setting-label" for="setting-author-cooldown">Author Cooldown (days)</label>
+              <input
+                type="number"
+                id="setting-author-cooldown"
+                class="linkright-setting-input"
+                min="0"
+                value="${this.settings.authorCooldownDays || 0}"
+                data-setting="authorCooldownDays"
+                aria-label="Days before commenting on the same author again">
+            </div>
+          </div>
+          <span class="linkright-help-text">Checked across all sessions, the post queue and targeted actions. Cooldown 0 = off</span>
         </div>
 
         <!-- Timing Settings Section -->
@@ -1147,6 +1659,9 @@ class LinkRightWidget {
             <button class="lr-filter-chip" data-filter="skipped" style="padding:6px 12px;border-radius:16px;border:1px solid #d1d5db;background:white;color:#374151;cursor:pointer;font-size:11px;font-weight:600;">
               Skipped
             </button>
+            <button class="lr-filter-chip" data-filter="failed" style="padding:6px 12px;border-radius:16px;border:1px solid #d1d5db;background:white;color:#374151;cursor:pointer;font-size:11px;font-weight:600;">
+              Failed
+            </button>
           </div>
 
           <!-- Search Box -->
@@ -1173,9 +1688,9 @@ class LinkRightWidget {
             <thead style="background:#f3f4f6;">
               <tr>
                 <th style="padding:8px;text-align:center;border-bottom:2px solid #e5e7eb;font-weight:600;width:50px;">Sr.</th>
-                <th style="padding:8px;text-align:right;border-bottom:2px solid #e5e7eb;font-weight:600;">Reactions</th>
-                <th style="padding:8px;text-align:right;border-bottom:2px solid #e5e7eb;font-weight:600;">Comments</th>
-                <th style="padding:8px;text-align:right;border-bottom:2px solid #e5e7eb;font-weight:600;">Reposts</th>
+                <th style="padding:8px;text-align:left;border-bottom:2px solid #e5e7eb;font-weight:600;">Author</th>
+                <th style="padding:8px;text-align:left;border-bottom:2px solid #e5e7eb;font-weight:600;">Comment</th>
+                <th style="padding:8px;text-align:left;border-bottom:2px solid #e5e7eb;font-weight:600;">Decision</th>
                 <th style="padding:8px;text-align:left;border-bottom:2px solid #e5e7eb;font-weight:600;">Action</th>
                 <th style="padding:8px;text-align:left;border-bottom:2px solid #e5e7eb;font-weight:600;">Timestamp</th>
               </tr>
@@ -1193,6 +1708,42 @@ class LinkRightWidget {
         <div style="margin-top:12px;font-size:11px;color:#9CA3AF;text-align:center;">
           Showing <span id="lr-visible-count">0</span> of <span id="lr-total-count">0</span> posts
         </div>
+
+        <div style="margin-top:8px;text-align:center;">
+          <button id="lr-load-more-posts"
+            style="display:none;padding:6px 12px;border-radius:6px;border:1px solid #d1d5db;background:white;color:#374151;cursor:pointer;font-size:12px;font-weight:600;"
+            aria-label="Load older posts">
+            Load older posts
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Get session history content
+   */
+  getHistoryContent() {
+    return `
+      <div class="linkright-history-container" style="padding:12px;font-size:13px;">
+        <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:12px;">
+          <h4 style="margin:0;font-size:14px;font-weight:600;">🕘 Session History</h4>
+          <button id="lr-history-refresh"
+            style="padding:4px 10px;border-radius:6px;border:1px solid #d1d5db;background:white;color:#374151;cursor:pointer;font-size:11px;font-weight:600;"
+            aria-label="Refresh session history">
+            Refresh
+          </button>
+        </div>
+        <div id="lr-history-list" style="display:flex;flex-direction:column;gap:8px;">
+          <div style="text-align:center;padding:20px;color:#9CA3AF;">Loading sessions...</div>
+        </div>
+        <div style="margin-top:8px;text-align:center;">
+          <button id="lr-history-load-more"
+            style="display:none;padding:6px 12px;border-radius:6px;border:1px solid #d1d5db;background:white;color:#374151;cursor:pointer;font-size:12px;font-weight:600;"
+            aria-label="Load older sessions">
+            Load older sessions
+          </button>
+        </div>
       </div>
     `;
   }
@@ -1252,11 +1803,15 @@ class LinkRightWidget {
       this.attachSettingsHandlers(sidebar);
     }
 
-    // ARCHIVED - Results/Reports tab removed (data now in Google Sheets)
-    // Reports page handling
-    // if (this.currentView === 'report') {
-    //   this.attachReportsHandlers(sidebar);
-    // }
+    // Reports page handling (per-post records from the runner's session ledger)
+    if (this.currentView === 'report') {
+      this.attachReportsHandlers(sidebar);
+    }
+
+    // Session history handling
+    if (this.currentView === 'history') {
+      this.attachHistoryHandlers(sidebar);
+    }
 
     // Runner page handling
     if (this.currentView === 'runner') {
@@ -1289,12 +1844,17 @@ class LinkRightWidget {
         this.currentView = 'settings';
         this.updateSidebarContent(this.sidebar);
         break;
-      // ARCHIVED - Results/Reports tab removed (data now in Google Sheets)
-      // case 'report':
-      //   console.log('LinkRight: Report button clicked');
-      //   this.currentView = 'report';
-      //   this.updateSidebarContent(this.sidebar);
-      //   break;
+      case 'report':
+        console.log('LinkRight: Report button clicked');
+        this.reportSessionId = null; // Back to current / latest session
+        this.currentView = 'report';
+        this.updateSidebarContent(this.sidebar);
+        break;
+      case 'history':
+        console.log('LinkRight: History button clicked');
+        this.currentView = 'history';
+        this.updateSidebarContent(this.sidebar);
+        break;
       case 'runner':
         console.log('LinkRight: Runner button clicked');
         this.currentView = 'runner';
@@ -1422,6 +1982,10 @@ class LinkRightWidget {
     this.sidebar.classList.remove('open');
     this.sidebarOpen = false;
     this.currentView = 'main'; // Reset to main view
+
+    // Nothing shows runner state while closed
+    this.stopRunnerEventStream();
+    this.stopRunnerStatusPolling();
     
     // Ensure sidebar is properly hidden
     this.sidebar.style.right = '-352px'; // Use actual pixel value instead of CSS variable
@@ -1762,7 +2326,7 @@ class LinkRightWidget {
       } catch (_) {
         // Fallback: try clicking a Post/Submit button
         try {
-          const btn = editor.closest('form')?.querySelector('button[aria-label*="post" i],button[type="submit"],button[data-control-name*="comment"]');
+          const btn = editor.closest('form')?.querySelector(this.selectorFor('commentSubmit'));
           if (btn) btn.click();
         } catch (_) {}
       }
@@ -1894,18 +2458,56 @@ class LinkRightWidget {
     }
   }
 
+  /**
+   * Load the LinkedIn selector profile. The runner's copy comes first because it picks up
+   * edits without a restart; the profile bundled with the extension is the fallback.
+   */
+  async loadSelectorProfile() {
+    try {
+      const base = (this.settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
+      const response = await fetch(`${base}/api/selectors`, {
+        headers: {
+          'x-runner-token': this.settings.xRunnerToken || 'dev-secure-token-12345'
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+      const data = await response.json();
+      this.selectorProfile = data.profile;
+      return;
+    } catch (error) {
+      console.log('LinkRight: Runner selector profile unavailable, using the bundled one', error.message);
+    }
+
+    try {
+      const response = await fetch(chrome.runtime.getURL('selectors/linkedin.json'));
+      this.selectorProfile = await response.json();
+    } catch (error) {
+      console.error('LinkRight: Failed to load the selector profile', error);
+    }
+  }
+
+  /**
+   * Selectors for an element role, in fallback order
+   */
+  getSelectors(role) {
+    return (this.selectorProfile && this.selectorProfile.roles && this.selectorProfile.roles[role]) || [];
+  }
+
+  /**
+   * A role's selectors as one CSS selector list (matches nothing until a profile is loaded)
+   */
+  selectorFor(role) {
+    return this.getSelectors(role).join(', ') || ':not(*)';
+  }
+
   /**
    * Find the currently active comment/reply editor
    */
   findActiveEditor() {
-    // Try different selectors for LinkedIn's comment editors
-    const selectors = [
-      '.comments-comment-box__form .ql-editor',
-      '.comments-comment-texteditor .ql-editor',
-      '.comments-comment-box-comment__text-editor .ql-editor',
-      '[contenteditable="true"][role="textbox"]',
-      '.ql-editor[contenteditable="true"]'
-    ];
+    // Try the profile's selectors for LinkedIn's comment editors, in order
+    const selectors = this.getSelectors('commentEditor');
     
     for (const selector of selectors) {
       const editors = document.querySelectorAll(selector);
@@ -1923,9 +2525,9 @@ class LinkRightWidget {
    */
   extractPostData(editorElement) {
     // Find the parent post or comment container
-    const postContainer = editorElement.closest('.feed-shared-update-v2') || 
-                         editorElement.closest('.comments-comment-item') ||
-                         editorElement.closest('[data-id]');
+    const postContainer = editorElement.closest(this.selectorFor('post')) || 
+                         editorElement.closest(this.selectorFor('commentItem')) ||
+                         editorElement.closest(this.selectorFor('feedItem'));
     
     if (!postContainer) {
       console.log('Could not find post container');
@@ -1933,18 +2535,14 @@ class LinkRightWidget {
     }
     
     // Determine if this is a comment or reply
-    const isReply = editorElement.closest('.comments-comment-item') !== null;
+    const isReply = editorElement.closest(this.selectorFor('commentItem')) !== null;
     const actionType = isReply ? 'reply' : 'comment';
     
     // Extract post text - handle truncation
     let postText = '';
     
     // Try to find and click "see more" button to expand truncated content
-    const seeMoreButton = postContainer.querySelector(
-      '.feed-shared-inline-show-more-text__see-more-less-toggle, ' +
-      '.feed-shared-text__see-more, ' +
-      '.comments-comment-item__see-more-less-toggle'
-    );
+    const seeMoreButton = postContainer.querySelector(this.selectorFor('seeMore'));
     
     if (seeMoreButton && !seeMoreButton.getAttribute('data-linkright-expanded')) {
       seeMoreButton.click();
@@ -1952,12 +2550,7 @@ class LinkRightWidget {
     }
     
     // Now extract the full text
-    const textContainers = postContainer.querySelectorAll(
-      '.feed-shared-update-v2__description, ' +
-      '.feed-shared-text, ' +
-      '.comments-comment-item__main-content, ' +
-      '.break-words span[dir="ltr"]'
-    );
+    const textContainers = postContainer.querySelectorAll(`${this.selectorFor('postText')}, ${this.selectorFor('commentText')}`);
     
     textContainers.forEach(container => {
       const text = container.innerText || container.textContent;
@@ -1981,34 +2574,63 @@ class LinkRightWidget {
   }
 
   /**
-   * Send post data to webhook
+   * Generate a comment for post data with the configured provider.
+   * n8n is posted straight to WEBHOOK_URL; openai and template are generated by the runner's
+   * comment providers (via the background script) so Cmd+Shift+L matches runner sessions.
+   * Every provider resolves to { comment } like the original n8n webhook response.
    */
   async sendToWebhook(data) {
+    const settings = this.settings || this.getDefaultSettings();
+    const provider = settings.commentProvider || 'n8n';
+
+    if (provider === 'openai' || provider === 'template') {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GENERATE_COMMENT',
+        post: { postText: data.post_text, actionType: data.action_type }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Runner did not generate a comment');
+      }
+      return { comment: response.comment };
+    }
+
     const webhookUrl = window.LINKRIGHT_CONFIG.WEBHOOK_URL;
-    
+
     if (webhookUrl === '[WEBHOOK_URL]') {
       throw new Error('Webhook URL not configured. Please set WEBHOOK_URL in config.js');
     }
-    
+
+    return this.postJsonWithTimeout(webhookUrl, data, {
+      headers: settings.n8nToken ? { 'x-runner-token': settings.n8nToken } : {},
+      timeoutMs: settings.n8nTimeoutSec ? settings.n8nTimeoutSec * 1000 : window.LINKRIGHT_CONFIG.WEBHOOK_TIMEOUT
+    });
+  }
+
+  /**
+   * POST JSON and parse the JSON response, aborting after timeoutMs
+   */
+  async postJsonWithTimeout(url, body, { headers = {}, timeoutMs }) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), window.LINKRIGHT_CONFIG.WEBHOOK_TIMEOUT);
-    
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
     try {
-      const response = await fetch(webhookUrl, {
+      const response = await fetch(url, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...headers
         },
-        body: JSON.stringify(data),
+        body: JSON.stringify(body),
         signal: controller.signal
       });
-      
+
       clearTimeout(timeoutId);
-      
+
       if (!response.ok) {
         throw new Error(`Webhook returned ${response.status}`);
       }
-      
+
       return await response.json();
     } catch (error) {
       clearTimeout(timeoutId);
@@ -2590,14 +3212,206 @@ class LinkRightWidget {
         this.downloadReportsCSV();
       });
     }
+
+    // Pagination - fetch the next page of older posts
+    const loadMoreBtn = sidebar.querySelector('#lr-load-more-posts');
+    if (loadMoreBtn) {
+      loadMoreBtn.addEventListener('click', () => {
+        this.fetchSessionData({ append: true });
+      });
+    }
   }
 
   /**
-   * Attach event handlers for Runner tab
+   * Attach Session History handlers
    */
-  attachRunnerHandlers(sidebar) {
-    // Start Runner button
-    const startBtn = sidebar.querySelector('#lr-start-runner');
+  attachHistoryHandlers(sidebar) {
+    this.fetchSessionHistory();
+
+    const refreshBtn = sidebar.querySelector('#lr-history-refresh');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => this.fetchSessionHistory());
+    }
+
+    const loadMoreBtn = sidebar.querySelector('#lr-history-load-more');
+    if (loadMoreBtn) {
+      loadMoreBtn.addEventListener('click', () => this.fetchSessionHistory({ append: true }));
+    }
+
+    // Row buttons are re-rendered on every fetch, so delegate from the list
+    const list = sidebar.querySelector('#lr-history-list');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-history-action]');
+        if (!btn) return;
+
+        const sessionId = btn.dataset.sessionId;
+        switch (btn.dataset.historyAction) {
+          case 'view':
+            this.reportSessionId = sessionId;
+            this.currentView = 'report';
+            this.updateSidebarContent(this.sidebar);
+            break;
+          case 'artifact':
+            this.downloadSessionArtifact(sessionId, btn.dataset.artifact);
+            break;
+          case 'delete':
+            this.deleteSession(sessionId);
+            break;
+        }
+      });
+    }
+  }
+
+  /**
+   * Fetch past sessions from runner API
+   * @param {Object} options - append: load the next (older) page
+   */
+  async fetchSessionHistory({ append = false } = {}) {
+    const offset = append ? (this.historySessions || []).length : 0;
+
+    try {
+      const base = (this.settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
+      const response = await fetch(`${base}/api/sessions?limit=20&offset=${offset}`, {
+        headers: {
+          'x-runner-token': this.settings.xRunnerToken || 'dev-secure-token-12345'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      const data = await response.json();
+      this.historySessions = append ? [...(this.historySessions || []), ...data.sessions] : data.sessions;
+      this.renderSessionHistory();
+
+      const loadMoreBtn = document.getElementById('lr-history-load-more');
+      if (loadMoreBtn) {
+        loadMoreBtn.style.display = data.pagination?.hasMore ? 'inline-block' : 'none';
+      }
+    } catch (error) {
+      console.error('LinkRight: Failed to fetch session history', error);
+      const list = document.getElementById('lr-history-list');
+      if (list) {
+        list.innerHTML = `
+          <div style="text-align:center;padding:20px;color:#EF4444;">
+            <div style="font-weight:600;">Failed to load sessions</div>
+            <div style="font-size:11px;margin-top:4px;">${this.escapeHtml(error.message)}</div>
+          </div>
+        `;
+      }
+    }
+  }
+
+  /**
+   * Render session history list
+   */
+  renderSessionHistory() {
+    const list = document.getElementById('lr-history-list');
+    if (!list) return;
+
+    const sessions = this.historySessions || [];
+    if (sessions.length === 0) {
+      list.innerHTML = '<div style="text-align:center;padding:20px;color:#9CA3AF;">No sessions recorded yet</div>';
+      return;
+    }
+
+    const buttonStyle = 'padding:3px 8px;border-radius:4px;border:1px solid #d1d5db;background:white;color:#374151;cursor:pointer;font-size:10px;font-weight:600;';
+
+    list.innerHTML = sessions.map(session => {
+      const sessionId = this.escapeHtml(session.sessionId);
+      const artifacts = (session.artifacts || []).filter(name => /\.(zip|webm|png)$/i.test(name));
+
+      return `
+        <div style="padding:10px;border:1px solid #e5e7eb;border-radius:6px;background:#f9fafb;">
+          <div style="display:flex;justify-content:space-between;gap:8px;font-size:12px;">
+            <strong style="color:#111827;">${this.escapeHtml(this.formatTimestamp(session.startedAt) || sessionId)}</strong>
+            <span style="color:#6B7280;">${this.escapeHtml(this.formatCompletedReason(session.completedReason))}</span>
+          </div>
+          <div style="margin-top:4px;font-size:11px;color:#6B7280;">
+            ${session.commentCount} commented · ${session.postCount} posts · ${this.escapeHtml(session.status)}${session.source ? ` · ${this.escapeHtml(this.formatFeedSource(session.source))}` : ''}
+          </div>
+          <div style="margin-top:8px;display:flex;gap:4px;flex-wrap:wrap;">
+            <button data-history-action="view" data-session-id="${sessionId}" style="${buttonStyle}">View posts</button>
+            ${artifacts.map(name => `
+              <button data-history-action="artifact" data-session-id="${sessionId}" data-artifact="${this.escapeHtml(name)}" style="${buttonStyle}">
+                ⬇️ ${this.escapeHtml(name)}
+              </button>
+            `).join('')}
+            <button data-history-action="delete" data-session-id="${sessionId}" style="${buttonStyle}color:#B91C1C;border-color:#FCA5A5;">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Download a session artifact (token header required, so fetch as blob)
+   */
+  async downloadSessionArtifact(sessionId, name) {
+    try {
+      const base = (this.settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
+      const response = await fetch(`${base}/api/sessions/${encodeURIComponent(sessionId)}/artifacts/${encodeURIComponent(name)}`, {
+        headers: {
+          'x-runner-token': this.settings.xRunnerToken || 'dev-secure-token-12345'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `${sessionId}-${name}`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('LinkRight: Failed to download artifact', error);
+      this.showToastWithAria(`Failed to download ${name}: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Delete a past session after confirmation
+   */
+  async deleteSession(sessionId) {
+    if (!window.confirm(`Delete ${sessionId} and all its recordings? This cannot be undone.`)) return;
+
+    try {
+      const base = (this.settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
+      const response = await fetch(`${base}/api/sessions/${encodeURIComponent(sessionId)}`, {
+        method: 'DELETE',
+        headers: {
+          'x-runner-token': this.settings.xRunnerToken || 'dev-secure-token-12345'
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `API returned ${response.status}`);
+      }
+
+      this.showToastWithAria('Session deleted', 'success');
+      this.fetchSessionHistory();
+    } catch (error) {
+      console.error('LinkRight: Failed to delete session', error);
+      this.showToastWithAria(`Failed to delete session: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Attach event handlers for Runner tab
+   */
+  attachRunnerHandlers(sidebar) {
+    // Start Runner button
+    const startBtn = sidebar.querySelector('#lr-start-runner');
     if (startBtn) {
       startBtn.addEventListener('click', () => this.startRunner());
     }
@@ -2620,17 +3434,51 @@ class LinkRightWidget {
       openLinkedInBtn.addEventListener('click', () => this.openLinkedInTab());
     }
 
-    // Start polling runner status
-    this.startRunnerStatusPolling();
+    // Selector health check
+    const checkSelectorsBtn = sidebar.querySelector('#lr-check-selectors');
+    if (checkSelectorsBtn) {
+      checkSelectorsBtn.addEventListener('click', () => this.checkSelectorHealth());
+    }
+
+    // Review queue buttons
+    sidebar.querySelectorAll('.lr-review-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.submitCommentReview(btn.dataset.reviewAction));
+    });
+
+    // Post queue: paste or import permalinks/URNs, saved for the next run
+    const queueInput = sidebar.querySelector('#lr-queue-input');
+    if (queueInput) {
+      queueInput.addEventListener('input', () => this.updatePostQueueCount(queueInput.value));
+      sidebar.querySelector('#lr-queue-save')?.addEventListener('click', () => this.savePostQueue(queueInput.value));
+      sidebar.querySelector('#lr-queue-clear')?.addEventListener('click', () => {
+        queueInput.value = '';
+        this.savePostQueue('');
+      });
+      sidebar.querySelector('#lr-queue-file')?.addEventListener('change', (e) => this.importPostQueueFile(e.target, queueInput));
+      this.loadPostQueue(queueInput);
+    }
+
+    // Live runner events (falls back to polling while the stream is down)
+    this.startRunnerEventStream();
   }
 
   /**
    * Fetch session data from runner API
+   * @param {Object} options - append: load the next (older) page instead of starting over
    */
-  async fetchSessionData() {
+  async fetchSessionData({ append = false } = {}) {
+    const pageSize = 50;
+    // Older pages continue below the last row shown (rows added meanwhile don't shift them)
+    const cursor = append && this.sessionData?.pagination?.nextCursor;
+
     try {
       const base = (this.settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
-      const response = await fetch(`${base}/api/runner/status?last=1`, {
+      // A session picked in History, otherwise the current/latest one - same order and paging
+      const page = cursor ? `&before=${cursor}` : '';
+      const url = this.reportSessionId
+        ? `${base}/api/sessions/${encodeURIComponent(this.reportSessionId)}?limit=${pageSize}${page}`
+        : `${base}/api/runner/status?last=${pageSize}${page}`;
+      const response = await fetch(url, {
         headers: {
           'x-runner-token': this.settings.xRunnerToken || 'dev-secure-token-12345'
         }
@@ -2645,9 +3493,17 @@ class LinkRightWidget {
 
       // Store session data
       this.sessionData = data;
-      this.allPosts = this.parseSessionPosts(data);
-      this.currentFilter = 'all';
-      this.currentSearchQuery = '';
+      const posts = this.parseSessionPosts(data);
+      this.allPosts = append ? [...(this.allPosts || []), ...posts] : posts;
+      if (!append) {
+        this.currentFilter = 'all';
+        this.currentSearchQuery = '';
+      }
+
+      const loadMoreBtn = document.getElementById('lr-load-more-posts');
+      if (loadMoreBtn) {
+        loadMoreBtn.style.display = data.pagination?.hasMore ? 'inline-block' : 'none';
+      }
 
       // Render session summary
       this.renderSessionSummary(data);
@@ -2670,47 +3526,32 @@ class LinkRightWidget {
   }
 
   /**
-   * Parse session data into posts array
+   * Parse session ledger records into posts array
    */
   parseSessionPosts(data) {
-    // If API returns posts array directly
-    if (data.posts && Array.isArray(data.posts)) {
-      return data.posts.map(post => {
-        const postId = post.postId || post.id || 'N/A';
-        // Use toLinkedInUrl() to generate proper permalink
-        const postUrl = post.postUrl || post.url || this.toLinkedInUrl(postId) || `https://www.linkedin.com/feed/`;
-
-        return {
-          postId,
-          postUrl,
-          reactions: post.reactions || 0,
-          comments: post.comments || 0,
-          reposts: post.reposts || 0,
-          action: post.action || (post.commented ? 'Commented' : 'Skipped'),
-          timestamp: post.timestamp || post.itemTimestamp || new Date().toISOString()
-        };
-      });
-    }
-
-    // Fallback: generate mock data from stats
-    const posts = [];
-    const stats = data.stats || data.sessionStats || {};
-    const commentsPosted = stats.commentsPosted || 0;
-
-    for (let i = 0; i < commentsPosted; i++) {
-      const mockPostId = `urn:li:activity:${Date.now()}${i}`;
-      posts.push({
-        postId: mockPostId,
-        postUrl: this.toLinkedInUrl(mockPostId),
-        reactions: Math.floor(Math.random() * 500) + 50,
-        comments: Math.floor(Math.random() * 50) + 10,
-        reposts: Math.floor(Math.random() * 10) + 1,
-        action: 'Commented',
-        timestamp: new Date(Date.now() - i * 60000).toISOString()
-      });
-    }
+    if (!data.posts || !Array.isArray(data.posts)) return [];
+
+    const actionLabels = {
+      commented: 'Commented',
+      skipped: 'Skipped',
+      already_engaged: 'Already engaged',
+      rejected: 'Rejected',
+      failed: 'Failed',
+      error: 'Failed',
+      aborted: 'Aborted'
+    };
 
-    return posts;
+    return data.posts.map(post => ({
+      postId: post.postId || 'N/A',
+      author: post.author || '',
+      comment: post.comment || '',
+      decision: post.decision
+        ? `${post.decision.engage}${post.decision.defaulted ? ` (default: ${post.decision.reason})` : ''}`
+        : (post.mode === 'default' ? 'n/a' : ''),
+      action: actionLabels[post.outcome] || post.outcome || 'Unknown',
+      error: post.error || '',
+      timestamp: post.ts || post.timings?.detectedAt || ''
+    }));
   }
 
   /**
@@ -2720,12 +3561,19 @@ class LinkRightWidget {
     const summaryContent = document.getElementById('lr-summary-content');
     if (!summaryContent) return;
 
-    const stats = data.stats || data.sessionStats || {};
-    const startTime = stats.startTime || data.startedAt || 'N/A';
-    const endTime = stats.endTime || data.endedAt || 'Running';
+    const session = data.session || {};
+    const stats = data.isRunning ? (data.stats || {}) : (session.stats || data.stats || {});
+    const startTime = session.startedAt || stats.startTime || 'N/A';
+    const endTime = session.endedAt || (data.isRunning ? 'Running' : 'N/A');
     const commentsPosted = stats.commentsPosted || 0;
 
     summaryContent.innerHTML = `
+      ${this.reportSessionId ? `
+        <div style="margin-bottom:8px;font-size:11px;color:#6B7280;">
+          Session: <strong>${this.escapeHtml(this.reportSessionId)}</strong>
+          · ${this.escapeHtml(this.formatCompletedReason(session.completedReason))}
+        </div>
+      ` : ''}
       <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(150px,1fr));gap:12px;">
         <div>
           <div style="font-size:10px;text-transform:uppercase;color:#9CA3AF;margin-bottom:4px;">Comments Posted</div>
@@ -2753,13 +3601,15 @@ class LinkRightWidget {
     if (this.currentFilter === 'commented') {
       filteredPosts = filteredPosts.filter(p => p.action === 'Commented');
     } else if (this.currentFilter === 'skipped') {
-      filteredPosts = filteredPosts.filter(p => p.action === 'Skipped');
+      filteredPosts = filteredPosts.filter(p => p.action === 'Skipped' || p.action === 'Rejected');
+    } else if (this.currentFilter === 'failed') {
+      filteredPosts = filteredPosts.filter(p => p.action === 'Failed' || p.action === 'Aborted');
     }
 
-    // Apply search
+    // Apply search (post ID, author or comment text)
     if (this.currentSearchQuery) {
       filteredPosts = filteredPosts.filter(p =>
-        p.postId.toLowerCase().includes(this.currentSearchQuery)
+        [p.postId, p.author, p.comment].some(field => field.toLowerCase().includes(this.currentSearchQuery))
       );
     }
 
@@ -2773,7 +3623,7 @@ class LinkRightWidget {
     const visibleCount = document.getElementById('lr-visible-count');
     const totalCount = document.getElementById('lr-total-count');
     if (visibleCount) visibleCount.textContent = filteredPosts.length;
-    if (totalCount) totalCount.textContent = (this.allPosts || []).length;
+    if (totalCount) totalCount.textContent = this.sessionData?.pagination?.total ?? (this.allPosts || []).length;
   }
 
   /**
@@ -2805,16 +3655,18 @@ class LinkRightWidget {
             ${serialNumber}
           </span>
         </td>
-        <td style="padding:8px;text-align:right;">${post.reactions.toLocaleString()}</td>
-        <td style="padding:8px;text-align:right;">${post.comments.toLocaleString()}</td>
-        <td style="padding:8px;text-align:right;">${post.reposts.toLocaleString()}</td>
+        <td style="padding:8px;">${this.escapeHtml(post.author) || '-'}</td>
+        <td style="padding:8px;max-width:160px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${this.escapeHtml(post.comment)}">
+          ${this.escapeHtml(post.comment) || '-'}
+        </td>
+        <td style="padding:8px;text-transform:uppercase;">${this.escapeHtml(post.decision) || '-'}</td>
         <td style="padding:8px;">
-          <span style="padding:2px 8px;border-radius:12px;font-size:10px;font-weight:600;${
+          <span title="${this.escapeHtml(post.error)}" style="padding:2px 8px;border-radius:12px;font-size:10px;font-weight:600;${
             post.action === 'Commented'
               ? 'background:#D1FAE5;color:#065F46;'
               : 'background:#FEE2E2;color:#991B1B;'
           }">
-            ${post.action}
+            ${this.escapeHtml(post.action)}
           </span>
         </td>
         <td style="padding:8px;font-size:10px;color:#6B7280;">
@@ -2842,28 +3694,31 @@ class LinkRightWidget {
     const headers = [
       'sessionId',
       'postId',
-      'reactions',
-      'comments',
-      'reposts',
+      'author',
+      'decision',
+      'comment',
       'actionTaken',
+      'error',
       'itemTimestamp',
       'startedAt',
       'endedAt'
     ];
 
     // CSV Rows (RFC 4180 compliant)
-    const sessionId = sessionData.sessionId || `session_${Date.now()}`;
-    const startedAt = stats.startTime || sessionData.startedAt || '';
-    const endedAt = stats.endTime || sessionData.endedAt || '';
+    const session = sessionData.session || {};
+    const sessionId = sessionData.pagination?.sessionId || sessionData.sessionId || `session_${Date.now()}`;
+    const startedAt = session.startedAt || stats.startTime || '';
+    const endedAt = session.endedAt || '';
 
     const rows = posts.map(post => [
       this.escapeCSV(sessionId),
       this.escapeCSV(post.postId),
       // postUrl removed
-      post.reactions,
-      post.comments,
-      post.reposts,
+      this.escapeCSV(post.author),
+      this.escapeCSV(post.decision),
+      this.escapeCSV(post.comment),
       this.escapeCSV(post.action),
+      this.escapeCSV(post.error),
       this.escapeCSV(post.timestamp),
       this.escapeCSV(startedAt),
       this.escapeCSV(endedAt)
@@ -2896,6 +3751,19 @@ class LinkRightWidget {
     }, 'success');
   }
 
+  /**
+   * Escape text for safe interpolation into innerHTML templates
+   */
+  escapeHtml(value) {
+    if (value == null) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Escape CSV field (RFC 4180)
    */
@@ -2943,12 +3811,14 @@ class LinkRightWidget {
         body: JSON.stringify({
           thresholds: {
             maxActions: thresholds.maxActions
-          }
+          },
+          source: this.buildFeedSource()
         })
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to start runner: ${response.status}`);
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Failed to start runner: ${response.status}`);
       }
 
       const data = await response.json();
@@ -3218,6 +4088,126 @@ class LinkRightWidget {
   //   }
   // }
 
+  /**
+   * Subscribe to the runner's event stream (GET /api/runner/events) so the status dot and
+   * Live Stats update as soon as something happens. Polls every 3s while the stream is down.
+   */
+  async startRunnerEventStream() {
+    this.stopRunnerEventStream();
+    const controller = new AbortController();
+    this.runnerEventController = controller;
+
+    try {
+      const base = (this.settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
+      const headers = { 'x-runner-token': this.settings.xRunnerToken || 'dev-secure-token-12345' };
+      if (this.lastRunnerEventId) headers['Last-Event-ID'] = String(this.lastRunnerEventId);
+
+      const response = await fetch(`${base}/api/runner/events`, { headers, signal: controller.signal });
+      if (!response.ok || !response.body) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      // Stream is up - polling is no longer needed
+      this.stopRunnerStatusPolling();
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        frames.forEach(frame => this.handleRunnerEventFrame(frame));
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.log('LinkRight: Runner event stream unavailable, polling instead', error.message);
+      }
+    }
+
+    if (controller.signal.aborted) return;
+
+    // Stream failed or ended (runner restarted): poll, and try to reopen the stream
+    this.startRunnerStatusPolling();
+    this.runnerEventRetry = setTimeout(() => this.startRunnerEventStream(), 10000);
+  }
+
+  /**
+   * Close the event stream and cancel a pending reconnect. Called before every (re)connect,
+   * when the sidebar closes and when it switches away from the Runner view.
+   */
+  stopRunnerEventStream() {
+    if (this.runnerEventController) {
+      this.runnerEventController.abort();
+      this.runnerEventController = null;
+    }
+    if (this.runnerEventRetry) {
+      clearTimeout(this.runnerEventRetry);
+      this.runnerEventRetry = null;
+    }
+  }
+
+  /**
+   * Parse one SSE frame ("id:", "event:", "data:" lines; ": ping" heartbeats are ignored)
+   */
+  handleRunnerEventFrame(frame) {
+    let type = null;
+    let data = '';
+    frame.split('\n').forEach(line => {
+      if (line.startsWith('event: ')) type = line.slice(7);
+      else if (line.startsWith('data: ')) data += line.slice(6);
+    });
+    if (!type || !data) return;
+
+    try {
+      const payload = JSON.parse(data);
+      if (type === 'status') {
+        this.renderRunnerStatus(payload);
+        return;
+      }
+      this.lastRunnerEventId = payload.id;
+      this.handleRunnerEvent(payload);
+    } catch (error) {
+      console.log('LinkRight: Ignoring malformed runner event', error);
+    }
+  }
+
+  /**
+   * Apply a runner event: { id, type, timestamp, sessionId, data } (data.stats is always current)
+   */
+  handleRunnerEvent(event) {
+    const { type, data = {} } = event;
+    if (data.stats) this.renderRunnerStats(data.stats);
+
+    if (type === 'session_started' || type === 'resumed') this.updateRunnerStatus('running');
+    if (type === 'paused') this.updateRunnerStatus('paused');
+    if (type === 'session_ended') this.updateRunnerStatus('stopped');
+    if (type === 'error' && data.fatal) {
+      this.showToastWithAria(`Runner error: ${data.message}`, 'error');
+    }
+    if (type === 'queue_item' && this.runnerQueue?.items[data.index]) {
+      Object.assign(this.runnerQueue.items[data.index], { status: data.status, reason: data.reason || null });
+      this.renderPostQueueItems(this.runnerQueue);
+    }
+
+    // Buttons, the review panel and breaker state are not in the event - refresh them from status
+    const refresh = ['session_started', 'session_ended', 'paused', 'resumed', 'review_pending', 'review_resolved'].includes(type) ||
+      (type === 'decision' && data.defaulted);
+    if (refresh) this.updateRunnerStatusFromAPI();
+  }
+
+  /**
+   * Stop the 3s status poll
+   */
+  stopRunnerStatusPolling() {
+    if (this.runnerStatusInterval) {
+      clearInterval(this.runnerStatusInterval);
+      this.runnerStatusInterval = null;
+    }
+  }
+
   /**
    * Start polling runner status
    */
@@ -3255,59 +4245,359 @@ class LinkRightWidget {
       }
 
       const data = await response.json();
+      this.renderRunnerStatus(data);
+    } catch (error) {
+      console.log('LinkRight: Failed to fetch runner status (API may be down)', error);
+    }
+  }
 
-      // Update UI
-      const statusText = data.isRunning ? 'Running' : 'Stopped';
-      const statusDot = document.querySelector('#lr-status-dot');
-      const statusTextEl = document.querySelector('#lr-status-text');
-      const sessionIdEl = document.querySelector('#lr-session-id');
-      const commentsPosted = document.querySelector('#lr-comments-posted');
-      const postsProcessed = document.querySelector('#lr-posts-processed');
-      const errors = document.querySelector('#lr-errors');
-      const maxComments = document.querySelector('#lr-max-comments');
-
-      // Update automation running state
-      if (data.isRunning !== this.automationRunning) {
-        this.automationRunning = data.isRunning;
-        this.updateSidebarContent(this.sidebar); // Refresh header to disable/enable Settings
-      }
-
-      if (statusDot) {
-        statusDot.style.background = data.isRunning ? '#10B981' : '#9CA3AF';
-        if (data.isRunning) {
-          statusDot.style.animation = 'pulse 2s infinite';
-        } else {
-          statusDot.style.animation = 'none';
-        }
+  /**
+   * Render a /api/runner/status payload (also sent as the event stream's first frame)
+   */
+  renderRunnerStatus(data) {
+    const sessionIdEl = document.querySelector('#lr-session-id');
+    const maxComments = document.querySelector('#lr-max-comments');
+    const completedReason = document.querySelector('#lr-completed-reason');
+    const decisionHealth = document.querySelector('#lr-decision-health');
+    const feedSource = document.querySelector('#lr-feed-source');
+
+    // Update automation running state
+    if (data.isRunning !== this.automationRunning) {
+      this.automationRunning = data.isRunning;
+      this.updateSidebarContent(this.sidebar); // Refresh header to disable/enable Settings
+    }
+
+    this.updateRunnerStatus(data.isPaused ? 'paused' : (data.isRunning ? 'running' : 'stopped'));
+
+    // The runner reloaded its selector profile (or we are still on the bundled one)
+    if (data.selectors && data.selectors.loadedAt !== (this.selectorProfile && this.selectorProfile.loadedAt) &&
+        !this.selectorProfileLoading) {
+      this.selectorProfileLoading = this.loadSelectorProfile().finally(() => {
+        this.selectorProfileLoading = null;
+      });
+    }
+
+    if (sessionIdEl) sessionIdEl.textContent = data.sessionId || '-';
+    this.renderRunnerStats(data.stats || {});
+    if (maxComments) maxComments.textContent = data.thresholds?.maxActions || 10;
+    if (completedReason) completedReason.textContent = this.formatCompletedReason(data.completedReason);
+    if (decisionHealth) decisionHealth.textContent = this.formatDecisionHealth(data);
+    if (feedSource) feedSource.textContent = this.formatFeedSource(data.feedSource);
+    this.renderPendingReview(data.pendingReview);
+    this.renderPostQueueItems(data.queue);
+
+    // Update button states
+    const startBtn = document.querySelector('#lr-start-runner');
+    const stopBtn = document.querySelector('#lr-stop-runner');
+    if (startBtn) startBtn.disabled = data.isRunning;
+    if (stopBtn) stopBtn.disabled = !data.isRunning;
+  }
+
+  /**
+   * Live Stats counters
+   */
+  renderRunnerStats(stats) {
+    const commentsPosted = document.querySelector('#lr-comments-posted');
+    const postsProcessed = document.querySelector('#lr-posts-processed');
+    const errors = document.querySelector('#lr-errors');
+
+    if (commentsPosted) commentsPosted.textContent = stats.commentsPosted || 0;
+    if (postsProcessed) postsProcessed.textContent = stats.postsProcessed || 0;
+    if (errors) errors.textContent = stats.errors || 0;
+  }
+
+  /**
+   * Fill the queue textarea from chrome.storage.local ('linkright.postQueue')
+   */
+  loadPostQueue(textarea) {
+    try {
+      chrome.storage.local.get(['linkright.postQueue'], (result) => {
+        textarea.value = result['linkright.postQueue'] || '';
+        this.updatePostQueueCount(textarea.value);
+      });
+    } catch (error) {
+      console.log('LinkRight: Failed to load post queue', error);
+    }
+  }
+
+  /**
+   * Save the queue text; background.js sends it with the next start-keyboard call
+   */
+  savePostQueue(text) {
+    const value = text.trim();
+    try {
+      chrome.storage.local.set({ 'linkright.postQueue': value }, () => {
+        const count = this.updatePostQueueCount(value);
+        this.showToastWithAria(count ? `Post queue saved (${count} posts)` : 'Post queue cleared', 'success');
+      });
+    } catch (error) {
+      console.error('LinkRight: Failed to save post queue', error);
+      this.showToastWithAria('Failed to save post queue', 'error');
+    }
+  }
+
+  /**
+   * Append the post URLs/URNs from a CSV or text file to the queue textarea
+   */
+  importPostQueueFile(input, textarea) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const existing = textarea.value.trim();
+      textarea.value = [existing, String(reader.result || '').trim()].filter(Boolean).join('\n');
+      this.updatePostQueueCount(textarea.value);
+      this.showToastWithAria(`Imported ${file.name} - save to use it on the next run`, 'info');
+      input.value = '';
+    };
+    reader.onerror = () => this.showToastWithAria(`Could not read ${file.name}`, 'error');
+    reader.readAsText(file);
+  }
+
+  /**
+   * Count queue lines holding a permalink/URN (the runner does the real parsing and reports invalid lines)
+   */
+  updatePostQueueCount(text) {
+    const count = String(text || '').split(/\r?\n/)
+      .filter(line => /urn(:|%3A)li(:|%3A)activity|activity-\d{10,}|(^|[,;\s])\d{10,}($|[,;\s])/i.test(line))
+      .length;
+    const el = document.querySelector('#lr-queue-count');
+    if (el) el.textContent = count ? `${count} post(s) queued` : 'No posts queued';
+    return count;
+  }
+
+  /**
+   * Per-item status of the running (or last) post queue
+   */
+  renderPostQueueItems(queue) {
+    const list = document.querySelector('#lr-queue-items');
+    if (!list) return;
+
+    this.runnerQueue = queue || null;
+    if (!queue || !queue.items?.length) {
+      list.innerHTML = '';
+      return;
+    }
+
+    const icons = {
+      pending: '⏳', in_progress: '▶️', commented: '✅', skipped: '⏭️', already_engaged: '☑️',
+      rejected: '🚫', failed: '⚠️', not_found: '❓', error: '❌'
+    };
+    list.innerHTML = queue.items.map(item => `
+      <div style="display:flex;gap:6px;padding:2px 0;border-bottom:1px solid #F3F4F6;" title="${this.escapeHtml(item.input || item.postId)}">
+        <span>${icons[item.status] || '•'}</span>
+        <span style="font-family:monospace;">${this.escapeHtml(this.truncatePostId(item.postId))}</span>
+        <span style="color:#6B7280;">${this.escapeHtml(item.status.replace('_', ' '))}${item.reason ? ` - ${this.escapeHtml(item.reason)}` : ''}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Show or hide the review panel for the comment awaiting review
+   */
+  renderPendingReview(review) {
+    const panel = document.querySelector('#lr-review-panel');
+    if (!panel) return;
+
+    if (!review) {
+      panel.style.display = 'none';
+      this.pendingReview = null;
+      return;
+    }
+
+    // Status is refetched on every review event - only refill the textarea when a new review arrives so edits are kept
+    if (!this.pendingReview || this.pendingReview.id !== review.id) {
+      this.pendingReview = review;
+      const meta = panel.querySelector('#lr-review-meta');
+      const post = panel.querySelector('#lr-review-post');
+      const comment = panel.querySelector('#lr-review-comment');
+      if (meta) meta.textContent = `${review.author || 'Unknown author'} · expires ${this.formatTimestamp(review.expiresAt)}`;
+      if (post) post.textContent = review.postExcerpt || '';
+      if (comment) comment.value = review.comment || '';
+    }
+
+    panel.style.display = 'block';
+  }
+
+  /**
+   * Send approve/regenerate/reject for the pending comment (approving changed text sends an edit)
+   */
+  async submitCommentReview(action) {
+    const review = this.pendingReview;
+    if (!review) return;
+
+    const text = document.querySelector('#lr-review-comment')?.value || '';
+    if (action === 'approve' && text.trim() !== (review.comment || '').trim()) {
+      action = 'edit';
+    }
+
+    try {
+      const base = (this.settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
+      const response = await fetch(`${base}/api/runner/review`, {
+        method: 'POST',
+        headers: {
+          'x-runner-token': this.settings.xRunnerToken || 'dev-secure-token-12345',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ id: review.id, action, comment: text })
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `API returned ${response.status}`);
       }
 
-      if (statusTextEl) statusTextEl.textContent = statusText;
-      if (sessionIdEl) sessionIdEl.textContent = data.sessionId || '-';
-      if (commentsPosted) commentsPosted.textContent = data.stats?.commentsPosted || 0;
-      if (postsProcessed) postsProcessed.textContent = data.stats?.postsProcessed || 0;
-      if (errors) errors.textContent = data.stats?.errors || 0;
-      if (maxComments) maxComments.textContent = data.thresholds?.maxActions || 10;
+      const labels = { approve: 'Comment approved', edit: 'Edited comment approved', regenerate: 'Regenerating comment...', reject: 'Comment rejected' };
+      this.showToastWithAria(labels[action], action === 'reject' ? 'info' : 'success');
+      this.renderPendingReview(null);
+    } catch (error) {
+      console.error('LinkRight: Failed to submit review', error);
+      this.showToastWithAria(`Review failed: ${error.message}`, 'error');
+    }
+  }
 
-      // Update button states
-      const startBtn = document.querySelector('#lr-start-runner');
-      const stopBtn = document.querySelector('#lr-stop-runner');
-      if (startBtn) startBtn.disabled = data.isRunning;
-      if (stopBtn) stopBtn.disabled = !data.isRunning;
+  /**
+   * Ask the runner to test the selector profile against the feed and show the result
+   */
+  async checkSelectorHealth() {
+    const button = document.querySelector('#lr-check-selectors');
+    const output = document.querySelector('#lr-selector-health');
+    if (button) button.disabled = true;
+    if (output) output.textContent = 'Checking selectors...';
+
+    try {
+      const base = (this.settings.runnerBaseUrl || 'http://127.0.0.1:3001').replace(/\/$/, '');
+      const response = await fetch(`${base}/api/selectors/health`, {
+        method: 'POST',
+        headers: {
+          'x-runner-token': this.settings.xRunnerToken || 'dev-secure-token-12345',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ posts: 5 })
+      });
 
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `API returned ${response.status}`);
+      }
+
+      this.renderSelectorHealth(data.report);
+      this.showToastWithAria(data.report.healthy ? 'Selectors look healthy' : 'Some selectors are broken', data.report.healthy ? 'success' : 'error');
     } catch (error) {
-      console.log('LinkRight: Failed to fetch runner status (API may be down)', error);
+      console.error('LinkRight: Selector health check failed', error);
+      if (output) output.textContent = `Check failed: ${error.message}`;
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * Summary line plus one row per role that is not matched
+   */
+  renderSelectorHealth(report) {
+    const output = document.querySelector('#lr-selector-health');
+    if (!output || !report) return;
+
+    const { matched, missing, ambiguous } = report.summary;
+    const problems = report.roles.filter(role => role.status !== 'matched');
+    const colors = { missing: '#DC2626', ambiguous: '#D97706' };
+
+    output.innerHTML = `
+      <div style="font-weight:600;color:${report.healthy ? '#059669' : '#DC2626'};">
+        ${report.healthy ? '✓ Healthy' : '✗ Broken'} · ${report.postsChecked} posts · ${matched} matched, ${missing} missing, ${ambiguous} ambiguous
+      </div>
+      ${problems.map(role => `
+        <div style="margin-top:4px;">
+          <span style="color:${colors[role.status]};font-weight:600;">${this.escapeHtml(role.role)}</span>
+          ${role.status}${role.optional ? ' (optional)' : ''}${role.note ? ` - ${this.escapeHtml(role.note)}` : ''}
+        </div>
+      `).join('')}
+      <div style="margin-top:4px;color:#9CA3AF;word-break:break-all;">Report: ${this.escapeHtml(report.reportPath)}</div>
+    `;
+  }
+
+  /**
+   * One-line summary of analysis failures and the circuit breaker
+   */
+  formatDecisionHealth(data) {
+    const breaker = data.decisionBreaker;
+    const defaulted = data.stats?.decisionsDefaulted || 0;
+    if (!breaker) return '-';
+
+    if (breaker.trippedAt) {
+      const action = breaker.action === 'skip_all' ? 'skipping all posts' : 'paused';
+      return `Breaker tripped after ${breaker.consecutiveFailures} failures (${action})`;
+    }
+    if (breaker.consecutiveFailures > 0) {
+      return `${breaker.consecutiveFailures} consecutive failure(s), ${defaulted} defaulted`;
+    }
+    return defaulted > 0 ? `OK, ${defaulted} defaulted` : 'OK';
+  }
+
+  /**
+   * Feed source for /api/runner/start from the Feed Source settings (same shape as background.js)
+   */
+  buildFeedSource() {
+    const settings = this.settings;
+    switch (settings.feedSource) {
+      case 'hashtag':
+        return { type: 'hashtag', hashtag: settings.feedSourceHashtag };
+      case 'search':
+        return { type: 'search', keywords: settings.feedSourceKeywords };
+      case 'profile':
+        return { type: 'profile', profile: settings.feedSourceProfile };
+      case 'list':
+        return { type: 'list', profiles: settings.feedSourceProfiles, postsPerProfile: settings.postsPerProfile || 3 };
+      default:
+        return { type: 'home' };
     }
   }
 
+  /**
+   * Feed source with its target, e.g. "Hashtag feed #ai" or "Saved list (2/5)"
+   */
+  formatFeedSource(source) {
+    if (!source) return '-';
+
+    const params = source.params || {};
+    const details = {
+      hashtag: `#${String(params.hashtag || '').replace(/^#/, '')}`,
+      search: `"${params.keywords || ''}"`,
+      profile: params.profile || '',
+      list: `(${(source.page || 0) + 1}/${(source.urls || []).length})`
+    };
+    return [source.label || source.type, details[source.type]].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Human-readable label for the runner's completedReason
+   */
+  formatCompletedReason(reason) {
+    const labels = {
+      budget: 'Max actions reached',
+      time_limit: 'Time limit reached',
+      daily_cap: 'Daily cap reached',
+      queue_complete: 'Queue finished',
+      source_exhausted: 'No more posts in feed source',
+      manual_stop: 'Stopped manually',
+      error: 'Stopped on error',
+      interrupted: 'Interrupted (runner restarted)'
+    };
+    return labels[reason] || '-';
+  }
+
   /**
    * Update runner status manually
    */
   updateRunnerStatus(status) {
     const statusDot = document.querySelector('#lr-status-dot');
     const statusText = document.querySelector('#lr-status-text');
+    const colors = { running: '#10B981', paused: '#F59E0B' };
+    const labels = { running: 'Running', paused: 'Paused' };
 
     if (statusDot) {
-      statusDot.style.background = status === 'running' ? '#10B981' : '#9CA3AF';
+      statusDot.style.background = colors[status] || '#9CA3AF';
       if (status === 'running') {
         statusDot.style.animation = 'pulse 2s infinite';
       } else {
@@ -3316,7 +4606,7 @@ class LinkRightWidget {
     }
 
     if (statusText) {
-      statusText.textContent = status === 'running' ? 'Running' : 'Stopped';
+      statusText.textContent = labels[status] || 'Stopped';
     }
   }
 
@@ -3404,6 +4694,23 @@ class LinkRightWidget {
         </div>
 
 
+        <!-- Post Queue -->
+        <div style="margin-bottom:20px;padding:12px;background:#F9FAFB;border-radius:6px;border:1px solid #E5E7EB;">
+          <h3 style="margin:0 0 8px;font-size:14px;font-weight:600;color:#111827;">📋 Post Queue</h3>
+          <textarea id="lr-queue-input" aria-label="Post URLs or activity URNs" placeholder="One post URL or urn:li:activity:... per line"
+            style="width:100%;height:80px;box-sizing:border-box;padding:6px;border:1px solid #d1d5db;border-radius:6px;font-size:11px;font-family:monospace;"></textarea>
+          <div style="display:flex;gap:6px;margin-top:6px;align-items:center;">
+            <button id="lr-queue-save" style="flex:1;padding:6px;background:#3B82F6;color:white;border:none;border-radius:6px;font-weight:600;cursor:pointer;font-size:12px;">Save Queue</button>
+            <button id="lr-queue-clear" style="flex:1;padding:6px;background:#6B7280;color:white;border:none;border-radius:6px;font-weight:600;cursor:pointer;font-size:12px;">Clear</button>
+            <label style="flex:1;padding:6px;background:#E5E7EB;color:#374151;border-radius:6px;font-weight:600;cursor:pointer;font-size:12px;text-align:center;">
+              Import CSV<input id="lr-queue-file" type="file" accept=".csv,.txt,text/csv,text/plain" style="display:none;">
+            </label>
+          </div>
+          <div id="lr-queue-count" style="margin-top:6px;font-size:11px;color:#6B7280;">No posts queued</div>
+          <div id="lr-queue-items" style="margin-top:6px;font-size:11px;max-height:140px;overflow:auto;"></div>
+          <p style="margin:6px 0 0;font-size:10px;color:#9CA3AF;">A saved queue is used by the next run instead of the feed, then cleared</p>
+        </div>
+
         <!-- Runner Status -->
         <div style="margin-bottom:20px;padding:12px;background:#F9FAFB;border-radius:6px;border:1px solid #E5E7EB;">
           <h3 style="margin:0 0 8px;font-size:14px;font-weight:600;color:#111827;">📡 Runner Status</h3>
@@ -3415,10 +4722,36 @@ class LinkRightWidget {
             <div style="margin-top:4px;font-size:11px;">
               <div>Session ID: <span id="lr-session-id">-</span></div>
               <div>Uptime: <span id="lr-uptime">-</span></div>
+              <div>Ended: <span id="lr-completed-reason">-</span></div>
+              <div>Analysis: <span id="lr-decision-health">-</span></div>
+              <div>Source: <span id="lr-feed-source">-</span></div>
             </div>
           </div>
         </div>
 
+        <!-- Selector Health -->
+        <div style="margin-bottom:20px;padding:12px;background:#F9FAFB;border-radius:6px;border:1px solid #E5E7EB;">
+          <h3 style="margin:0 0 8px;font-size:14px;font-weight:600;color:#111827;">🩺 Selector Health</h3>
+          <button id="lr-check-selectors" style="width:100%;padding:6px;background:#3B82F6;color:white;border:none;border-radius:6px;font-weight:600;cursor:pointer;font-size:12px;">Check selectors</button>
+          <div id="lr-selector-health" style="margin-top:6px;font-size:11px;color:#6B7280;"></div>
+          <p style="margin:6px 0 0;font-size:10px;color:#9CA3AF;">Reloads the runner's feed and tests every selector on the first 5 posts</p>
+        </div>
+
+        <!-- Review Queue (review mode) -->
+        <div id="lr-review-panel" style="display:none;margin-bottom:20px;padding:12px;background:#FFFBEB;border-radius:6px;border:1px solid #FDE68A;">
+          <h3 style="margin:0 0 8px;font-size:14px;font-weight:600;color:#92400E;">✋ Comment Awaiting Review</h3>
+          <div id="lr-review-meta" style="font-size:11px;color:#92400E;margin-bottom:6px;"></div>
+          <div id="lr-review-post" style="font-size:11px;color:#6B7280;margin-bottom:8px;max-height:80px;overflow:auto;"></div>
+          <textarea id="lr-review-comment" aria-label="Generated comment"
+            style="width:100%;height:100px;box-sizing:border-box;padding:6px;border:1px solid #d1d5db;border-radius:6px;font-size:12px;"></textarea>
+          <div style="display:flex;gap:6px;margin-top:8px;">
+            <button class="lr-review-btn" data-review-action="approve" style="flex:1;padding:6px;background:#10B981;color:white;border:none;border-radius:6px;font-weight:600;cursor:pointer;font-size:12px;">Approve</button>
+            <button class="lr-review-btn" data-review-action="regenerate" style="flex:1;padding:6px;background:#3B82F6;color:white;border:none;border-radius:6px;font-weight:600;cursor:pointer;font-size:12px;">Regenerate</button>
+            <button class="lr-review-btn" data-review-action="reject" style="flex:1;padding:6px;background:#6B7280;color:white;border:none;border-radius:6px;font-weight:600;cursor:pointer;font-size:12px;">Reject</button>
+          </div>
+          <p style="margin:6px 0 0;font-size:10px;color:#B45309;">Edit the text before approving to post your version</p>
+        </div>
+
         <!-- Live Stats -->
         <div id="lr-live-stats" style="padding:12px;background:#F9FAFB;border-radius:6px;border:1px solid #E5E7EB;">
           <h3 style="margin:0 0 8px;font-size:14px;font-weight:600;color:#111827;">📊 Live Stats</h3>
@@ -3427,7 +4760,7 @@ class LinkRightWidget {
             <div>Posts Processed: <strong id="lr-posts-processed">0</strong></div>
             <div>Errors: <strong id="lr-errors">0</strong></div>
           </div>
-          <p style="margin:8px 0 0;font-size:10px;color:#9CA3AF;">Updates every 3s when running</p>
+          <p style="margin:8px 0 0;font-size:10px;color:#9CA3AF;">Updates live from the runner event stream</p>
         </div>
       </div>
     `;
@@ -0,0 +1,178 @@
+/**
+ * Activity Outbox - disk-backed queue of runner events waiting for the activity webhook
+ * One JSON line per event in runs/activity-outbox.jsonl, written before delivery is attempted and
+ * removed once the webhook has accepted it. A network blip or a restart delays events instead of
+ * losing them; delivery is at-least-once, so receivers deduplicate on eventId.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const ledger = require('./session-ledger');
+const webhookClient = require('./webhook-client');
+
+const OUTBOX_FILE = 'activity-outbox.jsonl';
+// Failed events wait at most this long before the next attempt
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+// A full outbox drops this share of maxRecords at once, so it is rewritten once per chunk instead of on every event
+const TRIM_FRACTION = 0.1;
+
+class ActivityOutbox {
+  constructor() {
+    // Loaded lazily: [{ eventId, event, attempts, nextAttemptAt, lastError }] oldest first
+    this.records = null;
+    this.maxRecords = Math.max(1, parseInt(process.env.ACTIVITY_OUTBOX_MAX) || 5000);
+    this.metrics = { delivered: 0, failedAttempts: 0, dropped: 0, lastDeliveredAt: null, lastError: null };
+  }
+
+  /**
+   * Outbox file under whatever ledger.runsRoot is at the time
+   */
+  get outboxPath() {
+    return path.join(ledger.runsRoot, OUTBOX_FILE);
+  }
+
+  /**
+   * Read the outbox into memory; events left over from an earlier run are delivered first
+   */
+  load() {
+    if (this.records) return;
+    this.records = [];
+    if (!fs.existsSync(this.outboxPath)) return;
+
+    try {
+      fs.readFileSync(this.outboxPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .forEach(line => {
+          try {
+            this.records.push(JSON.parse(line));
+          } catch (error) {
+            // A line cut short by a crash - skip it
+          }
+        });
+    } catch (error) {
+      logger.warn('Failed to read activity outbox', { path: this.outboxPath, error: error.message });
+    }
+  }
+
+  /**
+   * Persist an event for delivery; the line is on disk before the first attempt
+   * @param {Object} event - Runner event { id, type, timestamp, sessionId, data }
+   * @returns {Object} the outbox record
+   */
+  add(event) {
+    this.load();
+    const record = {
+      eventId: crypto.randomUUID(),
+      event,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null
+    };
+    this.records.push(record);
+
+    if (this.records.length > this.maxRecords) {
+      const keep = Math.max(1, this.maxRecords - Math.ceil(this.maxRecords * TRIM_FRACTION));
+      const dropped = this.records.splice(0, this.records.length - keep);
+      this.metrics.dropped += dropped.length;
+      logger.warn('Activity outbox full, dropped the oldest events', { dropped: dropped.length, maxRecords: this.maxRecords });
+      this.save();
+    } else {
+      try {
+        fs.mkdirSync(path.dirname(this.outboxPath), { recursive: true });
+        fs.appendFileSync(this.outboxPath, JSON.stringify(record) + '\n');
+      } catch (error) {
+        logger.warn('Failed to write activity outbox', { error: error.message });
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Records ready for an attempt (oldest first), skipping those already on their way
+   * @param {Set<string>} exclude - eventIds queued or in flight
+   */
+  due(exclude = new Set(), now = Date.now()) {
+    this.load();
+    return this.records.filter(record => record.nextAttemptAt <= now && !exclude.has(record.eventId));
+  }
+
+  /**
+   * The webhook accepted these events
+   */
+  ack(eventIds) {
+    this.load();
+    const ids = new Set(eventIds);
+    const before = this.records.length;
+    this.records = this.records.filter(record => !ids.has(record.eventId));
+    this.metrics.delivered += before - this.records.length;
+    this.metrics.lastDeliveredAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Delivery failed: schedule the next attempt with jittered exponential backoff
+   */
+  fail(eventIds, error, retryBackoffMs) {
+    this.load();
+    const ids = new Set(eventIds);
+    const failed = this.records.filter(record => ids.has(record.eventId));
+    failed.forEach(record => { record.attempts++; });
+
+    // One retry time for the whole batch so it goes out together again
+    const attempts = Math.max(1, ...failed.map(record => record.attempts));
+    const nextAttemptAt = Date.now() + Math.min(MAX_RETRY_DELAY_MS, webhookClient.backoffDelay(attempts, retryBackoffMs));
+    for (const record of failed) {
+      record.nextAttemptAt = nextAttemptAt;
+      record.lastError = error ? error.errorType || error.message : null;
+    }
+    this.metrics.failedAttempts++;
+    this.metrics.lastError = error ? error.message : null;
+    this.save();
+  }
+
+  /**
+   * When the next waiting record becomes due (ms timestamp), or null if none is waiting
+   * @param {Set<string>} exclude - eventIds queued or in flight
+   */
+  nextAttemptAt(exclude = new Set()) {
+    return this.due(exclude, Infinity).reduce((earliest, record) => Math.min(earliest ?? Infinity, record.nextAttemptAt), null);
+  }
+
+  size() {
+    this.load();
+    return this.records.length;
+  }
+
+  /**
+   * Rewrite the file from memory (write + rename, so a crash leaves the old or the new file)
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.outboxPath), { recursive: true });
+      const temp = `${this.outboxPath}.tmp`;
+      fs.writeFileSync(temp, this.records.map(record => JSON.stringify(record) + '\n').join(''));
+      fs.renameSync(temp, this.outboxPath);
+    } catch (error) {
+      logger.warn('Failed to write activity outbox', { error: error.message });
+    }
+  }
+
+  /**
+   * Forget the in-memory records; the next call reads outboxPath again
+   */
+  reset() {
+    this.records = null;
+  }
+
+  /**
+   * Pending count and delivery counters (GET /api/runner/status → activity)
+   */
+  getMetrics() {
+    return { pending: this.size(), ...this.metrics };
+  }
+}
+
+module.exports = new ActivityOutbox();
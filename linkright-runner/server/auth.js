@@ -6,7 +6,9 @@
 const logger = require('./logger');
 
 function authMiddleware(req, res, next) {
-  const token = req.headers['x-runner-token'];
+  // EventSource cannot send headers, so the event stream may pass the token as ?token=
+  const token = req.headers['x-runner-token'] ||
+    (req.method === 'GET' && req.path === '/runner/events' ? req.query.token : undefined);
   const expectedToken = process.env.RUNNER_TOKEN;
 
   if (!expectedToken) {
@@ -0,0 +1,203 @@
+/**
+ * Comment Providers - pluggable comment generation
+ * n8n webhook, OpenAI-compatible chat endpoint (hosted or local) and offline templates
+ */
+
+const webhookClient = require('./webhook-client');
+
+const DEFAULT_TEMPLATES = [
+  'Thanks for sharing this, {firstName} - really useful perspective.',
+  'Great points here, {firstName}. This matches what I have seen in practice.',
+  'Appreciate you putting this into words, {firstName}. Saving this one.',
+  'Well said, {firstName}. Curious to see how this plays out over the next year.'
+];
+
+const DEFAULT_SYSTEM_PROMPT = 'You write short, genuine LinkedIn comments (1-3 sentences). ' +
+  'Respond to the specific point of the post, no hashtags, no emojis, no self-promotion. Reply with the comment text only.';
+
+/**
+ * Read a dot path such as "choices.0.message.content" from a response body
+ */
+function getByPath(source, pathExpression) {
+  return String(pathExpression || '')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Trim whitespace and the wrapping quotes models like to add
+ */
+function cleanComment(text) {
+  return String(text || '').trim().replace(/^["'“”]+|["'“”]+$/g, '').trim();
+}
+
+const providers = {
+  /**
+   * Existing linkedin-reply workflow: { schema_version, postId, postContent, post, ... } → { comment }
+   */
+  n8n: {
+    defaults: {
+      url: 'https://n8n.linkright.in/webhook/linkedin-reply',
+      // Sent as x-runner-token when set; this is the workflow's token, not the runner's RUNNER_TOKEN
+      token: '',
+      // HMAC request signing (X-LinkRight-Signature); empty = WEBHOOK_SIGNING_SECRET
+      signingSecret: '',
+      timeoutMs: 30000,
+      retries: 0,
+      retryBackoffMs: 1000,
+      responsePath: 'comment',
+      // Sent as schema_version so the workflow can tell which payload shape it receives
+      schemaVersion: parseInt(process.env.REPLY_SCHEMA_VERSION) || 1
+    },
+
+    async generate(postData, settings) {
+      const result = await webhookClient.post(settings.url, {
+        schema_version: parseInt(settings.schemaVersion) || 1,
+        postId: postData.postId,
+        postContent: postData.postText,
+        authorName: postData.authorName,
+        // Structured post model (author headline, hashtags, media, counts...), null when not parsed
+        post: postData.post || null,
+        actionType: postData.actionType || 'comment',
+        timestamp: postData.timestamp
+      }, {
+        endpoint: 'linkedin-reply',
+        headers: settings.token ? { 'x-runner-token': settings.token } : {},
+        ...(settings.signingSecret ? { signingSecret: settings.signingSecret } : {}),
+        timeoutMs: settings.timeoutMs,
+        retries: settings.retries,
+        retryBackoffMs: settings.retryBackoffMs,
+        // Retries of this request share the key; a regeneration (new timestamp) gets a new one
+        idempotencyKey: webhookClient.idempotencyKey('linkedin-reply', postData.postId, postData.timestamp),
+        schema: settings.responsePath === 'comment' ? 'comment' : null
+      });
+
+      return getByPath(result, settings.responsePath);
+    }
+  },
+
+  /**
+   * Any /chat/completions endpoint: OpenAI, Ollama, LM Studio, vLLM, llama.cpp server
+   */
+  openai: {
+    defaults: {
+      baseUrl: 'http://127.0.0.1:11434/v1',
+      apiKey: '',
+      model: 'llama3.1',
+      systemPrompt: DEFAULT_SYSTEM_PROMPT,
+      temperature: 0.7,
+      maxTokens: 160,
+      timeoutMs: 60000,
+      retries: 0,
+      retryBackoffMs: 1000,
+      responsePath: 'choices.0.message.content'
+    },
+
+    async generate(postData, settings) {
+      const result = await webhookClient.post(`${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        model: settings.model,
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens,
+        messages: [
+          { role: 'system', content: settings.systemPrompt },
+          {
+            role: 'user',
+            content: `Post by ${postData.authorName || 'unknown author'}:\n\n${postData.postText}\n\n` +
+              `Write a ${postData.actionType === 'reply' ? 'reply to this comment' : 'comment on this post'}.`
+          }
+        ]
+      }, {
+        endpoint: 'chat-completions',
+        headers: settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+        timeoutMs: settings.timeoutMs,
+        retries: settings.retries,
+        retryBackoffMs: settings.retryBackoffMs
+      });
+
+      return getByPath(result, settings.responsePath);
+    }
+  },
+
+  /**
+   * No network: picks a template per post and fills {author}, {firstName} and {excerpt}
+   */
+  template: {
+    defaults: {
+      templates: DEFAULT_TEMPLATES
+    },
+
+    async generate(postData, settings) {
+      const templates = settings.templates.length > 0 ? settings.templates : DEFAULT_TEMPLATES;
+      const author = postData.authorName || '';
+      const firstName = author.split(/\s+/)[0] || 'there';
+      const excerpt = (String(postData.postText || '').split(/(?<=[.!?])\s/)[0] || '').substring(0, 80);
+
+      // Same post always gets the same template so regenerations and retries are stable
+      const seed = String(postData.postId || postData.postText || '')
+        .split('')
+        .reduce((sum, char) => sum + char.charCodeAt(0), 0);
+
+      return templates[seed % templates.length]
+        .replace(/\{author\}/g, author || firstName)
+        .replace(/\{firstName\}/g, firstName)
+        .replace(/\{excerpt\}/g, excerpt);
+    }
+  }
+};
+
+class CommentProviders {
+  /**
+   * Names of the registered providers
+   */
+  list() {
+    return Object.keys(providers);
+  }
+
+  /**
+   * Merge a session's provider config with defaults.
+   * Accepts "openai" or { type: 'openai', openai: {...}, n8n: {...}, template: {...} };
+   * fallbacks fill in n8n's url from the legacy webhookUrl setting.
+   */
+  resolveConfig(config, fallbacks = {}) {
+    const raw = typeof config === 'string' ? { type: config } : (config || {});
+    const type = providers[raw.type] ? raw.type : 'n8n';
+    const provided = raw[type] || {};
+    const settings = { ...providers[type].defaults, ...(fallbacks[type] || {}) };
+
+    Object.entries(provided).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') settings[key] = value;
+    });
+
+    settings.timeoutMs = Math.max(1000, parseInt(settings.timeoutMs) || providers[type].defaults.timeoutMs || 30000);
+    if (type !== 'template') {
+      settings.retries = Math.min(5, Math.max(0, parseInt(settings.retries) || 0));
+      settings.retryBackoffMs = Math.max(0, parseInt(settings.retryBackoffMs) || 0);
+    }
+    if (type === 'template') {
+      settings.templates = (Array.isArray(settings.templates) ? settings.templates : String(settings.templates).split('\n'))
+        .map(line => line.trim())
+        .filter(Boolean);
+    }
+
+    return { type, settings };
+  }
+
+  /**
+   * Generate a comment with the configured provider; throws if it fails or returns nothing
+   */
+  async generate(postData, { type, settings }) {
+    const provider = providers[type];
+    if (!provider) {
+      throw new Error(`Unknown comment provider: ${type}`);
+    }
+
+    const comment = cleanComment(await provider.generate(postData, settings));
+    if (!comment) {
+      throw new Error(`Comment provider "${type}" returned no comment (response path: ${settings.responsePath || 'n/a'})`);
+    }
+    return comment;
+  }
+}
+
+module.exports = new CommentProviders();
@@ -0,0 +1,203 @@
+/**
+ * Engagement Index - every comment the runner has posted, across sessions
+ * One JSON line per comment in runs/engagement-index.jsonl, keyed by activity URN and author.
+ * The feed loop, the post queue and the targeted actions consult it before writing a comment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const ledger = require('./session-ledger');
+
+const INDEX_FILE = 'engagement-index.jsonl';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EngagementIndex {
+  constructor() {
+    // Loaded lazily: postId → latest entry, author key → entries (oldest first)
+    this.byPost = null;
+    this.byAuthor = null;
+  }
+
+  /**
+   * runs/engagement-index.jsonl (read from ledger.runsRoot on each call, not copied at load time)
+   */
+  get indexPath() {
+    return path.join(ledger.runsRoot, INDEX_FILE);
+  }
+
+  /**
+   * Stable author key: first line of the actor name, without the "• 2nd" degree suffix, lowercased
+   */
+  authorKey(name) {
+    const firstLine = String(name || '').split('\n').map(line => line.trim()).find(Boolean) || '';
+    const key = firstLine.split('•')[0].replace(/\s+/g, ' ').trim().toLowerCase();
+    return key && key !== 'unknown' ? key : null;
+  }
+
+  /**
+   * Dedup rules with defaults from .env
+   * samePost: never comment the same post twice; authorCooldownDays: at most one comment per author per N days (0 = off)
+   */
+  normalizeRules(rules = {}) {
+    const envCooldown = parseInt(process.env.DEDUP_AUTHOR_COOLDOWN_DAYS) || 0;
+    return {
+      samePost: rules.samePost !== undefined ? rules.samePost !== false : process.env.DEDUP_SAME_POST !== 'false',
+      authorCooldownDays: Math.min(365, Math.max(0, parseInt(rules.authorCooldownDays ?? envCooldown) || 0))
+    };
+  }
+
+  /**
+   * Read the index into memory. A missing index is rebuilt from the session ledgers on disk,
+   * so comments posted before the index existed still count.
+   */
+  load() {
+    if (this.byPost) return;
+
+    this.byPost = new Map();
+    this.byAuthor = new Map();
+
+    if (!fs.existsSync(this.indexPath)) {
+      this.rebuildFromLedgers();
+      return;
+    }
+
+    try {
+      fs.readFileSync(this.indexPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .forEach(line => {
+          try {
+            this.remember(JSON.parse(line));
+          } catch (error) {
+            // Torn last line after a crash
+          }
+        });
+    } catch (error) {
+      logger.warn('Failed to read engagement index', { error: error.message });
+    }
+  }
+
+  /**
+   * Create the index from commented (or found already commented) posts in runs/<sessionId>/ledger.jsonl
+   */
+  rebuildFromLedgers() {
+    const entries = ledger.listSessionIds()
+      .flatMap(sessionId => ledger.readLedger(sessionId))
+      .filter(record => ledger.isPostedComment(record) || record.outcome === 'already_engaged')
+      .map(record => ({
+        ts: record.ts,
+        postId: record.postId,
+        author: this.authorKey(record.author),
+        action: 'comment',
+        sessionId: record.sessionId,
+        source: record.source || (record.mode === 'targeted' ? 'targeted' : 'home')
+      }))
+      .sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+
+    if (entries.length === 0) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+      fs.writeFileSync(this.indexPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+      entries.forEach(entry => this.remember(entry));
+      logger.info('Engagement index rebuilt from session ledgers', { comments: entries.length });
+    } catch (error) {
+      logger.warn('Failed to rebuild engagement index', { error: error.message });
+    }
+  }
+
+  /**
+   * Add an entry to the in-memory maps
+   */
+  remember(entry) {
+    if (!entry || !entry.postId) return;
+
+    this.byPost.set(entry.postId, entry);
+    if (entry.author) {
+      if (!this.byAuthor.has(entry.author)) this.byAuthor.set(entry.author, []);
+      this.byAuthor.get(entry.author).push(entry);
+    }
+  }
+
+  /**
+   * Whether the rules allow commenting on a post
+   * @param {Object} target - { postId, author } (author is the display name as detected)
+   * @returns {Object} { allowed, rule: same_post | author_cooldown, reason, lastCommentedAt }
+   */
+  check({ postId, author } = {}, rules = {}) {
+    this.load();
+    const { samePost, authorCooldownDays } = this.normalizeRules(rules);
+
+    const previous = postId ? this.byPost.get(postId) : null;
+    if (samePost && previous) {
+      return {
+        allowed: false,
+        rule: 'same_post',
+        reason: 'Already commented on this post',
+        lastCommentedAt: previous.ts
+      };
+    }
+
+    const key = this.authorKey(author);
+    if (authorCooldownDays > 0 && key && this.byAuthor.has(key)) {
+      const entries = this.byAuthor.get(key);
+      const last = entries[entries.length - 1];
+      if (Date.now() - new Date(last.ts).getTime() < authorCooldownDays * DAY_MS) {
+        return {
+          allowed: false,
+          rule: 'author_cooldown',
+          reason: `Commented on this author within the last ${authorCooldownDays} day${authorCooldownDays === 1 ? '' : 's'}`,
+          lastCommentedAt: last.ts
+        };
+      }
+    }
+
+    return { allowed: true, rule: null, reason: null, lastCommentedAt: null };
+  }
+
+  /**
+   * Record a comment: posted by the runner, or found under the post (source 'dom')
+   */
+  record({ postId, author, sessionId = null, source = null }) {
+    if (!postId) return null;
+    this.load();
+
+    const entry = {
+      ts: new Date().toISOString(),
+      postId,
+      author: this.authorKey(author),
+      action: 'comment',
+      sessionId,
+      source
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+      fs.appendFileSync(this.indexPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.warn('Failed to append engagement index entry', { postId, error: error.message });
+    }
+
+    this.remember(entry);
+    return entry;
+  }
+
+  /**
+   * Posts and authors in the index
+   */
+  getStats() {
+    this.load();
+    return { posts: this.byPost.size, authors: this.byAuthor.size };
+  }
+
+  /**
+   * Drop the in-memory copy; the next call reloads from indexPath (tests move ledger.runsRoot to a temp dir)
+   */
+  reset() {
+    this.byPost = null;
+    this.byAuthor = null;
+  }
+}
+
+module.exports = new EngagementIndex();
@@ -0,0 +1,125 @@
+/**
+ * Engagement Scorer - local, rule-based alternative to the linkedin-parse webhook
+ * Scores a post from its metrics, author and text; no network involved
+ */
+
+const DEFAULT_RULES = {
+  minReactions: 0,
+  minComments: 0,
+  minReposts: 0,
+  minScore: 30,
+  preferredAuthors: [],
+  blockedAuthors: [],
+  includeKeywords: [],
+  excludeKeywords: []
+};
+
+/**
+ * Accept arrays or comma/newline separated strings; lower-cased for matching
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whole-word match so "ai" does not hit "said"
+ */
+function containsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+/**
+ * Diminishing points for a count: 0 → 0, 9 → weight, 99 → 2x weight, capped at max
+ */
+function logPoints(count, weight, max) {
+  return Math.min(max, Math.round(weight * Math.log10((count || 0) + 1)));
+}
+
+class EngagementScorer {
+  /**
+   * Merge rule overrides with defaults and normalize types
+   */
+  resolveRules(rules = {}) {
+    const merged = { ...DEFAULT_RULES };
+    Object.entries(rules || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') merged[key] = value;
+    });
+
+    return {
+      minReactions: Math.max(0, parseInt(merged.minReactions) || 0),
+      minComments: Math.max(0, parseInt(merged.minComments) || 0),
+      minReposts: Math.max(0, parseInt(merged.minReposts) || 0),
+      minScore: Math.min(100, Math.max(0, parseInt(merged.minScore) || 0)),
+      preferredAuthors: toList(merged.preferredAuthors),
+      blockedAuthors: toList(merged.blockedAuthors),
+      includeKeywords: toList(merged.includeKeywords),
+      excludeKeywords: toList(merged.excludeKeywords)
+    };
+  }
+
+  /**
+   * Score a post.
+   * @param {Object} post - metrics { reactions, comments, reposts } (numbers), authorName, text
+   * @param {Object} rules - thresholds, minScore, author and keyword lists (see DEFAULT_RULES)
+   * @returns {Object} { engage: 'yes'|'no', score (0-100), reason, breakdown }
+   */
+  score(post, rules = {}) {
+    const r = this.resolveRules(rules);
+    const metrics = post.metrics || {};
+    const author = String(post.authorName || '').trim().toLowerCase();
+    const text = String(post.text || '').toLowerCase();
+
+    const breakdown = {
+      reactions: logPoints(metrics.reactions, 10, 30),
+      comments: logPoints(metrics.comments, 10, 20),
+      reposts: logPoints(metrics.reposts, 5, 10),
+      keywords: 0,
+      author: 0
+    };
+
+    const verdict = (engage, score, reason) => ({ engage, score, reason, breakdown });
+
+    const blocked = r.blockedAuthors.find(name => author.includes(name));
+    if (blocked) {
+      return verdict('no', 0, `Blocked author "${blocked}"`);
+    }
+
+    const excluded = r.excludeKeywords.find(keyword => containsTerm(text, keyword));
+    if (excluded) {
+      return verdict('no', 0, `Excluded keyword "${excluded}"`);
+    }
+
+    const preferred = r.preferredAuthors.find(name => author.includes(name));
+    const matchedKeywords = r.includeKeywords.filter(keyword => containsTerm(text, keyword));
+    breakdown.keywords = Math.min(20, matchedKeywords.length * 10);
+    breakdown.author = preferred ? 20 : 0;
+
+    const score = Math.min(100, Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+
+    // Preferred authors skip the metric thresholds; everyone else must pass all of them (AND logic)
+    if (!preferred) {
+      const misses = [
+        ['reactions', metrics.reactions || 0, r.minReactions],
+        ['comments', metrics.comments || 0, r.minComments],
+        ['reposts', metrics.reposts || 0, r.minReposts]
+      ].filter(([, value, minimum]) => value < minimum);
+
+      if (misses.length > 0) {
+        return verdict('no', score, misses.map(([name, value, minimum]) => `${value} ${name} < ${minimum}`).join(', '));
+      }
+    }
+
+    const reasons = [`${metrics.reactions || 0} reactions, ${metrics.comments || 0} comments, ${metrics.reposts || 0} reposts`];
+    if (preferred) reasons.push(`preferred author "${preferred}"`);
+    if (matchedKeywords.length > 0) reasons.push(`keywords: ${matchedKeywords.join(', ')}`);
+
+    if (score < r.minScore) {
+      return verdict('no', score, `Score ${score} < ${r.minScore} (${reasons.join('; ')})`);
+    }
+    return verdict('yes', score, `Score ${score} (${reasons.join('; ')})`);
+  }
+}
+
+module.exports = new EngagementScorer();
@@ -0,0 +1,208 @@
+/**
+ * Feed Sources - the LinkedIn surfaces the runner can tab through
+ * Home feed, a hashtag feed, content search, one person's or company's recent activity
+ * and a saved list of people (their recent activity pages, one after another)
+ */
+
+const selectorRegistry = require('./selector-registry');
+
+const LINKEDIN_ORIGIN = 'https://www.linkedin.com';
+
+/**
+ * How isInsidePost recognises a post on a surface (containers are selector roles).
+ * The home feed marks posts with data-id; search results and activity pages mostly with data-urn,
+ * and they also hold non-post cards (people, jobs), so those ids must look like a post URN.
+ */
+const DETECTION = {
+  feed: {
+    containerRole: 'feedItem',
+    idAttributes: ['data-id'],
+    idPattern: null
+  },
+  results: {
+    containerRole: 'resultItem',
+    idAttributes: ['data-urn', 'data-id'],
+    idPattern: '^urn:li:(activity|ugcPost|share):'
+  }
+};
+
+/**
+ * Recent-activity page for a profile URL, company URL or bare public profile id
+ */
+function activityUrl(profile, origin) {
+  const value = String(profile || '').trim();
+  const company = value.match(/\/company\/([^/?#]+)/i);
+  if (company) return `${origin}/company/${company[1]}/posts/`;
+
+  const person = value.match(/\/in\/([^/?#]+)/i);
+  const id = person ? person[1] : value.replace(/^@/, '');
+  if (!id || /[/\s]/.test(id)) return null;
+  return `${origin}/in/${id}/recent-activity/all/`;
+}
+
+/**
+ * Profile list from an array or newline/comma separated text
+ */
+function parseProfiles(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(/[\r\n,]+/))
+    .map(line => String(line ?? '').trim())
+    .filter(Boolean);
+}
+
+const sources = {
+  home: {
+    label: 'Home feed',
+    detection: 'feed',
+    maxTabsWithoutPost: null, // Infinite feed - ends on budget or stop only
+
+    urls(params, origin) {
+      return [`${origin}/feed/`];
+    }
+  },
+
+  hashtag: {
+    label: 'Hashtag feed',
+    detection: 'results',
+    maxTabsWithoutPost: 300,
+
+    validate(params) {
+      return String(params.hashtag || '').replace(/^#/, '').trim() ? null : 'hashtag is required';
+    },
+
+    urls(params, origin) {
+      const tag = String(params.hashtag).replace(/^#/, '').trim().toLowerCase();
+      return [`${origin}/feed/hashtag/${encodeURIComponent(tag)}/`];
+    }
+  },
+
+  search: {
+    label: 'Content search',
+    detection: 'results',
+    maxTabsWithoutPost: 300,
+
+    validate(params) {
+      return String(params.keywords || '').trim() ? null : 'keywords is required';
+    },
+
+    urls(params, origin) {
+      const query = new URLSearchParams({ keywords: String(params.keywords).trim(), origin: 'GLOBAL_SEARCH_HEADER' });
+      if (params.sortBy === 'date_posted') query.set('sortBy', '"date_posted"');
+      return [`${origin}/search/results/content/?${query}`];
+    }
+  },
+
+  profile: {
+    label: 'Recent activity',
+    detection: 'results',
+    maxTabsWithoutPost: 200,
+
+    validate(params) {
+      return activityUrl(params.profile, LINKEDIN_ORIGIN) ? null : 'profile must be a profile URL, company URL or public profile id';
+    },
+
+    urls(params, origin) {
+      return [activityUrl(params.profile, origin)];
+    }
+  },
+
+  list: {
+    label: 'Saved list',
+    detection: 'results',
+    maxTabsWithoutPost: 150,
+
+    validate(params) {
+      const profiles = parseProfiles(params.profiles);
+      if (profiles.length === 0) return 'profiles must list at least one profile';
+      if (profiles.length > 100) return 'profiles is limited to 100 people';
+      const invalid = profiles.find(profile => !activityUrl(profile, LINKEDIN_ORIGIN));
+      return invalid ? `Not a profile URL or id: ${invalid}` : null;
+    },
+
+    urls(params, origin) {
+      return parseProfiles(params.profiles).map(profile => activityUrl(profile, origin));
+    }
+  }
+};
+
+class FeedSources {
+  /**
+   * Names of the registered sources
+   */
+  list() {
+    return Object.keys(sources);
+  }
+
+  /**
+   * Error message for a bad source config, or null. Accepts "home" or { type, hashtag | keywords | profile | profiles }
+   */
+  validate(config) {
+    const raw = typeof config === 'string' ? { type: config } : (config || {});
+    const type = raw.type || 'home';
+    if (!sources[type]) {
+      return `Unknown feed source "${type}". Use one of: ${this.list().join(', ')}`;
+    }
+    return sources[type].validate ? sources[type].validate(raw) : null;
+  }
+
+  /**
+   * Post detection for a source type, with the selectors of the active selector profile
+   * (post text and author are the same update component on every surface)
+   * @returns {Object} { containerRole, container, idAttributes, idPattern, textSelector, authorSelector }
+   */
+  detection(type = 'home') {
+    const { containerRole, ...rules } = DETECTION[(sources[type] || sources.home).detection];
+    return {
+      containerRole,
+      container: selectorRegistry.selector(containerRole),
+      ...rules,
+      textSelector: selectorRegistry.selector('postText'),
+      authorSelector: selectorRegistry.selector('postAuthor')
+    };
+  }
+
+  /**
+   * Selector for one post by id on any surface, from the detection rules' id attributes:
+   * div[data-id="<id>"], div[data-urn="<id>"]
+   */
+  postSelector(postId) {
+    const value = `"${String(postId).replace(/["\\]/g, '\\$&')}"`;
+    return [...new Set(Object.values(DETECTION).flatMap(rule => rule.idAttributes))]
+      .map(name => `div[${name}=${value}]`)
+      .join(', ');
+  }
+
+  /**
+   * Resolve a source config into the pages to visit and how to detect posts on them.
+   * origin lets tests point every source at the offline fixture server.
+   * @returns {Object} { type, label, params, urls, detection, postsPerPage, maxTabsWithoutPost }
+   */
+  resolve(config, { origin = LINKEDIN_ORIGIN } = {}) {
+    const raw = typeof config === 'string' ? { type: config } : (config || {});
+    const error = this.validate(raw);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const type = raw.type || 'home';
+    const params = { ...raw };
+    delete params.type;
+    const base = String(origin).replace(/\/+$/, '');
+
+    if (type === 'list') {
+      params.profiles = parseProfiles(params.profiles);
+    }
+
+    return {
+      type,
+      label: sources[type].label,
+      params,
+      urls: sources[type].urls(params, base),
+      detection: this.detection(type),
+      // Saved list: move on to the next person after this many posts
+      postsPerPage: type === 'list' ? Math.max(1, parseInt(params.postsPerProfile) || 3) : null,
+      maxTabsWithoutPost: sources[type].maxTabsWithoutPost
+    };
+  }
+}
+
+module.exports = new FeedSources();
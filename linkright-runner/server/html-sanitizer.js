@@ -0,0 +1,109 @@
+/**
+ * HTML Sanitizer - shrinks a post's outerHTML before it is sent to a webhook
+ * Removes what a workflow never reads (scripts, styles, icons, tracking attributes, the comment
+ * thread) and can cut the result to a byte budget. Uses the post parser's tree (post-parser.js);
+ * runs as the worker pool's sanitizeHtml task.
+ */
+
+const postParser = require('./post-parser');
+
+// What can be stripped (all of it by default)
+const STRIP_OPTIONS = ['scripts', 'styles', 'svg', 'tracking', 'comments'];
+
+// data-id / data-urn identify the post; every other data-* attribute is rendering or tracking state
+const KEPT_DATA_ATTRIBUTES = new Set(['data-id', 'data-urn']);
+// Tracking parameters LinkedIn appends to its own links
+const TRACKING_PARAMS = /^(?:trk|trkInfo|lipi|licu|miniProfileUrn|midToken|midSig|eid|refId|trackingId|originalSubdomain)$/i;
+
+/**
+ * LinkedIn link without its tracking parameters (other sites' links are left alone)
+ */
+function stripTrackingParams(href) {
+  const match = href.match(/^((?:https?:)?\/\/(?:[\w-]+\.)?linkedin\.com[^?#]*|\/[^?#]*)\?([^#]*)(#.*)?$/i);
+  if (!match) return href;
+
+  const kept = match[2].split('&').filter(param => param && !TRACKING_PARAMS.test(param.split('=')[0]));
+  return `${match[1]}${kept.length > 0 ? `?${kept.join('&')}` : ''}${match[3] || ''}`;
+}
+
+class HtmlSanitizer {
+  constructor() {
+    this.stripOptions = STRIP_OPTIONS;
+  }
+
+  /**
+   * Error message for an invalid strip list, or null
+   */
+  validateStrip(strip) {
+    if (!Array.isArray(strip)) return 'strip must be an array';
+    const unknown = strip.filter(option => !STRIP_OPTIONS.includes(option));
+    return unknown.length > 0 ? `Unknown strip option(s): ${unknown.join(', ')}. Use: ${STRIP_OPTIONS.join(', ')}` : null;
+  }
+
+  /**
+   * @param {string} html - A post's outerHTML
+   * @param {Object} options - { strip: STRIP_OPTIONS subset, commentSelectors: selectors of the comment thread and box }
+   * @returns {Object} { html, removed: { scripts, styles, svg, tracking, comments } } (element/attribute counts)
+   */
+  sanitize(html, { strip = STRIP_OPTIONS, commentSelectors = [] } = {}) {
+    const root = postParser.parseHtml(html);
+    const removed = { scripts: 0, styles: 0, svg: 0, tracking: 0, comments: 0 };
+    const drop = (nodes, counter) => {
+      for (const node of nodes) {
+        // Already gone with an ancestor
+        if (!node.parent || !node.parent.children.includes(node)) continue;
+        node.parent.children = node.parent.children.filter(child => child !== node);
+        node.parent = null;
+        removed[counter]++;
+      }
+    };
+
+    if (strip.includes('comments')) {
+      drop(commentSelectors.flatMap(selector => postParser.querySelectorAll(root, selector)), 'comments');
+    }
+    if (strip.includes('scripts')) drop(postParser.querySelectorAll(root, 'script, noscript, template'), 'scripts');
+    if (strip.includes('styles')) drop(postParser.querySelectorAll(root, 'style, link'), 'styles');
+    if (strip.includes('svg')) drop(postParser.querySelectorAll(root, 'svg'), 'svg');
+
+    if (strip.includes('styles') || strip.includes('tracking')) {
+      for (const node of postParser.querySelectorAll(root, '*')) {
+        for (const name of Object.keys(node.attrs)) {
+          const styling = strip.includes('styles') && name === 'style';
+          const tracking = strip.includes('tracking') && (
+            (name.startsWith('data-') && !KEPT_DATA_ATTRIBUTES.has(name)) ||
+            (name === 'id' && /^ember\d+$/.test(node.attrs.id))
+          );
+          if (styling || tracking) {
+            delete node.attrs[name];
+            removed[styling ? 'styles' : 'tracking']++;
+          }
+        }
+        if (strip.includes('tracking') && node.attrs.href) {
+          const href = stripTrackingParams(node.attrs.href);
+          if (href !== node.attrs.href) {
+            node.attrs.href = href;
+            removed.tracking++;
+          }
+        }
+      }
+    }
+
+    // Whitespace between tags is indentation
+    return { html: postParser.toHtml(root).replace(/>\s+</g, '> <').trim(), removed };
+  }
+
+  /**
+   * Cut HTML to at most maxBytes of UTF-8, at the end of a tag
+   * @returns {Object} { html, truncated }
+   */
+  truncate(html, maxBytes) {
+    if (Buffer.byteLength(html) <= maxBytes) return { html, truncated: false };
+
+    // Decoding a cut multi-byte character yields U+FFFD - drop it
+    const cut = Buffer.from(html).subarray(0, Math.max(0, maxBytes)).toString('utf8').replace(/\uFFFD+$/, '');
+    const end = cut.lastIndexOf('>');
+    return { html: end === -1 ? '' : cut.slice(0, end + 1), truncated: true };
+  }
+}
+
+module.exports = new HtmlSanitizer();
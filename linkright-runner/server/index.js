@@ -10,6 +10,23 @@ const helmet = require('helmet');
 const authMiddleware = require('./auth');
 const runner = require('./playwright-runner');
 const logger = require('./logger');
+const ledger = require('./session-ledger');
+const commentProviders = require('./comment-providers');
+const runnerEvents = require('./runner-events');
+const feedSources = require('./feed-sources');
+const selectorRegistry = require('./selector-registry');
+const webhookPayloads = require('./webhook-payloads');
+
+/**
+ * Whether value parses as an absolute http(s) URL ("http://" or "https://ex ample" do not)
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -46,7 +63,21 @@ app.post('/api/runner/start', async (req, res) => {
       });
     }
 
-    const result = await runner.start();
+    // Optional feedUrl, e.g. the offline feed fixture server (tests/e2e/utils/fixtureServer.js)
+    // Optional source: "home" or { type: hashtag|search|profile|list, hashtag | keywords | profile | profiles }
+    const { feedUrl, source } = req.body || {};
+    if (feedUrl && !isHttpUrl(feedUrl)) {
+      return res.status(400).json({
+        error: 'Invalid feedUrl. Must be an http:// or https:// URL'
+      });
+    }
+
+    const sourceError = source ? feedSources.validate(source) : null;
+    if (sourceError) {
+      return res.status(400).json({ error: `Invalid source: ${sourceError}` });
+    }
+
+    const result = await runner.start({ feedUrl, source });
     res.json(result);
 
   } catch (error) {
@@ -167,10 +198,24 @@ app.post('/api/runner/resume', async (req, res) => {
 /**
  * GET /api/runner/status
  * Get current runner status and statistics
+ * Optional ?last=N&before=<seq> adds the N newest post records (older than seq) from the
+ * current session, or the most recent one on disk when no session is active
  */
 app.get('/api/runner/status', (req, res) => {
   try {
     const status = runner.getStatus();
+
+    if (req.query.last !== undefined) {
+      const sessionId = runner.sessionId || ledger.latestSessionId();
+      const { posts, pagination } = ledger.getPosts(sessionId, {
+        limit: req.query.last,
+        before: req.query.before
+      });
+      status.posts = posts;
+      status.pagination = pagination;
+      status.session = sessionId ? ledger.readSession(sessionId) : null;
+    }
+
     res.json(status);
   } catch (error) {
     logger.error('API: Failed to get status', { error: error.message });
@@ -182,9 +227,47 @@ app.get('/api/runner/status', (req, res) => {
 });
 
 
+/**
+ * GET /api/runner/events
+ * Server-Sent Events stream of runner events (post_detected, decision, comment_posted, ...)
+ * Opens with a `status` snapshot; reconnecting clients send Last-Event-ID (or ?since=) to replay missed events.
+ * EventSource cannot set headers, so this route also accepts ?token= (see auth.js)
+ */
+app.get('/api/runner/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.write('retry: 3000\n\n');
+  res.write(`event: status\ndata: ${JSON.stringify(runner.getStatus())}\n\n`);
+  runnerEvents.since(req.headers['last-event-id'] || req.query.since).forEach(send);
+
+  const unsubscribe = runnerEvents.subscribe(send);
+  // Comment line keeps proxies and the extension's fetch reader from timing out
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  logger.info('API: Event stream opened', { subscribers: runnerEvents.listenerCount('event') });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info('API: Event stream closed', { subscribers: runnerEvents.listenerCount('event') });
+  });
+});
+
 /**
  * POST /api/runner/start-keyboard
  * Start keyboard-only automation (after 3-min countdown)
+ * With `queue` (permalinks/URNs as an array or CSV/newline text) the runner works through
+ * those posts instead of tab-walking the feed
  */
 app.post('/api/runner/start-keyboard', async (req, res) => {
   try {
@@ -206,11 +289,81 @@ app.post('/api/runner/start-keyboard', async (req, res) => {
     const { 
       timing, 
       webhookUrl, 
-      xRunnerToken, 
       thresholds,
       optimizeEngagement,  // NEW: Mode flag
-      postAnalysisWebhook  // NEW: linkedin-parse URL
+      postAnalysisWebhook, // NEW: linkedin-parse URL
+      reviewMode,          // Hold each comment for human approval
+      reviewTimeoutSec,
+      commentProvider,     // "n8n" | "openai" | "template" or { type, n8n, openai, template }
+      scoring,             // Optimized mode: { source: webhook|local|both, minScore, preferredAuthors, ... }
+      decisionPolicy,      // linkedin-parse failures: { onFailure: engage|skip|retry, retries, timeoutSec, breakerThreshold, breakerAction }
+      parsePayload,        // linkedin-parse body: { format: html|model|both, strip, maxBytes, schemaVersion }
+      dedup,               // Cross-session dedup: { samePost, authorCooldownDays }
+      activityWebhook,     // Batched session events (overrides ACTIVITY_WEBHOOK_URL)
+      queue                // Post queue: permalinks / activity URNs (array or CSV text)
     } = req.body || {};
+
+    let parsedQueue = null;
+    if (queue !== undefined && queue !== null && queue !== '') {
+      parsedQueue = runner.parseQueueInput(queue);
+
+      if (parsedQueue.items.length === 0) {
+        return res.status(400).json({
+          error: 'Post queue has no valid post URLs or activity URNs',
+          invalid: parsedQueue.invalid
+        });
+      }
+
+      if (parsedQueue.items.length > 200) {
+        return res.status(400).json({
+          error: `Post queue has ${parsedQueue.items.length} posts. The limit is 200 per session`
+        });
+      }
+    }
+
+    if (decisionPolicy?.onFailure && !['engage', 'skip', 'retry'].includes(decisionPolicy.onFailure)) {
+      return res.status(400).json({
+        error: `Unknown decision failure policy "${decisionPolicy.onFailure}". Use one of: engage, skip, retry`
+      });
+    }
+
+    const parsePayloadError = parsePayload ? webhookPayloads.validate(parsePayload) : null;
+    if (parsePayloadError) {
+      return res.status(400).json({ error: parsePayloadError });
+    }
+
+    if (scoring?.source && !['webhook', 'local', 'both'].includes(scoring.source)) {
+      return res.status(400).json({
+        error: `Unknown scoring source "${scoring.source}". Use one of: webhook, local, both`
+      });
+    }
+
+    if (activityWebhook && !/^https?:\/\/\S+$/i.test(activityWebhook)) {
+      return res.status(400).json({
+        error: 'activityWebhook must be an http(s) URL'
+      });
+    }
+
+    const limitKey = ['maxSessionMinutes', 'maxDailyComments']
+      .find(key => thresholds?.[key] !== undefined && !(parseInt(thresholds[key]) >= 0));
+    if (limitKey) {
+      return res.status(400).json({
+        error: `thresholds.${limitKey} must be a number (0 = no limit)`
+      });
+    }
+
+    if (dedup?.authorCooldownDays !== undefined && !(parseInt(dedup.authorCooldownDays) >= 0)) {
+      return res.status(400).json({
+        error: 'dedup.authorCooldownDays must be a number of days (0 disables the cooldown)'
+      });
+    }
+
+    const providerType = typeof commentProvider === 'string' ? commentProvider : commentProvider?.type;
+    if (providerType && !commentProviders.list().includes(providerType)) {
+      return res.status(400).json({
+        error: `Unknown comment provider "${providerType}". Use one of: ${commentProviders.list().join(', ')}`
+      });
+    }
     
     if (timing) {
       runner.timing = {
@@ -228,37 +381,85 @@ app.post('/api/runner/start-keyboard', async (req, res) => {
     
     // Set thresholds from request body if provided
     if (thresholds) {
-      runner.thresholds = {
-        minLikes: parseInt(thresholds.minReactions) || runner.defaults.minLikes,
-        minComments: parseInt(thresholds.minComments) || runner.defaults.minComments,
-        minReposts: parseInt(thresholds.minReposts) || runner.defaults.minReposts,
-        maxActions: parseInt(thresholds.maxActions) || runner.defaults.maxActions
-      };
+      runner.thresholds = runner.resolveThresholds(thresholds);
       logger.info('Thresholds config applied', runner.thresholds);
     }
     
-    // Store webhook settings for runner to use
+    // Store webhook settings for runner to use (an xRunnerToken in the body authenticates the
+    // extension to this runner and is not forwarded; see commentProvider.n8n.token)
     if (webhookUrl) runner.webhookUrl = webhookUrl;
-    if (xRunnerToken) runner.xRunnerToken = xRunnerToken;
     
     // Set new mode settings
     runner.optimizeEngagement = optimizeEngagement || false;
     runner.postAnalysisWebhook = postAnalysisWebhook;
     
+    runner.scoring = scoring || null;
+    runner.decisionPolicy = decisionPolicy ? {
+      ...decisionPolicy,
+      timeoutMs: decisionPolicy.timeoutSec ? parseInt(decisionPolicy.timeoutSec) * 1000 : decisionPolicy.timeoutMs
+    } : null;
+    runner.parsePayload = parsePayload || null;
+    
     logger.info('Optimization mode', { 
       enabled: runner.optimizeEngagement,
+      decisionSource: runner.scoring?.source || 'webhook',
+      decisionPolicy: runner.getDecisionPolicy(),
+      parsePayload: runner.getParsePayloadOptions(),
       webhook: runner.postAnalysisWebhook 
     });
 
-    // Start keyboard automation in background (non-blocking)
-    runner.startKeyboardAutomation().catch(error => {
-      logger.error('Keyboard automation failed', { error: error.message });
+    // Comment provider is chosen per session; omitted = n8n webhook from webhookUrl
+    runner.commentProvider = commentProvider || null;
+    logger.info('Comment provider', { type: runner.getCommentProviderConfig().type });
+
+    // Session events go to this webhook until the next start (see activity-outbox.js)
+    runner.activityWebhook = activityWebhook || null;
+
+    // Dedup rules also apply to POST /api/runner/actions comments until the next start
+    runner.dedup = dedup || null;
+    logger.info('Dedup rules', runner.getDedupRules());
+
+    // Review mode: unanswered reviews are rejected after the timeout (default 120s)
+    runner.reviewMode = reviewMode || false;
+    runner.reviewTimeoutMs = Math.max(10, parseInt(reviewTimeoutSec) || 120) * 1000;
+    logger.info('Review mode', {
+      enabled: runner.reviewMode,
+      timeoutMs: runner.reviewTimeoutMs
     });
 
+    // Start keyboard automation in background (non-blocking)
+    if (parsedQueue) {
+      logger.info('Post queue', {
+        items: parsedQueue.items.length,
+        invalid: parsedQueue.invalid.length,
+        duplicates: parsedQueue.duplicates
+      });
+      runner.startQueueAutomation(parsedQueue.items).catch(error => {
+        logger.error('Post queue automation failed', { error: error.message });
+      });
+    } else {
+      runner.queue = null;
+      runner.startKeyboardAutomation().catch(error => {
+        logger.error('Keyboard automation failed', { error: error.message });
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Keyboard automation started',
+      message: parsedQueue ? 'Post queue started' : 'Keyboard automation started',
+      runMode: parsedQueue ? 'queue' : 'feed',
+      queue: parsedQueue ? {
+        total: parsedQueue.items.length,
+        invalid: parsedQueue.invalid,
+        duplicates: parsedQueue.duplicates
+      } : null,
       mode: runner.optimizeEngagement ? 'Optimized' : 'Default',
+      reviewMode: runner.reviewMode,
+      commentProvider: runner.getCommentProviderConfig().type,
+      decisionSource: runner.scoring?.source || 'webhook',
+      decisionPolicy: runner.getDecisionPolicy(),
+      parsePayload: runner.getParsePayloadOptions(),
+      dedup: runner.getDedupRules(),
       thresholds: runner.getThresholds(),
       timing: runner.timing,
       stats: runner.sessionStats
@@ -274,6 +475,331 @@ app.post('/api/runner/start-keyboard', async (req, res) => {
 });
 
 
+/**
+ * GET /api/runner/review
+ * Get the generated comment currently awaiting review (review mode)
+ */
+app.get('/api/runner/review', (req, res) => {
+  try {
+    res.json({
+      reviewMode: runner.reviewMode,
+      pending: runner.pendingReview
+    });
+  } catch (error) {
+    logger.error('API: Failed to get pending review', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get pending review',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/runner/review
+ * Decide on the pending comment: { id, action: approve|edit|regenerate|reject, comment }
+ */
+app.post('/api/runner/review', (req, res) => {
+  try {
+    const result = runner.submitReview(req.body || {});
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('API: Failed to submit review', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to submit review',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/runner/actions
+ * Run targeted actions on specific posts/profiles in the open browser:
+ * { actions: [{ type: like|comment|connect, postId, comment?, profile?, message? }] }
+ * Not available while the keyboard loop is running (both would fight over focus)
+ */
+app.post('/api/runner/actions', async (req, res) => {
+  try {
+    const actions = Array.isArray(req.body?.actions) ? req.body.actions : null;
+
+    if (!actions || actions.length === 0 || actions.length > 50) {
+      return res.status(400).json({ error: 'actions must be an array of 1-50 actions' });
+    }
+
+    const invalid = actions.findIndex(action => !['like', 'comment', 'connect'].includes(action?.type) ||
+      (action.type === 'connect' ? !(action.profile || action.postId) : !action.postId));
+    if (invalid !== -1) {
+      return res.status(400).json({
+        error: `Invalid action at index ${invalid}. Use { type: like|comment, postId } or { type: connect, profile | postId }`
+      });
+    }
+
+    if (!runner.isRunning || !runner.page) {
+      return res.status(400).json({ error: 'Runner not active. Start it with /api/runner/start first' });
+    }
+
+    if (runner.keyboardLoopActive) {
+      return res.status(409).json({ error: 'Keyboard automation is running. Stop it before running targeted actions' });
+    }
+
+    if (runner.actionsInProgress) {
+      return res.status(409).json({ error: 'Targeted actions already in progress' });
+    }
+
+    logger.info('API: Targeted actions requested', { count: actions.length, types: actions.map(action => action.type) });
+
+    runner.actionsInProgress = true;
+    let results;
+    try {
+      results = await runner.runActions(actions);
+    } finally {
+      runner.actionsInProgress = false;
+    }
+
+    res.json({
+      success: results.every(result => result.success),
+      results,
+      stats: runner.getStatus().stats
+    });
+  } catch (error) {
+    logger.error('API: Failed to run targeted actions', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to run targeted actions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/comments/generate
+ * One comment from a comment provider, outside any session (the extension's Cmd+Shift+L):
+ * { post: { postText, postId?, authorName?, actionType? }, commentProvider } → { comment, provider }
+ */
+app.post('/api/comments/generate', async (req, res) => {
+  try {
+    const { post, commentProvider } = req.body || {};
+
+    if (typeof post?.postText !== 'string' || !post.postText.trim()) {
+      return res.status(400).json({ error: 'post.postText is required' });
+    }
+
+    const providerType = typeof commentProvider === 'string' ? commentProvider : commentProvider?.type;
+    if (providerType && !commentProviders.list().includes(providerType)) {
+      return res.status(400).json({
+        error: `Unknown comment provider "${providerType}". Use one of: ${commentProviders.list().join(', ')}`
+      });
+    }
+
+    const config = runner.getCommentProviderConfig(commentProvider);
+    const comment = await commentProviders.generate({
+      postId: post.postId || null,
+      postText: post.postText,
+      authorName: post.authorName || '',
+      actionType: post.actionType || 'comment',
+      timestamp: new Date().toISOString()
+    }, config);
+
+    res.json({ comment, provider: config.type });
+  } catch (error) {
+    logger.error('API: Failed to generate comment', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to generate comment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/selectors
+ * Active selector profile with every role's selectors (the extension loads it from here)
+ */
+app.get('/api/selectors', (req, res) => {
+  try {
+    res.json({ success: true, profile: selectorRegistry.getProfile() });
+  } catch (error) {
+    logger.error('API: Failed to get selector profile', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get selector profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/selectors/reload
+ * Re-read the selector profile without a restart. Body { profile } switches to selectors/<profile>.json
+ * (a bare name; paths are refused). A bad profile leaves the active one in place (400).
+ */
+app.post('/api/selectors/reload', (req, res) => {
+  const { profile = null } = req.body || {};
+  if (profile !== null && (typeof profile !== 'string' || !profile.trim())) {
+    return res.status(400).json({ success: false, error: 'profile must be a profile name' });
+  }
+
+  const result = selectorRegistry.reload(profile ? profile.trim() : null);
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  res.json(result);
+});
+
+/**
+ * POST /api/selectors/health
+ * Diagnostic: reload the feed and check every selector role against its first posts.
+ * Body { posts: 1-20 (default 5), feedUrl }. The report is saved under runs/selector-health-<ms>/.
+ */
+app.post('/api/selectors/health', async (req, res) => {
+  try {
+    const { posts = 5, feedUrl = null } = req.body || {};
+    const count = parseInt(posts);
+    if (!Number.isInteger(count) || count < 1 || count > 20) {
+      return res.status(400).json({ error: 'posts must be a number from 1 to 20' });
+    }
+    if (feedUrl !== null && (typeof feedUrl !== 'string' || !/^https?:\/\//.test(feedUrl))) {
+      return res.status(400).json({ error: 'feedUrl must be an http(s) URL' });
+    }
+
+    if (!runner.isRunning || !runner.page) {
+      return res.status(400).json({ error: 'Runner not active. Start it with /api/runner/start first' });
+    }
+
+    if (runner.keyboardLoopActive) {
+      return res.status(409).json({ error: 'Keyboard automation is running. Stop it before checking selectors' });
+    }
+
+    if (runner.actionsInProgress) {
+      return res.status(409).json({ error: 'Targeted actions or a selector check already in progress' });
+    }
+
+    logger.info('API: Selector health check requested', { posts: count });
+
+    runner.actionsInProgress = true;
+    let report;
+    try {
+      report = await runner.checkSelectorHealth({ posts: count, feedUrl });
+    } finally {
+      runner.actionsInProgress = false;
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error('API: Selector health check failed', { error: error.message });
+    res.status(500).json({
+      error: 'Selector health check failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sessions
+ * List past sessions under runs/ (newest first) with stats and completion reason
+ * Optional ?limit=N&offset=M for pagination
+ */
+app.get('/api/sessions', (req, res) => {
+  try {
+    res.json(ledger.listSessions({
+      limit: req.query.limit,
+      offset: req.query.offset
+    }));
+  } catch (error) {
+    logger.error('API: Failed to list sessions', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * Session summary, one page of its ledger (newest first, like status?last) and artifact paths
+ * Optional ?limit=N&before=<seq> for pagination
+ */
+app.get('/api/sessions/:id', (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    if (!ledger.sessionExists(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { posts, pagination } = ledger.getPosts(sessionId, {
+      limit: req.query.limit,
+      before: req.query.before
+    });
+
+    res.json({
+      session: ledger.getSessionSummary(sessionId),
+      posts,
+      pagination,
+      artifacts: ledger.listArtifacts(sessionId)
+    });
+  } catch (error) {
+    logger.error('API: Failed to get session', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to get session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/artifacts/:name
+ * Stream a session artifact (trace.zip, video-*.webm, screenshots)
+ */
+app.get('/api/sessions/:id/artifacts/:name', (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    if (!ledger.sessionExists(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const artifactPath = ledger.getArtifactPath(sessionId, req.params.name);
+    if (!artifactPath) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    res.sendFile(artifactPath);
+  } catch (error) {
+    logger.error('API: Failed to stream artifact', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to stream artifact',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Delete a past session (ledger and artifacts)
+ */
+app.delete('/api/sessions/:id', (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    if (!ledger.sessionExists(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (runner.isRunning && runner.sessionId === sessionId) {
+      return res.status(409).json({ error: 'Cannot delete the active session. Stop the runner first.' });
+    }
+
+    ledger.deleteSession(sessionId);
+    res.json({ success: true, message: 'Session deleted', sessionId });
+  } catch (error) {
+    logger.error('API: Failed to delete session', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to delete session',
+      message: error.message
+    });
+  }
+});
+
+
 /**
  * GET /api/logs
  * Get today's log file
@@ -380,4 +906,22 @@ app.listen(PORT, HOST, () => {
     maxComments: process.env.MAX_COMMENTS_PER_SESSION
   });
   logger.info('Ready to accept requests with x-runner-token authentication');
+
+  // Close out ledgers of sessions that were running when the server last exited
+  ledger.recoverInterruptedSessions();
+
+  // Activity events an earlier run could not deliver go out now, not when the next session starts
+  if (runner.getActivityConfig().url) {
+    runner.retryActivityEvents();
+  }
+
+  // Selector profile: fail loudly now rather than on the first post, then pick up edits to the file
+  try {
+    selectorRegistry.load();
+    if (process.env.SELECTOR_WATCH !== 'false') {
+      selectorRegistry.watch();
+    }
+  } catch (error) {
+    logger.error('Selector profile could not be loaded', { error: error.message });
+  }
 });
@@ -0,0 +1,213 @@
+/**
+ * Locale Packs - LinkedIn UI wording per language (server/locales/<locale>.json)
+ * Button labels the runner checks while tabbing, words that identify count labels and the
+ * number format of those counts ("1,204", "1.204", "1 204", "1,2 k", "1,2 Mio.").
+ * The locale comes from the page's <html lang>; LINKEDIN_LOCALE forces one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Connect-flow roles built from a pack's connect labels, in the shape of the selector profile's roles
+ */
+const CONNECT_ROLES = {
+  connectButton: ({ inviteAria }) => [`main button${inviteSelector(inviteAria)}`],
+  connectMenuItem: ({ inviteAria }) => [`div[role="button"]${inviteSelector(inviteAria)}`],
+  moreActions: ({ moreActionsAria }) => moreActionsAria.map(label => `main button[aria-label=${cssString(label)}]`),
+  pendingButton: ({ pendingAria }) => pendingAria.map(label => `main button[aria-label^=${cssString(label)}]`),
+  addNoteButton: ({ addNoteAria }) => addNoteAria.map(label => `button[aria-label=${cssString(label)}]`),
+  sendInvite: ({ sendInviteAria }) => sendInviteAria.map(label => `button[aria-label=${cssString(label)}]`)
+};
+
+/**
+ * Quote a label as a CSS attribute value
+ */
+function cssString(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Attribute filter for the "Invite <name> to connect" label
+ */
+function inviteSelector({ startsWith, contains }) {
+  return `[aria-label^=${cssString(startsWith)}][aria-label*=${cssString(contains)}]`;
+}
+
+/**
+ * Escape a literal for use inside a RegExp
+ */
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+}
+
+class LocalePacks {
+  constructor() {
+    // Loaded lazily: locale → pack
+    this.packs = null;
+  }
+
+  /**
+   * Error message for a malformed pack, or null
+   */
+  validate(pack) {
+    if (!pack || typeof pack.locale !== 'string' || !pack.locale) return 'locale is required';
+
+    const labels = pack.labels || {};
+    for (const key of ['likeText', 'likeAria', 'commentText', 'commentAria']) {
+      if (!Array.isArray(labels[key]) || labels[key].length === 0) return `labels.${key} must be a non-empty array`;
+    }
+
+    const patterns = { 'labels.reactedAria': labels.reactedAria };
+    if (labels.photoAlt !== undefined) patterns['labels.photoAlt'] = labels.photoAlt;
+    for (const key of ['reaction', 'comment', 'repost', 'like', 'loadMore']) {
+      patterns[`words.${key}`] = (pack.words || {})[key];
+    }
+    for (const [key, pattern] of Object.entries(patterns)) {
+      try {
+        if (typeof pattern !== 'string' || !pattern) throw new Error('missing');
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        return `${key} must be a regular expression (${error.message})`;
+      }
+    }
+
+    if (pack.connect !== undefined) {
+      const { inviteAria, ...lists } = pack.connect || {};
+      if (typeof inviteAria?.startsWith !== 'string' || !inviteAria.startsWith || typeof inviteAria.contains !== 'string' || !inviteAria.contains) {
+        return 'connect.inviteAria must have startsWith and contains';
+      }
+      for (const key of ['moreActionsAria', 'pendingAria', 'addNoteAria', 'sendInviteAria']) {
+        if (!Array.isArray(lists[key]) || lists[key].length === 0 || lists[key].some(label => typeof label !== 'string' || !label)) {
+          return `connect.${key} must be a non-empty array of labels`;
+        }
+      }
+    }
+
+    const numbers = pack.numbers || {};
+    if (typeof numbers.decimal !== 'string' || numbers.decimal.length !== 1) return 'numbers.decimal must be one character';
+    for (const key of ['group', 'thousand', 'million']) {
+      if (!Array.isArray(numbers[key])) return `numbers.${key} must be an array`;
+    }
+    return null;
+  }
+
+  /**
+   * Read every pack in server/locales (a malformed one is skipped with a warning)
+   */
+  load() {
+    if (this.packs) return;
+
+    this.packs = new Map();
+    for (const file of fs.readdirSync(LOCALES_DIR).filter(name => name.endsWith('.json')).sort()) {
+      try {
+        const pack = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+        const error = this.validate(pack);
+        if (error) throw new Error(error);
+        this.packs.set(pack.locale, pack);
+      } catch (error) {
+        logger.warn('Skipping locale pack', { file, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Locales with a pack
+   */
+  list() {
+    this.load();
+    return [...this.packs.keys()];
+  }
+
+  /**
+   * Pack locale for a page language: "de-DE" → "de"; a language without a pack falls back to English
+   */
+  resolve(lang) {
+    this.load();
+    const primary = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+    return this.packs.has(primary) ? primary : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Pack for a locale (English when there is none)
+   */
+  get(locale = DEFAULT_LOCALE) {
+    this.load();
+    return this.packs.get(this.resolve(locale));
+  }
+
+  /**
+   * Selectors for a connect-flow role (connectButton, moreActions, sendInvite, ...) in the locale's
+   * wording; empty for other roles and for a pack without connect labels
+   */
+  connectSelectors(role, locale = DEFAULT_LOCALE) {
+    const { connect } = this.get(locale);
+    return connect && CONNECT_ROLES[role] ? CONNECT_ROLES[role](connect) : [];
+  }
+
+  /**
+   * Member name from the nav avatar's alt text: "Foto von Jane Doe" → "Jane Doe".
+   * The locale's labels.photoAlt is tried first, then every other pack's (the nav can render
+   * before <html lang> is read); alt text that no pack matches is taken as the name.
+   */
+  nameFromPhotoAlt(alt, locale = DEFAULT_LOCALE) {
+    const text = String(alt ?? '').trim();
+    for (const pack of new Set([this.get(locale), ...this.packs.values()])) {
+      const match = pack.labels.photoAlt ? text.match(new RegExp(pack.labels.photoAlt, 'i')) : null;
+      if (match?.[1]) return match[1].trim();
+    }
+    return text;
+  }
+
+  /**
+   * Leading number of a count label in the locale's format, or null.
+   * A group separator must be followed by three digits; the last separator followed by one or two
+   * digits is read as the decimal point, so "1.2K" still parses on a German page.
+   * Examples (de): "1.204 Reaktionen" → 1204, "1,2 Mio." → 1200000, "87 Kommentare" → 87
+   */
+  parseNumber(text, locale = DEFAULT_LOCALE) {
+    const { decimal, group, thousand, million } = this.get(locale).numbers;
+    const str = String(text ?? '').replace(/[\u00a0\u202f]/g, ' ').trim().replace(/\s+/g, ' ');
+
+    const separators = [...new Set([decimal, ...group])].map(escapeRegExp).join('');
+    const suffixes = [...thousand, ...million].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    // The number (and suffix) must end the word: "4000000comments" is not a count
+    const match = str.match(new RegExp(`^(\\d+(?:[${separators}]\\d+)*)(?: ?(${suffixes}))?(?![\\p{L}\\d])`, 'iu'));
+    if (!match) return null;
+
+    const pieces = match[1].match(/\d+|\D/g);
+    let integer = pieces[0];
+    let fraction = '';
+    for (let i = 1; i < pieces.length; i += 2) {
+      const separator = pieces[i];
+      const digits = pieces[i + 1];
+      const last = i + 2 >= pieces.length;
+      if (group.includes(separator) && digits.length === 3 && !(last && separator === decimal)) {
+        integer += digits;
+      } else if (last && (separator === decimal || digits.length !== 3)) {
+        fraction = digits;
+      } else {
+        return null;
+      }
+    }
+
+    let value = parseFloat(fraction ? `${integer}.${fraction}` : integer);
+    const suffix = (match[2] || '').toLowerCase();
+    if (thousand.some(unit => unit.toLowerCase() === suffix)) value *= 1000;
+    else if (million.some(unit => unit.toLowerCase() === suffix)) value *= 1000000;
+    return value;
+  }
+
+  /**
+   * Drop the loaded packs; the next call reads server/locales again
+   */
+  reset() {
+    this.packs = null;
+  }
+}
+
+module.exports = new LocalePacks();
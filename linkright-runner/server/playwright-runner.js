@@ -5,6 +5,23 @@
 
 const { chromium } = require('playwright');
 const logger = require('./logger');
+const ledger = require('./session-ledger');
+const commentProviders = require('./comment-providers');
+const engagementScorer = require('./engagement-scorer');
+const runnerEvents = require('./runner-events');
+const feedSources = require('./feed-sources');
+const engagementIndex = require('./engagement-index');
+// LinkedIn DOM selectors by element role (selectors/linkedin.json); looked up on every use so a reload applies at once
+const selectorRegistry = require('./selector-registry');
+const selectorHealth = require('./selector-health');
+// Button labels, count words and number formats per UI language (server/locales)
+const localePacks = require('./locale-packs');
+// worker_threads pool for CPU-heavy post work (post-tasks.js)
+const workerPool = require('./worker-pool');
+const postParser = require('./post-parser');
+const webhookPayloads = require('./webhook-payloads');
+const webhookClient = require('./webhook-client');
+const activityOutbox = require('./activity-outbox');
 
 class PlaywrightRunner {
   constructor() {
@@ -37,6 +54,10 @@ class PlaywrightRunner {
     this.sessionId = null;
     this.stopRequested = false;
     this.isPaused = false;
+
+    // Why the last keyboard loop ended: budget | time_limit | daily_cap | manual_stop | error
+    this.completedReason = null;
+    this.lastSession = null;
     
     // OPTIMIZATION: Compact session stats
     this.sessionStats = {
@@ -44,6 +65,7 @@ class PlaywrightRunner {
       likesGiven: 0,
       connectionsRequested: 0,
       postsProcessed: 0,
+      decisionsDefaulted: 0,
       errors: 0,
       startTime: null
     };
@@ -57,6 +79,41 @@ class PlaywrightRunner {
     this.optimizeEngagement = false;
     this.postAnalysisWebhook = null;
     this.keyboardLoopActive = false;
+    // Set while POST /api/runner/actions or a selector health check drives the page (see runActions)
+    this.actionsInProgress = false;
+
+    // Post queue run mode: { startedAt, items: [{ input, postId, status, reason, finishedAt }] }
+    this.queue = null;
+
+    // Surface the keyboard loop tabs through (see feed-sources.js); index = page in feedSource.urls
+    this.feedSource = null;
+    // First page the session loaded (the selector health check goes back to it)
+    this.feedUrl = null;
+    // Locale pack for the page's language, detected once the feed has loaded (see detectLocale)
+    this.locale = null;
+    this.feedSourceState = null;
+
+    // Comment generation provider for the session (n8n | openai | template), see comment-providers.js
+    this.commentProvider = null;
+
+    // Optimized-mode decision source (webhook | local | both) and local scoring rules, see engagement-scorer.js
+    this.scoring = null;
+
+    // What to do when linkedin-parse fails (see getDecisionPolicy) and the consecutive-failure breaker
+    this.decisionPolicy = null;
+    this.resetDecisionBreaker();
+
+    // Cross-session dedup rules checked against engagement-index.js (see getDedupRules)
+    this.dedup = null;
+
+    // Signed-in member's display name, used to spot our own comments (see getOwnProfileName)
+    this.ownProfileName = null;
+
+    // Review mode: hold each generated comment until a person decides on it
+    this.reviewMode = false;
+    this.reviewTimeoutMs = 120000;
+    this.pendingReview = null;
+    this._reviewResolver = null;
     
     // OPTIMIZATION: Compact HUD state
     this.hudState = {
@@ -67,18 +124,22 @@ class PlaywrightRunner {
       maxComments: 0
     };
     
-    // OPTIMIZATION: Request queue for batching
+    // Request queue for batching: activity events (activity-outbox.js records) waiting to be sent.
+    // batchSize events go out in one POST, at most batchTimeout ms after the first is queued.
     this.requestQueue = [];
-    this.batchSize = 5;
-    this.batchTimeout = 1000;
+    this.batchSize = Math.max(1, parseInt(process.env.ACTIVITY_BATCH_SIZE) || 20);
+    this.batchTimeout = Math.max(0, parseInt(process.env.ACTIVITY_FLUSH_MS ?? 5000) || 0);
+    // POSTs sent at the same time when a flush holds several batches
+    this.batchConcurrency = 2;
+
+    // Activity webhook (session override of ACTIVITY_WEBHOOK_URL); eventIds queued or being sent
+    this.activityWebhook = null;
+    this.activityInFlight = new Set();
+    this._activityRetryTimer = null;
+    runnerEvents.subscribe(event => this.recordActivityEvent(event));
     
     // OPTIMIZATION: Idle callbacks for cleanup
     this.idleCallbacks = [];
-    
-    // OPTIMIZATION: Web Worker for heavy computations
-    this.worker = null;
-    this.workerTasks = new Map();
-    this.taskId = 0;
   }
 
   // OPTIMIZATION: Lazy getters for heavy objects
@@ -117,6 +178,11 @@ class PlaywrightRunner {
     if (!this._defaults) {
       this._defaults = {
         maxActions: 10,
+        maxSessionMinutes: 0,     // 0 = no time limit
+        maxDailyComments: 0,      // 0 = no daily cap
+        minLikes: 0,              // Local scoring thresholds (Optimized mode)
+        minComments: 0,
+        minReposts: 0,
         strictThresholdMode: true,
         // Updated timing defaults for more reliable automation
         tabDelayMin: 1000,        // 1.0s (increased for reliability)
@@ -136,6 +202,7 @@ class PlaywrightRunner {
 
   /**
    * Start Playwright session with robust navigation and retry logic
+   * @param {Object} options - feedUrl (e.g. the offline feed fixture), userDataDir, headless, slowMo
    */
   async start(options = {}) {
     if (this.isRunning) {
@@ -148,36 +215,51 @@ class PlaywrightRunner {
     const path = require('path');
 
     try {
+      // Named feed source; a feedUrl (e.g. the offline fixture server) supplies the origin for non-home sources
+      this.feedSource = feedSources.resolve(options.source, {
+        origin: options.feedUrl ? new URL(options.feedUrl).origin : undefined
+      });
+      this.feedSourceState = { index: 0, postsOnPage: 0, tabsWithoutNewPost: 0 };
+      this.ownProfileName = null;
+
       // Generate unique session ID
       this.sessionId = `session-${Date.now()}`;
       this.stopRequested = false;
+      this.completedReason = null;
 
       // Configurable feed URL (default to LinkedIn feed)
-      const FEED_URL = options.feedUrl || process.env.LINKEDIN_FEED_URL || 'https://www.linkedin.com/feed/';
+      const FEED_URL = this.feedSource.type === 'home'
+        ? options.feedUrl || process.env.LINKEDIN_FEED_URL || 'https://www.linkedin.com/feed/'
+        : this.feedSource.urls[0];
       logger.info('Target URL:', FEED_URL);
+      this.feedUrl = FEED_URL;
+      logger.info('Feed source', { type: this.feedSource.type, pages: this.feedSource.urls.length });
 
       // DEPRECATED: Skip-scroll mode no longer used (pure tab navigation)
       // const scrollMode = this.disableSkipScroll ? 'DISABLED (validation mode)' : 'ENABLED (normal)';
       // logger.info(`Skip-flow scrolling: ${scrollMode}`);
 
       // Create runs directory structure
-      const runsDir = path.join(__dirname, '..', 'runs', this.sessionId);
+      const runsDir = ledger.getSessionDir(this.sessionId);
 
       if (!fs.existsSync(runsDir)) {
         fs.mkdirSync(runsDir, { recursive: true });
         logger.info(`Created session directory: ${runsDir}`);
       }
 
-      // User data directory for persistent context
-      const userDataDir = path.join(__dirname, '..', 'user-data');
+      // Per-post audit trail lives next to the video/trace
+      ledger.open(this.sessionId, { feedUrl: FEED_URL, source: this.getFeedSourceSummary() });
+
+      // User data directory for persistent context (tests pass a throwaway profile)
+      const userDataDir = options.userDataDir || path.join(__dirname, '..', 'user-data');
       if (!fs.existsSync(userDataDir)) {
         fs.mkdirSync(userDataDir, { recursive: true });
       }
 
       // Launch browser with persistent context
       this.context = await chromium.launchPersistentContext(userDataDir, {
-        headless: process.env.HEADLESS === 'true',
-        slowMo: 400, // 400ms slowMo for visibility
+        headless: options.headless !== undefined ? options.headless : process.env.HEADLESS === 'true',
+        slowMo: options.slowMo !== undefined ? options.slowMo : 400, // 400ms slowMo for visibility
         viewport: null, // Use full screen
         args: ['--start-maximized'],
         userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
@@ -215,6 +297,7 @@ class PlaywrightRunner {
       if (!navResult.success) {
         // Navigation failed after retries - return structured error
         await this.cleanup();
+        ledger.close({ status: 'failed', completedReason: 'error', error: navResult.hint || 'NAV_TIMEOUT' });
         return {
           success: false,
           code: 'NAV_TIMEOUT',
@@ -228,6 +311,8 @@ class PlaywrightRunner {
       await this.page.bringToFront();
       logger.info('Page brought to front');
 
+      await this.detectLocale();
+
       // Update HUD
       await this.updateHUD({ action: 'Ready - Logged in' });
 
@@ -242,6 +327,7 @@ class PlaywrightRunner {
     } catch (error) {
       logger.error('Failed to start runner', { error: error.message });
       await this.cleanup();
+      ledger.close({ status: 'failed', completedReason: 'error', error: error.message });
 
       // Return structured error
       return {
@@ -460,15 +546,7 @@ class PlaywrightRunner {
       logger.info('Waiting for page readiness via stable selectors...');
 
       // Race on stable selectors (any locale)
-      const readinessSelectors = [
-        'main[role="main"]',                           // Feed container
-        '[data-view-name="feed"]',                     // Feed view
-        '.scaffold-layout__main',                      // Main layout
-        '[aria-label*="reaction" i]',                  // Any post with reactions
-        'div.feed-shared-update-v2',                   // Post container
-        'nav.global-nav',                              // Global navigation
-        'header.global-nav__content'                   // Header nav
-      ];
+      const readinessSelectors = selectorRegistry.get('feedReady');
 
       // Wait for any of these selectors to appear (race condition)
       const result = await Promise.race([
@@ -494,14 +572,34 @@ class PlaywrightRunner {
   }
 
   /**
-   * Stop Playwright session
+   * Pick the locale pack from the page's <html lang> (LINKEDIN_LOCALE overrides it).
+   * A language without a pack falls back to English.
+   */
+  async detectLocale() {
+    const lang = await this.page.locator('html').getAttribute('lang').catch(() => null);
+    this.locale = localePacks.resolve(process.env.LINKEDIN_LOCALE || lang);
+    logger.info('Page locale detected', { lang: lang || '(none)', locale: this.locale });
+    return this.locale;
+  }
+
+  /**
+   * Stop Playwright session, save trace/video artifacts and close the browser
+   * @param {string} reason - completedReason to record if none was set yet
    */
-  async stop() {
+  async stop(reason = 'manual_stop') {
     logger.info('Stopping Playwright runner...');
 
     // Set stop flag for graceful loop exit
     this.stopRequested = true;
     this.keyboardLoopActive = false;
+    if (!this.completedReason) {
+      this.completedReason = reason;
+    }
+
+    // Release a comment waiting for review so the loop can exit
+    if (this._reviewResolver) {
+      this._reviewResolver({ action: 'reject' });
+    }
 
     // Prepare absolute paths for artifacts
     const path = require('path');
@@ -515,7 +613,7 @@ class PlaywrightRunner {
     // Save tracing before cleanup
     if (this.context && this.sessionId) {
       try {
-        const tracePath = path.join(__dirname, '..', 'runs', this.sessionId, 'trace.zip');
+        const tracePath = path.join(ledger.getSessionDir(this.sessionId), 'trace.zip');
         await this.context.tracing.stop({ path: tracePath });
 
         // Resolve to absolute path
@@ -531,7 +629,7 @@ class PlaywrightRunner {
     // Find video file (Playwright names it video-1.webm, video-2.webm, etc.)
     if (this.sessionId) {
       try {
-        const sessionDir = path.join(__dirname, '..', 'runs', this.sessionId);
+        const sessionDir = ledger.getSessionDir(this.sessionId);
         const files = fs.readdirSync(sessionDir);
         const videoFile = files.find(f => f.startsWith('video-') && f.endsWith('.webm'));
 
@@ -544,10 +642,27 @@ class PlaywrightRunner {
       }
     }
 
+    this.cleanupTempData();
     await this.cleanup();
 
     const finalStats = { ...this.sessionStats };
     this.resetStats();
+    this.seenPostIds.clear();
+
+    ledger.close({
+      completedReason: this.completedReason,
+      stats: finalStats,
+      artifacts: artifactPaths
+    });
+
+    this.lastSession = {
+      sessionId: this.sessionId,
+      completedReason: this.completedReason,
+      endedAt: new Date().toISOString(),
+      stats: finalStats,
+      artifacts: artifactPaths
+    };
+    this.emitEvent('session_ended', { reason: this.completedReason, stats: finalStats, artifacts: artifactPaths });
 
     // Log absolute paths for easy replay
     if (artifactPaths.traceFile || artifactPaths.videoFile) {
@@ -558,13 +673,14 @@ class PlaywrightRunner {
       });
     }
 
-    logger.success('[SUCCESS] Runner stopped and browser closed', finalStats);
+    logger.success('[SUCCESS] Runner stopped and browser closed', { ...finalStats, completedReason: this.completedReason });
 
     return {
       success: true,
       message: 'Runner stopped',
       stats: finalStats,
       sessionId: this.sessionId,
+      completedReason: this.completedReason,
       artifacts: artifactPaths
     };
   }
@@ -585,20 +701,38 @@ class PlaywrightRunner {
       isPaused: this.isPaused,
       status: this.isPaused ? 'paused' : (this.keyboardLoopActive ? 'running' : 'stopped'),
       stats: this.sessionStats,
-      thresholds,
-      sessionId: this.sessionId
+      thresholds: { ...thresholds, ...this.getThresholds() },
+      dailyCommentsPosted: this.getDailyCommentCount(),
+      sessionId: this.sessionId,
+      completedReason: this.completedReason,
+      lastSession: this.lastSession,
+      commentProvider: this.getCommentProviderConfig().type,
+      decisionSource: this.scoring?.source || 'webhook',
+      decisionPolicy: this.getDecisionPolicy(),
+      decisionBreaker: this.decisionBreaker,
+      dedup: this.getDedupRules(),
+      queue: this.getQueueSummary(),
+      feedSource: this.getFeedSourceSummary(),
+      selectors: selectorRegistry.getInfo(),
+      locale: this.locale,
+      workers: workerPool.getMetrics(),
+      activity: { webhook: this.getActivityConfig().url, queued: this.requestQueue.length, ...activityOutbox.getMetrics() },
+      reviewMode: this.reviewMode,
+      pendingReview: this.pendingReview
     };
   }
 
   /**
    * Pause the running automation
+   * @param {string} reason - 'user' or 'circuit_breaker'
    */
-  pause() {
+  pause(reason = 'user') {
     if (!this.keyboardLoopActive) {
       return { success: false, error: 'No active automation' };
     }
     this.isPaused = true;
-    this.logger.info('Automation paused by user');
+    this.logger.info(`Automation paused (${reason})`);
+    this.emitEvent('paused', { reason });
     return { success: true, status: 'paused' };
   }
 
@@ -613,51 +747,78 @@ class PlaywrightRunner {
       return { success: false, error: 'Automation is not paused' };
     }
     this.isPaused = false;
+    if (this.decisionBreaker.trippedAt && this.decisionBreaker.action === 'pause') {
+      this.resetDecisionBreaker();
+    }
     this.logger.info('Automation resumed by user');
+    this.emitEvent('resumed', { reason: 'user' });
     return { success: true, status: 'running' };
   }
 
   /**
-   * Check if currently focused element is inside a post (div[data-id])
+   * Check if currently focused element is inside a post (div[data-id] on the home feed,
+   * the feed source's container elsewhere)
    */
   async isInsidePost() {
     if (!this.page) return null;
-    
-    const result = await this.page.evaluate(() => {
+
+    const detection = feedSources.detection(this.feedSource ? this.feedSource.type : 'home');
+    const selectors = {
+      likeButton: selectorRegistry.get('likeButton'),
+      commentAuthor: selectorRegistry.get('commentAuthor'),
+      ...selectorRegistry.pick('post', 'commentSection')
+    };
+    const result = await this.page.evaluate(({ container, idAttributes, idPattern, textSelector, authorSelector, selectors }) => {
       const focused = document.activeElement;
       if (!focused) return null;
       
-      // Find closest div[data-id] ancestor
-      const postDiv = focused.closest('div[data-id]');
+      // Find closest post container ancestor
+      const postDiv = focused.closest(container);
       if (!postDiv) return null;
       
       // Check if we're in a comment section (avoid nested posts)
-      const isInCommentSection = postDiv.closest('.comments-comment-entity, .comments-thread-entity, .comments-comment-list');
+      const isInCommentSection = postDiv.closest(selectors.commentSection);
       if (isInCommentSection) return null;
       
       // Only detect main feed posts, not nested elements
-      const isMainFeedPost = postDiv.classList.contains('feed-shared-update-v2') || 
-                             postDiv.querySelector('.feed-shared-update-v2');
+      const isMainFeedPost = postDiv.matches(selectors.post) || 
+                             postDiv.querySelector(selectors.post);
       if (!isMainFeedPost) return null;
+
+      // Search and activity pages also list people/job cards - only post URNs count there
+      const postId = idAttributes.map(name => postDiv.getAttribute(name)).find(Boolean);
+      if (!postId || (idPattern && !new RegExp(idPattern).test(postId))) return null;
       
       // Extract post content text
-      const textElement = postDiv.querySelector('.feed-shared-update-v2__description');
+      const textElement = postDiv.querySelector(textSelector);
       const postContent = textElement ? textElement.innerText : '';
       
       // Extract author name
-      const authorElement = postDiv.querySelector('.update-components-actor__name');
+      const authorElement = postDiv.querySelector(authorSelector);
       const authorName = authorElement ? authorElement.innerText : '';
+
+      // Our earlier engagement: the post's own Like (not a comment's) is pressed, and who commented
+      const likeButton = selectors.likeButton
+        .flatMap(selector => Array.from(postDiv.querySelectorAll(selector)))
+        .find(button => !button.closest(selectors.commentSection));
+      const commentAuthors = selectors.commentAuthor
+        .flatMap(selector => Array.from(postDiv.querySelectorAll(selector)))
+        .map(el => el.innerText);
       
       return {
-        postId: postDiv.getAttribute('data-id'),
+        postId,
         postHTML: postDiv.outerHTML,  // Fixed: Use outerHTML instead of innerHTML
         postContent: postContent,
         authorName: authorName,
+        likePressed: likeButton ? likeButton.getAttribute('aria-pressed') === 'true' : false,
+        commentAuthors,
         htmlLength: postDiv.outerHTML.length  // Track size for debugging
       };
-    });
+    }, { ...detection, selectors });
 
     if (result) {
+      result.engagement = await this.getOwnEngagement(result);
+
       this.logger.info('📋 Post HTML extracted', {
         postId: result.postId,
         htmlLength: result.htmlLength,
@@ -668,6 +829,40 @@ class PlaywrightRunner {
     return result;
   }
 
+  /**
+   * Display name of the signed-in member: LINKEDIN_PROFILE_NAME, else the nav avatar's alt text.
+   * Cached once found (the nav may not be rendered on the first call).
+   */
+  async getOwnProfileName() {
+    if (this.ownProfileName) return this.ownProfileName;
+
+    let name = (process.env.LINKEDIN_PROFILE_NAME || '').trim();
+    if (!name && this.page) {
+      const photo = await this.findFirst(this.page, selectorRegistry.get('ownProfilePhoto')).catch(() => null);
+      const alt = photo ? await photo.getAttribute('alt').catch(() => null) : null;
+      name = localePacks.nameFromPhotoAlt(alt, this.locale);
+    }
+
+    if (name) {
+      this.ownProfileName = name;
+      this.logger.info('Signed-in member detected', { name });
+    }
+    return name || null;
+  }
+
+  /**
+   * What the feed shows we already did on a post: { liked, commented }.
+   * Takes the likePressed / commentAuthors read from the post's DOM; our comments are matched by display name.
+   */
+  async getOwnEngagement({ likePressed = false, commentAuthors = [] }) {
+    let commented = false;
+    if (commentAuthors.length > 0) {
+      const own = engagementIndex.authorKey(await this.getOwnProfileName());
+      commented = !!own && commentAuthors.some(name => engagementIndex.authorKey(name) === own);
+    }
+    return { liked: !!likePressed, commented };
+  }
+
 
 
   /**
@@ -676,6 +871,13 @@ class PlaywrightRunner {
   async injectHUD() {
     if (!this.page) return;
 
+    // Review-mode buttons in the HUD call straight into the runner (no API token in page context)
+    try {
+      await this.page.exposeFunction('linkrightSubmitReview', (decision) => this.submitReview(decision));
+    } catch (error) {
+      logger.warn('Failed to expose review bridge to HUD', { error: error.message });
+    }
+
     try {
       await this.page.addInitScript(() => {
         // Only add HUD to top-level window (not iframes)
@@ -709,6 +911,15 @@ class PlaywrightRunner {
           <div id="hud-postid" style="margin: 5px 0; color: #E0E0E0; font-size: 10px; word-break: break-all; line-height: 1.3;"><strong>Post ID:</strong><br><span id="hud-postid-text">-</span></div>
           <div id="hud-engage" style="margin: 5px 0; padding: 4px 8px; border-radius: 4px; background: rgba(255,255,255,0.1);"><strong>Engage:</strong> <span id="hud-engage-text" style="font-weight: 700; color: #FFD700;">-</span></div>
           <div id="hud-progress" style="margin: 5px 0; color: #FFD700; font-weight: 600;"><span id="hud-progress-text">0 / 0</span></div>
+          <div id="hud-review" style="display: none; margin-top: 8px; pointer-events: auto;">
+            <div style="font-weight: 600; color: #FFD700; margin-bottom: 4px;">Review comment</div>
+            <textarea id="hud-review-text" style="width: 100%; height: 90px; box-sizing: border-box; font-size: 11px; border-radius: 4px; border: none; padding: 4px;"></textarea>
+            <div style="display: flex; gap: 4px; margin-top: 4px;">
+              <button data-review-action="approve" style="flex: 1; padding: 4px; background: #4CAF50; color: white; border: none; border-radius: 4px; font-size: 10px; cursor: pointer;">Approve</button>
+              <button data-review-action="regenerate" style="flex: 1; padding: 4px; background: #2196F3; color: white; border: none; border-radius: 4px; font-size: 10px; cursor: pointer;">Regenerate</button>
+              <button data-review-action="reject" style="flex: 1; padding: 4px; background: #757575; color: white; border: none; border-radius: 4px; font-size: 10px; cursor: pointer;">Reject</button>
+            </div>
+          </div>
           <button id="hud-stop-btn" style="
             margin-top: 10px;
             width: 100%;
@@ -773,6 +984,24 @@ class PlaywrightRunner {
           });
         }
 
+        // Review buttons - approving changed text submits it as an edit
+        const reviewPanel = hud.querySelector('#hud-review');
+        reviewPanel.addEventListener('click', async (event) => {
+          const button = event.target.closest('[data-review-action]');
+          if (!button || !window.linkrightSubmitReview) return;
+
+          const text = hud.querySelector('#hud-review-text').value;
+          let action = button.dataset.reviewAction;
+          if (action === 'approve' && text.trim() !== reviewPanel.dataset.original) {
+            action = 'edit';
+          }
+
+          const result = await window.linkrightSubmitReview({ id: reviewPanel.dataset.reviewId, action, comment: text });
+          if (!result || !result.success) {
+            console.warn('LinkRight review failed:', result && result.error);
+          }
+        });
+
         // Expose global update function
         window.updateLinkRightHUD = function(state) {
           const actionText = document.getElementById('hud-action-text');
@@ -805,6 +1034,22 @@ class PlaywrightRunner {
           if (state.commentsPosted !== undefined && state.maxComments !== undefined && progressText) {
             progressText.textContent = `${state.commentsPosted} / ${state.maxComments} posted`;
           }
+
+          if (state.review !== undefined) {
+            const reviewText = hud.querySelector('#hud-review-text');
+            if (state.review) {
+              // Only reset the textarea for a new review so in-progress edits survive HUD refreshes
+              if (reviewPanel.dataset.reviewId !== state.review.id) {
+                reviewPanel.dataset.reviewId = state.review.id;
+                reviewPanel.dataset.original = state.review.comment.trim();
+                reviewText.value = state.review.comment;
+              }
+              reviewPanel.style.display = 'block';
+            } else {
+              reviewPanel.dataset.reviewId = '';
+              reviewPanel.style.display = 'none';
+            }
+          }
         };
       });
 
@@ -911,7 +1156,7 @@ class PlaywrightRunner {
       if (urn) return urn;
 
       // Strategy 2: Find permalink in post
-      const linkElement = await postElement.$('a[href*="/posts/"], a[href*="/feed/update/"]');
+      const linkElement = await postElement.$(selectorRegistry.selector('postLink'));
       if (linkElement) {
         const href = await linkElement.getAttribute('href');
         if (href) {
@@ -932,6 +1177,7 @@ class PlaywrightRunner {
 
   /**
    * Extract metrics using layered selector strategies
+   * Returns the raw count labels (e.g. "1,204 reactions", 0 if not found) - parse with parseMetricsSafe
    */
   async extractMetricsWithLayeredSelectors(postElement) {
     const metrics = {
@@ -941,36 +1187,20 @@ class PlaywrightRunner {
     };
 
     // Extract reactions
-    metrics.reactions = await this.extractEngagementMetric(postElement, [
-      '[data-testid*="social-actions"] button[aria-label*="reaction"]',
-      'button[aria-label*="reaction"]',
-      '.social-details-social-counts__reactions-count',
-      '.reactions-count',
-      '[class*="reactions"]'
-    ], 'reaction');
+    metrics.reactions = await this.extractEngagementMetric(postElement, selectorRegistry.get('reactionsCount'), 'reaction');
 
     // Extract comments
-    metrics.comments = await this.extractEngagementMetric(postElement, [
-      '[data-testid*="social-actions"] button[aria-label*="comment"]',
-      'button[aria-label*="comment"]',
-      '.social-details-social-counts__comments',
-      '[class*="comment"][class*="count"]'
-    ], 'comment');
+    metrics.comments = await this.extractEngagementMetric(postElement, selectorRegistry.get('commentsCount'), 'comment');
 
     // Extract reposts
-    metrics.reposts = await this.extractEngagementMetric(postElement, [
-      '[data-testid*="social-actions"] button[aria-label*="repost"]',
-      'button[aria-label*="repost"]',
-      '.social-details-social-counts__shares',
-      '[class*="repost"][class*="count"]',
-      '[aria-label*="repost"]'
-    ], 'repost');
+    metrics.reposts = await this.extractEngagementMetric(postElement, selectorRegistry.get('repostsCount'), 'repost');
 
     return metrics;
   }
 
   /**
-   * Extract a single engagement metric using fallback selectors
+   * Extract a single engagement metric label using fallback selectors
+   * Returns the first label that parses to a count, or 0
    */
   async extractEngagementMetric(postElement, selectors, metricType) {
     for (const selector of selectors) {
@@ -988,12 +1218,12 @@ class PlaywrightRunner {
           return el.innerText || el.textContent || '';
         });
 
-        if (text) {
-          // Parse the number (handles "1.2k", "1M", etc.)
-          const count = this.parseEngagementCount(text);
+        if (text && /\d/.test(text)) {
+          // Only accept labels that carry a number (handles "1,204", "1.2K", "1M", etc.)
+          const count = this.parseCount(text);
           if (count > 0) {
             logger.info(`Extracted ${metricType}: ${count} from "${text}"`);
-            return count;
+            return text;
           }
         }
       } catch (error) {
@@ -1079,13 +1309,13 @@ class PlaywrightRunner {
 
     try {
       // Extract post text
-      const contentEl = await postElement.$('.feed-shared-update-v2__description');
+      const contentEl = await postElement.$(selectorRegistry.selector('postText'));
       if (contentEl) {
         data.text = await contentEl.innerText();
       }
 
       // Extract author
-      const authorEl = await postElement.$('.update-components-actor__name');
+      const authorEl = await postElement.$(selectorRegistry.selector('postAuthor'));
       if (authorEl) {
         data.author = await authorEl.innerText();
       }
@@ -1105,44 +1335,445 @@ class PlaywrightRunner {
    */
 
   /**
-   * Post a comment
+   * Activity URN from an URN, a permalink (/feed/update/urn:li:activity:.../ or /posts/...-activity-<id>-...)
+   * or a bare activity id
+   */
+  normalizeActivityUrn(value) {
+    const text = String(value || '').trim();
+    const urn = text.match(/urn(?::|%3A)li(?::|%3A)activity(?::|%3A)(\d+)/i) ||
+      text.match(/linkedin\.com\/posts\/[^?#\s]*activity-(\d+)/i); // /posts/<slug>-activity-<id>-<hash>
+    if (urn) return `urn:li:activity:${urn[1]}`;
+    return /^\d{10,}$/.test(text) ? `urn:li:activity:${text}` : null;
+  }
+
+  /**
+   * First element under root matching any of the selectors, or null
+   */
+  async findFirst(root, selectors) {
+    for (const selector of selectors) {
+      const locator = root.locator(selector).first();
+      if (await locator.count() > 0) return locator;
+    }
+    return null;
+  }
+
+  /**
+   * Poll until check() is truthy or the timeout passes
    */
-  async postComment(postId, commentText) {
-    logger.info('Posting comment', { postId, length: commentText.length });
+  async waitForCondition(check, timeoutMs = 5000, intervalMs = 200) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      if (await check().catch(() => false)) return true;
+      if (Date.now() >= deadline) return false;
+      await this.page.waitForTimeout(intervalMs);
+    }
+  }
 
-    // Human-like delay
-    await this.randomDelay();
+  /**
+   * Find a post by activity URN on the current page; opens its permalink when it is not there
+   */
+  async locatePost(postId) {
+    const selector = feedSources.postSelector(postId);
+    let post = this.page.locator(selector).first();
+
+    if (await post.count() === 0) {
+      const permalink = new URL(`/feed/update/${postId}/`, this.page.url()).toString();
+      logger.info('Post not on current page, opening permalink', { postId, permalink });
+      await this.page.goto(permalink, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      post = this.page.locator(selector).first();
+      await post.waitFor({ state: 'attached', timeout: 10000 }).catch(() => {});
+      if (await post.count() === 0) return null;
+    }
 
-    // TODO: Implement actual comment posting logic
-    // This is a placeholder - real implementation would:
-    // 1. Find the post by ID
-    // 2. Click comment button
-    // 3. Type into editor
-    // 4. Click submit
+    await post.scrollIntoViewIfNeeded().catch(() => {});
+    return post;
+  }
 
-    logger.success('Comment posted successfully', { postId });
+  /**
+   * Structured result of a targeted action
+   * status: done | already_done | not_found | unverified | invalid | blocked (engagement index, daily cap) | failed
+   * (success for done/already_done)
+   */
+  actionOutcome(action, target, status, startedAt, details = {}) {
+    return {
+      action,
+      target,
+      status,
+      success: status === 'done' || status === 'already_done',
+      verified: status === 'done' || status === 'already_done',
+      error: null,
+      durationMs: Date.now() - startedAt,
+      ...details
+    };
   }
 
   /**
-   * Like a post
+   * Like a post by activity URN; verified through the Like button's aria-pressed state.
+   * An already-liked post is left alone (clicking again would un-like it).
    */
   async likePost(postId) {
-    logger.info('Liking post', { postId });
-    await this.randomDelay();
-    // TODO: Implement like logic
-    logger.success('Post liked', { postId });
+    const startedAt = Date.now();
+    const urn = this.normalizeActivityUrn(postId);
+    const outcome = (status, details) => this.actionOutcome('like', urn || postId, status, startedAt, details);
+
+    if (!this.page) return outcome('failed', { error: 'Runner not active' });
+    if (!urn) return outcome('invalid', { error: 'Not an activity URN or permalink' });
+
+    logger.info('Liking post', { postId: urn });
+
+    try {
+      const post = await this.locatePost(urn);
+      if (!post) return outcome('not_found', { error: 'Post not found' });
+
+      const likeButton = await this.findFirst(post, selectorRegistry.get('likeButton'));
+      if (!likeButton) return outcome('not_found', { error: 'Like button not found' });
+
+      if (await likeButton.getAttribute('aria-pressed') === 'true') {
+        logger.info('Post already liked', { postId: urn });
+        return outcome('already_done');
+      }
+
+      await likeButton.click();
+      const liked = await this.waitForCondition(async () => await likeButton.getAttribute('aria-pressed') === 'true');
+      if (!liked) return outcome('unverified', { error: 'Like button did not switch to pressed' });
+
+      this.sessionStats.likesGiven++;
+      logger.success('Post liked', { postId: urn });
+      return outcome('done');
+    } catch (error) {
+      logger.error('Failed to like post', { postId: urn, error: error.message });
+      return outcome('failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Comment on a post by activity URN: open its editor, type, press Post and wait for the
+   * comment to show up in the post's comment list. Without commentText the session's
+   * comment provider writes one from the post text.
+   */
+  async postComment(postId, commentText = null) {
+    const startedAt = Date.now();
+    const urn = this.normalizeActivityUrn(postId);
+    const outcome = (status, details) => this.actionOutcome('comment', urn || postId, status, startedAt, details);
+
+    if (!this.page) return outcome('failed', { error: 'Runner not active' });
+    if (!urn) return outcome('invalid', { error: 'Not an activity URN or permalink' });
+
+    // Targeted comments count towards MAX_COMMENTS_PER_DAY like the feed loop's
+    const { maxDailyComments } = this.getThresholds();
+    const postedToday = this.getDailyCommentCount();
+    if (maxDailyComments > 0 && postedToday >= maxDailyComments) {
+      logger.warn('Comment blocked by daily cap', { postId: urn, postedToday, maxDailyComments });
+      return outcome('blocked', { reason: 'daily_cap', error: `Daily comment cap reached (${postedToday}/${maxDailyComments})` });
+    }
+
+    try {
+      const post = await this.locatePost(urn);
+      if (!post) return outcome('not_found', { error: 'Post not found' });
+
+      const authorEl = await this.findFirst(post, selectorRegistry.get('postAuthor'));
+      const authorName = authorEl ? (await authorEl.innerText()).trim() : '';
+
+      const dedup = engagementIndex.check({ postId: urn, author: authorName }, this.getDedupRules());
+      if (!dedup.allowed) {
+        logger.info('Comment blocked by engagement index', { postId: urn, rule: dedup.rule });
+        // Same post = the comment is already there; an author cooldown is a refusal
+        return outcome(dedup.rule === 'same_post' ? 'already_done' : 'blocked', {
+          rule: dedup.rule,
+          lastCommentedAt: dedup.lastCommentedAt,
+          error: dedup.rule === 'same_post' ? null : dedup.reason
+        });
+      }
+
+      // Commented outside the runner (our name is in the comment list)
+      const commentAuthors = [];
+      for (const selector of selectorRegistry.get('commentAuthor')) {
+        commentAuthors.push(...await post.locator(selector).allInnerTexts());
+      }
+      if ((await this.getOwnEngagement({ commentAuthors })).commented && this.getDedupRules().samePost) {
+        logger.info('Post already has our comment', { postId: urn });
+        engagementIndex.record({ postId: urn, author: authorName, sessionId: this.sessionId, source: 'dom' });
+        return outcome('already_done', { rule: 'same_post' });
+      }
+
+      let text = String(commentText || '').trim();
+      if (!text) {
+        const textEl = await this.findFirst(post, selectorRegistry.get('postText'));
+        text = await this.generateComment({
+          postId: urn,
+          postText: textEl ? (await textEl.innerText()).trim() : '',
+          authorName,
+          actionType: 'comment',
+          timestamp: new Date().toISOString()
+        }) || '';
+        if (!text) return outcome('failed', { error: 'No comment returned by provider' });
+      }
+
+      logger.info('Posting comment', { postId: urn, length: text.length });
+
+      let editor = await this.findFirst(post, selectorRegistry.get('commentEditor'));
+      if (!editor || !(await editor.isVisible())) {
+        const commentButton = await this.findFirst(post, selectorRegistry.get('commentButton'));
+        if (!commentButton) return outcome('not_found', { error: 'Comment button not found', comment: text });
+        await commentButton.click();
+        await this.waitForCondition(async () => {
+          editor = await this.findFirst(post, selectorRegistry.get('commentEditor'));
+          return editor && await editor.isVisible();
+        });
+      }
+      if (!editor || !(await editor.isVisible())) {
+        return outcome('not_found', { error: 'Comment editor did not open', comment: text });
+      }
+
+      await editor.click();
+      await this.page.keyboard.insertText(text);
+
+      const submitButton = await this.findFirst(post, selectorRegistry.get('commentSubmit'));
+      if (!submitButton) return outcome('not_found', { error: 'Post button not found', comment: text });
+      const enabled = await this.waitForCondition(() => submitButton.isEnabled());
+      if (!enabled) return outcome('failed', { error: 'Post button stayed disabled', comment: text });
+
+      const before = await this.countCommentMatches(post, text);
+
+      await submitButton.click();
+      const verification = await this.verifyCommentPosted(post, text, before);
+      if (verification.status !== 'verified') {
+        await this.clearCommentEditor(post);
+        return verification.status === 'error_toast'
+          ? outcome('failed', { error: `LinkedIn error: ${verification.message}`, comment: text, verification })
+          : outcome('unverified', { error: 'Comment did not appear in the comment list', comment: text, verification });
+      }
+
+      this.sessionStats.commentsPosted++;
+      this.recordDailyComment();
+      engagementIndex.record({ postId: urn, author: authorName, sessionId: this.sessionId, source: 'targeted' });
+      logger.success('Comment posted successfully', { postId: urn });
+      return outcome('done', { comment: text });
+    } catch (error) {
+      logger.error('Failed to post comment', { postId: urn, error: error.message });
+      return outcome('failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Comments in a post's comment list that start like text (LinkedIn may reflow or truncate long ones)
+   */
+  async countCommentMatches(post, text) {
+    const snippet = String(text).slice(0, 60);
+    let count = 0;
+    for (const selector of selectorRegistry.get('commentItem')) {
+      count += await post.locator(selector).filter({ hasText: snippet }).count();
+    }
+    return count;
+  }
+
+  /**
+   * Wait for a submitted comment to show up in the post's comment list (COMMENT_VERIFY_TIMEOUT_MS, default 10s).
+   * An error toast ends the wait early.
+   * @param {number} before - countCommentMatches() before submitting
+   * @returns {Promise<Object>} { status: verified | error_toast | not_confirmed, waitedMs, message }
+   */
+  async verifyCommentPosted(post, text, before, timeoutMs = parseInt(process.env.COMMENT_VERIFY_TIMEOUT_MS) || 10000) {
+    const startedAt = Date.now();
+    let toast = null;
+
+    const appeared = await this.waitForCondition(async () => {
+      if (await this.countCommentMatches(post, text) > before) return true;
+      toast = await this.findFirst(this.page, selectorRegistry.get('errorToast'));
+      return !!toast;
+    }, timeoutMs, 250);
+
+    const waitedMs = Date.now() - startedAt;
+    if (toast) {
+      const message = (await toast.innerText().catch(() => '')).trim() || 'Error toast shown';
+      return { status: 'error_toast', waitedMs, message };
+    }
+    return { status: appeared ? 'verified' : 'not_confirmed', waitedMs, message: null };
+  }
+
+  /**
+   * Leave a post without a half-written comment: empty its editor and close it with Escape
+   */
+  async clearCommentEditor(post) {
+    try {
+      const editor = await this.findFirst(post, selectorRegistry.get('commentEditor'));
+      if (editor && await editor.isVisible()) {
+        await editor.focus();
+        await this.page.keyboard.press(process.platform === 'darwin' ? 'Meta+KeyA' : 'Control+KeyA');
+        await this.page.keyboard.press('Backspace');
+      }
+      await this.page.keyboard.press('Escape');
+    } catch (error) {
+      logger.warn('Failed to clear comment editor', { error: error.message });
+    }
+  }
+
+  /**
+   * Send a connection request from a profile page. target is a profile URL, a public
+   * profile id ("jane-doe") or an activity URN (connects with the post's author).
+   * Verified by the Connect control turning into Pending.
+   */
+  async sendConnection(target, message = '') {
+    const startedAt = Date.now();
+    const outcome = (status, details) => this.actionOutcome('connect', target, status, startedAt, details);
+
+    if (!this.page) return outcome('failed', { error: 'Runner not active' });
+    if (!target) return outcome('invalid', { error: 'Profile URL, profile id or activity URN required' });
+
+    try {
+      const profileUrl = await this.resolveProfileUrl(target);
+      if (!profileUrl) return outcome('not_found', { error: 'Could not resolve a profile for target' });
+
+      logger.info('Sending connection request', { profileUrl, withNote: Boolean(message) });
+      await this.page.goto(profileUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+      const pendingVisible = async () => {
+        const pending = await this.findFirst(this.page, this.connectSelectors('pendingButton'));
+        return Boolean(pending && await pending.isVisible());
+      };
+
+      if (await pendingVisible()) {
+        return outcome('already_done', { profileUrl, state: 'pending' });
+      }
+      const degree = await this.findFirst(this.page, selectorRegistry.get('degreeBadge'));
+      if (degree && postParser.parseDegree(await degree.innerText()) === 1) {
+        return outcome('already_done', { profileUrl, state: 'connected' });
+      }
+
+      let connectButton = await this.findFirst(this.page, this.connectSelectors('connectButton'));
+      if (!connectButton || !(await connectButton.isVisible())) {
+        // Connect is often tucked into the "More" menu (e.g. when Follow is the primary action)
+        const moreButton = await this.findFirst(this.page, this.connectSelectors('moreActions'));
+        if (moreButton) {
+          await moreButton.click();
+          connectButton = await this.findFirst(this.page, this.connectSelectors('connectMenuItem'));
+        }
+      }
+      if (!connectButton) return outcome('not_found', { profileUrl, error: 'Connect control not found' });
+
+      await connectButton.click();
+      const dialog = this.page.locator(selectorRegistry.selector('inviteDialog')).first();
+      await dialog.waitFor({ state: 'visible', timeout: 5000 });
+
+      if (message) {
+        const addNote = await this.findFirst(dialog, this.connectSelectors('addNoteButton'));
+        if (addNote) {
+          await addNote.click();
+          const note = await this.findFirst(dialog, selectorRegistry.get('noteInput'));
+          if (note) await note.fill(String(message).slice(0, 300));
+        } else {
+          logger.warn('Add a note not offered, sending without note', { profileUrl });
+        }
+      }
+
+      let sendButton = null;
+      for (const selector of this.connectSelectors('sendInvite')) {
+        const candidate = dialog.locator(selector).first();
+        if (await candidate.count() > 0 && await candidate.isVisible()) {
+          sendButton = candidate;
+          break;
+        }
+      }
+      if (!sendButton) return outcome('not_found', { profileUrl, error: 'Send invitation button not found' });
+
+      await sendButton.click();
+      if (!(await this.waitForCondition(pendingVisible))) {
+        return outcome('unverified', { profileUrl, error: 'Connect did not switch to Pending' });
+      }
+
+      this.sessionStats.connectionsRequested++;
+      logger.success('Connection request sent', { profileUrl });
+      return outcome('done', { profileUrl });
+    } catch (error) {
+      logger.error('Failed to send connection request', { target, error: error.message });
+      return outcome('failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Selectors for a connect-flow role: the page locale's labels first, then the selector profile's
+   */
+  connectSelectors(role) {
+    return [...new Set([...localePacks.connectSelectors(role, this.locale), ...selectorRegistry.get(role)])];
+  }
+
+  /**
+   * Profile URL for sendConnection: URLs pass through, activity URNs use the post's actor link
+   */
+  async resolveProfileUrl(target) {
+    const value = String(target).trim();
+    const urn = this.normalizeActivityUrn(value);
+
+    if (urn) {
+      const post = await this.locatePost(urn);
+      const actorLink = post ? await this.findFirst(post, selectorRegistry.get('actorLink')) : null;
+      return actorLink ? actorLink.evaluate(link => link.href) : null;
+    }
+    if (/^https?:\/\//i.test(value)) return value;
+
+    return `https://www.linkedin.com/in/${encodeURIComponent(value.replace(/^\/?in\//, '').replace(/\/$/, ''))}/`;
   }
 
   /**
-   * Send connection request
+   * Run targeted actions one after another with a human-like delay in between
+   * @param {Array<Object>} actions - { type: like|comment|connect, postId, comment, profile, message }
+   * @returns {Promise<Array<Object>>} One actionOutcome per action (skipped ones once stop is requested)
    */
-  async sendConnection(userId, message) {
-    logger.info('Sending connection request', { userId });
-    await this.randomDelay();
-    // TODO: Implement connection logic
-    logger.success('Connection request sent', { userId });
+  async runActions(actions) {
+    const results = [];
+
+    for (let i = 0; i < actions.length; i++) {
+      const action = actions[i];
+      if (this.stopRequested || !this.isRunning) {
+        results.push(this.actionOutcome(action.type, action.postId || action.profile, 'failed', Date.now(), { error: 'Runner stopped' }));
+        continue;
+      }
+
+      let result;
+      if (action.type === 'like') result = await this.likePost(action.postId);
+      else if (action.type === 'comment') result = await this.postComment(action.postId, action.comment);
+      else result = await this.sendConnection(action.profile || action.postId, action.message);
+      results.push(result);
+
+      ledger.append({
+        postId: result.target,
+        mode: 'targeted',
+        action: result.action,
+        comment: result.comment || null,
+        outcome: result.status,
+        error: result.error,
+        timings: { totalMs: result.durationMs }
+      });
+
+      if (i < actions.length - 1) await this.randomDelay();
+    }
+
+    return results;
   }
 
+  /**
+   * Load the feed again and check the selector profile against its first posts (see selector-health.js)
+   * @param {Object} options - { posts: how many posts to check, feedUrl: page to load instead of the session's feed }
+   * @returns {Object} report (saved under runs/selector-health-<ms>/)
+   */
+  async checkSelectorHealth({ posts = 5, feedUrl = null } = {}) {
+    if (!this.page) {
+      throw new Error('Runner not active');
+    }
+
+    const target = feedUrl || this.feedUrl || process.env.LINKEDIN_FEED_URL || 'https://www.linkedin.com/feed/';
+    logger.info('Selector health check: loading feed', { url: target });
+    await this.page.goto(target, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await this.dismissCookieBanner();
+    const ready = await this.waitForPageReadiness();
+
+    const report = await selectorHealth.run(this.page, {
+      posts,
+      source: !feedUrl && this.feedSource ? this.feedSource.type : 'home'
+    });
+    report.pageReady = ready;
+    return report;
+  }
 
   /**
    * Random delay for human-like behavior
@@ -1179,6 +1810,16 @@ class PlaywrightRunner {
       }
       this.browser = null;
     }
+
+    // Persistent contexts have no browser handle - closing the context finalizes the video
+    if (this.context) {
+      try {
+        await this.context.close();
+      } catch (error) {
+        logger.warn('Error closing context', { error: error.message });
+      }
+      this.context = null;
+    }
   }
 
   /**
@@ -1190,11 +1831,31 @@ class PlaywrightRunner {
       likesGiven: 0,
       connectionsRequested: 0,
       postsProcessed: 0,
+      decisionsDefaulted: 0,
       errors: 0,
       startTime: null
     };
   }
 
+  /**
+   * Session thresholds from the start-keyboard body. An omitted time limit / daily cap falls back to
+   * .env so a safety cap isn't lost when the extension leaves it out; an explicit 0 turns it off.
+   */
+  resolveThresholds(thresholds = {}) {
+    const limit = (value, envValue, fallback) => (value !== undefined
+      ? parseInt(value)
+      : parseInt(envValue) || fallback);
+
+    return {
+      minLikes: parseInt(thresholds.minReactions) || this.defaults.minLikes,
+      minComments: parseInt(thresholds.minComments) || this.defaults.minComments,
+      minReposts: parseInt(thresholds.minReposts) || this.defaults.minReposts,
+      maxActions: parseInt(thresholds.maxActions) || this.defaults.maxActions,
+      maxSessionMinutes: limit(thresholds.maxSessionMinutes, process.env.SESSION_TIMEOUT_MINS, this.defaults.maxSessionMinutes),
+      maxDailyComments: limit(thresholds.maxDailyComments, process.env.MAX_COMMENTS_PER_DAY, this.defaults.maxDailyComments)
+    };
+  }
+
   /**
    * Get thresholds with fallbacks and safe clamping
    */
@@ -1204,13 +1865,20 @@ class PlaywrightRunner {
       minLikes: parseInt(process.env.MIN_REACTIONS_THRESHOLD) || this.defaults.minLikes,
       minComments: parseInt(process.env.MIN_COMMENTS_THRESHOLD) || this.defaults.minComments,
       minReposts: parseInt(process.env.MIN_REPOSTS_THRESHOLD) || this.defaults.minReposts,
-      maxActions: parseInt(process.env.MAX_COMMENTS_PER_SESSION) || this.defaults.maxActions
+      maxActions: parseInt(process.env.MAX_COMMENTS_PER_SESSION) || this.defaults.maxActions,
+      maxSessionMinutes: parseInt(process.env.SESSION_TIMEOUT_MINS) || this.defaults.maxSessionMinutes,
+      maxDailyComments: parseInt(process.env.MAX_COMMENTS_PER_DAY) || this.defaults.maxDailyComments
       // Pure tab navigation always uses AND logic (all thresholds must pass)
     };
 
-    // Safe clamp to non-negative values
+    // Safe clamp to non-negative values (0 disables the time limit / daily cap)
     const clamped = {
-      maxActions: Math.max(1, parseInt(thresholds.maxActions) || 10)
+      maxActions: Math.max(1, parseInt(thresholds.maxActions) || 10),
+      maxSessionMinutes: Math.max(0, parseInt(thresholds.maxSessionMinutes) || 0),
+      maxDailyComments: Math.max(0, parseInt(thresholds.maxDailyComments) || 0),
+      minReactions: Math.max(0, parseInt(thresholds.minLikes) || 0),
+      minComments: Math.max(0, parseInt(thresholds.minComments) || 0),
+      minReposts: Math.max(0, parseInt(thresholds.minReposts) || 0)
     };
 
     // Log warning once if thresholds were invalid
@@ -1225,60 +1893,147 @@ class PlaywrightRunner {
   }
 
   /**
-   * Simple count parser: removes commas and extracts first number with K/M suffix support
-   * Examples: "33 comments" → 33, "1,234 reactions" → 1234, "1.2K" → 1200, "5M" → 5000000
+   * Path of the per-day comment counter shared by all sessions (under ledger.runsRoot)
    */
-  parseCount(text) {
-    // Handle null/undefined/empty
-    if (text === null || text === undefined || text === '') {
-      return 0;
-    }
+  getDailyUsagePath() {
+    const path = require('path');
+    return path.join(ledger.runsRoot, 'daily-usage.json');
+  }
 
-    // Convert to string, trim, normalize whitespace, remove commas
-    let str = String(text).trim().replace(/\s+/g, ' ').replace(/,/g, '');
+  /**
+   * Local calendar day used as the daily cap key (YYYY-MM-DD)
+   */
+  getDayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
 
-    // Extract first number with optional K/M suffix and word boundary
-    // Matches: "4 comments" → 4, "1.2K" → 1200, "500" → 500
-    // Rejects: "4000000comments" (no space), hidden concatenated digits
-    const match = str.match(/^(\d+(?:\.\d+)?)\s*([KkMm])?\b/);
-    
-    if (!match) {
-      // Log when no valid number found
-      if (str.length > 0) {
-        logger.warn(`parseCount: No valid number in "${text}"`);
-      }
+  /**
+   * Comments posted today across all sessions
+   */
+  getDailyCommentCount() {
+    const fs = require('fs');
+    try {
+      const usage = JSON.parse(fs.readFileSync(this.getDailyUsagePath(), 'utf8'));
+      return parseInt(usage[this.getDayKey()]) || 0;
+    } catch (error) {
       return 0;
     }
+  }
 
-    let num = parseFloat(match[1]);
-    const suffix = match[2] ? match[2].toUpperCase() : '';
+  /**
+   * Increment today's comment counter (older days are dropped)
+   */
+  recordDailyComment() {
+    const fs = require('fs');
+    const path = require('path');
+    const usagePath = this.getDailyUsagePath();
+    const today = this.getDayKey();
 
-    // Handle K/M suffixes
-    if (suffix === 'K') num *= 1000;
-    else if (suffix === 'M') num *= 1000000;
+    try {
+      fs.mkdirSync(path.dirname(usagePath), { recursive: true });
+      const count = this.getDailyCommentCount() + 1;
+      fs.writeFileSync(usagePath, JSON.stringify({ [today]: count }, null, 2));
+      return count;
+    } catch (error) {
+      this.logger.warn('Failed to record daily comment count', { error: error.message });
+      return null;
+    }
+  }
 
-    const result = Math.floor(num);
+  /**
+   * Check whether the session budget is exhausted
+   * @returns {string|null} completedReason (budget | time_limit | daily_cap) or null to keep going
+   */
+  getBudgetExhaustedReason(limits, loopStartedAt) {
+    if (this.sessionStats.commentsPosted >= limits.maxActions) {
+      return 'budget';
+    }
 
-    // Validate reasonable range (0 to 10 million)
-    if (result < 0 || result > 10000000) {
-      logger.error(`parseCount: Unreasonable value ${result} from "${text}" - returning 0`);
-      return 0;
+    if (limits.maxSessionMinutes > 0 && Date.now() - loopStartedAt >= limits.maxSessionMinutes * 60000) {
+      return 'time_limit';
     }
 
-    // Log successful parse for debugging (only if different from input)
-    if (str !== String(result) && result > 0) {
-      logger.info(`parseCount: "${text}" → ${result}`);
+    if (limits.maxDailyComments > 0 && this.getDailyCommentCount() >= limits.maxDailyComments) {
+      return 'daily_cap';
     }
 
-    return result;
+    return null;
   }
 
   /**
-   * Safely parse metric to number with logging (uses parseCount)
+   * Tab until focus reaches a post other than currentPostId, a finite feed source wants its next page,
+   * or stop is requested. Waits while paused. At the end of the home feed no new post ever comes,
+   * so the budget is checked on every Tab.
+   * @returns {Promise<string|null>} Budget exit reason (e.g. 'time_limit'), or null
    */
-  safeParseMetric(value, metricName) {
-    const raw = value;
-    const parsed = this.parseCount(value);
+  async tabToNextPost(currentPostId, limits, loopStartedAt, foundMessage = '✅ Found new post') {
+    while (!this.stopRequested && !this.getFeedSourceAdvanceReason()) {
+      while (this.isPaused && this.keyboardLoopActive && !this.stopRequested) {
+        await this.page.waitForTimeout(1000);
+      }
+      if (!this.keyboardLoopActive || this.stopRequested) return null;
+
+      const exitReason = this.getBudgetExhaustedReason(limits, loopStartedAt);
+      if (exitReason) return exitReason;
+
+      await this.page.keyboard.press('Tab');
+      await this.page.waitForTimeout(300);
+      this.feedSourceState.tabsWithoutNewPost++;
+
+      const checkPost = await this.isInsidePost();
+      if (checkPost && checkPost.postId && checkPost.postId !== currentPostId) {
+        logger.info(foundMessage, { oldPostId: currentPostId, newPostId: checkPost.postId });
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Count parser for the page's number format (see locale-packs.js), with K/M suffix support
+   * Examples: "33 comments" → 33, "1,234 reactions" → 1234, "1.2K" → 1200, "5M" → 5000000;
+   * on a German page "1.234 Reaktionen" → 1234 and "1,2 Mio." → 1200000
+   */
+  parseCount(text, locale = this.locale) {
+    // Handle null/undefined/empty
+    if (text === null || text === undefined || text === '') {
+      return 0;
+    }
+
+    // Rejects "4000000comments" (no space) and hidden concatenated digits
+    const num = localePacks.parseNumber(text, locale);
+
+    if (num === null) {
+      // Log when no valid number found
+      if (String(text).trim().length > 0) {
+        logger.warn(`parseCount: No valid number in "${text}"`);
+      }
+      return 0;
+    }
+
+    const result = Math.floor(num);
+
+    // Validate reasonable range (0 to 10 million)
+    if (result < 0 || result > 10000000) {
+      logger.error(`parseCount: Unreasonable value ${result} from "${text}" - returning 0`);
+      return 0;
+    }
+
+    // Log successful parse for debugging (only if different from input)
+    if (String(text).trim() !== String(result) && result > 0) {
+      logger.info(`parseCount: "${text}" → ${result}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Safely parse metric to number with logging (uses parseCount)
+   */
+  safeParseMetric(value, metricName) {
+    const raw = value;
+    const parsed = this.parseCount(value);
 
     // Log raw and parsed for debugging
     const note = raw !== parsed ? `${metricName}: { raw: '${raw}', parsed: ${parsed} }` : null;
@@ -1327,7 +2082,8 @@ class PlaywrightRunner {
    */
   async readFocusedElement() {
     try {
-      const info = await this.page.evaluate(() => {
+      const { labels, words } = localePacks.get(this.locale);
+      const info = await this.page.evaluate(({ labels, words }) => {
         const el = document.activeElement;
         if (!el) return null;
 
@@ -1336,34 +2092,45 @@ class PlaywrightRunner {
         const text = (el.innerText || el.textContent || '').trim();
         const className = el.className || '';
 
+        // Words of the page's language (locale pack), case-insensitive
+        const word = pattern => new RegExp(pattern, 'i');
+        const counted = pattern => new RegExp(`\\d+\\s*(${pattern})`, 'i');
+        const only = pattern => new RegExp(`^(${pattern})$`, 'i');
+        const isLabel = list => list.some(label => label.toLowerCase() === text.toLowerCase());
+        const inReactionsLabel = () => {
+          for (let node = el; node; node = node.parentElement) {
+            if (word(words.reaction).test(node.getAttribute('aria-label') || '')) return true;
+          }
+          return false;
+        };
+
         // Determine element type based on aria-label and content
         const isReactionsCount =
-          ariaLabel.includes('reaction') ||
+          word(words.reaction).test(ariaLabel) ||
           className.includes('reactions-count') ||
-          (text.match(/^\d{1,}$/) && el.closest('[aria-label*="reaction"]'));
+          (text.match(/^\d{1,}$/) && inReactionsLabel());
 
         const isCommentsCount =
           // Must have a number AND the word "comment" or "reply"
-          (/\d+\s*(comment|reply)/i.test(text) || /\d+\s*(comment|reply)/i.test(ariaLabel)) &&
+          (counted(words.comment).test(text) || counted(words.comment).test(ariaLabel)) &&
           // Exclude action buttons (no numbers in text - just "Comment" or "Reply")
-          !(/^(comment|reply)$/i.test(text.trim())) &&
+          !only(words.comment).test(text.trim()) &&
           // Exclude "Load more" links
-          !text.toLowerCase().includes('load more');
+          !word(words.loadMore).test(text);
 
         const isRepostsCount =
           // Must have a number AND "repost"/"share"
-          (/\d+\s*(repost|share)/i.test(text) || /\d+\s*(repost|share)/i.test(ariaLabel)) &&
+          (counted(words.repost).test(text) || counted(words.repost).test(ariaLabel)) &&
           // Exclude action buttons (just "Repost" or "Share" without numbers)
-          !(/^(repost|share)$/i.test(text.trim()));
+          !only(words.repost).test(text.trim());
 
         const isLikeButton =
-          ariaLabel.includes('like') ||
-          ariaLabel.includes('react') ||
-          (tagName === 'button' && text.toLowerCase() === 'like');
+          word(words.like).test(ariaLabel) ||
+          (tagName === 'button' && isLabel(labels.likeText));
 
         const isCommentButton =
-          (ariaLabel.includes('comment') && tagName === 'button') ||
-          (tagName === 'button' && text.toLowerCase() === 'comment');
+          (word(words.comment).test(ariaLabel) && tagName === 'button') ||
+          (tagName === 'button' && isLabel(labels.commentText));
 
         return {
           tagName,
@@ -1376,7 +2143,7 @@ class PlaywrightRunner {
           isLikeButton,
           isCommentButton
         };
-      });
+      }, { labels, words });
 
       return info;
     } catch (error) {
@@ -1403,14 +2170,36 @@ class PlaywrightRunner {
       throw new Error('Keyboard automation already running');
     }
 
+    if (this.actionsInProgress) {
+      throw new Error('Targeted actions in progress');
+    }
+
     logger.info('Starting PURE TAB automation (no shortcuts, no scrolling)...');
 
     // Clear seen posts for new session
     this.seenPostIds.clear();
     this.keyboardLoopActive = true;
+    this.completedReason = null;
+    this.resetDecisionBreaker();
+
+    const limits = this.getThresholds();
+    const { maxActions } = limits;
+    this.logger.info('Thresholds', limits);
+    const loopStartedAt = Date.now();
+    let exitReason = null;
 
-    const { maxActions } = this.getThresholds();
-    this.logger.info('Thresholds', { maxActions });
+    // Page counters restart with each loop; the page itself is wherever the browser is now
+    this.feedSourceState = { index: this.feedSourceState?.index || 0, postsOnPage: 0, tabsWithoutNewPost: 0 };
+
+    ledger.updateSession({
+      mode: this.optimizeEngagement ? 'optimized' : 'default',
+      thresholds: limits
+    });
+    this.emitEvent('session_started', {
+      mode: this.optimizeEngagement ? 'optimized' : 'default',
+      thresholds: limits,
+      source: this.feedSource ? this.feedSource.type : 'home'
+    });
 
     // Reset comments counter
     this.sessionStats.commentsPosted = 0;
@@ -1447,8 +2236,8 @@ class PlaywrightRunner {
       // NEW TWO-MODE APPROACH
       // ======================================================================
 
-      // Main pure-tab automation loop - runs ENDLESSLY until manually stopped
-      // NOTE: maxActions is ONLY for tracking successful comments, NOT for stopping
+      // Main pure-tab automation loop - runs until the session budget is spent or manually stopped
+      // Budget: maxActions successful comments, optional time limit and per-day cap
       // Tabbing is NOT an action - only successful comment posting counts as an action
       
       while (this.keyboardLoopActive && !this.stopRequested) {
@@ -1461,6 +2250,16 @@ class PlaywrightRunner {
         
         // Exit if stopped during pause
         if (!this.keyboardLoopActive || this.stopRequested) break;
+
+        // Ledger record for the post handled in this iteration (written once per post)
+        let ledgerEntry = null;
+
+        // Budget check: comments, session time limit, daily cap
+        exitReason = this.getBudgetExhaustedReason(limits, loopStartedAt);
+        if (exitReason) {
+          this.logger.info('Session budget reached, exiting automation loop', { reason: exitReason });
+          break;
+        }
         
         try {
           
@@ -1470,9 +2269,21 @@ class PlaywrightRunner {
             break;
           }
 
+          // Finite sources (search, hashtag, activity pages, saved list): next page once this one has nothing new
+          const advanceReason = this.getFeedSourceAdvanceReason();
+          if (advanceReason) {
+            if (!(await this.advanceFeedSource(advanceReason))) {
+              exitReason = 'source_exhausted';
+              this.logger.info('Feed source has no more posts, exiting automation loop');
+              break;
+            }
+            continue;
+          }
+
           // OPTIMIZATION: Press Tab with optimized delay
           await this.updateHUD({ lastKey: 'Tab' });
           await this.page.keyboard.press('Tab');
+          this.feedSourceState.tabsWithoutNewPost++;
           
           // OPTIMIZATION: Use cached timing config
           const t = this.timing || this.defaults;
@@ -1502,94 +2313,25 @@ class PlaywrightRunner {
           // Mark post as seen to prevent duplicates
           if (!this.seenPostIds) this.seenPostIds = new Set();
           this.seenPostIds.add(postData.postId);
+          this.sessionStats.postsProcessed++;
+          this.feedSourceState.tabsWithoutNewPost = 0;
+          this.feedSourceState.postsOnPage++;
 
-          // OPTIMIZATION: Use Web Worker for heavy post processing
-          try {
-            const processedData = await this.executeWorkerTask('PROCESS_POST', postData);
-            this.logger.info('✅ Post processed by Web Worker', { taskId: processedData.timestamp });
-          } catch (error) {
-            this.logger.warn('Web Worker processing failed, continuing with main thread');
-          }
+          ledgerEntry = this.createLedgerEntry(postData);
 
-          this.logger.info('📍 Post detected', { 
-            postId: postData.postId,
-            mode: this.optimizeEngagement ? 'Optimized' : 'Default'
-          });
-                
-                await this.updateHUD({
-            postId: postData.postId,
-            action: this.optimizeEngagement ? 'Analyzing...' : 'Engaging',
-            engage: this.optimizeEngagement ? 'Checking...' : 'YES'
-          });
+          // Decision → generate → paste → post (shared with the post queue)
+          const outcome = await this.runPostPipeline(postData, ledgerEntry, maxActions);
 
-          // OPTIMIZED MODE: Check if should engage
-          if (this.optimizeEngagement) {
-            // Update postData to include the HTML for webhook
-            postData.outerHTML = postData.postHTML;
-            const decision = await this.checkEngagementDecision(postData);
-
-            this.logger.info('🎯 Decision check', {
-              decisionEngage: decision.engage,
-              isYes: decision.engage === 'yes',
-              willSkip: decision.engage !== 'yes',
-              postId: postData.postId
-            });
-
-            if (decision.engage !== 'yes') {
-              this.logger.info('⏭️ Skipping post (optimize mode)', {
-                postId: postData.postId,
-                reason: decision.engage,
-                decision: decision
-              });
-                await this.updateHUD({
-                action: 'Skipped',
-                postId: postData.postId,
-                engage: 'NO'
-              });
+          // Skipped (decision, dedup or already engaged): keep tabbing to find next post
+          if (outcome === 'skipped' || outcome === 'already_engaged') continue;
 
-              // OPTIMIZATION: Schedule cleanup during idle time
-              this.scheduleIdleCallback(() => this.cleanupTempData());
-
-              // Keep tabbing to find next post
-                continue;
-              }
-
-            logger.success('✅ Post approved for engagement', { postId: postData.postId });
-            this.logger.info('▶️  Proceeding to engagement flow (find Like button, comment, etc.)');
-
-            // Update HUD with YES decision
-            await this.updateHUD({
-              action: 'Approved',
-              postId: postData.postId,
-              engage: 'YES'
-            });
-          }
-
-          // DEFAULT MODE or APPROVED POST: Engage with post
-          logger.info('💬 Engaging with post...', { postId: postData.postId });
-
-            await this.updateHUD({
-            action: 'Posting Comment',
-            postId: postData.postId,
-            engage: 'YES'
-          });
-
-          // Navigate to comment button and engage
-          const commented = await this.engageWithPost(postData);
-          
-          if (commented) {
-            // Success path - same as before
-            this.sessionStats.commentsPosted++;
-            logger.success('🎉 Comment posted successfully', {
-              commentsPosted: this.sessionStats.commentsPosted,
-              remaining: maxActions - this.sessionStats.commentsPosted
-            });
-
-            await this.updateHUD({
-              action: 'Comment Posted',
-              commentsPosted: this.sessionStats.commentsPosted,
-              maxComments: maxActions
-            });
+          if (outcome === 'commented') {
+            // Skip cooldown and tabbing when this comment spent the budget
+            exitReason = this.getBudgetExhaustedReason(limits, loopStartedAt);
+            if (exitReason) {
+              this.logger.info('Session budget reached, exiting automation loop', { reason: exitReason });
+              break;
+            }
 
             // Cooldown between comments
             const cooldown = t.cooldownMin + Math.floor(Math.random() * (t.cooldownMax - t.cooldownMin));
@@ -1598,52 +2340,18 @@ class PlaywrightRunner {
             
             // Keep tabbing until we find a different post ID
             logger.info('🔄 Continuing to tab until next post found...');
-            const currentPostId = postData.postId;
-            let foundNewPost = false;
-            
-            while (!foundNewPost) {
-              await this.page.keyboard.press('Tab');
-              await this.page.waitForTimeout(300);
-              
-              const checkPost = await this.isInsidePost();
-              
-              if (checkPost && checkPost.postId && checkPost.postId !== currentPostId) {
-                logger.info('✅ Found new post', { 
-                  oldPostId: currentPostId,
-                  newPostId: checkPost.postId 
-                });
-                foundNewPost = true;
-              }
+            exitReason = await this.tabToNextPost(postData.postId, limits, loopStartedAt, '✅ Found new post');
+            if (exitReason) {
+              this.logger.info('Session budget reached while looking for the next post', { reason: exitReason });
+              break;
             }
           } else {
-            // FAILURE PATH - Don't stop, just skip to next post
-            logger.warn('⚠️ Failed to engage with post, skipping to next post', { 
-              postId: postData.postId 
-            });
-            
-            await this.updateHUD({
-              action: 'Skipped (Failed)',
-              postId: postData.postId
-            });
-            
             // Keep tabbing until we find a different post ID
             logger.info('🔄 Skipping to next post...');
-            const currentPostId = postData.postId;
-            let foundNewPost = false;
-            
-            while (!foundNewPost) {
-              await this.page.keyboard.press('Tab');
-              await this.page.waitForTimeout(300);
-              
-              const checkPost = await this.isInsidePost();
-              
-              if (checkPost && checkPost.postId && checkPost.postId !== currentPostId) {
-                logger.info('✅ Found new post after failure', { 
-                  oldPostId: currentPostId,
-                  newPostId: checkPost.postId 
-                });
-                foundNewPost = true;
-              }
+            exitReason = await this.tabToNextPost(postData.postId, limits, loopStartedAt, '✅ Found new post after failure');
+            if (exitReason) {
+              this.logger.info('Session budget reached while looking for the next post', { reason: exitReason });
+              break;
             }
             
             // Continue to next iteration - DON'T STOP
@@ -1657,18 +2365,27 @@ class PlaywrightRunner {
               error.message.includes('context closed') ||
               error.message.includes('Browser closed')) {
             logger.info('Browser/page closed during loop iteration, exiting gracefully');
+            this.recordLedgerEntry(ledgerEntry, 'aborted', error.message);
             break;
           }
 
           logger.error('Error in tab automation loop', { error: error.message });
+          this.sessionStats.errors++;
+          this.emitEvent('error', { postId: ledgerEntry?.postId || null, message: error.message });
+          this.recordLedgerEntry(ledgerEntry, 'error', error.message);
           // Continue to next iteration on error
         }
       }
 
       logger.success('🏁 Tab automation completed', {
-        commentsPosted: this.sessionStats.commentsPosted
+        commentsPosted: this.sessionStats.commentsPosted,
+        reason: exitReason || this.completedReason
       });
 
+      if (exitReason && this.isRunning) {
+        await this.finishKeyboardSession(exitReason);
+      }
+
       // ARCHIVED OLD CODE BELOW - All the complex metrics parsing logic
       /* ======================================================================
          ARCHIVED - Old Tab-based Metrics Parsing (Commented for future use)
@@ -1696,17 +2413,691 @@ class PlaywrightRunner {
       }
 
       logger.error('Tab automation failed', { error: error.message });
+      this.emitEvent('error', { message: error.message, fatal: true });
+      if (this.isRunning) {
+        await this.finishKeyboardSession('error');
+      }
+      throw error;
+    } finally {
+      this.keyboardLoopActive = false;
+    }
+  }
+
+  /**
+   * Publish a runner event (GET /api/runner/events); every event carries the session's current stats
+   */
+  emitEvent(type, data = {}) {
+    try {
+      runnerEvents.publish(type, { sessionId: this.sessionId, stats: { ...this.sessionStats }, ...data });
+    } catch (error) {
+      logger.warn('Failed to publish runner event', { type, error: error.message });
+    }
+  }
+
+  /**
+   * Parse a post queue: an array of lines, or CSV / newline text. A line is queued when one of its
+   * cells holds a permalink, activity URN or bare activity id, so extra CSV columns are fine.
+   * @returns {Object} { items: [{ input, postId }], invalid: [line], duplicates }
+   */
+  parseQueueInput(input) {
+    const lines = (Array.isArray(input) ? input : String(input || '').split(/\r?\n/))
+      .map(line => String(line ?? '').trim())
+      .filter(Boolean);
+    const items = [];
+    const invalid = [];
+    const seen = new Set();
+    let duplicates = 0;
+
+    lines.forEach(line => {
+      const cell = line
+        .split(/[,;\t]/)
+        .map(value => value.trim().replace(/^"|"$/g, ''))
+        .find(value => this.normalizeActivityUrn(value));
+
+      if (!cell) {
+        invalid.push(line);
+        return;
+      }
+
+      const postId = this.normalizeActivityUrn(cell);
+      if (seen.has(postId)) {
+        duplicates++;
+        return;
+      }
+      seen.add(postId);
+      items.push({ input: cell, postId });
+    });
+
+    return { items, invalid, duplicates };
+  }
+
+  /**
+   * Post queue run mode: open each queued post and run the feed loop's pipeline on it
+   * (decision → generate → paste → post). Same budget, pause/stop and cooldown rules as the feed loop.
+   * @param {Array<Object>} items - { input, postId } from parseQueueInput
+   */
+  async startQueueAutomation(items) {
+    if (!this.isRunning || !this.page) {
+      throw new Error('Runner not active');
+    }
+
+    if (this.keyboardLoopActive) {
+      throw new Error('Keyboard automation already running');
+    }
+
+    if (this.actionsInProgress) {
+      throw new Error('Targeted actions in progress');
+    }
+
+    logger.info('Starting post queue automation...', { items: items.length });
+
+    this.seenPostIds.clear();
+    this.keyboardLoopActive = true;
+    this.completedReason = null;
+    this.resetDecisionBreaker();
+    this.queue = {
+      startedAt: new Date().toISOString(),
+      items: items.map(item => ({ input: item.input, postId: item.postId, status: 'pending', reason: null, finishedAt: null }))
+    };
+
+    const limits = this.getThresholds();
+    const { maxActions } = limits;
+    const t = this.timing || this.defaults;
+    const mode = this.optimizeEngagement ? 'optimized' : 'default';
+    const loopStartedAt = Date.now();
+    let exitReason = null;
+
+    ledger.updateSession({ mode, runMode: 'queue', thresholds: limits, queue: this.getQueueSummary() });
+    this.emitEvent('session_started', { mode, runMode: 'queue', thresholds: limits, queueSize: items.length });
+    this.sessionStats.commentsPosted = 0;
+
+    try {
+      await this.updateHUD({
+        action: 'Post Queue Active',
+        postId: '',
+        commentsPosted: 0,
+        maxComments: maxActions
+      });
+
+      for (let index = 0; index < this.queue.items.length; index++) {
+        while (this.isPaused && this.keyboardLoopActive && !this.stopRequested) {
+          await this.page.waitForTimeout(1000);
+        }
+        if (!this.keyboardLoopActive || this.stopRequested) break;
+
+        exitReason = this.getBudgetExhaustedReason(limits, loopStartedAt);
+        if (exitReason) {
+          this.logger.info('Session budget reached, stopping post queue', { reason: exitReason });
+          break;
+        }
+
+        const outcome = await this.processQueueItem(this.queue.items[index], index, maxActions);
+        ledger.updateSession({ queue: this.getQueueSummary() });
+
+        // Cooldown between comments, unless that comment spent the budget or ended the queue
+        const isLast = index === this.queue.items.length - 1;
+        if (outcome === 'commented' && !isLast && !this.getBudgetExhaustedReason(limits, loopStartedAt)) {
+          const cooldown = t.cooldownMin + Math.floor(Math.random() * (t.cooldownMax - t.cooldownMin));
+          logger.info(`⏸️  Post-comment cooldown: ${(cooldown/1000).toFixed(3)}s`);
+          await this.page.waitForTimeout(cooldown);
+        }
+      }
+
+      if (!exitReason && this.keyboardLoopActive && !this.stopRequested) {
+        exitReason = 'queue_complete';
+      }
+
+      logger.success('🏁 Post queue completed', {
+        ...this.getQueueSummary().counts,
+        reason: exitReason || this.completedReason
+      });
+
+      if (exitReason && this.isRunning) {
+        await this.finishKeyboardSession(exitReason);
+      }
+    } catch (error) {
+      // Swallow expected browser closure errors during stop
+      if (error.message.includes('Target page') ||
+          error.message.includes('Target closed') ||
+          error.message.includes('context closed') ||
+          error.message.includes('Browser closed')) {
+        logger.info('Browser/page closed during post queue, stopping gracefully');
+        return;
+      }
+
+      logger.error('Post queue automation failed', { error: error.message });
+      this.emitEvent('error', { message: error.message, fatal: true });
+      if (this.isRunning) {
+        await this.finishKeyboardSession('error');
+      }
       throw error;
     } finally {
       this.keyboardLoopActive = false;
     }
   }
 
+  /**
+   * Open one queued post and run the pipeline on it; updates the item's status
+   * Statuses: pending | in_progress | commented | skipped | rejected | failed | not_found | error
+   */
+  async processQueueItem(item, index, maxActions) {
+    const finish = (status, reason = null) => {
+      item.status = status;
+      item.reason = reason;
+      item.finishedAt = new Date().toISOString();
+      this.emitEvent('queue_item', { index, postId: item.postId, status, reason });
+      return status;
+    };
+
+    item.status = 'in_progress';
+    this.emitEvent('queue_item', { index, postId: item.postId, status: 'in_progress' });
+    let ledgerEntry = null;
+
+    try {
+      const post = await this.locatePost(item.postId);
+      if (!post) {
+        logger.warn('Queued post not found', { postId: item.postId, input: item.input });
+        this.recordLedgerEntry(this.createLedgerEntry({ postId: item.postId }, 'queue'), 'not_found', 'Post not found at permalink');
+        return finish('not_found', 'Post not found at permalink');
+      }
+
+      const postData = await post.evaluate((el, { postId, selectors }) => {
+        const textElement = el.querySelector(selectors.postText);
+        const authorElement = el.querySelector(selectors.postAuthor);
+        const likeButton = selectors.likeButton
+          .flatMap(selector => Array.from(el.querySelectorAll(selector)))
+          .find(button => !button.closest(selectors.commentSection));
+        return {
+          postId,
+          postHTML: el.outerHTML,
+          postContent: textElement ? textElement.innerText : '',
+          authorName: authorElement ? authorElement.innerText : '',
+          likePressed: likeButton ? likeButton.getAttribute('aria-pressed') === 'true' : false,
+          commentAuthors: selectors.commentAuthor
+            .flatMap(selector => Array.from(el.querySelectorAll(selector)))
+            .map(author => author.innerText),
+          htmlLength: el.outerHTML.length
+        };
+      }, {
+        postId: item.postId,
+        selectors: {
+          likeButton: selectorRegistry.get('likeButton'),
+          commentAuthor: selectorRegistry.get('commentAuthor'),
+          ...selectorRegistry.pick('postText', 'postAuthor', 'commentSection')
+        }
+      });
+      postData.engagement = await this.getOwnEngagement(postData);
+
+      this.seenPostIds.add(item.postId);
+      this.sessionStats.postsProcessed++;
+      ledgerEntry = this.createLedgerEntry(postData, 'queue');
+
+      // engageWithPost tabs from the focused element to the post's Like button
+      await post.locator('a[href], button').first().focus();
+
+      const outcome = await this.runPostPipeline(postData, ledgerEntry, maxActions);
+      return finish(outcome, ledgerEntry.error || ledgerEntry.decision?.reason || null);
+    } catch (error) {
+      if (error.message.includes('Target page') ||
+          error.message.includes('Target closed') ||
+          error.message.includes('context closed') ||
+          error.message.includes('Browser closed')) {
+        this.recordLedgerEntry(ledgerEntry, 'aborted', error.message);
+        throw error;
+      }
+
+      logger.error('Error processing queued post', { postId: item.postId, error: error.message });
+      this.sessionStats.errors++;
+      this.recordLedgerEntry(ledgerEntry, 'error', error.message);
+      this.emitEvent('error', { postId: item.postId, message: error.message });
+      return finish('error', error.message);
+    }
+  }
+
+  /**
+   * Post queue progress for status, the ledger and the sidebar: { startedAt, total, counts, items }
+   */
+  getQueueSummary() {
+    if (!this.queue) return null;
+
+    const counts = {};
+    this.queue.items.forEach(item => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+
+    return {
+      startedAt: this.queue.startedAt,
+      total: this.queue.items.length,
+      counts,
+      items: this.queue.items
+    };
+  }
+
+  /**
+   * Feed source for status and session.json: { type, label, params, urls, page }
+   */
+  getFeedSourceSummary() {
+    if (!this.feedSource) return null;
+
+    const { type, label, params, urls } = this.feedSource;
+    return { type, label, params, urls, page: this.feedSourceState ? this.feedSourceState.index : 0 };
+  }
+
+  /**
+   * Why the loop should leave the current source page, or null:
+   * page_done (saved list: postsPerProfile reached) | no_new_posts (maxTabsWithoutPost tabs without a new post)
+   */
+  getFeedSourceAdvanceReason() {
+    const source = this.feedSource;
+    const state = this.feedSourceState;
+    if (!source || !state) return null;
+
+    if (source.postsPerPage && state.postsOnPage >= source.postsPerPage) return 'page_done';
+    if (source.maxTabsWithoutPost && state.tabsWithoutNewPost >= source.maxTabsWithoutPost) return 'no_new_posts';
+    return null;
+  }
+
+  /**
+   * Open the feed source's next page; false when there is none
+   */
+  async advanceFeedSource(reason) {
+    const state = this.feedSourceState;
+    const nextIndex = state.index + 1;
+    if (nextIndex >= this.feedSource.urls.length) return false;
+
+    const url = this.feedSource.urls[nextIndex];
+    logger.info('📄 Moving to next feed source page', { reason, page: nextIndex + 1, of: this.feedSource.urls.length, url });
+    this.feedSourceState = { index: nextIndex, postsOnPage: 0, tabsWithoutNewPost: 0 };
+
+    await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await this.waitForPageReadiness();
+    await this.updateHUD({ action: `${this.feedSource.label} ${nextIndex + 1}/${this.feedSource.urls.length}`, postId: '' });
+    ledger.updateSession({ source: this.getFeedSourceSummary() });
+    return true;
+  }
+
+  /**
+   * Ledger record for a post handled in this session (written once by recordLedgerEntry)
+   * @param {string} source - Feed source type, or 'queue' for the post queue
+   */
+  createLedgerEntry(postData, source = this.feedSource ? this.feedSource.type : 'home') {
+    return {
+      postId: postData.postId,
+      author: postData.authorName || null,
+      source,
+      sourcePage: this.page ? this.page.url() : null,
+      // Filled in by runPostPipeline (hashed and parsed on the worker pool)
+      contentHash: null,
+      post: null,
+      // Our Like / comment already on the post when it was detected
+      engagement: postData.engagement || null,
+      mode: this.optimizeEngagement ? 'optimized' : 'default',
+      decision: null,
+      comment: null,
+      outcome: null,
+      error: null,
+      timings: { detectedAt: new Date().toISOString(), startedAtMs: Date.now() }
+    };
+  }
+
+  /**
+   * Structured model of a post's outerHTML (author, text, hashtags, media, counts... see post-parser.js),
+   * parsed on the worker pool with the active selector profile and page locale. null if parsing failed.
+   */
+  async parsePostModel(postData) {
+    const html = postData.postHTML || postData.outerHTML;
+    if (!html) return null;
+
+    try {
+      const model = await workerPool.run('parsePost', {
+        html,
+        selectors: postParser.getSelectors(selectorRegistry),
+        locale: this.locale || 'en'
+      });
+      if (model.missing.length > 0) {
+        this.logger.info('Post model incomplete', { postId: postData.postId, missing: model.missing });
+      }
+      return model;
+    } catch (error) {
+      this.logger.warn('Post parsing failed, continuing without a post model', { postId: postData.postId, error: error.message, code: error.code });
+      return null;
+    }
+  }
+
+  /**
+   * Decision → generate → paste → post for one detected post, used by the feed loop and the post queue.
+   * Focus must be inside the post (engageWithPost tabs from there to its Like button).
+   * Writes the ledger record, HUD and events; returns skipped | already_engaged | commented | rejected | failed
+   */
+  async runPostPipeline(postData, ledgerEntry, maxActions) {
+    // Hash off the main thread; the ledger's own hash is the fallback
+    try {
+      ledgerEntry.contentHash = await workerPool.run('hashContent', postData.postContent);
+    } catch (error) {
+      this.logger.warn('Worker hashContent failed, hashing on the main thread', { error: error.message, code: error.code });
+      ledgerEntry.contentHash = ledger.hashContent(postData.postContent);
+    }
+    postData.post = await this.parsePostModel(postData);
+    ledgerEntry.post = postParser.summarize(postData.post);
+
+    this.logger.info('📍 Post detected', {
+      postId: postData.postId,
+      mode: this.optimizeEngagement ? 'Optimized' : 'Default'
+    });
+    this.emitEvent('post_detected', { postId: postData.postId, author: ledgerEntry.author, mode: ledgerEntry.mode });
+
+    await this.updateHUD({
+      postId: postData.postId,
+      action: this.optimizeEngagement ? 'Analyzing...' : 'Engaging',
+      engage: this.optimizeEngagement ? 'Checking...' : 'YES'
+    });
+
+    // Commented on in an earlier session (or the author is cooling down): skip before any webhook call
+    const dedup = engagementIndex.check({ postId: postData.postId, author: postData.authorName }, this.getDedupRules());
+    if (!dedup.allowed) {
+      this.logger.info('⏭️ Skipping post (dedup)', { postId: postData.postId, rule: dedup.rule, lastCommentedAt: dedup.lastCommentedAt });
+      ledgerEntry.decision = { engage: 'no', source: 'dedup', rule: dedup.rule, reason: dedup.reason };
+      await this.updateHUD({ action: 'Skipped (Dedup)', postId: postData.postId, engage: 'NO' });
+      this.recordLedgerEntry(ledgerEntry, 'skipped');
+      this.emitEvent('post_skipped', { postId: postData.postId, outcome: 'skipped', reason: dedup.reason, rule: dedup.rule });
+      return 'skipped';
+    }
+
+    // Our comment is already under the post (e.g. posted by hand): note it instead of commenting again
+    if (postData.engagement?.commented && this.getDedupRules().samePost) {
+      const reason = 'Already commented on this post';
+      this.logger.info('⏭️ Skipping post (already engaged)', { postId: postData.postId, liked: postData.engagement.liked });
+      ledgerEntry.decision = { engage: 'no', source: 'dom', rule: 'same_post', reason };
+      await this.updateHUD({ action: 'Already Engaged', postId: postData.postId, engage: 'NO' });
+      this.recordLedgerEntry(ledgerEntry, 'already_engaged');
+      // Later sessions then skip it without reading the comment list
+      engagementIndex.record({ postId: postData.postId, author: postData.authorName, sessionId: this.sessionId, source: 'dom' });
+      this.emitEvent('post_skipped', { postId: postData.postId, outcome: 'already_engaged', reason, rule: 'same_post' });
+      return 'already_engaged';
+    }
+
+    // OPTIMIZED MODE: Check if should engage
+    if (this.optimizeEngagement) {
+      // Update postData to include the HTML for webhook
+      postData.outerHTML = postData.postHTML;
+      const decisionStartedAt = Date.now();
+      const decision = await this.decideEngagement(postData);
+      ledgerEntry.decision = decision;
+      ledgerEntry.timings.decisionMs = Date.now() - decisionStartedAt;
+      this.emitEvent('decision', { postId: postData.postId, ...decision });
+
+      this.logger.info('🎯 Decision check', {
+        source: decision.source,
+        score: decision.score,
+        decisionEngage: decision.engage,
+        isYes: decision.engage === 'yes',
+        willSkip: decision.engage !== 'yes',
+        postId: postData.postId
+      });
+
+      if (decision.engage !== 'yes') {
+        this.logger.info('⏭️ Skipping post (optimize mode)', {
+          postId: postData.postId,
+          reason: decision.reason || decision.engage,
+          decision: decision
+        });
+        await this.updateHUD({
+          action: 'Skipped',
+          postId: postData.postId,
+          engage: this.formatDecisionLabel(decision)
+        });
+        this.recordLedgerEntry(ledgerEntry, 'skipped');
+        this.emitEvent('post_skipped', { postId: postData.postId, outcome: 'skipped', reason: decision.reason || `engage: ${decision.engage}` });
+
+        // OPTIMIZATION: Schedule cleanup during idle time
+        this.scheduleIdleCallback(() => this.cleanupTempData());
+        return 'skipped';
+      }
+
+      logger.success('✅ Post approved for engagement', { postId: postData.postId });
+      this.logger.info('▶️  Proceeding to engagement flow (find Like button, comment, etc.)');
+
+      // Update HUD with YES decision
+      await this.updateHUD({
+        action: 'Approved',
+        postId: postData.postId,
+        engage: this.formatDecisionLabel(decision)
+      });
+    }
+
+    // DEFAULT MODE or APPROVED POST: Engage with post
+    logger.info('💬 Engaging with post...', { postId: postData.postId });
+
+    await this.updateHUD({
+      action: 'Posting Comment',
+      postId: postData.postId,
+      engage: 'YES'
+    });
+
+    // Navigate to comment button and engage
+    const commented = await this.engageWithPost(postData, ledgerEntry);
+    const notApproved = ledgerEntry.review && !ledgerEntry.review.approved;
+    const outcome = commented ? 'commented' : (notApproved ? 'rejected' : 'failed');
+    this.recordLedgerEntry(ledgerEntry, outcome);
+
+    if (commented) {
+      this.sessionStats.commentsPosted++;
+      this.recordDailyComment();
+      engagementIndex.record({ postId: postData.postId, author: postData.authorName, sessionId: this.sessionId, source: ledgerEntry.source });
+      this.emitEvent('comment_posted', { postId: postData.postId, comment: ledgerEntry.comment, commentsPosted: this.sessionStats.commentsPosted });
+      logger.success('🎉 Comment posted successfully', {
+        commentsPosted: this.sessionStats.commentsPosted,
+        remaining: maxActions - this.sessionStats.commentsPosted
+      });
+
+      await this.updateHUD({
+        action: 'Comment Posted',
+        commentsPosted: this.sessionStats.commentsPosted,
+        maxComments: maxActions
+      });
+      return outcome;
+    }
+
+    logger.warn('⚠️ Failed to engage with post', { postId: postData.postId, outcome });
+    this.emitEvent('post_skipped', { postId: postData.postId, outcome, reason: ledgerEntry.error });
+
+    await this.updateHUD({
+      action: 'Skipped (Failed)',
+      postId: postData.postId
+    });
+    return outcome;
+  }
+
+  /**
+   * Write a post's ledger record once, stamping outcome and total duration
+   * Outcomes: commented | skipped | already_engaged | rejected | failed | error | aborted | not_found (post queue)
+   */
+  recordLedgerEntry(entry, outcome, errorMessage = null) {
+    if (!entry || entry.outcome) return;
+
+    entry.outcome = outcome;
+    if (errorMessage) entry.error = errorMessage;
+
+    const { startedAtMs, ...timings } = entry.timings;
+    ledger.append({
+      ...entry,
+      timings: { ...timings, totalMs: Date.now() - startedAtMs }
+    });
+  }
+
+  /**
+   * Review mode: hold a generated comment until a person approves, edits, regenerates
+   * or rejects it (via /api/runner/review, the sidebar or the HUD). A timeout counts as a rejection.
+   * @param {Function} regenerate - Returns a fresh comment (or null) when the reviewer asks for another
+   * @returns {Promise<Object>} { approved, action, comment, regenerations, waitedMs }
+   */
+  async awaitCommentReview(postData, comment, regenerate) {
+    const startedAt = Date.now();
+    let regenerations = 0;
+    let current = comment;
+
+    // Reviewers click into the HUD/sidebar, so remember the open comment editor to refocus it
+    if (this.page) {
+      await this.page.evaluate(() => {
+        window.__linkrightReviewFocus = document.activeElement;
+      }).catch(() => {});
+    }
+
+    for (;;) {
+      const decision = await this.waitForReviewDecision(postData, current);
+
+      if (decision.action === 'regenerate') {
+        regenerations++;
+        await this.updateHUD({ action: 'Regenerating comment...' });
+        const regenerated = await regenerate();
+        if (regenerated) {
+          current = regenerated;
+        } else {
+          logger.warn('Regeneration returned no comment, keeping previous one', { postId: postData.postId });
+        }
+        continue;
+      }
+
+      const approved = decision.action === 'approve' || decision.action === 'edit';
+      if (approved && this.page) {
+        await this.page.evaluate(() => {
+          const editor = window.__linkrightReviewFocus;
+          if (editor && editor.isConnected) editor.focus();
+        }).catch(() => {});
+      }
+
+      return {
+        approved,
+        action: decision.action,
+        comment: approved ? decision.comment : null,
+        regenerations,
+        waitedMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  /**
+   * Publish a pending review and resolve with the first decision (or timeout)
+   */
+  waitForReviewDecision(postData, comment) {
+    return new Promise((resolve) => {
+      const now = Date.now();
+      const timer = setTimeout(() => {
+        logger.warn('⏰ Comment review timed out', { postId: postData.postId, timeoutMs: this.reviewTimeoutMs });
+        this._reviewResolver({ action: 'timeout' });
+      }, this.reviewTimeoutMs);
+
+      this.pendingReview = {
+        id: `review-${now}`,
+        postId: postData.postId,
+        author: postData.authorName || null,
+        postExcerpt: String(postData.postContent || '').slice(0, 500),
+        comment,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.reviewTimeoutMs).toISOString()
+      };
+
+      // Every way out (API, HUD, timeout, stop) goes through here, so the sidebar always hears of it
+      this._reviewResolver = (decision) => {
+        const reviewId = this.pendingReview?.id || null;
+        clearTimeout(timer);
+        this.pendingReview = null;
+        this._reviewResolver = null;
+        this.updateHUD({ review: null });
+        this.emitEvent('review_resolved', { postId: postData.postId, reviewId, action: decision.action });
+        resolve(decision);
+      };
+
+      logger.info('📝 Comment awaiting review', { postId: postData.postId, reviewId: this.pendingReview.id });
+      this.emitEvent('review_pending', { postId: postData.postId, review: this.pendingReview });
+      this.updateHUD({
+        action: 'Awaiting review',
+        review: { id: this.pendingReview.id, comment }
+      });
+    });
+  }
+
+  /**
+   * Apply a reviewer decision to the pending comment
+   * @param {Object} decision - { id, action: approve|edit|regenerate|reject, comment (for edit) }
+   */
+  submitReview({ id, action, comment } = {}) {
+    if (!this.pendingReview || !this._reviewResolver) {
+      return { success: false, error: 'No comment awaiting review' };
+    }
+
+    if (id && id !== this.pendingReview.id) {
+      return { success: false, error: 'Review is no longer pending' };
+    }
+
+    if (!['approve', 'edit', 'regenerate', 'reject'].includes(action)) {
+      return { success: false, error: 'Invalid review action. Use approve, edit, regenerate or reject' };
+    }
+
+    let finalComment = this.pendingReview.comment;
+    if (action === 'edit') {
+      finalComment = String(comment || '').trim();
+      if (!finalComment) {
+        return { success: false, error: 'Edited comment is empty' };
+      }
+    }
+
+    logger.info('✅ Review decision received', { postId: this.pendingReview.postId, action });
+    this._reviewResolver({ action, comment: finalComment });
+    return { success: true, action };
+  }
+
+  /**
+   * End a keyboard session on its own (budget, time limit, daily cap or error):
+   * show the outcome on the HUD, then stop the runner so trace/video get saved
+   */
+  async finishKeyboardSession(reason) {
+    const labels = {
+      budget: 'Budget reached',
+      time_limit: 'Time limit reached',
+      daily_cap: 'Daily cap reached',
+      queue_complete: 'Queue finished',
+      source_exhausted: 'No more posts in feed source',
+      error: 'Stopped on error'
+    };
+
+    this.completedReason = this.completedReason || reason;
+    logger.info('Ending keyboard session', {
+      reason: this.completedReason,
+      commentsPosted: this.sessionStats.commentsPosted
+    });
+
+    try {
+      await this.updateHUD({
+        action: `Completed - ${labels[this.completedReason] || this.completedReason}`,
+        engage: '-',
+        commentsPosted: this.sessionStats.commentsPosted
+      });
+      // Leave the final HUD state visible briefly before the browser closes
+      if (this.page) await this.page.waitForTimeout(2000);
+    } catch (error) {
+      // Ignore HUD errors - artifacts still need saving
+    }
+
+    try {
+      await this.stop(this.completedReason);
+    } catch (error) {
+      logger.error('Failed to stop runner after session completed', { error: error.message });
+    }
+  }
+
   /**
    * Engage with a post by navigating to comment button and posting AI comment
    * Used in both Default and Optimized modes
+   * @param {Object} postData - Post detected by isInsidePost()
+   * @param {Object} ledgerEntry - Optional ledger record; receives the comment and failure reason
    */
-  async engageWithPost(postData) {
+  async engageWithPost(postData, ledgerEntry = null) {
+    const entry = ledgerEntry || { timings: {} };
+    const sel = selectorRegistry.pick('likeButton', 'likeIcon', 'likeText', 'countValue', 'reactionsMenu',
+      'commentButton', 'commentIcon', 'socialActionBar', 'commentSection');
+    // Button labels in the page's language
+    const { labels, words } = localePacks.get(this.locale);
     try {
       logger.info('🎯 Starting engagement with post', { postId: postData.postId });
       
@@ -1718,11 +3109,11 @@ class PlaywrightRunner {
         await this.page.keyboard.press('Tab');
         await this.page.waitForTimeout(200);
         
-        const buttonInfo = await this.page.evaluate(() => {
+        const buttonInfo = await this.page.evaluate(({ sel, labels, words }) => {
           const activeElement = document.activeElement;
           
           // ENHANCED LOGGING: Check if we're on the button or a child element
-          const parentButton = activeElement.closest('button.react-button__trigger');
+          const parentButton = activeElement.closest(sel.likeButton);
           const isInsideButton = parentButton !== null;
           const actualButton = activeElement.tagName === 'BUTTON' ? activeElement : parentButton;
           
@@ -1737,17 +3128,17 @@ class PlaywrightRunner {
             classList: Array.from(activeElement.classList),
             ariaLabel: activeElement.getAttribute('aria-label') || '',
             textContent: activeElement.textContent?.trim().substring(0, 50) || '',
-            hasThumbsUpIcon: !!activeElement.querySelector('svg[data-test-icon="thumbs-up-outline-small"]'),
-            hasLikeText: activeElement.querySelector('span.react-button__text')?.textContent?.trim() === 'Like',
-            hasReactButtonClass: activeElement.classList.contains('react-button__trigger'),
-            isInMainPost: !!activeElement.closest('.feed-shared-social-action-bar'),
-            isInCommentSection: !!activeElement.closest('.comments-comment-social-bar--cr'),
-            isReactionCount: activeElement.classList.contains('social-details-social-counts__count-value'),
-            isReactionMenu: activeElement.classList.contains('reactions-menu__trigger'),
+            hasThumbsUpIcon: !!activeElement.querySelector(sel.likeIcon),
+            hasLikeText: labels.likeText.includes(activeElement.querySelector(sel.likeText)?.textContent?.trim()),
+            hasReactButtonClass: activeElement.matches(sel.likeButton),
+            isInMainPost: !!activeElement.closest(sel.socialActionBar),
+            isInCommentSection: !!activeElement.closest(sel.commentSection),
+            isReactionCount: activeElement.matches(sel.countValue),
+            isReactionMenu: activeElement.matches(sel.reactionsMenu),
             // Check from actual button if we're inside one
             buttonAriaLabel: actualButton ? actualButton.getAttribute('aria-label') || '' : '',
-            buttonHasReactClass: actualButton ? actualButton.classList.contains('react-button__trigger') : false,
-            buttonHasIcon: actualButton ? !!actualButton.querySelector('svg[data-test-icon="thumbs-up-outline-small"]') : false
+            buttonHasReactClass: actualButton ? actualButton.matches(sel.likeButton) : false,
+            buttonHasIcon: actualButton ? !!actualButton.querySelector(sel.likeIcon) : false
           };
           
           // CRITICAL FIX: Check from the actual button element, not just activeElement
@@ -1761,28 +3152,31 @@ class PlaywrightRunner {
           }
           
           // Look for thumbs-up icon (visual cue) in the actual button
-          const hasThumbsUpIcon = elementToCheck.querySelector('svg[data-test-icon="thumbs-up-outline-small"]');
+          const hasThumbsUpIcon = elementToCheck.querySelector(sel.likeIcon);
           
-          // Look for "Like" text (visual cue) in the actual button
-          const hasLikeText = elementToCheck.querySelector('span.react-button__text')?.textContent?.trim() === 'Like';
+          // Look for the "Like" label (visual cue) in the actual button
+          const hasLikeText = labels.likeText.includes(elementToCheck.querySelector(sel.likeText)?.textContent?.trim());
           
-          // Must have react-button__trigger class on the actual button
-          const hasReactButtonClass = elementToCheck.classList.contains('react-button__trigger');
+          // Must match the likeButton selector role (react-button__trigger)
+          const hasReactButtonClass = elementToCheck.matches(sel.likeButton);
           
           // CRITICAL: Must be in main post action bar, NOT in comment section
-          const isInMainPost = elementToCheck.closest('.feed-shared-social-action-bar');
-          const isInCommentSection = elementToCheck.closest('.comments-comment-social-bar--cr');
+          const isInMainPost = elementToCheck.closest(sel.socialActionBar);
+          const isInCommentSection = elementToCheck.closest(sel.commentSection);
           
-          // CRITICAL: aria-label should be exactly "React Like" (no person name)
+          // Already reacted: aria-pressed is set and the label/icon may show another reaction
+          const isPressed = elementToCheck.getAttribute('aria-pressed') === 'true';
+
+          // CRITICAL: aria-label should be exactly "React Like" in the page's language (no person name)
           const ariaLabel = elementToCheck.getAttribute('aria-label') || '';
-          const isMainPostLike = ariaLabel === 'React Like';
+          const isMainPostLike = labels.likeAria.includes(ariaLabel) || (isPressed && new RegExp(labels.reactedAria).test(ariaLabel));
           
           // Avoid reaction counts and menus
-          const isReactionCount = elementToCheck.classList.contains('social-details-social-counts__count-value') ||
-                                  ariaLabel.includes('reactions'); // e.g. "347 reactions"
-          const isReactionMenu = elementToCheck.classList.contains('reactions-menu__trigger');
+          const isReactionCount = elementToCheck.matches(sel.countValue) ||
+                                  (/\d/.test(ariaLabel) && new RegExp(words.reaction, 'i').test(ariaLabel)); // e.g. "347 reactions"
+          const isReactionMenu = elementToCheck.matches(sel.reactionsMenu);
           
-          const isLikeButton = (hasThumbsUpIcon || hasLikeText) && 
+          const isLikeButton = (hasThumbsUpIcon || hasLikeText || isPressed) && 
                  hasReactButtonClass && 
                  isInMainPost && 
                  !isInCommentSection && 
@@ -1790,8 +3184,8 @@ class PlaywrightRunner {
                  !isReactionCount && 
                  !isReactionMenu;
           
-          return { isLikeButton, debugInfo };
-        });
+          return { isLikeButton, isPressed, debugInfo };
+        }, { sel, labels, words });
         
         // Log what we're seeing - ENHANCED DIAGNOSTICS
         if (buttonInfo.debugInfo.focusedElementTag) {
@@ -1814,6 +3208,12 @@ class PlaywrightRunner {
         
         if (buttonInfo.isLikeButton) {
           likeButtonFound = true;
+          if (buttonInfo.isPressed) {
+            // Enter would toggle our reaction off
+            logger.info('👍 Post already liked, leaving the reaction as it is');
+            entry.engagement = { ...(entry.engagement || {}), liked: true };
+            break;
+          }
           logger.info('👍 Found Like button, pressing Enter...');
           await this.page.keyboard.press('Enter');
           await this.page.waitForTimeout(1000);
@@ -1823,6 +3223,7 @@ class PlaywrightRunner {
       
       if (!likeButtonFound) {
         logger.warn('⚠️ Like button not found, skipping post');
+        entry.error = 'Like button not found';
         return false;
       }
       
@@ -1834,11 +3235,11 @@ class PlaywrightRunner {
       await this.page.waitForTimeout(500);
 
       // Verify we're on the Comment button (main post, not comment section)
-      const commentButtonInfo = await this.page.evaluate(() => {
+      const commentButtonInfo = await this.page.evaluate(({ sel, labels }) => {
         const activeElement = document.activeElement;
         
         // ENHANCED LOGGING: Check if we're on the button or a child element
-        const parentButton = activeElement.closest('button.comment-button');
+        const parentButton = activeElement.closest(sel.commentButton);
         const isInsideButton = parentButton !== null;
         const actualButton = activeElement.tagName === 'BUTTON' ? activeElement : parentButton;
         
@@ -1853,15 +3254,15 @@ class PlaywrightRunner {
           classList: Array.from(activeElement.classList),
           ariaLabel: activeElement.getAttribute('aria-label') || '',
           textContent: activeElement.textContent?.trim().substring(0, 50) || '',
-          hasCommentIcon: !!activeElement.querySelector('svg[data-test-icon="comment-small"]'),
-          hasCommentText: activeElement.textContent?.trim() === 'Comment',
-          hasCommentButtonClass: activeElement.classList.contains('comment-button'),
-          isInMainPost: !!activeElement.closest('.feed-shared-social-action-bar'),
-          isInCommentSection: !!activeElement.closest('.comments-comment-social-bar--cr'),
+          hasCommentIcon: !!activeElement.querySelector(sel.commentIcon),
+          hasCommentText: labels.commentText.includes(activeElement.textContent?.trim()),
+          hasCommentButtonClass: activeElement.matches(sel.commentButton),
+          isInMainPost: !!activeElement.closest(sel.socialActionBar),
+          isInCommentSection: !!activeElement.closest(sel.commentSection),
           // Check from actual button if we're inside one
           buttonAriaLabel: actualButton ? actualButton.getAttribute('aria-label') || '' : '',
-          buttonHasCommentClass: actualButton ? actualButton.classList.contains('comment-button') : false,
-          buttonHasIcon: actualButton ? !!actualButton.querySelector('svg[data-test-icon="comment-small"]') : false
+          buttonHasCommentClass: actualButton ? actualButton.matches(sel.commentButton) : false,
+          buttonHasIcon: actualButton ? !!actualButton.querySelector(sel.commentIcon) : false
         };
         
         // CRITICAL FIX: Check from the actual button element, not just activeElement
@@ -1875,21 +3276,21 @@ class PlaywrightRunner {
         }
         
         // Look for comment icon (visual cue) in the actual button
-        const hasCommentIcon = elementToCheck.querySelector('svg[data-test-icon="comment-small"]');
+        const hasCommentIcon = elementToCheck.querySelector(sel.commentIcon);
         
-        // Look for "Comment" text (visual cue) in the actual button
-        const hasCommentText = elementToCheck.textContent?.trim() === 'Comment';
+        // Look for the "Comment" label (visual cue) in the actual button
+        const hasCommentText = labels.commentText.includes(elementToCheck.textContent?.trim());
         
-        // Must have comment-button class on the actual button
-        const hasCommentButtonClass = elementToCheck.classList.contains('comment-button');
+        // Must match the commentButton selector role (comment-button)
+        const hasCommentButtonClass = elementToCheck.matches(sel.commentButton);
         
         // CRITICAL: Must be in main post action bar, NOT in comment section
-        const isInMainPost = elementToCheck.closest('.feed-shared-social-action-bar');
-        const isInCommentSection = elementToCheck.closest('.comments-comment-social-bar--cr');
+        const isInMainPost = elementToCheck.closest(sel.socialActionBar);
+        const isInCommentSection = elementToCheck.closest(sel.commentSection);
         
-        // CRITICAL: aria-label should be exactly "Comment" (no person name)
+        // CRITICAL: aria-label should be exactly "Comment" in the page's language (no person name)
         const ariaLabel = elementToCheck.getAttribute('aria-label') || '';
-        const isMainPostComment = ariaLabel === 'Comment';
+        const isMainPostComment = labels.commentAria.includes(ariaLabel);
         
         const isCommentButton = (hasCommentIcon || hasCommentText) && 
                hasCommentButtonClass && 
@@ -1898,7 +3299,7 @@ class PlaywrightRunner {
                isMainPostComment;
         
         return { isCommentButton, debugInfo };
-      });
+      }, { sel, labels });
       
       // Log what we found - ENHANCED DIAGNOSTICS
       logger.info('📝 After 2 tabs, checking Comment button', {
@@ -1928,30 +3329,30 @@ class PlaywrightRunner {
           await this.page.keyboard.press('Tab');
           await this.page.waitForTimeout(300);
           
-          const checkComment = await this.page.evaluate(() => {
+          const checkComment = await this.page.evaluate(({ sel, labels }) => {
             const activeElement = document.activeElement;
             
             // CRITICAL FIX: Check from the actual button element
-            const parentButton = activeElement.closest('button.comment-button');
+            const parentButton = activeElement.closest(sel.commentButton);
             const actualButton = activeElement.tagName === 'BUTTON' ? activeElement : parentButton;
             const elementToCheck = actualButton || activeElement;
             
             if (elementToCheck.tagName !== 'BUTTON') return false;
             
-            const hasCommentIcon = elementToCheck.querySelector('svg[data-test-icon="comment-small"]');
-            const hasCommentText = elementToCheck.textContent?.trim() === 'Comment';
-            const hasCommentButtonClass = elementToCheck.classList.contains('comment-button');
-            const isInMainPost = elementToCheck.closest('.feed-shared-social-action-bar');
-            const isInCommentSection = elementToCheck.closest('.comments-comment-social-bar--cr');
+            const hasCommentIcon = elementToCheck.querySelector(sel.commentIcon);
+            const hasCommentText = labels.commentText.includes(elementToCheck.textContent?.trim());
+            const hasCommentButtonClass = elementToCheck.matches(sel.commentButton);
+            const isInMainPost = elementToCheck.closest(sel.socialActionBar);
+            const isInCommentSection = elementToCheck.closest(sel.commentSection);
             const ariaLabel = elementToCheck.getAttribute('aria-label') || '';
-            const isMainPostComment = ariaLabel === 'Comment';
+            const isMainPostComment = labels.commentAria.includes(ariaLabel);
             
             return (hasCommentIcon || hasCommentText) && 
                    hasCommentButtonClass && 
                    isInMainPost && 
                    !isInCommentSection && 
                    isMainPostComment;
-          });
+          }, { sel, labels });
           
           if (checkComment) {
             foundCommentButton = true;
@@ -1962,6 +3363,7 @@ class PlaywrightRunner {
         
         if (!foundCommentButton) {
           logger.warn('⚠️ Could not find Comment button, skipping post');
+          entry.error = 'Comment button not found';
           return false;
         }
       }
@@ -1973,25 +3375,75 @@ class PlaywrightRunner {
       // Step 4: Wait 1-2 seconds for editor to open
       await this.page.waitForTimeout(2000);
       
-      // Step 5: Call linkedin-reply webhook to get AI comment
-      logger.info('🤖 Calling linkedin-reply webhook for AI comment...');
-      const aiComment = await this.callWebhookFromRunner({
+      // Step 5: Generate the comment with the session's provider (n8n linkedin-reply by default)
+      entry.provider = this.getCommentProviderConfig().type;
+      logger.info('🤖 Generating AI comment...', { provider: entry.provider });
+      const commentStartedAt = Date.now();
+      const aiComment = await this.generateComment({
         postId: postData.postId,
         postText: postData.postContent,
         authorName: postData.authorName,
+        post: postData.post || null,
         actionType: 'comment',
         timestamp: new Date().toISOString()
       });
       
+      entry.timings.commentMs = Date.now() - commentStartedAt;
+
       if (!aiComment) {
-        logger.error('❌ Failed to get AI comment from webhook');
+        logger.error('❌ Failed to get AI comment from provider');
+        entry.error = `No comment returned by ${entry.provider} provider`;
         await this.page.keyboard.press('Escape');
         return false;
       }
+      entry.comment = aiComment;
+      this.emitEvent('comment_generated', { postId: postData.postId, provider: entry.provider, comment: aiComment });
+
+      // Step 5b (review mode): hold the comment until a person approves, edits or rejects it
+      let finalComment = aiComment;
+      if (this.reviewMode) {
+        const review = await this.awaitCommentReview(postData, aiComment, () => this.generateComment({
+          postId: postData.postId,
+          postText: postData.postContent,
+          authorName: postData.authorName,
+          post: postData.post || null,
+          actionType: 'comment',
+          timestamp: new Date().toISOString()
+        }));
+
+        entry.review = {
+          approved: review.approved,
+          action: review.action,
+          regenerations: review.regenerations,
+          waitedMs: review.waitedMs
+        };
+
+        if (!review.approved) {
+          logger.info('🚫 Comment not approved in review, skipping post', { postId: postData.postId, action: review.action });
+          entry.error = review.action === 'timeout' ? 'Review timed out' : 'Rejected in review';
+          await this.page.keyboard.press('Escape');
+          return false;
+        }
+
+        if (review.comment !== aiComment) {
+          entry.review.generatedComment = aiComment;
+        }
+        finalComment = review.comment;
+        entry.comment = finalComment;
+      }
       
       // Step 6: Paste the AI comment
       logger.info('📋 Pasting AI comment...');
-      await this.pasteCommentReliably(aiComment);
+      const post = this.page.locator(feedSources.postSelector(postData.postId)).first();
+      const existingMatches = await this.countCommentMatches(post, finalComment);
+      const fail = (status, message) => this.rollbackComment(post, entry, status, message);
+
+      if (!(await this.pasteCommentReliably(finalComment))) {
+        return fail('paste_failed', 'Comment could not be pasted into the editor');
+      }
+      if (!(await this.isFocusedIn(post, selectorRegistry.get('commentEditor')))) {
+        return fail('editor_lost_focus', 'Comment editor lost focus after pasting');
+      }
       
       // Step 7: Tab exactly 3 times to reach Post button
       logger.info('🔍 Tabbing 3 times to Post button...');
@@ -1999,21 +3451,58 @@ class PlaywrightRunner {
         await this.page.keyboard.press('Tab');
         await this.page.waitForTimeout(500);
       }
+
+      // Enter anywhere else could open a menu or a link instead of posting
+      if (!(await this.isFocusedIn(post, selectorRegistry.get('commentSubmit')))) {
+        return fail('post_button_not_reached', 'Post button not focused after 3 tabs');
+      }
       
-      // Step 8: Press Enter to submit comment
+      // Step 8: Press Enter to submit comment, then wait for it in the comment list
       logger.info('✅ Pressing Enter to post comment...');
       await this.page.keyboard.press('Enter');
-      await this.page.waitForTimeout(1500);
+
+      const verification = await this.verifyCommentPosted(post, finalComment, existingMatches);
+      entry.verification = verification;
+      entry.timings.verifyMs = verification.waitedMs;
+      if (verification.status === 'error_toast') {
+        return fail('error_toast', `LinkedIn error: ${verification.message}`);
+      }
+      if (verification.status !== 'verified') {
+        return fail('not_confirmed', 'Comment did not appear in the comment list');
+      }
       
-      logger.success('🎉 Comment posted successfully!');
+      logger.success('🎉 Comment posted and verified!', { waitedMs: verification.waitedMs });
       return true;
       
     } catch (error) {
       logger.error('❌ Failed to engage with post', { error: error.message });
+      entry.error = error.message;
       return false;
     }
   }
 
+  /**
+   * Whether the focused element is one of the selectors inside the post
+   */
+  async isFocusedIn(post, selectors) {
+    for (const selector of selectors) {
+      if (await post.locator(`${selector}:focus`).count() > 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * A comment submission failed part-way: record why and clear the editor so the post is left as it was.
+   * verification.status: paste_failed | editor_lost_focus | post_button_not_reached | error_toast | not_confirmed
+   */
+  async rollbackComment(post, entry, status, message) {
+    logger.warn('⚠️ Comment not posted, cleaning up', { status, error: message });
+    entry.verification = { ...(entry.verification || {}), status };
+    entry.error = message;
+    await this.clearCommentEditor(post);
+    return false;
+  }
+
 
 
 
@@ -2041,11 +3530,11 @@ class PlaywrightRunner {
       }
       
       // OPTIMIZATION: Single DOM query with efficient selectors
-      const postData = await this.page.evaluate(() => {
+      const postData = await this.page.evaluate((sel) => {
         const activeElement = document.activeElement;
         
         // OPTIMIZATION: Use document.querySelectorAll once for all data-id elements
-        const allDataIdElements = document.querySelectorAll('div[data-id^="urn:li:activity:"]');
+        const allDataIdElements = document.querySelectorAll(sel.activityPost);
         let dataIdElement = null;
         
         // OPTIMIZATION: Early return on first match
@@ -2066,19 +3555,12 @@ class PlaywrightRunner {
         const postId = dataIdElement.getAttribute('data-id');
         
         // OPTIMIZATION: Single query for all content with combined selector
-        const contentElement = dataIdElement.querySelector(
-          '.feed-shared-update-v2__description, ' +
-          '.feed-shared-text, ' +
-          '.update-components-update-v2__commentary'
-        );
+        const contentElement = dataIdElement.querySelector(sel.postText);
         
         const postContent = contentElement?.innerText?.trim() || '';
         
         // OPTIMIZATION: Single query for author
-        const authorElement = dataIdElement.querySelector(
-          '.update-components-actor__name, ' +
-          '.feed-shared-actor__name'
-        );
+        const authorElement = dataIdElement.querySelector(sel.postAuthor);
         
         const authorName = authorElement?.innerText?.trim() || 'Unknown';
         
@@ -2089,7 +3571,7 @@ class PlaywrightRunner {
           outerHTML: dataIdElement.outerHTML,
           htmlLength: dataIdElement.outerHTML.length
         };
-      });
+      }, selectorRegistry.pick('activityPost', 'postText', 'postAuthor'));
 
       if (postData) {
         // OPTIMIZATION: Cache result
@@ -2124,73 +3606,196 @@ class PlaywrightRunner {
       return null;
       
     } catch (error) {
-      this.logger.error('Failed to extract post data', { error: error.message });
-      return null;
+      this.logger.error('Failed to extract post data', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Optimized-mode decision from the configured source:
+   *   webhook (default) - linkedin-parse only
+   *   local             - rule-based score only, no network
+   *   both              - the local score gates first; only posts that pass it go to linkedin-parse
+   */
+  async decideEngagement(postData) {
+    const source = this.scoring?.source || 'webhook';
+
+    if (source === 'webhook') {
+      return { ...(await this.checkEngagementDecision(postData)), source: 'webhook' };
+    }
+
+    const local = await this.scorePostLocally(postData);
+    if (source === 'local' || local.engage !== 'yes') {
+      return local;
+    }
+
+    const remote = await this.checkEngagementDecision(postData);
+    return { ...remote, source: 'both', score: local.score, reason: local.reason, metrics: local.metrics };
+  }
+
+  /**
+   * Local scoring rules: thresholds (minReactions/minComments/minReposts) plus the session's scoring options
+   */
+  getLocalScoringRules() {
+    const { minReactions, minComments, minReposts } = this.getThresholds();
+    return { ...(this.scoring || {}), minReactions, minComments, minReposts };
+  }
+
+  /**
+   * Score a post with local rules from its count labels, author and text
+   * Returns { engage, score, reason, breakdown, metrics, source: 'local' }
+   */
+  async scorePostLocally(postData) {
+    const model = postData.post;
+    let rawMetrics = { reactions: 0, comments: 0, reposts: 0 };
+
+    if (model && Object.values(model.counts).some(count => count !== null)) {
+      // Counts from the parsed post model - no page round trip (a count it did not find is 0)
+      rawMetrics = { reactions: model.counts.reactions || 0, comments: model.counts.comments || 0, reposts: model.counts.reposts || 0 };
+    } else {
+      try {
+        // Search and activity pages mark posts with data-urn instead of data-id
+        const postElement = this.page ? await this.page.$(feedSources.postSelector(postData.postId)) : null;
+        if (postElement) {
+          rawMetrics = await this.extractMetricsWithLayeredSelectors(postElement);
+        }
+      } catch (error) {
+        logger.warn('Failed to read post metrics for local scoring, scoring without them', { postId: postData.postId, error: error.message });
+      }
+    }
+
+    const parsed = this.parseMetricsSafe(rawMetrics);
+    const metrics = { reactions: parsed.reactions, comments: parsed.comments, reposts: parsed.reposts };
+    const post = {
+      metrics,
+      authorName: postData.authorName || (model ? model.author.name : ''),
+      text: postData.postContent || (model ? model.text : '')
+    };
+    const rules = this.getLocalScoringRules();
+    let result;
+    try {
+      result = await workerPool.run('scorePost', { post, rules });
+    } catch (error) {
+      logger.warn('Worker scorePost failed, scoring on the main thread', { postId: postData.postId, error: error.message, code: error.code });
+      result = engagementScorer.score(post, rules);
     }
+
+    logger.info('🧮 Local engagement score', {
+      postId: postData.postId,
+      engage: result.engage,
+      score: result.score,
+      reason: result.reason,
+      parseNotes: parsed.parseNotes
+    });
+
+    return { ...result, metrics, source: 'local', defaulted: false };
+  }
+
+  /**
+   * Cross-session dedup rules for this session (defaults from .env, see engagement-index.js)
+   *   samePost: never comment the same post twice
+   *   authorCooldownDays: at most one comment per author per N days (0 = off)
+   */
+  getDedupRules() {
+    return engagementIndex.normalizeRules(this.dedup || {});
+  }
+
+  /**
+   * What the linkedin-parse request carries this session (defaults from .env, see webhook-payloads.js)
+   *   format: html | model | both; strip: parts removed from the HTML; maxBytes: body cap; schemaVersion
+   */
+  getParsePayloadOptions() {
+    return webhookPayloads.normalizeOptions(this.parsePayload || {});
+  }
+
+  /**
+   * How linkedin-parse failures are handled this session
+   *   onFailure: engage (fail open) | skip (fail closed) | retry (retry with backoff, then skip)
+   *   breakerThreshold: consecutive failures before the circuit breaker trips (0 = never, the default)
+   *   breakerAction: pause the session | skip_all remaining posts without calling the webhook
+   */
+  getDecisionPolicy() {
+    const policy = this.decisionPolicy || {};
+    return {
+      onFailure: ['engage', 'skip', 'retry'].includes(policy.onFailure) ? policy.onFailure : 'engage',
+      retries: Math.min(5, Math.max(0, parseInt(policy.retries ?? 2) || 0)),
+      retryBackoffMs: Math.max(0, parseInt(policy.retryBackoffMs ?? 2000) || 0),
+      timeoutMs: Math.max(1000, parseInt(policy.timeoutMs) || 180000),
+      breakerThreshold: Math.max(0, parseInt(policy.breakerThreshold) || 0),
+      breakerAction: policy.breakerAction === 'skip_all' ? 'skip_all' : 'pause'
+    };
   }
 
   /**
    * OPTIMIZATION: Call linkedin-parse webhook with connection pooling and caching
-   * Only called in Optimized mode
+   * Only called in Optimized mode. Failures are resolved by the decision policy;
+   * every result says whether it is real (defaulted: false) or a policy default (defaulted: true).
    */
   async checkEngagementDecision(postData) {
-    const methodStartTime = Date.now(); // Track total time spent in this method
-
-    try {
-      if (!this.postAnalysisWebhook) {
-        this.logger.warn('No post analysis webhook configured, defaulting to engage');
-        return { engage: 'yes' };
-      }
+    const policy = this.getDecisionPolicy();
 
-      // OPTIMIZATION: Check cache first
-      const cacheKey = `engagement_${postData.postId}`;
-      const cached = this._domCache.get(cacheKey);
+    if (!this.postAnalysisWebhook) {
+      this.logger.warn('No post analysis webhook configured, applying failure policy', { onFailure: policy.onFailure });
+      return this.defaultEngagementDecision(postData, policy, 'not_configured', null, 0);
+    }
 
-      if (cached && Date.now() - cached.timestamp < this._cacheTimeout) {
-        this.logger.info('✅ Engagement decision from cache', { engage: cached.result.engage });
-        return cached.result;
-      }
+    // Circuit breaker tripped in skip_all mode: don't call the webhook again this session
+    if (this.decisionBreaker.open) {
+      return this.defaultEngagementDecision(postData, { ...policy, onFailure: 'skip' }, 'circuit_open', null, 0);
+    }
 
-      this.logger.info('🔍 Calling linkedin-parse webhook for engagement decision...', {
-        webhook: this.postAnalysisWebhook,
-        postId: postData.postId
-      });
+    // OPTIMIZATION: Check cache first
+    const cacheKey = `engagement_${postData.postId}`;
+    const cached = this._domCache.get(cacheKey);
 
-      this.logger.info('⏸️  BLOCKING: Runner will wait up to 180 seconds (3 minutes) for webhook response before continuing...');
-      this.logger.info('⏸️  The runner will NOT tab ahead until a decision is received or timeout occurs');
+    if (cached && Date.now() - cached.timestamp < this._cacheTimeout) {
+      this.logger.info('✅ Engagement decision from cache', { engage: cached.result.engage });
+      return cached.result;
+    }
 
-      // Update HUD to show waiting status
-      await this.updateHUD({
-        postId: postData.postId,
-        action: 'Waiting for AI analysis...',
-        engage: 'Pending...'
-      });
+    const attempts = policy.onFailure === 'retry' ? policy.retries + 1 : 1;
+    const methodStartTime = Date.now();
+    let lastError = null;
 
-      // NEW FORMAT: Send outer_html to linkedin-parse webhook
-      const request = {
-        url: this.postAnalysisWebhook,
-        payload: {
-          outer_html: postData.outerHTML || postData.postHTML
-        },
-        timeout: 180000  // 180 seconds (3 minutes) - wait for full analysis before defaulting to engage
-      };
+    // Built once - retries resend the same body
+    const { payload } = await webhookPayloads.buildParsePayload(postData, this.getParsePayloadOptions(), {
+      commentSelectors: selectorRegistry.get('commentSection').concat(selectorRegistry.get('commentBox'))
+    });
 
-      const startWaitTime = Date.now();
-      const result = await this.executeWebhookRequest(request);
-      const waitDuration = Date.now() - startWaitTime;
+    this.logger.info('🔍 Calling linkedin-parse webhook for engagement decision...', {
+      webhook: this.postAnalysisWebhook,
+      postId: postData.postId,
+      timeoutMs: policy.timeoutMs,
+      onFailure: policy.onFailure,
+      attempts
+    });
 
-      this.logger.info('✅ Webhook responded after ' + waitDuration + 'ms - resuming runner');
+    try {
+      const { body: result, attempts: used, durationMs } = await webhookClient.request(this.postAnalysisWebhook, payload, {
+        endpoint: 'linkedin-parse',
+        timeoutMs: policy.timeoutMs,
+        retries: attempts - 1,
+        retryBackoffMs: policy.retryBackoffMs,
+        idempotencyKey: webhookClient.idempotencyKey('linkedin-parse', postData.postId),
+        schema: 'engage',
+        // Update HUD to show waiting status
+        onAttempt: (attempt) => this.updateHUD({
+          postId: postData.postId,
+          action: attempt === 1 ? 'Waiting for AI analysis...' : `Retrying analysis (${attempt}/${attempts})...`,
+          engage: 'Pending...'
+        }),
+        shouldStop: () => this.stopRequested
+      });
 
       // NORMALIZE: Handle both "Engage"/"engage" and "YES"/"yes" from n8n
       const normalizedResult = {
-        engage: (result.engage || result.Engage || 'yes').toLowerCase(),
-        postId: result.postId || result.PostId || postData.postId
+        engage: (result.engage || result.Engage).toLowerCase(),
+        postId: result.postId || result.PostId || postData.postId,
+        defaulted: false,
+        attempts: used
       };
 
-      this.logger.info('🔄 Normalized webhook response', {
-        original: result,
-        normalized: normalizedResult
-      });
+      this.decisionBreaker.consecutiveFailures = 0;
 
       // OPTIMIZATION: Cache result
       this._domCache.set(cacheKey, {
@@ -2201,34 +3806,103 @@ class PlaywrightRunner {
       this.logger.info('✅ Engagement decision received', {
         engage: normalizedResult.engage,
         postId: normalizedResult.postId,
-        waitTime: waitDuration + 'ms',
-        willEngage: normalizedResult.engage === 'yes'
+        original: result,
+        waitTime: durationMs + 'ms',
+        attempt: used
       });
 
       return normalizedResult;
 
     } catch (error) {
-      const totalWaitTime = Date.now() - methodStartTime;
+      lastError = error;
 
-      this.logger.error('❌ linkedin-parse webhook failed after ' + totalWaitTime + 'ms, defaulting to engage', {
+      this.logger.error('❌ linkedin-parse webhook failed', {
         error: error.message,
-        errorName: error.name,
+        errorType: error.errorType,
         webhook: this.postAnalysisWebhook,
         postId: postData.postId,
-        totalWaitTime: totalWaitTime + 'ms',
-        maxTimeout: '180000ms',
-        hasOuterHTML: !!(postData.outerHTML || postData.postHTML),
-        payloadSize: JSON.stringify({
-          outer_html: postData.outerHTML || postData.postHTML
-        }).length,
-        recommendation: 'Check detailed diagnostics above for specific error type and resolution steps'
+        attempts: error.attempts,
+        totalWaitTime: (Date.now() - methodStartTime) + 'ms',
+        hasOuterHTML: !!(postData.outerHTML || postData.postHTML)
       });
+    }
+
+    const attemptsUsed = lastError?.attempts ?? attempts;
+    if (this.recordDecisionFailure(policy, lastError)) {
+      // The post that tripped the breaker is skipped as well, whatever onFailure says
+      return this.defaultEngagementDecision(postData, { ...policy, onFailure: 'skip' }, 'breaker_open', lastError, attemptsUsed);
+    }
+    return this.defaultEngagementDecision(postData, policy, lastError?.errorType || 'error', lastError, attemptsUsed);
+  }
+
+  /**
+   * Decision used when linkedin-parse gave no answer: engage for the engage policy, skip otherwise
+   */
+  defaultEngagementDecision(postData, policy, reason, error, attempts) {
+    const decision = {
+      engage: policy.onFailure === 'engage' ? 'yes' : 'no',
+      postId: postData.postId,
+      defaulted: true,
+      reason,
+      error: error ? error.message : null,
+      attempts
+    };
+
+    this.sessionStats.decisionsDefaulted = (this.sessionStats.decisionsDefaulted || 0) + 1;
+    this.logger.warn(`⚠️  No engagement decision from linkedin-parse, defaulting to ${decision.engage === 'yes' ? 'ENGAGE' : 'SKIP'}`, {
+      postId: postData.postId,
+      reason,
+      policy: policy.onFailure
+    });
+
+    return decision;
+  }
 
-      this.logger.warn('⚠️  After waiting ' + totalWaitTime + 'ms, defaulting to ENGAGE and resuming runner');
+  /**
+   * Count a failed analysis and trip the circuit breaker after breakerThreshold consecutive failures
+   * @returns {boolean} true when this failure tripped the breaker
+   */
+  recordDecisionFailure(policy, error) {
+    const breaker = this.decisionBreaker;
+    breaker.consecutiveFailures++;
+
+    if (!policy.breakerThreshold || breaker.consecutiveFailures < policy.breakerThreshold || breaker.trippedAt) {
+      return false;
+    }
+
+    breaker.trippedAt = new Date().toISOString();
+    breaker.action = policy.breakerAction;
+    this.logger.error('🔌 Engagement analysis circuit breaker tripped', {
+      consecutiveFailures: breaker.consecutiveFailures,
+      action: policy.breakerAction,
+      lastError: error ? error.message : null
+    });
+    ledger.updateSession({ decisionBreaker: { ...breaker } });
 
-      // Default to engage on error (fail open, not closed)
-      return { engage: 'yes' };
+    if (policy.breakerAction === 'skip_all') {
+      breaker.open = true;
+    } else {
+      this.pause('circuit_breaker');
+      this.updateHUD({ action: `Paused - analysis failed ${breaker.consecutiveFailures}x` });
     }
+    return true;
+  }
+
+  /**
+   * Reset the circuit breaker (new session, or resume after a breaker pause)
+   */
+  resetDecisionBreaker() {
+    this.decisionBreaker = { consecutiveFailures: 0, open: false, trippedAt: null, action: null };
+  }
+
+  /**
+   * HUD label for a decision: YES / NO, with the local score or the reason it was defaulted
+   */
+  formatDecisionLabel(decision) {
+    const base = decision.engage === 'yes' ? 'YES' : 'NO';
+    if (decision.defaulted) return `${base} (default: ${decision.reason})`;
+    if (decision.score !== undefined) return `${base} (${decision.score})`;
+    return base;
   }
 
 
@@ -2236,6 +3910,7 @@ class PlaywrightRunner {
    * Paste comment reliably with multiple fallback methods
    */
   async pasteCommentReliably(text) {
+    const sel = selectorRegistry.pick('commentEditor', 'commentBox');
     try {
       // Step 1: Copy to clipboard
       await this.page.evaluate(async (t) => {
@@ -2245,29 +3920,29 @@ class PlaywrightRunner {
       await this.page.waitForTimeout(300);
 
       // Step 2: Find and focus the ACTIVE comment editor (not just the first one)
-      const editorFocused = await this.page.evaluate(() => {
+      const editorFocused = await this.page.evaluate((sel) => {
         // Try to find the editor from the currently focused element
         let editor = null;
         
         // Method 1: Check if active element is already the editor
         const activeEl = document.activeElement;
-        if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+        if (activeEl && activeEl.matches(sel.commentEditor)) {
           editor = activeEl;
         }
         
         // Method 2: Find editor within the active element's parent container
         if (!editor && activeEl) {
-          const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+          const container = activeEl.closest(sel.commentBox);
           if (container) {
-            editor = container.querySelector('.ql-editor[contenteditable="true"]');
+            editor = container.querySelector(sel.commentEditor);
           }
         }
         
         // Method 3: Find the most recently opened/visible editor (has focus-within or is in viewport)
         if (!editor) {
-          const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+          const allEditors = document.querySelectorAll(sel.commentEditor);
           for (const ed of allEditors) {
-            const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+            const container = ed.closest(sel.commentBox);
             if (container && container.matches(':focus-within')) {
               editor = ed;
               break;
@@ -2277,7 +3952,7 @@ class PlaywrightRunner {
         
         // Fallback: Use first editor (old behavior) only if nothing else works
         if (!editor) {
-          editor = document.querySelector('.ql-editor[contenteditable="true"]');
+          editor = document.querySelector(sel.commentEditor);
         }
         
         if (editor) {
@@ -2285,7 +3960,7 @@ class PlaywrightRunner {
           return true;
         }
         return false;
-      });
+      }, sel);
 
       if (!editorFocused) {
         logger.warn('Could not focus comment editor');
@@ -2303,26 +3978,26 @@ class PlaywrightRunner {
       await this.page.waitForTimeout(1000);
 
       // Verify paste succeeded in the ACTIVE editor (not just the first one)
-      const hasContent = await this.page.evaluate(() => {
+      const hasContent = await this.page.evaluate((sel) => {
         // Use the same logic to find the active editor
         let editor = null;
         
         const activeEl = document.activeElement;
-        if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+        if (activeEl && activeEl.matches(sel.commentEditor)) {
           editor = activeEl;
         }
         
         if (!editor && activeEl) {
-          const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+          const container = activeEl.closest(sel.commentBox);
           if (container) {
-            editor = container.querySelector('.ql-editor[contenteditable="true"]');
+            editor = container.querySelector(sel.commentEditor);
           }
         }
         
         if (!editor) {
-          const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+          const allEditors = document.querySelectorAll(sel.commentEditor);
           for (const ed of allEditors) {
-            const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+            const container = ed.closest(sel.commentBox);
             if (container && container.matches(':focus-within')) {
               editor = ed;
               break;
@@ -2335,7 +4010,7 @@ class PlaywrightRunner {
           return text.trim().length >= 10;
         }
         return false;
-      });
+      }, sel);
 
       if (hasContent) {
         logger.success('Paste successful via clipboard (Cmd/Ctrl+V)');
@@ -2344,23 +4019,23 @@ class PlaywrightRunner {
 
       // Fallback 1: Try execCommand('insertText')
       logger.warn('Clipboard paste failed, trying execCommand...');
-      const execSuccess = await this.page.evaluate((t) => {
+      const execSuccess = await this.page.evaluate(({ t, sel }) => {
         // Find the active editor using the same logic
         let editor = null;
         const activeEl = document.activeElement;
-        if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+        if (activeEl && activeEl.matches(sel.commentEditor)) {
           editor = activeEl;
         }
         if (!editor && activeEl) {
-          const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+          const container = activeEl.closest(sel.commentBox);
           if (container) {
-            editor = container.querySelector('.ql-editor[contenteditable="true"]');
+            editor = container.querySelector(sel.commentEditor);
           }
         }
         if (!editor) {
-          const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+          const allEditors = document.querySelectorAll(sel.commentEditor);
           for (const ed of allEditors) {
-            const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+            const container = ed.closest(sel.commentBox);
             if (container && container.matches(':focus-within')) {
               editor = ed;
               break;
@@ -2368,7 +4043,7 @@ class PlaywrightRunner {
           }
         }
         if (!editor) {
-          editor = document.querySelector('.ql-editor[contenteditable="true"]');
+          editor = document.querySelector(sel.commentEditor);
         }
         if (editor) {
           editor.focus();
@@ -2380,29 +4055,29 @@ class PlaywrightRunner {
           }
         }
         return false;
-      }, text);
+      }, { t: text, sel });
 
       if (execSuccess) {
         await this.page.waitForTimeout(500);
 
         // Verify
-        const hasContentAfterExec = await this.page.evaluate(() => {
+        const hasContentAfterExec = await this.page.evaluate((sel) => {
           // Find the active editor using the same logic
           let editor = null;
           const activeEl = document.activeElement;
-          if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+          if (activeEl && activeEl.matches(sel.commentEditor)) {
             editor = activeEl;
           }
           if (!editor && activeEl) {
-            const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+            const container = activeEl.closest(sel.commentBox);
             if (container) {
-              editor = container.querySelector('.ql-editor[contenteditable="true"]');
+              editor = container.querySelector(sel.commentEditor);
             }
           }
           if (!editor) {
-            const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+            const allEditors = document.querySelectorAll(sel.commentEditor);
             for (const ed of allEditors) {
-              const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+              const container = ed.closest(sel.commentBox);
               if (container && container.matches(':focus-within')) {
                 editor = ed;
                 break;
@@ -2410,14 +4085,14 @@ class PlaywrightRunner {
             }
           }
           if (!editor) {
-            editor = document.querySelector('.ql-editor[contenteditable="true"]');
+            editor = document.querySelector(sel.commentEditor);
           }
           if (editor) {
             const text = editor.innerText || editor.textContent || '';
             return text.trim().length >= 10;
           }
           return false;
-        });
+        }, sel);
 
         if (hasContentAfterExec) {
           logger.success('Paste successful via execCommand');
@@ -2427,7 +4102,7 @@ class PlaywrightRunner {
 
       // Fallback 2: Type character by character (slow but reliable)
       logger.warn('execCommand failed, using type fallback...');
-      const editor = await this.page.locator('.ql-editor[contenteditable="true"]').first();
+      const editor = await this.page.locator(sel.commentEditor).first();
 
       await editor.click();
       await this.page.waitForTimeout(300);
@@ -2436,23 +4111,23 @@ class PlaywrightRunner {
       await this.page.waitForTimeout(500);
 
       // Final verification
-      const hasContentAfterType = await this.page.evaluate(() => {
+      const hasContentAfterType = await this.page.evaluate((sel) => {
         // Find the active editor using the same logic
         let editor = null;
         const activeEl = document.activeElement;
-        if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+        if (activeEl && activeEl.matches(sel.commentEditor)) {
           editor = activeEl;
         }
         if (!editor && activeEl) {
-          const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+          const container = activeEl.closest(sel.commentBox);
           if (container) {
-            editor = container.querySelector('.ql-editor[contenteditable="true"]');
+            editor = container.querySelector(sel.commentEditor);
           }
         }
         if (!editor) {
-          const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+          const allEditors = document.querySelectorAll(sel.commentEditor);
           for (const ed of allEditors) {
-            const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+            const container = ed.closest(sel.commentBox);
             if (container && container.matches(':focus-within')) {
               editor = ed;
               break;
@@ -2460,14 +4135,14 @@ class PlaywrightRunner {
           }
         }
         if (!editor) {
-          editor = document.querySelector('.ql-editor[contenteditable="true"]');
+          editor = document.querySelector(sel.commentEditor);
         }
         if (editor) {
           const text = editor.innerText || editor.textContent || '';
           return text.trim().length >= 10;
         }
         return false;
-      });
+      }, sel);
 
       if (hasContentAfterType) {
         logger.success('Paste successful via type fallback');
@@ -2488,24 +4163,26 @@ class PlaywrightRunner {
    * This runs in Chromium's context, not Chrome extension
    */
   async extractPostDataFromChromium() {
+    const sel = selectorRegistry.pick('commentEditor', 'commentBox', 'commentItem', 'post', 'seeMore',
+      'postText', 'commentText', 'postAuthor', 'commentAuthor');
     try {
-      const postData = await this.page.evaluate(() => {
+      const postData = await this.page.evaluate((sel) => {
         // Find the active comment editor to locate the parent post
         let editor = null;
         const activeEl = document.activeElement;
-        if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+        if (activeEl && activeEl.matches(sel.commentEditor)) {
           editor = activeEl;
         }
         if (!editor && activeEl) {
-          const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+          const container = activeEl.closest(sel.commentBox);
           if (container) {
-            editor = container.querySelector('.ql-editor[contenteditable="true"]');
+            editor = container.querySelector(sel.commentEditor);
           }
         }
         if (!editor) {
-          const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+          const allEditors = document.querySelectorAll(sel.commentEditor);
           for (const ed of allEditors) {
-            const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+            const container = ed.closest(sel.commentBox);
             if (container && container.matches(':focus-within')) {
               editor = ed;
               break;
@@ -2513,19 +4190,18 @@ class PlaywrightRunner {
           }
         }
         if (!editor) {
-          editor = document.querySelector('.ql-editor[contenteditable="true"]');
+          editor = document.querySelector(sel.commentEditor);
         }
         if (!editor) {
           return null;
         }
 
         // Find the parent post container - improved logic with multiple fallbacks
-        let postContainer = editor.closest('.feed-shared-update-v2');
+        let postContainer = editor.closest(sel.post);
         
         // If not found, try alternative selectors
         if (!postContainer) {
           postContainer = editor.closest('[data-urn]') || 
-                         editor.closest('.update-components-update-v2') ||
                          editor.closest('article');
         }
         
@@ -2539,18 +4215,14 @@ class PlaywrightRunner {
                        `post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
         // Determine if this is a comment or reply
-        const isReply = editor.closest('.comments-comment-item') !== null;
+        const isReply = editor.closest(sel.commentItem) !== null;
         const actionType = isReply ? 'reply' : 'comment';
 
         // Extract post text - handle truncation with better targeting
         let postText = '';
 
         // Try to find and click "see more" button within this specific post
-        const seeMoreButton = postContainer.querySelector(
-          '.feed-shared-inline-show-more-text__see-more-less-toggle, ' +
-          '.feed-shared-text__see-more, ' +
-          '.comments-comment-item__see-more-less-toggle'
-        );
+        const seeMoreButton = postContainer.querySelector(sel.seeMore);
         
         if (seeMoreButton && !seeMoreButton.getAttribute('data-linkright-expanded')) {
           seeMoreButton.click();
@@ -2560,13 +4232,7 @@ class PlaywrightRunner {
         }
 
         // Extract full text from this specific post container only
-        const textContainers = postContainer.querySelectorAll(
-          '.feed-shared-update-v2__description, ' +
-          '.feed-shared-text, ' +
-          '.comments-comment-item__main-content, ' +
-          '.update-components-update-v2__commentary, ' +
-          '.break-words span[dir="ltr"]'
-        );
+        const textContainers = postContainer.querySelectorAll(`${sel.postText}, ${sel.commentText}`);
         
         textContainers.forEach(container => {
           const text = container.innerText || container.textContent;
@@ -2577,12 +4243,7 @@ class PlaywrightRunner {
 
         // Extract author name
         let authorName = 'Unknown';
-        const authorElement = postContainer.querySelector(
-          '.update-components-actor__name, ' +
-          '.feed-shared-actor__name, ' +
-          '.update-components-actor__title, ' +
-          '.comments-comment-item-content__name'
-        );
+        const authorElement = postContainer.querySelector(`${sel.postAuthor}, ${sel.commentAuthor}`);
         if (authorElement) {
           authorName = authorElement.innerText || authorElement.textContent || 'Unknown';
         }
@@ -2594,7 +4255,7 @@ class PlaywrightRunner {
           actionType: actionType,
           timestamp: new Date().toISOString()
         };
-      });
+      }, sel);
 
       return postData;
     } catch (error) {
@@ -2604,85 +4265,43 @@ class PlaywrightRunner {
   }
 
   /**
-   * Call webhook API from Node.js (runner context) with post data
-   * Returns AI-generated comment
+   * Provider config for this session; n8n falls back to the legacy webhookUrl setting
+   * (the runner's own x-runner-token is never forwarded to the webhook)
    */
-  async callWebhookFromRunner(postData) {
-    try {
-      // Get webhook settings from stored config
-      const webhookUrl = this.webhookUrl || 'https://n8n.linkright.in/webhook/linkedin-reply';
-      const token = this.xRunnerToken || 'dev-secure-token-12345';
-
-      // === Detailed Request Logging ===
-      logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      logger.info('🌐 WEBHOOK CALL FROM NODE.JS (not visible in browser Network tab)');
-      logger.info(`📍 URL: ${webhookUrl}`);
-      logger.info(`🔑 Token: ${token.substring(0, 10)}...`);
-      logger.info(`🆔 Post ID: ${postData.postId}`); // NEW: Log post ID
-      logger.info(`👤 Author: ${postData.authorName}`);
-      logger.info(`📝 Action: ${postData.actionType}`);
-      logger.info(`📄 Post Text (first 200 chars):`);
-      logger.info(`   ${postData.postText.substring(0, 200)}${postData.postText.length > 200 ? '...' : ''}`);
-      logger.info(`   (Total length: ${postData.postText.length} chars)`);
-      logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-
-      const startTime = Date.now();
-      
-      // Construct payload with postId for Sheet linking
-      const payload = {
-        postId: postData.postId, // NEW: Include post ID for Sheet linking
-        postContent: postData.postText,
-        authorName: postData.authorName,
-        actionType: postData.actionType || 'comment',
-        timestamp: postData.timestamp
-      };
-      
-      const response = await fetch(webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-runner-token': token
-        },
-        body: JSON.stringify(payload),
-        signal: AbortSignal.timeout(30000) // 30s timeout
-      });
-
-      const elapsed = Date.now() - startTime;
-
-      // === Response Logging ===
-      logger.info(`⏱️  Response time: ${elapsed}ms`);
-      logger.info(`📊 Status: ${response.status} ${response.statusText}`);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        logger.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        logger.error('❌ WEBHOOK ERROR RESPONSE');
-        logger.error(`Status: ${response.status}`);
-        logger.error(`Body: ${errorText.substring(0, 500)}`);
-        logger.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        throw new Error(`Webhook returned ${response.status}: ${errorText.substring(0, 100)}`);
-      }
+  getCommentProviderConfig(override) {
+    return commentProviders.resolveConfig(override || this.commentProvider, {
+      n8n: this.webhookUrl ? { url: this.webhookUrl } : {}
+    });
+  }
 
-      const result = await response.json();
-      
-      if (!result || !result.comment) {
-        logger.error('❌ Invalid webhook response - missing comment field');
-        logger.error(`Response: ${JSON.stringify(result).substring(0, 200)}`);
-        throw new Error('Invalid webhook response - missing comment field');
-      }
+  /**
+   * Generate a comment for a post with the session's comment provider (called from Node.js, not the page)
+   * Returns the comment text, or null if the provider failed
+   */
+  async generateComment(postData, providerOverride = null) {
+    const { type, settings } = this.getCommentProviderConfig(providerOverride);
+    const startTime = Date.now();
+
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info(`🌐 COMMENT GENERATION via ${type} (from Node.js, not visible in browser Network tab)`);
+    logger.info(`📍 Endpoint: ${settings.url || settings.baseUrl || 'offline templates'}`);
+    logger.info(`🆔 Post ID: ${postData.postId}`);
+    logger.info(`👤 Author: ${postData.authorName}`);
+    logger.info(`📄 Post Text (first 200 chars):`);
+    logger.info(`   ${postData.postText.substring(0, 200)}${postData.postText.length > 200 ? '...' : ''}`);
+    logger.info(`   (Total length: ${postData.postText.length} chars)`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-      // === Success Logging ===
-      logger.success('✅ WEBHOOK SUCCESS');
-      logger.info(`💬 AI Comment generated (${result.comment.length} chars)`);
-      logger.info(`📝 Preview (first 150 chars):`);
-      logger.info(`   ${result.comment.substring(0, 150)}${result.comment.length > 150 ? '...' : ''}`);
-      logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    try {
+      const comment = await commentProviders.generate(postData, { type, settings });
 
-      return result.comment;
+      logger.success(`✅ COMMENT GENERATED (${type}, ${Date.now() - startTime}ms)`);
+      logger.info(`💬 ${comment.length} chars: ${comment.substring(0, 150)}${comment.length > 150 ? '...' : ''}`);
+      return comment;
 
     } catch (error) {
       logger.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      logger.error('❌ WEBHOOK CALL FAILED');
+      logger.error(`❌ COMMENT GENERATION FAILED (${type}, ${Date.now() - startTime}ms)`);
       logger.error(`Error Type: ${error.name}`);
       logger.error(`Error Message: ${error.message}`);
       if (error.cause) {
@@ -2693,59 +4312,68 @@ class PlaywrightRunner {
     }
   }
 
+  /**
+   * Call the n8n linkedin-reply webhook regardless of the session's provider
+   * @deprecated Use generateComment()
+   */
+  async callWebhookFromRunner(postData) {
+    return this.generateComment(postData, 'n8n');
+  }
+
   /**
    * Post comment via keyboard in Chromium automation
    * Extracts post data from Chromium DOM and calls webhook from Node.js
    */
   async postCommentViaKeyboard(postId) {
+    const sel = selectorRegistry.pick('commentEditor', 'commentBox');
     try {
       // Editor should already be open from pressing Enter on comment button
       logger.info('Verifying comment editor is open...');
 
-      const editorVisible = await this.page.evaluate(() => {
+      const editorVisible = await this.page.evaluate((sel) => {
         // Check if any editor is visible using the same logic
         const activeEl = document.activeElement;
-        if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+        if (activeEl && activeEl.matches(sel.commentEditor)) {
           return true;
         }
         if (activeEl) {
-          const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
-          if (container && container.querySelector('.ql-editor[contenteditable="true"]')) {
+          const container = activeEl.closest(sel.commentBox);
+          if (container && container.querySelector(sel.commentEditor)) {
             return true;
           }
         }
-        const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+        const allEditors = document.querySelectorAll(sel.commentEditor);
         for (const ed of allEditors) {
-          const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+          const container = ed.closest(sel.commentBox);
           if (container && container.matches(':focus-within')) {
             return true;
           }
         }
-        return !!document.querySelector('.ql-editor[contenteditable="true"]');
-      });
+        return !!document.querySelector(sel.commentEditor);
+      }, sel);
       if (!editorVisible) {
         logger.warn('Comment editor is not visible - may need to wait longer');
         await this.page.waitForTimeout(1000);
-        const retryVisible = await this.page.evaluate(() => {
+        const retryVisible = await this.page.evaluate((sel) => {
           const activeEl = document.activeElement;
-          if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+          if (activeEl && activeEl.matches(sel.commentEditor)) {
             return true;
           }
           if (activeEl) {
-            const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
-            if (container && container.querySelector('.ql-editor[contenteditable="true"]')) {
+            const container = activeEl.closest(sel.commentBox);
+            if (container && container.querySelector(sel.commentEditor)) {
               return true;
             }
           }
-          const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+          const allEditors = document.querySelectorAll(sel.commentEditor);
           for (const ed of allEditors) {
-            const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+            const container = ed.closest(sel.commentBox);
             if (container && container.matches(':focus-within')) {
               return true;
             }
           }
-          return !!document.querySelector('.ql-editor[contenteditable="true"]');
-        });
+          return !!document.querySelector(sel.commentEditor);
+        }, sel);
         if (!retryVisible) {
           logger.error('Comment editor did not appear after retry');
         return false;
@@ -2784,13 +4412,13 @@ class PlaywrightRunner {
         postId: postId || postData.postId
       });
 
-      logger.info('Post data extracted, calling webhook from runner...');
+      logger.info('Post data extracted, generating comment from runner...');
 
-      // Call webhook from Node.js (not from browser)
-      const aiComment = await this.callWebhookFromRunner(postData);
+      // Generate from Node.js (not from browser) with the session's provider
+      const aiComment = await this.generateComment(postData);
 
       if (!aiComment) {
-        logger.error('Failed to generate AI comment from webhook');
+        logger.error('Failed to generate AI comment');
         return false;
       }
 
@@ -2801,23 +4429,23 @@ class PlaywrightRunner {
 
       // Direct DOM insertion (Cmd+V doesn't work in Chromium automation)
       logger.info('Inserting comment directly into editor...');
-      await this.page.evaluate((text) => {
+      await this.page.evaluate(({ text, sel }) => {
         // Find the active editor using the same logic
         let editor = null;
         const activeEl = document.activeElement;
-        if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+        if (activeEl && activeEl.matches(sel.commentEditor)) {
           editor = activeEl;
         }
         if (!editor && activeEl) {
-          const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+          const container = activeEl.closest(sel.commentBox);
           if (container) {
-            editor = container.querySelector('.ql-editor[contenteditable="true"]');
+            editor = container.querySelector(sel.commentEditor);
           }
         }
         if (!editor) {
-          const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+          const allEditors = document.querySelectorAll(sel.commentEditor);
           for (const ed of allEditors) {
-            const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+            const container = ed.closest(sel.commentBox);
             if (container && container.matches(':focus-within')) {
               editor = ed;
               break;
@@ -2825,7 +4453,7 @@ class PlaywrightRunner {
           }
         }
         if (!editor) {
-          editor = document.querySelector('.ql-editor[contenteditable="true"]');
+          editor = document.querySelector(sel.commentEditor);
         }
         if (editor) {
           // Focus editor
@@ -2848,29 +4476,29 @@ class PlaywrightRunner {
           editor.dispatchEvent(new Event('input', { bubbles: true }));
           editor.dispatchEvent(new Event('change', { bubbles: true }));
         }
-      }, aiComment);
+      }, { text: aiComment, sel });
 
       // Wait for DOM to settle
       await this.page.waitForTimeout(1000);
 
       // Verify by comparing actual content
-      const verifyResult = await this.page.evaluate((expectedText) => {
+      const verifyResult = await this.page.evaluate(({ expectedText, sel }) => {
         // Find the active editor using the same logic
         let editor = null;
         const activeEl = document.activeElement;
-        if (activeEl && activeEl.classList.contains('ql-editor') && activeEl.getAttribute('contenteditable') === 'true') {
+        if (activeEl && activeEl.matches(sel.commentEditor)) {
           editor = activeEl;
         }
         if (!editor && activeEl) {
-          const container = activeEl.closest('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+          const container = activeEl.closest(sel.commentBox);
           if (container) {
-            editor = container.querySelector('.ql-editor[contenteditable="true"]');
+            editor = container.querySelector(sel.commentEditor);
           }
         }
         if (!editor) {
-          const allEditors = document.querySelectorAll('.ql-editor[contenteditable="true"]');
+          const allEditors = document.querySelectorAll(sel.commentEditor);
           for (const ed of allEditors) {
-            const container = ed.closest('.comments-comment-box, .comments-comment-box-comment');
+            const container = ed.closest(sel.commentBox);
             if (container && container.matches(':focus-within')) {
               editor = ed;
               break;
@@ -2878,7 +4506,7 @@ class PlaywrightRunner {
           }
         }
         if (!editor) {
-          editor = document.querySelector('.ql-editor[contenteditable="true"]');
+          editor = document.querySelector(sel.commentEditor);
         }
         if (!editor) return { success: false, reason: 'Editor not found' };
         
@@ -2895,7 +4523,7 @@ class PlaywrightRunner {
           expected: expected.substring(0, 100),
           reason: match ? 'Content matches' : 'Content mismatch'
         };
-      }, aiComment);
+      }, { expectedText: aiComment, sel });
 
       if (!verifyResult.success) {
         logger.error('Paste verification failed', verifyResult);
@@ -2931,35 +4559,6 @@ class PlaywrightRunner {
   }
 
 
-  /**
-   * OPTIMIZATION: Enhanced stop method with efficient cleanup
-   */
-  async stop() {
-    this.logger.info('Stopping Playwright runner...');
-
-    this.keyboardLoopActive = false; // Stop keyboard loop
-
-    // OPTIMIZATION: Use requestIdleCallback for cleanup
-    if (typeof requestIdleCallback !== 'undefined') {
-      requestIdleCallback(() => this.cleanupTempData());
-    } else {
-      this.cleanupTempData();
-    }
-
-    await this.cleanup();
-
-    const finalStats = { ...this.sessionStats };
-    this.resetStats();
-    this.seenPostIds.clear();
-
-    this.logger.success('Runner stopped and browser closed', finalStats);
-    return {
-      success: true,
-      message: 'Runner stopped',
-      stats: finalStats
-    };
-  }
-
   /**
    * OPTIMIZATION: Efficient cleanup of temporary data
    */
@@ -2978,132 +4577,6 @@ class PlaywrightRunner {
     if (this._memoizedExtractPostData.size > 100) {
       this._memoizedExtractPostData.clear();
     }
-    
-    // OPTIMIZATION: Clear request queue
-    this.requestQueue = [];
-  }
-
-  /**
-   * OPTIMIZATION: Initialize Web Worker for heavy computations
-   */
-  async initializeWorker() {
-    if (this.worker) return;
-    
-    try {
-      // OPTIMIZATION: Create Web Worker for post processing
-      const workerCode = `
-        self.onmessage = function(e) {
-          const { taskId, type, data } = e.data;
-          
-          switch (type) {
-            case 'PROCESS_POST':
-              // Heavy post processing logic
-              const processed = processPostData(data);
-              self.postMessage({ taskId, result: processed });
-              break;
-              
-            case 'ANALYZE_ENGAGEMENT':
-              // Heavy engagement analysis
-              const analysis = analyzeEngagement(data);
-              self.postMessage({ taskId, result: analysis });
-              break;
-          }
-        };
-        
-        function processPostData(data) {
-          // Heavy processing logic here
-          return {
-            processed: true,
-            timestamp: Date.now(),
-            data: data
-          };
-        }
-        
-        function analyzeEngagement(data) {
-          // Heavy analysis logic here
-          return {
-            shouldEngage: true,
-            confidence: 0.8,
-            timestamp: Date.now()
-          };
-        }
-      `;
-      
-      const blob = new Blob([workerCode], { type: 'application/javascript' });
-      const workerUrl = URL.createObjectURL(blob);
-      
-      this.worker = new Worker(workerUrl);
-      
-      this.worker.onmessage = (e) => {
-        const { taskId, result } = e.data;
-        const task = this.workerTasks.get(taskId);
-        if (task) {
-          task.resolve(result);
-          this.workerTasks.delete(taskId);
-        }
-      };
-      
-      this.worker.onerror = (error) => {
-        this.logger.error('Web Worker error:', error);
-      };
-      
-    } catch (error) {
-      this.logger.warn('Web Worker not available, falling back to main thread');
-    }
-  }
-
-  /**
-   * OPTIMIZATION: Execute task in Web Worker or fallback to main thread
-   */
-  async executeWorkerTask(type, data) {
-    if (!this.worker) {
-      await this.initializeWorker();
-    }
-    
-    if (!this.worker) {
-      // Fallback to main thread
-      return this.executeMainThreadTask(type, data);
-    }
-    
-    const taskId = ++this.taskId;
-    const promise = new Promise((resolve, reject) => {
-      this.workerTasks.set(taskId, { resolve, reject });
-      
-      // Timeout after 10 seconds
-      setTimeout(() => {
-        if (this.workerTasks.has(taskId)) {
-          this.workerTasks.delete(taskId);
-          reject(new Error('Worker task timeout'));
-        }
-      }, 10000);
-    });
-    
-    this.worker.postMessage({ taskId, type, data });
-    return promise;
-  }
-
-  /**
-   * OPTIMIZATION: Fallback main thread task execution
-   */
-  executeMainThreadTask(type, data) {
-    switch (type) {
-      case 'PROCESS_POST':
-    return {
-          processed: true,
-          timestamp: Date.now(),
-          data: data
-        };
-        
-      case 'ANALYZE_ENGAGEMENT':
-        return {
-          shouldEngage: true,
-          confidence: 0.8,
-          timestamp: Date.now()
-        };
-        
-      default:
-        return null;
-    }
   }
 
   /**
@@ -3119,25 +4592,19 @@ class PlaywrightRunner {
   }
 
   /**
-   * OPTIMIZATION: Batch webhook requests for better performance
+   * Send webhook requests batchConcurrency at a time
+   * @returns {Promise<Array>} one Promise.allSettled result per request, in request order
    */
   async batchWebhookRequests(requests) {
-    if (requests.length === 0) return [];
-    
-    const batches = [];
-    for (let i = 0; i < requests.length; i += this.batchSize) {
-      batches.push(requests.slice(i, i + this.batchSize));
+    const results = [];
+    for (let i = 0; i < requests.length; i += this.batchConcurrency) {
+      results.push(...await this.processBatch(requests.slice(i, i + this.batchConcurrency)));
     }
-    
-    const results = await Promise.allSettled(
-      batches.map(batch => this.processBatch(batch))
-    );
-    
-    return results.flat();
+    return results;
   }
 
   /**
-   * OPTIMIZATION: Process a batch of requests
+   * Send a group of requests in parallel
    */
   async processBatch(batch) {
     const promises = batch.map(request => this.executeWebhookRequest(request));
@@ -3145,188 +4612,99 @@ class PlaywrightRunner {
   }
 
   /**
-   * OPTIMIZATION: Execute single webhook request with connection pooling
+   * POST one webhook request through the shared client (see webhook-client.js)
+   * @param {Object} request - { url, payload, timeout, ...webhookClient.request() options }
+   * @returns {Promise<Object>} the parsed response; rejects with errorType set
    */
   async executeWebhookRequest(request) {
-    const { url, payload, timeout = 10000 } = request;
+    const { url, payload, timeout = 10000, ...options } = request;
+    return webhookClient.post(url, payload, { timeoutMs: timeout, ...options });
+  }
 
-    // PRE-FETCH DIAGNOSTICS: Log what we're about to send
-    let payloadStringified = null;
-    let payloadValidationError = null;
+  /**
+   * Classify a failed webhook request into an errorType with a diagnosis and suggestion
+   * @see webhookClient.classify
+   */
+  classifyWebhookError(error, url, timeout) {
+    return webhookClient.classify(error, url, timeout);
+  }
 
-    try {
-      payloadStringified = JSON.stringify(payload);
-
-      this.logger.info('🔍 PRE-FETCH: About to send webhook request', {
-        url: url,
-        timeout: timeout,
-        payloadType: typeof payload,
-        payloadKeys: payload ? Object.keys(payload) : null,
-        payloadSize: payloadStringified.length,
-        payloadPreview: payloadStringified.substring(0, 200) + '...',
-        hasOuterHTML: payload?.outer_html ? true : false,
-        outerHTMLType: typeof payload?.outer_html,
-        outerHTMLLength: payload?.outer_html?.length || 0
-      });
-    } catch (e) {
-      payloadValidationError = e.message;
-      this.logger.error('❌ PRE-FETCH: Failed to stringify payload', {
-        error: e.message,
-        payloadType: typeof payload,
-        payload: payload
-      });
-      throw new Error(`Payload serialization failed: ${e.message}`);
-    }
+  /**
+   * Activity webhook settings (defaults from .env)
+   *   url: session activityWebhook or ACTIVITY_WEBHOOK_URL (null = off); events: runner event types forwarded
+   */
+  getActivityConfig() {
+    const events = (process.env.ACTIVITY_EVENTS || 'post_detected,decision,comment_posted,post_skipped,error')
+      .split(',')
+      .map(type => type.trim())
+      .filter(type => runnerEvents.types().includes(type));
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    return {
+      url: this.activityWebhook || process.env.ACTIVITY_WEBHOOK_URL || null,
+      events,
+      timeoutMs: Math.max(1000, parseInt(process.env.ACTIVITY_TIMEOUT_MS) || 10000),
+      retryBackoffMs: Math.max(0, parseInt(process.env.ACTIVITY_RETRY_BACKOFF_MS ?? 5000) || 0),
+      schemaVersion: Math.max(1, parseInt(process.env.ACTIVITY_SCHEMA_VERSION) || 1)
+    };
+  }
 
+  /**
+   * Runner event listener: persist forwarded events to the outbox and queue them for the next batch.
+   * A new session also resends what an earlier run left in the outbox; the end of a session flushes.
+   */
+  recordActivityEvent(event) {
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-          // Note: Connection and Keep-Alive headers removed - Node.js fetch (undici)
-          // manages connections automatically and throws UND_ERR_INVALID_ARG if we try to set them
-        },
-        body: payloadStringified,
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
+      const config = this.getActivityConfig();
+      if (!config.url) return;
 
-      // Log response details BEFORE parsing
-      this.logger.info('📥 Webhook response received', {
-        status: response.status,
-        statusText: response.statusText,
-        contentType: response.headers.get('content-type'),
-        contentLength: response.headers.get('content-length')
-      });
-
-      if (!response.ok) {
-        const errorDetails = {
-          status: response.status,
-          statusText: response.statusText,
-          url: url,
-          headers: Object.fromEntries(response.headers.entries())
-        };
-
-        // Try to get response body for more context
-        let responseBody = null;
-        try {
-          responseBody = await response.text();
-        } catch (e) {
-          // Ignore if we can't read the body
-        }
-
-        this.logger.error('❌ Webhook HTTP error', {
-          ...errorDetails,
-          responseBody: responseBody?.substring(0, 500) // Limit body length
-        });
-
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (config.events.includes(event.type)) {
+        const record = activityOutbox.add(event);
+        this.activityInFlight.add(record.eventId);
+        this.addToRequestQueue(record);
       }
-
-      // Read response as text first to see what we actually got
-      const responseText = await response.text();
-
-      this.logger.info('📄 Raw response received', {
-        length: responseText.length,
-        preview: responseText.substring(0, 300),
-        isEmpty: responseText.length === 0
-      });
-
-      // Handle empty response
-      if (!responseText || responseText.trim().length === 0) {
-        this.logger.error('❌ Webhook returned empty response');
-        throw new Error('Webhook returned empty response body');
+      if (event.type === 'session_started') {
+        this.retryActivityEvents();
       }
-
-      // Try to parse as JSON
-      try {
-        const parsed = JSON.parse(responseText);
-        this.logger.info('✅ JSON parsed successfully', {
-          keys: Object.keys(parsed),
-          hasEngage: 'engage' in parsed
-        });
-        return parsed;
-      } catch (jsonError) {
-        this.logger.error('❌ Failed to parse JSON response', {
-          error: jsonError.message,
-          responseText: responseText.substring(0, 500),
-          responseLength: responseText.length
-        });
-        throw new Error(`Invalid JSON response: ${jsonError.message}. Response: ${responseText.substring(0, 100)}`);
+      if (event.type === 'session_ended') {
+        this.processRequestQueue();
       }
     } catch (error) {
-      clearTimeout(timeoutId);
-
-      // Enhanced error logging with detailed diagnosis
-      const errorInfo = {
-        url: url,
-        timeout: timeout,
-        errorName: error.name,
-        errorMessage: error.message,
-        errorType: 'UNKNOWN',
-        // CRITICAL: Always log error.cause and system errno for debugging
-        errorCause: error.cause ? {
-          message: error.cause.message,
-          code: error.cause.code,
-          errno: error.cause.errno,
-          syscall: error.cause.syscall,
-          address: error.cause.address,
-          port: error.cause.port,
-          full: error.cause
-        } : null,
-        errorStack: error.stack,
-        errorCode: error.code,
-        errorErrno: error.errno
-      };
+      logger.warn('Failed to record activity event', { type: event.type, error: error.message });
+    }
+  }
 
-      // Detect specific error types
-      if (error.name === 'AbortError') {
-        errorInfo.errorType = 'TIMEOUT';
-        errorInfo.diagnosis = `Request exceeded ${timeout}ms timeout. The n8n webhook may be slow or unresponsive.`;
-        errorInfo.suggestion = 'Increase timeout in settings or check n8n workflow performance';
-      } else if (error.cause?.code === 'ENOTFOUND' || error.message?.includes('ENOTFOUND') || error.message?.includes('getaddrinfo')) {
-        errorInfo.errorType = 'DNS_FAILURE';
-        errorInfo.diagnosis = `Cannot resolve hostname: ${new URL(url).hostname}`;
-        errorInfo.suggestion = 'Check DNS settings or verify the n8n domain is accessible';
-      } else if (error.cause?.code === 'ECONNREFUSED' || error.message?.includes('ECONNREFUSED')) {
-        errorInfo.errorType = 'CONNECTION_REFUSED';
-        errorInfo.diagnosis = 'Connection refused by server';
-        errorInfo.suggestion = 'Verify n8n server is running and webhook endpoint is correct';
-      } else if (error.cause?.code === 'ECONNRESET' || error.message?.includes('ECONNRESET') || error.message?.includes('socket hang up')) {
-        errorInfo.errorType = 'CONNECTION_RESET';
-        errorInfo.diagnosis = 'Connection was reset by the server';
-        errorInfo.suggestion = 'Check n8n server logs for errors or restarts';
-      } else if (error.cause?.code === 'ETIMEDOUT' || error.message?.includes('ETIMEDOUT')) {
-        errorInfo.errorType = 'NETWORK_TIMEOUT';
-        errorInfo.diagnosis = 'Network connection timed out';
-        errorInfo.suggestion = 'Check network connectivity and firewall settings';
-      } else if (error.cause?.code === 'EPIPE' || error.message?.includes('EPIPE')) {
-        errorInfo.errorType = 'BROKEN_PIPE';
-        errorInfo.diagnosis = 'Connection broken while sending data (possibly payload too large)';
-        errorInfo.suggestion = 'Check payload size or n8n server logs for memory/timeout issues';
-      } else if (error.message?.includes('certificate') || error.message?.includes('SSL') || error.message?.includes('TLS')) {
-        errorInfo.errorType = 'SSL_ERROR';
-        errorInfo.diagnosis = 'SSL/TLS certificate validation failed';
-        errorInfo.suggestion = 'Check SSL certificate validity for the n8n domain';
-      } else if (error.message?.includes('fetch failed')) {
-        errorInfo.errorType = 'FETCH_FAILED';
-        errorInfo.diagnosis = 'Generic fetch failure - check errorCause field for system-level details';
-        errorInfo.suggestion = 'Check errorCause.code and errorCause.errno above for specific system error';
-      }
-
-      // Log detailed error information
-      this.logger.error('❌ Webhook request failed with detailed diagnostics', errorInfo);
+  /**
+   * Queue outbox events whose retry time has come
+   */
+  retryActivityEvents() {
+    for (const record of activityOutbox.due(this.activityInFlight)) {
+      this.activityInFlight.add(record.eventId);
+      this.addToRequestQueue(record);
+    }
+    this.scheduleActivityRetry();
+  }
 
-      throw error;
+  /**
+   * Wake up when the next failed event is due again (does not keep the process alive)
+   */
+  scheduleActivityRetry() {
+    if (this._activityRetryTimer) {
+      clearTimeout(this._activityRetryTimer);
+      this._activityRetryTimer = null;
     }
+
+    const next = activityOutbox.nextAttemptAt(this.activityInFlight);
+    if (next === null) return;
+
+    this._activityRetryTimer = setTimeout(() => {
+      this._activityRetryTimer = null;
+      if (this.getActivityConfig().url) this.retryActivityEvents();
+    }, Math.max(0, next - Date.now()));
+    this._activityRetryTimer.unref();
   }
 
   /**
-   * OPTIMIZATION: Add request to queue for batching
+   * Add an activity event to the batch; a full batch is sent at once, otherwise after batchTimeout
    */
   addToRequestQueue(request) {
     this.requestQueue.push(request);
@@ -3337,30 +4715,79 @@ class PlaywrightRunner {
       this._batchTimer = setTimeout(() => {
         this.processRequestQueue();
       }, this.batchTimeout);
+      // The events are already in the outbox, so exiting first only delays them to the next start
+      this._batchTimer.unref();
     }
   }
 
   /**
-   * OPTIMIZATION: Process the request queue
+   * Send the queued activity events, batchSize per POST:
+   * { schema_version, source, events: [{ eventId, attempt, type, timestamp, sessionId, data }] }.
+   * Accepted events leave the outbox; the others are retried with backoff.
    */
   async processRequestQueue() {
-    if (this.requestQueue.length === 0) return;
-    
-    const requests = [...this.requestQueue];
-    this.requestQueue = [];
-    
     if (this._batchTimer) {
       clearTimeout(this._batchTimer);
       this._batchTimer = null;
     }
+    if (this.requestQueue.length === 0) return [];
     
+    const records = [...this.requestQueue];
+    this.requestQueue = [];
+    const config = this.getActivityConfig();
+    const release = (batch) => batch.forEach(record => this.activityInFlight.delete(record.eventId));
+
+    // Webhook switched off meanwhile: the events stay in the outbox for later
+    if (!config.url) {
+      release(records);
+      return [];
+    }
+
+    const batches = [];
+    for (let i = 0; i < records.length; i += this.batchSize) {
+      batches.push(records.slice(i, i + this.batchSize));
+    }
+
     try {
-      const results = await this.batchWebhookRequests(requests);
-      this.logger.info(`✅ Processed ${requests.length} batched requests`);
+      const results = await this.batchWebhookRequests(batches.map(batch => ({
+        url: config.url,
+        payload: {
+          schema_version: config.schemaVersion,
+          source: 'linkright-runner',
+          events: batch.map(({ eventId, attempts, event }) => ({
+            eventId,
+            attempt: attempts + 1,
+            type: event.type,
+            timestamp: event.timestamp,
+            sessionId: event.sessionId,
+            data: event.data
+          }))
+        },
+        timeout: config.timeoutMs,
+        endpoint: 'activity',
+        idempotencyKey: webhookClient.idempotencyKey('activity', batch[0].eventId, batch.map(record => record.eventId).join(','))
+      })));
+
+      let delivered = 0;
+      results.forEach((result, index) => {
+        const eventIds = batches[index].map(record => record.eventId);
+        if (result.status === 'fulfilled') {
+          activityOutbox.ack(eventIds);
+          delivered += eventIds.length;
+        } else {
+          activityOutbox.fail(eventIds, result.reason, config.retryBackoffMs);
+        }
+        release(batches[index]);
+      });
+
+      this.logger.info(`✅ Processed ${records.length} batched activity events`, { delivered, pending: activityOutbox.size() });
       return results;
     } catch (error) {
-      this.logger.error('❌ Batch request processing failed:', error);
-      throw error;
+      release(records);
+      this.logger.error('❌ Batch request processing failed', { error: error.message });
+      return [];
+    } finally {
+      this.scheduleActivityRetry();
     }
   }
 }
@@ -0,0 +1,593 @@
+/**
+ * Post Parser - structured post model from a post's outerHTML, on the Node side
+ * A small HTML tree builder plus the CSS subset the selector profile uses (tag, #id, .class,
+ * [attr], [attr=|~=|^=|$=|*=value i], descendant and child combinators), so the same selector
+ * roles that drive the page drive the parser. Runs as the worker pool's parsePost task.
+ */
+
+const localePacks = require('./locale-packs');
+
+// Roles the parser reads; postHeadline and below are optional in a profile (missing = [])
+const PARSER_ROLES = [
+  'postText', 'postAuthor', 'actorLink', 'seeMore', 'reactionsCount', 'commentsCount', 'repostsCount', 'commentSection',
+  'postHeadline', 'postDegree', 'postAge', 'repostHeader', 'repostedPost',
+  'mediaPoll', 'mediaDocument', 'mediaVideo', 'mediaArticle', 'mediaImage'
+];
+
+// First match wins: a poll or document post often carries an image too
+const MEDIA_ROLES = [
+  ['poll', 'mediaPoll'],
+  ['document', 'mediaDocument'],
+  ['video', 'mediaVideo'],
+  ['article', 'mediaArticle'],
+  ['image', 'mediaImage']
+];
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Content is text up to the closing tag, not markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+// Never part of the visible text
+const SKIP_TEXT_TAGS = new Set(['script', 'style', 'template', 'noscript', 'svg']);
+// Start and end a line, like innerText
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul'
+]);
+// Start tags that end an open <p> first, as in a browser: <p>One<p>Two are siblings
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre',
+  'section', 'summary', 'table', 'ul'
+]);
+// Other start tags that end an open element: [ends, unless one of these comes first]
+const IMPLIED_END = {
+  li: [['li'], ['ul', 'ol', 'menu']],
+  dt: [['dt', 'dd'], ['dl']],
+  dd: [['dt', 'dd'], ['dl']],
+  a: [['a'], []],
+  option: [['option'], ['select', 'datalist']]
+};
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™'
+};
+
+// Profile, company and school links in post text are mentions
+const MENTION_URL = /^(?:https?:\/\/(?:[\w-]+\.)?linkedin\.com)?\/(?:in|company|school|showcase)\/[^/?#]+/i;
+const HASHTAG_URL = /\/feed\/hashtag\/|[?&]keywords=%23/i;
+const HASHTAG = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]+)/gu;
+const PLAIN_URL = /\bhttps?:\/\/[^\s<>"]+/gi;
+// "3h", "2 d", "1mo", "5 min" → minutes (LinkedIn's short English units, also used on French/Spanish pages)
+const AGE_UNITS = { s: 1 / 60, m: 1, min: 1, h: 60, hr: 60, d: 1440, w: 10080, wk: 10080, mo: 43200, y: 525600, yr: 525600 };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      // NUL, surrogates and out-of-range code points read as U+FFFD, like in a browser
+      return code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff) ? String.fromCodePoint(code) : '\uFFFD';
+    }
+    return NAMED_ENTITIES[name] ?? entity;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = Object.create(null);
+  const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const name = match[1].toLowerCase();
+    if (!(name in attrs)) attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Element tree of an HTML fragment: { tag, attrs, children, parent }, text nodes { text, parent }.
+ * Forgiving like a browser: unclosed elements end with their parent, stray end tags are ignored,
+ * <p>, <li>, <dt>/<dd>, <a> and <option> end where the next one (or a block for <p>) starts, and a
+ * tag cut off at the end of a truncated capture is dropped.
+ */
+function parseHtml(html) {
+  const source = String(html ?? '');
+  const lower = source.toLowerCase();
+  const root = { tag: '#root', attrs: Object.create(null), children: [], parent: null };
+  const tagPattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/\s*([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let current = root;
+  let last = 0;
+  let match;
+
+  const addText = (parent, text) => {
+    if (text) parent.children.push({ text: decodeEntities(text), parent });
+  };
+  const endOpen = (tags, boundaries) => {
+    for (let node = current; node !== root; node = node.parent) {
+      if (boundaries.includes(node.tag)) return;
+      if (tags.includes(node.tag)) {
+        current = node.parent;
+        return;
+      }
+    }
+  };
+
+  while ((match = tagPattern.exec(source))) {
+    addText(current, source.slice(last, match.index));
+    last = tagPattern.lastIndex;
+    const [, closing, opening, attrSource] = match;
+
+    if (closing) {
+      const tag = closing.toLowerCase();
+      for (let node = current; node !== root; node = node.parent) {
+        if (node.tag === tag) {
+          current = node.parent;
+          break;
+        }
+      }
+    } else if (opening) {
+      const tag = opening.toLowerCase();
+      if (CLOSES_P.has(tag)) endOpen(['p'], ['button', 'table', 'td', 'th', 'caption', 'template']);
+      if (IMPLIED_END[tag]) endOpen(...IMPLIED_END[tag]);
+
+      const element = { tag, attrs: parseAttributes(attrSource), children: [], parent: current };
+      current.children.push(element);
+
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const end = lower.indexOf(`</${tag}`, last);
+        const stop = end === -1 ? source.length : end;
+        addText(element, source.slice(last, stop));
+        const close = source.indexOf('>', stop);
+        last = close === -1 ? source.length : close + 1;
+        tagPattern.lastIndex = last;
+      } else if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(attrSource)) {
+        current = element;
+      }
+    }
+  }
+  const rest = source.slice(last);
+  const cutTag = rest.search(/<[a-zA-Z/!?]/);
+  addText(current, cutTag === -1 ? rest : rest.slice(0, cutTag));
+  return root;
+}
+
+function escapeHtml(text, quotes = false) {
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return quotes ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+
+/**
+ * Markup of a tree (or one node with its subtree); comments are not kept by parseHtml
+ */
+function toHtml(node) {
+  if (node.text !== undefined) {
+    return node.parent && RAW_TEXT_TAGS.has(node.parent.tag) ? node.text : escapeHtml(node.text);
+  }
+
+  const inner = node.children.map(toHtml).join('');
+  if (node.tag === '#root') return inner;
+
+  const attrs = Object.entries(node.attrs).map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value, true)}"`)).join('');
+  return VOID_TAGS.has(node.tag) ? `<${node.tag}${attrs}>` : `<${node.tag}${attrs}>${inner}</${node.tag}>`;
+}
+
+const selectorCache = new Map();
+
+/**
+ * Selector list → [[{ combinator, tag, id, classes, attrs }, ...], ...] (compounds left to right).
+ * Throws on syntax outside the supported subset (pseudo-classes, sibling combinators).
+ */
+function parseSelector(selector) {
+  if (selectorCache.has(selector)) return selectorCache.get(selector);
+
+  const token = /\s*([>+~,])\s*|\s+|(\*|-?[_a-zA-Z][\w-]*)|#(-?[_a-zA-Z][\w-]*)|\.(-?[_a-zA-Z][\w-]*)|\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*(?:([iIsS])\s*)?)?\]/y;
+  const source = String(selector).trim();
+  const list = [];
+  let steps = [];
+  let compound = null;
+  let combinator = null;
+
+  const newCompound = () => {
+    if (!compound) {
+      compound = { combinator, tag: null, id: null, classes: [], attrs: [] };
+      steps.push(compound);
+      combinator = null;
+    }
+    return compound;
+  };
+
+  token.lastIndex = 0;
+  while (token.lastIndex < source.length) {
+    const at = token.lastIndex;
+    const match = token.exec(source);
+    if (!match) {
+      throw new Error(`Unsupported selector syntax at "${source.slice(at, at + 20)}" in ${source}`);
+    }
+    const [whole, separator, tag, id, className, attrName, op, dq, sq, bare, flag] = match;
+
+    if (separator === ',') {
+      if (!compound) throw new Error(`Empty selector in ${source}`);
+      list.push(steps);
+      steps = [];
+      compound = null;
+    } else if (separator === '+' || separator === '~') {
+      throw new Error(`Unsupported combinator "${separator}" in ${source}`);
+    } else if (separator === '>' || !whole.trim()) {
+      if (!compound) throw new Error(`Dangling combinator in ${source}`);
+      combinator = separator === '>' ? '>' : ' ';
+      compound = null;
+    } else if (tag) {
+      newCompound().tag = tag.toLowerCase();
+    } else if (id) {
+      newCompound().id = id;
+    } else if (className) {
+      newCompound().classes.push(className);
+    } else if (attrName) {
+      newCompound().attrs.push({ name: attrName.toLowerCase(), op: op || null, value: dq ?? sq ?? bare ?? '', insensitive: /i/i.test(flag || '') });
+    }
+  }
+  if (!compound) throw new Error(`Empty selector in ${source}`);
+  list.push(steps);
+
+  selectorCache.set(selector, list);
+  return list;
+}
+
+function matchesAttribute(actual, { op, value, insensitive }) {
+  if (actual === undefined) return false;
+  if (!op) return true;
+
+  const have = insensitive ? actual.toLowerCase() : actual;
+  const want = insensitive ? value.toLowerCase() : value;
+  switch (op) {
+    case '=': return have === want;
+    case '~=': return have.split(/\s+/).includes(want);
+    case '|=': return have === want || have.startsWith(`${want}-`);
+    case '^=': return want !== '' && have.startsWith(want);
+    case '$=': return want !== '' && have.endsWith(want);
+    case '*=': return want !== '' && have.includes(want);
+    default: return false;
+  }
+}
+
+function matchesCompound(node, compound) {
+  if (!node.tag || node.tag === '#root') return false;
+  if (compound.tag && compound.tag !== '*' && node.tag !== compound.tag) return false;
+  if (compound.id && node.attrs.id !== compound.id) return false;
+  if (compound.classes.length > 0) {
+    const classes = (node.attrs.class || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+  }
+  return compound.attrs.every(attr => matchesAttribute(node.attrs[attr.name], attr));
+}
+
+function matchesSteps(node, steps, index) {
+  if (!matchesCompound(node, steps[index])) return false;
+  if (index === 0) return true;
+
+  for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+    if (matchesSteps(ancestor, steps, index - 1)) return true;
+    if (steps[index].combinator === '>') return false;
+  }
+  return false;
+}
+
+/**
+ * Descendants of node matching the selector list, in document order ([] for an unsupported selector)
+ */
+function querySelectorAll(node, selector) {
+  let list;
+  try {
+    list = parseSelector(selector);
+  } catch (error) {
+    return [];
+  }
+
+  const found = [];
+  const walk = parent => {
+    for (const child of parent.children) {
+      if (!child.tag) continue;
+      if (list.some(steps => matchesSteps(child, steps, steps.length - 1))) found.push(child);
+      walk(child);
+    }
+  };
+  walk(node);
+  return found;
+}
+
+function hasClass(node, name) {
+  return (node.attrs.class || '').split(/\s+/).includes(name);
+}
+
+function isWithin(node, containers) {
+  for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+    if (containers.has(ancestor)) return true;
+  }
+  return false;
+}
+
+/**
+ * Visible text like innerText: block elements and <br> break lines, runs of spaces collapse.
+ * Screen-reader copies (.visually-hidden), hidden elements and `skip` nodes are left out.
+ */
+function textOf(node, skip = new Set()) {
+  if (!node) return '';
+  let out = '';
+
+  const lineBreak = force => {
+    out = out.replace(/ +$/, '');
+    if (force || (out && !out.endsWith('\n'))) out += '\n';
+  };
+  const walk = current => {
+    if (current.text !== undefined) {
+      const text = current.text.replace(/\s+/g, ' ');
+      out += !out || out.endsWith('\n') || out.endsWith(' ') ? text.replace(/^ /, '') : text;
+      return;
+    }
+    if (SKIP_TEXT_TAGS.has(current.tag) || 'hidden' in current.attrs || hasClass(current, 'visually-hidden') || skip.has(current)) return;
+    if (current.tag === 'br') return lineBreak(true);
+
+    const block = BLOCK_TAGS.has(current.tag);
+    if (block) lineBreak(false);
+    current.children.forEach(walk);
+    if (block) lineBreak(false);
+  };
+
+  walk(node);
+  return out.split('\n').map(line => line.trim()).join('\n').trim();
+}
+
+/**
+ * LinkedIn profile/company links lose their tracking query; relative links get the LinkedIn origin
+ */
+function normalizeUrl(href) {
+  let url = String(href || '').trim();
+  if (!url || /^(?:javascript|mailto|tel):/i.test(url) || url.startsWith('#')) return null;
+  if (url.startsWith('//')) url = `https:${url}`;
+  else if (url.startsWith('/')) url = `https://www.linkedin.com${url}`;
+  if (MENTION_URL.test(url)) url = url.replace(/[?#].*$/, '');
+  return url;
+}
+
+/**
+ * Unique values, keeping the first spelling of each (case-insensitive)
+ */
+function unique(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = String(value).toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+class PostParser {
+  constructor() {
+    this.roles = PARSER_ROLES;
+  }
+
+  /**
+   * Element tree of an HTML fragment (shared with html-sanitizer.js)
+   */
+  parseHtml(html) {
+    return parseHtml(html);
+  }
+
+  /**
+   * Markup of a tree node (see parseHtml)
+   */
+  toHtml(node) {
+    return toHtml(node);
+  }
+
+  /**
+   * Descendants of a tree node matching a CSS selector list, in document order
+   */
+  querySelectorAll(node, selector) {
+    return querySelectorAll(node, selector);
+  }
+
+  /**
+   * The parser's roles from the active selector profile (roles the profile lacks come back empty).
+   * Read on the main thread and handed to the parsePost task, so selector reloads apply to workers too.
+   */
+  getSelectors(registry = require('./selector-registry')) {
+    return Object.fromEntries(PARSER_ROLES.map(role => {
+      try {
+        return [role, registry.get(role)];
+      } catch (error) {
+        return [role, []];
+      }
+    }));
+  }
+
+  /**
+   * Structured model of one post
+   * @param {string} html - The post's outerHTML
+   * @param {Object} options - { selectors: role → selector[] (default: the active profile), locale: count format and words }
+   * @returns {Object} { postId, author: { name, headline, profileUrl, degree }, text, hashtags, mentions: [{ name, url }],
+   *   links, mediaType, isRepost, repost: { by, originalAuthor, originalText } | null, age, ageMinutes,
+   *   counts: { reactions, comments, reposts }, missing: [field, ...] }
+   */
+  parse(html, { selectors = this.getSelectors(), locale = 'en' } = {}) {
+    const root = parseHtml(html);
+    const roles = role => selectors[role] || [];
+    const { words } = localePacks.get(locale);
+
+    const all = role => roles(role).flatMap(selector => querySelectorAll(root, selector));
+    // The post's own elements: not inside its comments or a quoted post
+    const quoted = new Set(all('repostedPost'));
+    const outside = new Set([...all('commentSection'), ...quoted]);
+    const first = (role, scope = root, exclude = outside) => {
+      for (const selector of roles(role)) {
+        const match = querySelectorAll(scope, selector).find(node => !isWithin(node, exclude));
+        if (match) return match;
+      }
+      return null;
+    };
+    const toggles = new Set(all('seeMore'));
+    const text = node => textOf(node, toggles);
+
+    const container = root.children.find(node => node.tag) || null;
+    const idNode = container && (container.attrs['data-id'] || container.attrs['data-urn'])
+      ? container
+      : querySelectorAll(root, '[data-id], [data-urn]')[0];
+    const postId = idNode ? idNode.attrs['data-id'] || idNode.attrs['data-urn'] : null;
+
+    // A count role's element, else any labelled element outside comments that reads "<number> <word>"
+    // in the page language (the profile's selectors match English labels)
+    const labelled = querySelectorAll(root, '[aria-label], button').filter(node => !isWithin(node, outside));
+    const count = (role, word) => {
+      const byRole = this.parseCount(first(role), locale);
+      if (byRole !== null) return byRole;
+      const pattern = new RegExp(`^\\s*\\d\\S*\\s*(?:\\S+\\s+)?(?:${word})`, 'iu');
+      const node = labelled.find(candidate => pattern.test(candidate.attrs['aria-label'] || textOf(candidate)));
+      return node ? this.parseCount(node, locale) : null;
+    };
+
+    const textNode = first('postText');
+    const actorLink = first('actorLink');
+    const model = {
+      postId,
+      author: {
+        name: text(first('postAuthor')) || null,
+        headline: text(first('postHeadline')) || null,
+        profileUrl: actorLink ? normalizeUrl(actorLink.attrs.href) : null,
+        degree: this.parseDegree(text(first('postDegree')))
+      },
+      text: text(textNode),
+      ...this.parseTextLinks(textNode, text(textNode), first('mediaArticle')),
+      mediaType: (MEDIA_ROLES.find(([, role]) => first(role)) || [null])[0],
+      isRepost: false,
+      repost: null,
+      ...this.parseAge(text(first('postAge'))),
+      counts: {
+        reactions: count('reactionsCount', words.reaction),
+        comments: count('commentsCount', words.comment),
+        reposts: count('repostsCount', words.repost)
+      },
+      missing: []
+    };
+
+    // "Jane reposted this" above the post, or a post quoted inside this one
+    const header = first('repostHeader');
+    const headerText = text(header);
+    const quote = [...quoted][0];
+    if (header && new RegExp(words.repost, 'i').test(headerText)) {
+      const byLink = querySelectorAll(header, 'a').find(link => text(link));
+      model.isRepost = true;
+      model.repost = { by: byLink ? text(byLink) : null, originalAuthor: model.author.name, originalText: model.text || null };
+    } else if (quote) {
+      model.isRepost = true;
+      model.repost = {
+        by: model.author.name,
+        originalAuthor: text(first('postAuthor', quote, new Set())) || null,
+        originalText: text(first('postText', quote, new Set())) || null
+      };
+    }
+
+    const fields = {
+      'author.name': model.author.name,
+      'author.headline': model.author.headline,
+      'author.profileUrl': model.author.profileUrl,
+      text: model.text,
+      'counts.reactions': model.counts.reactions,
+      'counts.comments': model.counts.comments,
+      'counts.reposts': model.counts.reposts
+    };
+    model.missing = Object.keys(fields).filter(field => fields[field] === null || fields[field] === '');
+    return model;
+  }
+
+  /**
+   * Connection degree from the actor badge ("• 2nd", "3rd+", "2.", "1er", "2e", "1.º"), or null (own post, company, Following)
+   */
+  parseDegree(label) {
+    const match = String(label || '').match(/(?:^|[\s•·])([123])(?:st|nd|rd|th|\.?er|re|e|\.?º|\.)?\+?(?=\s|$)/i);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Post age from the actor sub-description ("3h • Edited • 🌐") → { age: '3h', ageMinutes: 180 }
+   */
+  parseAge(label) {
+    const age = String(label || '').split(/[•·]/).map(part => part.trim()).find(part => /^\d/.test(part)) || null;
+    const match = age ? age.match(/^(\d+)\s*([a-z]+)/i) : null;
+    const unit = match ? AGE_UNITS[match[2].toLowerCase()] : undefined;
+    return { age, ageMinutes: unit === undefined ? null : Math.round(parseInt(match[1]) * unit) };
+  }
+
+  /**
+   * Count of a count element (aria-label before text, like the runner), or null
+   */
+  parseCount(node, locale) {
+    const labels = node ? [node.attrs['aria-label'], textOf(node)] : [];
+    for (const label of labels) {
+      if (!label || !/\d/.test(label)) continue;
+      const count = localePacks.parseNumber(label, locale);
+      if (count !== null) return Math.round(count);
+    }
+    return null;
+  }
+
+  /**
+   * Hashtags, mentions and links of the post text (plus the shared article's link)
+   */
+  parseTextLinks(textNode, text, articleNode) {
+    const anchors = textNode ? querySelectorAll(textNode, 'a[href]') : [];
+    const hashtags = [];
+    const mentions = [];
+    const links = [];
+
+    for (const anchor of anchors) {
+      const url = normalizeUrl(anchor.attrs.href);
+      const label = textOf(anchor);
+      if (!url) continue;
+      if (HASHTAG_URL.test(url) || label.startsWith('#')) {
+        // The tag is the first word: a link left open in the markup runs on into the following text
+        const tag = label.replace(/^#/, '').match(/^[\p{L}\p{N}_]+/u);
+        if (tag) hashtags.push(tag[0]);
+      } else if (MENTION_URL.test(url)) {
+        mentions.push({ name: label || null, url });
+      } else if (/^https?:\/\//i.test(url)) {
+        links.push(url);
+      }
+    }
+
+    for (const match of text.matchAll(HASHTAG)) {
+      if (/\p{L}/u.test(match[2])) hashtags.push(match[2]);
+    }
+    for (const match of text.matchAll(PLAIN_URL)) {
+      links.push(match[0].replace(/[.,;:!?)\]]+$/, ''));
+    }
+    const articleLink = articleNode ? querySelectorAll(articleNode, 'a[href]').map(anchor => normalizeUrl(anchor.attrs.href)).find(Boolean) : null;
+    if (articleLink) links.push(articleLink);
+
+    const seenMentions = new Set();
+    return {
+      hashtags: unique(hashtags),
+      mentions: mentions.filter(mention => !seenMentions.has(mention.url) && seenMentions.add(mention.url)),
+      links: unique(links)
+    };
+  }
+
+  /**
+   * The model without text, links or mentions, for the ledger (records keep only a hash of the text)
+   */
+  summarize(model) {
+    if (!model) return null;
+    return {
+      author: model.author,
+      mediaType: model.mediaType,
+      isRepost: model.isRepost,
+      repostedBy: model.repost ? model.repost.by : null,
+      age: model.age,
+      counts: model.counts,
+      hashtags: model.hashtags,
+      mentions: model.mentions.length,
+      links: model.links.length,
+      missing: model.missing
+    };
+  }
+}
+
+module.exports = new PostParser();
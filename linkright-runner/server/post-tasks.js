@@ -0,0 +1,44 @@
+/**
+ * Post Tasks - CPU-bound work on detected posts (hashing, parsing, sanitizing, scoring), run by the worker pool (see worker-pool.js)
+ * Every task is a plain function of structured-clonable data, so it runs the same in a
+ * worker thread or inline on the main thread (WORKER_POOL_SIZE=0).
+ */
+
+const crypto = require('crypto');
+const engagementScorer = require('./engagement-scorer');
+const postParser = require('./post-parser');
+const htmlSanitizer = require('./html-sanitizer');
+
+module.exports = {
+  /**
+   * Stable hash of post text so records can be matched without storing full content
+   */
+  hashContent(text) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  },
+
+  /**
+   * Local engagement score (see engagement-scorer.js)
+   * @param {Object} data - { post: { metrics, authorName, text }, rules }
+   */
+  scorePost({ post, rules }) {
+    return engagementScorer.score(post, rules);
+  },
+
+  /**
+   * Structured post model from outerHTML (see post-parser.js)
+   * @param {Object} data - { html, selectors, locale }
+   */
+  parsePost({ html, selectors, locale }) {
+    return postParser.parse(html, { selectors, locale });
+  },
+
+  /**
+   * outerHTML without scripts, styles, icons, tracking attributes and comments (see html-sanitizer.js)
+   * @param {Object} data - { html, strip, commentSelectors }
+   */
+  sanitizeHtml({ html, strip, commentSelectors }) {
+    return htmlSanitizer.sanitize(html, { strip, commentSelectors });
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Worker thread entry for the worker pool: runs one task at a time from the tasks module
+ * (post-tasks.js unless the pool was given another) and posts back { id, result } or { id, error }.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+const tasks = require(workerData.tasksModule);
+
+parentPort.on('message', async ({ id, type, data }) => {
+  try {
+    if (typeof tasks[type] !== 'function') {
+      throw new Error(`Unknown worker task: ${type}`);
+    }
+    const result = await tasks[type](data);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: { name: error.name, message: error.message, stack: error.stack, code: error.code }
+    });
+  }
+});
@@ -0,0 +1,89 @@
+/**
+ * Runner Events - in-process event bus behind GET /api/runner/events
+ * The runner publishes typed events; the SSE route fans them out to the sidebar and dashboards
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = [
+  'session_started',
+  'post_detected',
+  'decision',
+  'comment_generated',
+  'review_pending',
+  'review_resolved',
+  'comment_posted',
+  'post_skipped',
+  'error',
+  'queue_item',
+  'paused',
+  'resumed',
+  'session_ended'
+];
+
+class RunnerEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream
+    this.setMaxListeners(50);
+    this.nextId = 1;
+    // Recent events kept so reconnecting clients can catch up via Last-Event-ID
+    this.history = [];
+    this.historyLimit = 200;
+  }
+
+  /**
+   * Known event types (also the SSE `event:` names)
+   */
+  types() {
+    return [...EVENT_TYPES];
+  }
+
+  /**
+   * Publish an event to every subscriber
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload; sessionId is lifted to the envelope
+   * @returns {Object} { id, type, timestamp, sessionId, data }
+   */
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown runner event type: ${type}`);
+    }
+
+    const { sessionId = null, ...payload } = data;
+    const event = {
+      id: this.nextId++,
+      type,
+      timestamp: new Date().toISOString(),
+      sessionId,
+      data: payload
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historyLimit) {
+      this.history.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Events published after the given id (oldest first)
+   */
+  since(lastId) {
+    const id = parseInt(lastId);
+    if (!Number.isFinite(id)) return [];
+    return this.history.filter(event => event.id > id);
+  }
+
+  /**
+   * Listen for events; returns the unsubscribe function
+   */
+  subscribe(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+}
+
+module.exports = new RunnerEvents();
@@ -0,0 +1,323 @@
+/**
+ * Selector Health - checks the active selector profile against the live feed
+ * Counts every role the runner and the extension depend on in the first N posts and reports it
+ * as matched, missing or ambiguous, with an HTML snippet per role and a screenshot of the page.
+ * Each report is saved as runs/selector-health-<ms>/report.json next to screenshot.png.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const ledger = require('./session-ledger');
+const feedSources = require('./feed-sources');
+const selectorRegistry = require('./selector-registry');
+
+const SNIPPET_LENGTH = 300;
+
+/**
+ * Roles to check. scope: page (whole document), post (inside each post) or editor (inside the first
+ * post once its Comment button was clicked). expect 'one' roles are ambiguous when a post has several
+ * matches; optional roles are reported but do not make the profile unhealthy.
+ * Connect-flow roles live on profile pages and are not checked here.
+ */
+const CHECKS = [
+  { role: 'feedReady', scope: 'page', expect: 'any', usedBy: ['runner'] },
+  { role: 'ownProfilePhoto', scope: 'page', expect: 'any', usedBy: ['runner'], optional: true },
+  { role: 'post', scope: 'post', expect: 'any', usedBy: ['runner', 'extension'] },
+  { role: 'postText', scope: 'post', expect: 'any', usedBy: ['runner', 'extension'] },
+  { role: 'postAuthor', scope: 'post', expect: 'any', usedBy: ['runner'] },
+  { role: 'actorLink', scope: 'post', expect: 'any', usedBy: ['runner'] },
+  { role: 'postLink', scope: 'post', expect: 'any', usedBy: ['runner'], optional: true },
+  { role: 'seeMore', scope: 'post', expect: 'any', usedBy: ['extension'], optional: true },
+  { role: 'socialActionBar', scope: 'post', expect: 'one', usedBy: ['runner'], optional: true },
+  { role: 'likeButton', scope: 'post', expect: 'one', usedBy: ['runner'], outsideComments: true },
+  { role: 'commentButton', scope: 'post', expect: 'one', usedBy: ['runner'], outsideComments: true },
+  { role: 'reactionsCount', scope: 'post', expect: 'any', usedBy: ['runner'] },
+  { role: 'commentsCount', scope: 'post', expect: 'any', usedBy: ['runner'] },
+  { role: 'repostsCount', scope: 'post', expect: 'any', usedBy: ['runner'], optional: true },
+  { role: 'commentItem', scope: 'post', expect: 'any', usedBy: ['runner', 'extension'], optional: true },
+  { role: 'commentAuthor', scope: 'post', expect: 'any', usedBy: ['runner'], optional: true },
+  { role: 'commentEditor', scope: 'editor', expect: 'one', usedBy: ['runner', 'extension'] },
+  { role: 'commentSubmit', scope: 'editor', expect: 'one', usedBy: ['runner', 'extension'] }
+];
+
+class SelectorHealth {
+  /**
+   * Check the selector profile on the page that is open now (the caller loads the feed first)
+   * @param {Object} page - Playwright page showing a feed
+   * @param {Object} options - { posts: how many posts to check (1-20), source: feed source type }
+   * @returns {Object} report, also written to runs/selector-health-<ms>/report.json
+   */
+  async run(page, { posts = 5, source = 'home' } = {}) {
+    const startedAt = Date.now();
+    const id = `selector-health-${startedAt}`;
+    const dir = path.join(ledger.runsRoot, id);
+    const limit = Math.min(20, Math.max(1, parseInt(posts) || 5));
+    const detection = feedSources.detection(source);
+    const commentSection = selectorRegistry.get('commentSection');
+
+    logger.info('Selector health check started', { posts: limit, source, profile: selectorRegistry.getInfo().version });
+
+    const found = await this.findPosts(page, detection, commentSection, limit);
+    const roles = [];
+
+    roles.push(await this.checkContainer(page, detection.containerRole, found));
+    for (const check of CHECKS.filter(check => check.scope === 'page')) {
+      roles.push(await this.checkPage(page, check));
+    }
+
+    const postChecks = CHECKS.filter(check => check.scope === 'post');
+    const counts = found.postIds.length
+      ? await this.countInPosts(page, found.postIds, postChecks, commentSection)
+      : {};
+    for (const check of postChecks) {
+      roles.push(this.summarize(check, counts[check.role], found.postIds.length, found.snippets[0]));
+    }
+
+    const editor = await this.openEditor(page, found.postIds[0]);
+    const editorChecks = CHECKS.filter(check => check.scope === 'editor');
+    const editorCounts = editor.opened
+      ? await this.countInPosts(page, found.postIds.slice(0, 1), editorChecks, [])
+      : {};
+    for (const check of editorChecks) {
+      roles.push(this.summarize(check, editorCounts[check.role], editor.opened ? 1 : 0, found.snippets[0]));
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    let screenshot = null;
+    try {
+      screenshot = path.join(dir, 'screenshot.png');
+      await page.screenshot({ path: screenshot, fullPage: false });
+    } catch (error) {
+      logger.warn('Selector health screenshot failed', { error: error.message });
+      screenshot = null;
+    }
+
+    const broken = roles.filter(role => role.status !== 'matched' && !role.optional);
+    const report = {
+      id,
+      checkedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      url: page.url(),
+      source,
+      profile: selectorRegistry.getInfo(),
+      postsRequested: limit,
+      postsChecked: found.postIds.length,
+      postIds: found.postIds,
+      editor,
+      healthy: broken.length === 0,
+      summary: {
+        matched: roles.filter(role => role.status === 'matched').length,
+        missing: roles.filter(role => role.status === 'missing').length,
+        ambiguous: roles.filter(role => role.status === 'ambiguous').length,
+        broken: broken.map(role => role.role)
+      },
+      roles,
+      screenshot,
+      reportPath: path.join(dir, 'report.json')
+    };
+
+    fs.writeFileSync(report.reportPath, JSON.stringify(report, null, 2));
+    logger.info('Selector health check finished', { healthy: report.healthy, ...report.summary, report: report.reportPath });
+    return report;
+  }
+
+  /**
+   * First posts on the page, detected the way isInsidePost does (outermost container wins)
+   * @returns {Object} { postIds, snippets, containers }
+   */
+  async findPosts(page, detection, commentSection, limit) {
+    return page.$$eval(detection.container, (elements, { idAttributes, idPattern, post, commentSection, limit, snippetLength }) => {
+      const kept = [];
+      let containers = 0;
+      for (const element of elements) {
+        containers++;
+        if (kept.some(other => other.contains(element))) continue;
+        if (commentSection && element.closest(commentSection)) continue;
+        if (!element.matches(post) && !element.querySelector(post)) continue;
+        const postId = idAttributes.map(name => element.getAttribute(name)).find(Boolean);
+        if (!postId || (idPattern && !new RegExp(idPattern).test(postId))) continue;
+        kept.push(element);
+        if (kept.length >= limit) break;
+      }
+
+      return {
+        containers,
+        postIds: kept.map(element => idAttributes.map(name => element.getAttribute(name)).find(Boolean)),
+        snippets: kept.map(element => element.outerHTML.slice(0, snippetLength * 2))
+      };
+    }, {
+      idAttributes: detection.idAttributes,
+      idPattern: detection.idPattern,
+      post: selectorRegistry.selector('post'),
+      commentSection: commentSection.join(', '),
+      limit,
+      snippetLength: SNIPPET_LENGTH
+    });
+  }
+
+  /**
+   * The post container role of the feed source: missing when no container holds a post
+   */
+  async checkContainer(page, role, found) {
+    const check = { role, scope: 'page', expect: 'any', usedBy: role === 'feedItem' ? ['runner', 'extension'] : ['runner'] };
+    const selectors = [];
+    for (const selector of selectorRegistry.get(role)) {
+      selectors.push({ selector, matches: await page.locator(selector).count().catch(() => 0) });
+    }
+
+    return {
+      ...this.describe(check),
+      status: found.postIds.length ? 'matched' : 'missing',
+      matchedPosts: found.postIds.length,
+      totalPosts: found.postIds.length,
+      selectors,
+      snippet: found.snippets[0] ? found.snippets[0].slice(0, SNIPPET_LENGTH) : null,
+      note: found.postIds.length ? null : `${found.containers} element(s) matched but none holds a post with an id`
+    };
+  }
+
+  /**
+   * A page-scope role: matched when any of its selectors is on the page
+   */
+  async checkPage(page, check) {
+    const selectors = [];
+    let snippet = null;
+    for (const selector of selectorRegistry.get(check.role)) {
+      const locator = page.locator(selector);
+      const matches = await locator.count().catch(() => 0);
+      if (matches > 0 && !snippet) {
+        snippet = await locator.first().evaluate((element, length) => element.outerHTML.slice(0, length), SNIPPET_LENGTH).catch(() => null);
+      }
+      selectors.push({ selector, matches });
+    }
+
+    const matched = selectors.some(entry => entry.matches > 0);
+    return {
+      ...this.describe(check),
+      status: matched ? 'matched' : 'missing',
+      matchedPosts: null,
+      totalPosts: null,
+      selectors,
+      snippet,
+      note: null
+    };
+  }
+
+  /**
+   * Per role and selector: in how many posts it matched and the most matches in one post.
+   * distinct counts elements matched by any of the role's selectors (what the runner could pick).
+   */
+  async countInPosts(page, postIds, checks, commentSection) {
+    const roles = checks.map(check => ({
+      role: check.role,
+      selectors: selectorRegistry.get(check.role),
+      outsideComments: !!check.outsideComments
+    }));
+    const containers = postIds.map(postId => feedSources.postSelector(postId)).join(', ');
+
+    return page.$$eval(containers, (elements, { postIds, roles, commentSection, snippetLength }) => {
+      // One element per post id, in the order they were found
+      const posts = postIds.map(postId => elements.find(element =>
+        element.getAttribute('data-id') === postId || element.getAttribute('data-urn') === postId)).filter(Boolean);
+
+      const result = {};
+      for (const { role, selectors, outsideComments } of roles) {
+        const entry = { selectors: selectors.map(selector => ({ selector, matchedPosts: 0, maxPerPost: 0 })), matchedPosts: 0, maxDistinct: 0, snippet: null };
+        for (const post of posts) {
+          const distinct = new Set();
+          selectors.forEach((selector, i) => {
+            let matches = [];
+            try {
+              matches = Array.from(post.querySelectorAll(selector));
+              if (post.matches(selector)) matches.unshift(post);
+            } catch (error) {
+              matches = [];
+            }
+            if (outsideComments && commentSection) {
+              matches = matches.filter(element => !element.closest(commentSection));
+            }
+            if (matches.length) entry.selectors[i].matchedPosts++;
+            entry.selectors[i].maxPerPost = Math.max(entry.selectors[i].maxPerPost, matches.length);
+            matches.forEach(element => distinct.add(element));
+          });
+
+          if (distinct.size) {
+            entry.matchedPosts++;
+            if (!entry.snippet) entry.snippet = distinct.values().next().value.outerHTML.slice(0, snippetLength);
+          }
+          entry.maxDistinct = Math.max(entry.maxDistinct, distinct.size);
+        }
+        result[role] = entry;
+      }
+      return result;
+    }, { postIds, roles, commentSection: commentSection.join(', '), snippetLength: SNIPPET_LENGTH });
+  }
+
+  /**
+   * Click the first post's Comment button so the editor roles can be counted. Nothing is typed.
+   * @returns {Object} { opened, postId, error }
+   */
+  async openEditor(page, postId) {
+    if (!postId) return { opened: false, postId: null, error: 'No post to open' };
+
+    try {
+      const post = page.locator(feedSources.postSelector(postId)).first();
+      const button = post.locator(selectorRegistry.selector('commentButton')).first();
+      if (await button.count() === 0) return { opened: false, postId, error: 'Comment button not found' };
+
+      await button.click();
+      await post.locator(selectorRegistry.selector('commentEditor')).first()
+        .waitFor({ state: 'visible', timeout: 5000 });
+      return { opened: true, postId, error: null };
+    } catch (error) {
+      return { opened: false, postId, error: error.message.split('\n')[0] };
+    }
+  }
+
+  /**
+   * Role result from post counts: missing in no post, ambiguous when an expect 'one' role
+   * has several candidates in a post
+   */
+  summarize(check, counts, totalPosts, postSnippet) {
+    const entry = counts || { selectors: selectorRegistry.get(check.role).map(selector => ({ selector, matchedPosts: 0, maxPerPost: 0 })), matchedPosts: 0, maxDistinct: 0, snippet: null };
+
+    let status = 'matched';
+    let note = null;
+    if (totalPosts === 0 || entry.matchedPosts === 0) {
+      status = 'missing';
+      note = totalPosts === 0 ? (check.scope === 'editor' ? 'Comment editor could not be opened' : 'No posts found') : null;
+    } else if (check.expect === 'one' && entry.maxDistinct > 1) {
+      status = 'ambiguous';
+      note = `Up to ${entry.maxDistinct} matches in one post`;
+    } else if (entry.matchedPosts < totalPosts) {
+      note = `Matched in ${entry.matchedPosts} of ${totalPosts} posts`;
+    }
+
+    return {
+      ...this.describe(check),
+      status,
+      matchedPosts: entry.matchedPosts,
+      totalPosts,
+      selectors: entry.selectors,
+      // The post's markup when the role is missing, to write a new selector from
+      snippet: status === 'missing' ? (postSnippet || null) : entry.snippet,
+      note
+    };
+  }
+
+  /**
+   * Static part of a role result
+   */
+  describe(check) {
+    return {
+      role: check.role,
+      scope: check.scope,
+      expect: check.expect,
+      usedBy: check.usedBy,
+      optional: !!check.optional
+    };
+  }
+}
+
+module.exports = new SelectorHealth();
@@ -0,0 +1,198 @@
+/**
+ * Selector Registry - the LinkedIn DOM selectors the runner and the extension rely on
+ * Loaded from a versioned JSON profile (selectors/linkedin.json at the repo root by default):
+ * { name, version, roles: { <role>: [selector, fallback, ...] } }.
+ * The profile is watched and can be reloaded or swapped at runtime (POST /api/selectors/reload).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const SELECTORS_DIR = path.join(__dirname, '..', '..', 'selectors');
+const DEFAULT_PROFILE = path.join(SELECTORS_DIR, 'linkedin.json');
+
+// Profile names for reload: no path separators, no leading dot
+const PROFILE_NAME = /^[a-z0-9][\w.-]*$/i;
+
+// Roles the runner looks up - a profile without one of them is rejected
+const REQUIRED_ROLES = [
+  'feedReady', 'feedItem', 'resultItem', 'activityPost', 'post', 'postText', 'postAuthor', 'actorLink', 'postLink',
+  'seeMore', 'socialActionBar', 'likeButton', 'likeIcon', 'likeText', 'countValue', 'reactionsMenu',
+  'reactionsCount', 'commentsCount', 'repostsCount', 'commentButton', 'commentIcon', 'commentSection',
+  'commentBox', 'commentEditor', 'commentSubmit', 'commentItem', 'commentText', 'commentAuthor',
+  'ownProfilePhoto', 'errorToast', 'degreeBadge', 'connectButton', 'moreActions', 'connectMenuItem',
+  'pendingButton', 'inviteDialog', 'addNoteButton', 'noteInput', 'sendInvite'
+];
+
+class SelectorRegistry {
+  constructor() {
+    this.profilePath = process.env.SELECTOR_PROFILE ? path.resolve(process.env.SELECTOR_PROFILE) : DEFAULT_PROFILE;
+    // reload(name) only switches to profiles in this directory
+    this.profileDir = SELECTORS_DIR;
+    // Loaded lazily; revision goes up on every successful (re)load
+    this.profile = null;
+    this.loadedAt = null;
+    this.revision = 0;
+    this.watching = null;
+    this.watchingPath = null;
+  }
+
+  /**
+   * Error message for a malformed profile, or null
+   */
+  validate(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return 'Profile must be a JSON object';
+    if (typeof profile.name !== 'string' || !profile.name.trim()) return 'name is required';
+    if (typeof profile.version !== 'string' || !profile.version.trim()) return 'version is required';
+    if (!profile.roles || typeof profile.roles !== 'object' || Array.isArray(profile.roles)) return 'roles must be an object';
+
+    for (const [role, selectors] of Object.entries(profile.roles)) {
+      if (!Array.isArray(selectors) || selectors.length === 0 ||
+          selectors.some(selector => typeof selector !== 'string' || !selector.trim())) {
+        return `Role "${role}" must be a non-empty array of selectors`;
+      }
+    }
+
+    const missing = REQUIRED_ROLES.filter(role => !profile.roles[role]);
+    return missing.length ? `Missing roles: ${missing.join(', ')}` : null;
+  }
+
+  /**
+   * Read and validate a profile file, then make it the active profile. Throws on a bad file.
+   */
+  load(profilePath = this.profilePath) {
+    const resolved = path.resolve(profilePath);
+    let text;
+    try {
+      text = fs.readFileSync(resolved, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read selector profile ${resolved}: ${error.code || error.message}`);
+    }
+
+    // JSON.parse errors quote the start of the file - keep its content out of logs and API responses
+    let profile;
+    try {
+      profile = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Selector profile ${resolved} is not valid JSON`);
+    }
+
+    const error = this.validate(profile);
+    if (error) {
+      throw new Error(`Invalid selector profile ${resolved}: ${error}`);
+    }
+
+    const switched = resolved !== this.profilePath;
+    this.profilePath = resolved;
+    this.profile = profile;
+    this.loadedAt = new Date().toISOString();
+    this.revision++;
+    if (switched && this.watching) {
+      this.unwatch();
+      this.watch();
+    }
+    logger.info('Selector profile loaded', { name: profile.name, version: profile.version, path: resolved });
+    return this.getInfo();
+  }
+
+  /**
+   * Load the profile again (or another one). A bad file leaves the active profile in place.
+   * @param {string} profileName - Optional: switch to selectors/<name>.json. Paths are refused.
+   * @returns {Object} { success, profile, error }
+   */
+  reload(profileName = null) {
+    let target = this.profilePath;
+    if (profileName) {
+      const name = String(profileName).replace(/\.json$/i, '');
+      if (!PROFILE_NAME.test(name)) {
+        logger.warn('Selector profile not reloaded: not a profile name', { profile: String(profileName).slice(0, 100) });
+        return { success: false, profile: this.profile ? this.getInfo() : null, error: 'profile must be a profile name under selectors/, not a path' };
+      }
+      target = path.join(this.profileDir, `${name}.json`);
+    }
+
+    try {
+      return { success: true, profile: this.load(target), error: null };
+    } catch (error) {
+      logger.warn('Selector profile not reloaded, keeping the active one', { error: error.message });
+      return { success: false, profile: this.profile ? this.getInfo() : null, error: error.message };
+    }
+  }
+
+  /**
+   * Selectors for a role, in fallback order
+   */
+  get(role) {
+    if (!this.profile) this.load();
+    const selectors = this.profile.roles[role];
+    if (!selectors) {
+      throw new Error(`Unknown selector role: ${role}`);
+    }
+    return [...selectors];
+  }
+
+  /**
+   * A role's selectors as one CSS selector list, for closest()/matches()/querySelectorAll() in the page
+   */
+  selector(role) {
+    return this.get(role).join(', ');
+  }
+
+  /**
+   * Several roles at once as { role: 'a, b' } - handed to page.evaluate
+   */
+  pick(...roles) {
+    return Object.fromEntries(roles.map(role => [role, this.selector(role)]));
+  }
+
+  /**
+   * Active profile without its roles (status and reload responses)
+   */
+  getInfo() {
+    if (!this.profile) this.load();
+    return {
+      name: this.profile.name,
+      version: this.profile.version,
+      path: this.profilePath,
+      loadedAt: this.loadedAt,
+      revision: this.revision,
+      roles: Object.keys(this.profile.roles).length
+    };
+  }
+
+  /**
+   * Active profile with its roles (GET /api/selectors, consumed by the extension)
+   */
+  getProfile() {
+    return { ...this.getInfo(), description: this.profile.description || '', roles: this.profile.roles };
+  }
+
+  /**
+   * Reload when the profile file changes on disk
+   */
+  watch(intervalMs = 2000) {
+    if (this.watching) return;
+    const watchedPath = this.profilePath;
+    this.watching = fs.watchFile(watchedPath, { interval: intervalMs }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.info('Selector profile changed on disk, reloading', { path: watchedPath });
+        this.reload();
+      }
+    });
+    this.watching.unref();
+    this.watchingPath = watchedPath;
+  }
+
+  /**
+   * Stop watching the profile file
+   */
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.watchingPath);
+    this.watching = null;
+    this.watchingPath = null;
+  }
+}
+
+module.exports = new SelectorRegistry();
@@ -0,0 +1,341 @@
+/**
+ * Session Ledger - append-only per-post audit trail
+ * One JSON line per post in runs/<sessionId>/ledger.jsonl, session metadata in session.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const postTasks = require('./post-tasks');
+
+const LEDGER_FILE = 'ledger.jsonl';
+const SESSION_FILE = 'session.json';
+
+class SessionLedger {
+  constructor() {
+    // RUNS_DIR moves runs/ elsewhere (e.g. a temp dir for tests); default linkright-runner/runs
+    this.runsRoot = process.env.RUNS_DIR ? path.resolve(process.env.RUNS_DIR) : path.join(__dirname, '..', 'runs');
+    this.sessionId = null;
+    // seq of the last record appended to the current session (1, 2, ... in file order)
+    this.seq = 0;
+  }
+
+  /**
+   * Directory holding artifacts and ledger for a session
+   */
+  getSessionDir(sessionId) {
+    return path.join(this.runsRoot, sessionId);
+  }
+
+  /**
+   * Start recording a session (creates the directory and session.json)
+   */
+  open(sessionId, meta = {}) {
+    this.sessionId = sessionId;
+    this.seq = this.readLedger(sessionId).length;
+
+    try {
+      fs.mkdirSync(this.getSessionDir(sessionId), { recursive: true });
+      this.terminateTornLine(sessionId);
+      this.writeSession(sessionId, {
+        sessionId,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        completedReason: null,
+        ...meta
+      });
+    } catch (error) {
+      logger.warn('Failed to open session ledger', { sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * A crash mid-append leaves a last line without its newline; end it so the next record
+   * starts on its own line instead of being glued to the torn one (readLedger skips the torn line)
+   */
+  terminateTornLine(sessionId) {
+    const ledgerPath = path.join(this.getSessionDir(sessionId), LEDGER_FILE);
+    if (!fs.existsSync(ledgerPath)) return;
+
+    const content = fs.readFileSync(ledgerPath, 'utf8');
+    if (content && !content.endsWith('\n')) {
+      fs.appendFileSync(ledgerPath, '\n');
+    }
+  }
+
+  /**
+   * Stable hash of post text (same as the worker pool's hashContent task, used as its fallback)
+   */
+  hashContent(text) {
+    return postTasks.hashContent(text);
+  }
+
+  /**
+   * Append one post record. Written synchronously so it survives a crash or restart.
+   */
+  append(record) {
+    if (!this.sessionId) return null;
+
+    const entry = {
+      seq: ++this.seq,
+      ts: new Date().toISOString(),
+      sessionId: this.sessionId,
+      ...record
+    };
+
+    try {
+      fs.appendFileSync(path.join(this.getSessionDir(this.sessionId), LEDGER_FILE), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.warn('Failed to append ledger record', { postId: record.postId, error: error.message });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Merge updates into the current session's session.json
+   */
+  updateSession(updates) {
+    if (!this.sessionId) return;
+
+    try {
+      const current = this.readSession(this.sessionId) || { sessionId: this.sessionId };
+      this.writeSession(this.sessionId, { ...current, ...updates });
+    } catch (error) {
+      logger.warn('Failed to update session metadata', { sessionId: this.sessionId, error: error.message });
+    }
+  }
+
+  /**
+   * Mark the current session finished and stop recording
+   */
+  close(summary = {}) {
+    if (!this.sessionId) return;
+
+    this.updateSession({
+      status: 'completed',
+      endedAt: new Date().toISOString(),
+      ...summary
+    });
+    this.sessionId = null;
+  }
+
+  /**
+   * Read all post records of a session, oldest first. Skips a torn last line left by a crash.
+   * Records written before seq existed get their position in the file.
+   */
+  readLedger(sessionId) {
+    const ledgerPath = path.join(this.getSessionDir(sessionId), LEDGER_FILE);
+    if (!fs.existsSync(ledgerPath)) return [];
+
+    return fs.readFileSync(ledgerPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .map((record, index) => ({ seq: index + 1, ...record }));
+  }
+
+  /**
+   * One page of a session's post records, newest first. Pages are keyed by seq rather than an
+   * offset, so records appended while paging (a live session) don't shift or repeat rows.
+   * @param {Object} options - limit: page size (1-500), before: only records with a lower seq
+   *   (the previous page's pagination.nextCursor)
+   */
+  getPosts(sessionId, { limit = 50, before = null } = {}) {
+    const safeLimit = Math.min(500, Math.max(1, parseInt(limit) || 50));
+    const cursor = parseInt(before) > 0 ? parseInt(before) : Infinity;
+    const records = sessionId ? this.readLedger(sessionId).reverse() : [];
+    const older = records.filter(record => record.seq < cursor);
+    const posts = older.slice(0, safeLimit);
+    const hasMore = older.length > posts.length;
+
+    return {
+      posts,
+      pagination: {
+        sessionId: sessionId || null,
+        total: records.length,
+        limit: safeLimit,
+        hasMore,
+        nextCursor: hasMore ? posts[posts.length - 1].seq : null
+      }
+    };
+  }
+
+  /**
+   * Session IDs found under runs/, newest first
+   */
+  listSessionIds() {
+    if (!fs.existsSync(this.runsRoot)) return [];
+
+    return fs.readdirSync(this.runsRoot, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name.startsWith('session-'))
+      .map(entry => entry.name)
+      .sort((a, b) => (parseInt(b.slice(8)) || 0) - (parseInt(a.slice(8)) || 0));
+  }
+
+  /**
+   * Most recent session on disk (null if none)
+   */
+  latestSessionId() {
+    return this.listSessionIds()[0] || null;
+  }
+
+  /**
+   * Session IDs are generated as session-<epoch ms>; anything else is rejected before touching the disk
+   */
+  isValidSessionId(sessionId) {
+    return /^session-\d+$/.test(String(sessionId || ''));
+  }
+
+  /**
+   * Whether a session directory exists under runs/
+   */
+  sessionExists(sessionId) {
+    return this.isValidSessionId(sessionId) && fs.existsSync(this.getSessionDir(sessionId));
+  }
+
+  /**
+   * Artifact files of a session (trace, video, screenshots) - ledger and metadata excluded
+   */
+  listArtifacts(sessionId) {
+    const sessionDir = this.getSessionDir(sessionId);
+    if (!fs.existsSync(sessionDir)) return [];
+
+    return fs.readdirSync(sessionDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && entry.name !== LEDGER_FILE && entry.name !== SESSION_FILE)
+      .map(entry => {
+        const filePath = path.join(sessionDir, entry.name);
+        const ext = path.extname(entry.name).toLowerCase();
+        return {
+          name: entry.name,
+          type: ext === '.zip' ? 'trace' : ext === '.webm' ? 'video' : ext === '.png' ? 'screenshot' : 'file',
+          size: fs.statSync(filePath).size,
+          path: path.resolve(filePath)
+        };
+      });
+  }
+
+  /**
+   * Absolute path of a named artifact, or null if it is not one of the session's artifacts
+   */
+  getArtifactPath(sessionId, name) {
+    const artifact = this.listArtifacts(sessionId).find(item => item.name === name);
+    return artifact ? artifact.path : null;
+  }
+
+  /**
+   * Summary of a session for history listings
+   */
+  getSessionSummary(sessionId) {
+    const session = this.readSession(sessionId) || {};
+    const records = this.readLedger(sessionId);
+    const startedFromId = parseInt(sessionId.slice(8));
+
+    return {
+      sessionId,
+      status: session.status || 'unknown',
+      startedAt: session.startedAt || (startedFromId ? new Date(startedFromId).toISOString() : null),
+      endedAt: session.endedAt || null,
+      completedReason: session.completedReason || null,
+      mode: session.mode || null,
+      source: session.source || null,
+      stats: session.stats || null,
+      postCount: records.length,
+      commentCount: records.filter(record => this.isPostedComment(record)).length,
+      artifacts: this.listArtifacts(sessionId).map(artifact => artifact.name)
+    };
+  }
+
+  /**
+   * Whether a ledger record is a comment we posted: the feed loop and queue write outcome "commented",
+   * targeted actions write { mode: 'targeted', action: 'comment', outcome: 'done' }
+   */
+  isPostedComment(record) {
+    return record.outcome === 'commented' ||
+      (record.mode === 'targeted' && record.action === 'comment' && record.outcome === 'done');
+  }
+
+  /**
+   * One page of session summaries, newest first
+   */
+  listSessions({ limit = 20, offset = 0 } = {}) {
+    const safeLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const safeOffset = Math.max(0, parseInt(offset) || 0);
+    const sessionIds = this.listSessionIds();
+
+    return {
+      sessions: sessionIds.slice(safeOffset, safeOffset + safeLimit).map(id => this.getSessionSummary(id)),
+      pagination: {
+        total: sessionIds.length,
+        offset: safeOffset,
+        limit: safeLimit,
+        hasMore: safeOffset + safeLimit < sessionIds.length
+      }
+    };
+  }
+
+  /**
+   * Remove a session directory with its ledger and artifacts
+   */
+  deleteSession(sessionId) {
+    if (!this.sessionExists(sessionId)) return false;
+
+    fs.rmSync(this.getSessionDir(sessionId), { recursive: true, force: true });
+    logger.info('Session deleted', { sessionId });
+    return true;
+  }
+
+  /**
+   * Read session.json for a session (null if missing or unreadable)
+   */
+  readSession(sessionId) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.getSessionDir(sessionId), SESSION_FILE), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeSession(sessionId, data) {
+    fs.writeFileSync(path.join(this.getSessionDir(sessionId), SESSION_FILE), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Sessions still marked "running" on startup were cut short by a crash or restart
+   */
+  recoverInterruptedSessions() {
+    if (!fs.existsSync(this.runsRoot)) return 0;
+
+    let recovered = 0;
+    for (const name of fs.readdirSync(this.runsRoot)) {
+      const session = this.readSession(name);
+      if (!session || session.status !== 'running') continue;
+
+      try {
+        this.writeSession(name, {
+          ...session,
+          status: 'interrupted',
+          completedReason: session.completedReason || 'interrupted'
+        });
+        recovered++;
+      } catch (error) {
+        logger.warn('Failed to mark session interrupted', { sessionId: name, error: error.message });
+      }
+    }
+
+    if (recovered > 0) {
+      logger.info(`Marked ${recovered} interrupted session(s) in runs/`);
+    }
+    return recovered;
+  }
+}
+
+module.exports = new SessionLedger();
@@ -0,0 +1,382 @@
+/**
+ * Webhook Client - the one way the runner POSTs JSON to an outside endpoint
+ * (linkedin-parse, linkedin-reply, OpenAI-compatible providers).
+ * Every endpoint gets the same error taxonomy (errorType), optional retries with jittered
+ * exponential backoff, an Idempotency-Key that stays the same across retries, optional HMAC
+ * signing with an outbound secret (WEBHOOK_SIGNING_SECRET, never the runner's own token)
+ * and validation of the response against a small JSON-schema subset.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Response shapes the runner relies on
+const SCHEMAS = {
+  // linkedin-parse: { engage: "yes" | "no" } (n8n sometimes capitalizes the key or the value)
+  engage: {
+    type: 'object',
+    anyOf: [{ required: ['engage'] }, { required: ['Engage'] }],
+    properties: {
+      engage: { type: 'string', pattern: '^([Yy][Ee][Ss]|[Nn][Oo])$' },
+      Engage: { type: 'string', pattern: '^([Yy][Ee][Ss]|[Nn][Oo])$' }
+    }
+  },
+  // linkedin-reply: { comment: "..." }
+  comment: {
+    type: 'object',
+    required: ['comment'],
+    properties: {
+      comment: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// Failures that will not go away by sending the same request again
+const PERMANENT_ERRORS = ['SCHEMA_INVALID', 'SSL_ERROR', 'SERIALIZATION_FAILED'];
+
+/**
+ * JSON type name of a value (arrays are "array", null is "null", whole numbers are also "integer")
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON-schema subset: type, required, properties, enum, pattern,
+ * minLength, anyOf. Unknown keywords are ignored.
+ * @returns {string[]} one message per violation (empty when valid)
+ */
+function validateSchema(value, schema, at = 'response') {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+  const actual = typeOf(value);
+
+  if (types && !types.includes(actual) && !(types.includes('integer') && Number.isInteger(value))) {
+    return [`${at} must be ${types.join(' or ')}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at} is empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} does not match ${schema.pattern}`);
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], property, `${at}.${key}`));
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, at).length === 0)) {
+    errors.push(`${at} matches none of: ${schema.anyOf.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Tag an error with its errorType
+ */
+function tagged(message, errorType, extra = {}) {
+  return Object.assign(new Error(message), { errorType }, extra);
+}
+
+class WebhookClient {
+  constructor() {
+    this.schemas = SCHEMAS;
+  }
+
+  /**
+   * HMAC-SHA256 of "<timestamp>.<body>" - receivers recompute it with the shared secret
+   */
+  sign(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return { timestamp: String(timestamp), signature: `sha256=${signature}` };
+  }
+
+  /**
+   * Idempotency key for a post: the same post and endpoint always give the same key,
+   * so a receiver can drop the duplicate when a retry follows a lost response
+   */
+  idempotencyKey(endpoint, postId, suffix = '') {
+    const digest = crypto.createHash('sha256').update(`${endpoint}|${postId}|${suffix}`).digest('hex');
+    return `${endpoint}-${digest.substring(0, 32)}`;
+  }
+
+  /**
+   * Delay before retry number `retry` (1-based): base * 2^(retry-1), randomized to 50-100% of that
+   */
+  backoffDelay(retry, baseMs) {
+    const delay = baseMs * Math.pow(2, retry - 1);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Whether a classified failure is worth another attempt
+   */
+  isRetryable(error) {
+    if (PERMANENT_ERRORS.includes(error.errorType)) return false;
+    if (error.errorType === 'HTTP_ERROR') {
+      return error.status >= 500 || [408, 425, 429].includes(error.status);
+    }
+    return true;
+  }
+
+  /**
+   * POST JSON and return the parsed response body
+   * @param {string} url
+   * @param {Object} payload - Sent as JSON
+   * @param {Object} options - see request()
+   */
+  async post(url, payload, options = {}) {
+    return (await this.request(url, payload, options)).body;
+  }
+
+  /**
+   * POST JSON with retries
+   * @param {string} url
+   * @param {Object} payload - Sent as JSON
+   * @param {Object} options
+   *   endpoint: name used in logs and idempotency keys (default: the URL's last path segment)
+   *   timeoutMs: per attempt (default WEBHOOK_TIMEOUT_MS or 10000)
+   *   retries / retryBackoffMs: extra attempts for retryable failures and the backoff base
+   *   idempotencyKey: sent as Idempotency-Key on every attempt
+   *   signingSecret: HMAC secret (default WEBHOOK_SIGNING_SECRET; empty = unsigned)
+   *   headers: extra request headers
+   *   schema: name in SCHEMAS or a schema object the response must match (a one-item array is unwrapped first)
+   *   onAttempt(attempt, attempts): called before each attempt
+   *   shouldStop(): true stops retrying
+   * @returns {Promise<Object>} { body, attempts, durationMs }; rejects with an error carrying
+   *   errorType, diagnosis, suggestion and attempts
+   */
+  async request(url, payload, options = {}) {
+    const {
+      endpoint = String(url).split('?')[0].split('/').filter(Boolean).pop() || 'webhook',
+      timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+      retries = 0,
+      retryBackoffMs = 1000,
+      idempotencyKey = null,
+      signingSecret = process.env.WEBHOOK_SIGNING_SECRET || '',
+      headers = {},
+      schema = null,
+      onAttempt = null,
+      shouldStop = () => false
+    } = options;
+    const attempts = Math.max(0, parseInt(retries) || 0) + 1;
+    const startedAt = Date.now();
+
+    let body;
+    try {
+      body = JSON.stringify(payload);
+    } catch (error) {
+      throw tagged(`Payload serialization failed: ${error.message}`, 'SERIALIZATION_FAILED', { attempts: 0 });
+    }
+
+    logger.info('🔍 Sending webhook request', {
+      endpoint,
+      url,
+      timeoutMs,
+      attempts,
+      payloadSize: Buffer.byteLength(body),
+      payloadKeys: payload && typeof payload === 'object' ? Object.keys(payload) : null,
+      signed: !!signingSecret,
+      idempotencyKey
+    });
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (onAttempt) await onAttempt(attempt, attempts);
+
+      try {
+        const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+        if (idempotencyKey) requestHeaders['Idempotency-Key'] = idempotencyKey;
+        if (signingSecret) {
+          const { timestamp, signature } = this.sign(body, signingSecret);
+          requestHeaders['X-LinkRight-Timestamp'] = timestamp;
+          requestHeaders['X-LinkRight-Signature'] = signature;
+        }
+
+        let result = await this.send(url, body, requestHeaders, timeoutMs);
+        if (schema) {
+          // n8n's "All Incoming Items" response mode wraps the one item in an array
+          if (Array.isArray(result) && result.length === 1) result = result[0];
+          const errors = validateSchema(result, typeof schema === 'string' ? SCHEMAS[schema] : schema);
+          if (errors.length > 0) {
+            throw tagged(`Webhook response does not match the ${typeof schema === 'string' ? schema : 'expected'} schema: ${errors.join('; ')}`, 'SCHEMA_INVALID', { schemaErrors: errors });
+          }
+        }
+
+        logger.info('✅ Webhook response accepted', { endpoint, attempt, durationMs: Date.now() - startedAt });
+        return { body: result, attempts: attempt, durationMs: Date.now() - startedAt };
+      } catch (error) {
+        Object.assign(error, this.classify(error, url, timeoutMs), { attempts: attempt });
+        lastError = error;
+
+        logger.error(`❌ Webhook request failed (attempt ${attempt}/${attempts})`, {
+          endpoint,
+          url,
+          errorType: error.errorType,
+          error: error.message,
+          status: error.status,
+          diagnosis: error.diagnosis,
+          suggestion: error.suggestion,
+          errorCause: error.cause ? { message: error.cause.message, code: error.cause.code, errno: error.cause.errno, syscall: error.cause.syscall } : null
+        });
+
+        if (attempt === attempts || !this.isRetryable(error) || shouldStop()) break;
+
+        const delay = this.backoffDelay(attempt, retryBackoffMs);
+        logger.info(`⏳ Retrying ${endpoint} in ${delay}ms`, { errorType: error.errorType });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        if (shouldStop()) break;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * One attempt: POST the body and parse the JSON answer. Bad answers are thrown pre-tagged
+   * (HTTP_ERROR, EMPTY_RESPONSE, INVALID_JSON); network errors are classified by the caller.
+   */
+  async send(url, body, headers, timeoutMs) {
+    const response = await fetch(url, {
+      method: 'POST',
+      // Connection / Keep-Alive are managed by undici, which rejects them as headers
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw tagged(`HTTP ${response.status}: ${response.statusText}`, 'HTTP_ERROR', {
+        status: response.status,
+        responseBody: text.substring(0, 500)
+      });
+    }
+    if (!text || text.trim().length === 0) {
+      throw tagged('Webhook returned empty response body', 'EMPTY_RESPONSE');
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw tagged(`Invalid JSON response: ${error.message}. Response: ${text.substring(0, 100)}`, 'INVALID_JSON');
+    }
+  }
+
+  /**
+   * Classify a failed webhook request into an errorType with a diagnosis and suggestion.
+   * Errors thrown for bad responses (HTTP_ERROR, EMPTY_RESPONSE, INVALID_JSON, SCHEMA_INVALID) arrive pre-tagged.
+   */
+  classify(error, url, timeout) {
+    const message = error.message || '';
+    const code = error.cause?.code;
+
+    if (error.errorType === 'HTTP_ERROR') {
+      return {
+        errorType: 'HTTP_ERROR',
+        diagnosis: `Webhook answered with status ${error.status}`,
+        suggestion: 'Check the n8n execution log for the failing workflow run'
+      };
+    }
+    if (error.errorType === 'EMPTY_RESPONSE') {
+      return {
+        errorType: 'EMPTY_RESPONSE',
+        diagnosis: 'Webhook answered 2xx with an empty body',
+        suggestion: 'Make sure the workflow ends in a "Respond to Webhook" node that returns JSON'
+      };
+    }
+    if (error.errorType === 'INVALID_JSON') {
+      return {
+        errorType: 'INVALID_JSON',
+        diagnosis: 'Webhook body is not valid JSON',
+        suggestion: 'Check the response body format of the "Respond to Webhook" node'
+      };
+    }
+    if (error.errorType === 'SCHEMA_INVALID') {
+      return {
+        errorType: 'SCHEMA_INVALID',
+        diagnosis: 'Webhook body is JSON but not the expected shape',
+        suggestion: 'Return a single object (not an array of items) with the fields listed in the error'
+      };
+    }
+    if (error.errorType === 'SERIALIZATION_FAILED') {
+      return {
+        errorType: 'SERIALIZATION_FAILED',
+        diagnosis: 'The request payload could not be serialized to JSON',
+        suggestion: 'Check the payload for circular references'
+      };
+    }
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      return {
+        errorType: 'TIMEOUT',
+        diagnosis: `Request exceeded ${timeout}ms timeout. The n8n webhook may be slow or unresponsive.`,
+        suggestion: 'Increase timeout in settings or check n8n workflow performance'
+      };
+    }
+    if (code === 'ENOTFOUND' || message.includes('ENOTFOUND') || message.includes('getaddrinfo')) {
+      return {
+        errorType: 'DNS_FAILURE',
+        diagnosis: `Cannot resolve hostname: ${new URL(url).hostname}`,
+        suggestion: 'Check DNS settings or verify the n8n domain is accessible'
+      };
+    }
+    if (code === 'ECONNREFUSED' || message.includes('ECONNREFUSED')) {
+      return {
+        errorType: 'CONNECTION_REFUSED',
+        diagnosis: 'Connection refused by server',
+        suggestion: 'Verify n8n server is running and webhook endpoint is correct'
+      };
+    }
+    if (code === 'ECONNRESET' || message.includes('ECONNRESET') || message.includes('socket hang up')) {
+      return {
+        errorType: 'CONNECTION_RESET',
+        diagnosis: 'Connection was reset by the server',
+        suggestion: 'Check n8n server logs for errors or restarts'
+      };
+    }
+    if (code === 'ETIMEDOUT' || message.includes('ETIMEDOUT')) {
+      return {
+        errorType: 'NETWORK_TIMEOUT',
+        diagnosis: 'Network connection timed out',
+        suggestion: 'Check network connectivity and firewall settings'
+      };
+    }
+    if (code === 'EPIPE' || message.includes('EPIPE')) {
+      return {
+        errorType: 'BROKEN_PIPE',
+        diagnosis: 'Connection broken while sending data (possibly payload too large)',
+        suggestion: 'Check payload size or n8n server logs for memory/timeout issues'
+      };
+    }
+    if (message.includes('certificate') || message.includes('SSL') || message.includes('TLS')) {
+      return {
+        errorType: 'SSL_ERROR',
+        diagnosis: 'SSL/TLS certificate validation failed',
+        suggestion: 'Check SSL certificate validity for the n8n domain'
+      };
+    }
+    if (message.includes('fetch failed')) {
+      return {
+        errorType: 'FETCH_FAILED',
+        diagnosis: 'Generic fetch failure - check errorCause field for system-level details',
+        suggestion: 'Check errorCause.code and errorCause.errno above for specific system error'
+      };
+    }
+    return { errorType: 'UNKNOWN' };
+  }
+
+  /**
+   * @see validateSchema
+   */
+  validate(value, schema) {
+    return validateSchema(value, typeof schema === 'string' ? SCHEMAS[schema] : schema);
+  }
+}
+
+module.exports = new WebhookClient();
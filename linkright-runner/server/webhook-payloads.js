@@ -0,0 +1,132 @@
+/**
+ * Webhook Payloads - builds the linkedin-parse request body
+ * The raw outerHTML of a feed post is often 30-40 KB (see test-webhook.js), mostly scripts, icons,
+ * tracking attributes and the comment thread. The payload sends the sanitized HTML (html-sanitizer.js),
+ * the parsed post model (post-parser.js) or both, capped to a byte budget and stamped with a
+ * schema version so a workflow can tell which shape it receives.
+ */
+
+const htmlSanitizer = require('./html-sanitizer');
+const workerPool = require('./worker-pool');
+const logger = require('./logger');
+
+const FORMATS = ['html', 'model', 'both'];
+
+class WebhookPayloads {
+  /**
+   * linkedin-parse payload options with defaults from .env
+   *   format: html | model | both; strip: parts removed from the HTML (html-sanitizer.js);
+   *   maxBytes: cap on the JSON body (0 = no cap); schemaVersion: sent as schema_version
+   */
+  normalizeOptions(options = {}) {
+    const envStrip = process.env.PARSE_PAYLOAD_STRIP ?? htmlSanitizer.stripOptions.join(',');
+    const strip = options.strip ?? envStrip.split(',').map(option => option.trim()).filter(Boolean);
+    const format = options.format || process.env.PARSE_PAYLOAD_FORMAT;
+
+    return {
+      format: FORMATS.includes(format) ? format : 'both',
+      strip: strip.filter(option => htmlSanitizer.stripOptions.includes(option)),
+      maxBytes: Math.max(0, parseInt(options.maxBytes ?? process.env.PARSE_PAYLOAD_MAX_BYTES ?? 20000) || 0),
+      schemaVersion: Math.max(1, parseInt(options.schemaVersion ?? process.env.PARSE_SCHEMA_VERSION) || 1)
+    };
+  }
+
+  /**
+   * Error message for invalid session options (POST /api/runner/start-keyboard → parsePayload), or null
+   */
+  validate(options) {
+    if (typeof options !== 'object' || Array.isArray(options)) return 'parsePayload must be an object';
+    if (options.format !== undefined && !FORMATS.includes(options.format)) {
+      return `Unknown parse payload format "${options.format}". Use one of: ${FORMATS.join(', ')}`;
+    }
+    const stripError = options.strip !== undefined ? htmlSanitizer.validateStrip(options.strip) : null;
+    if (stripError) return stripError;
+    if (options.maxBytes !== undefined && !(parseInt(options.maxBytes) >= 0)) {
+      return 'parsePayload.maxBytes must be a number of bytes (0 disables the cap)';
+    }
+    if (options.schemaVersion !== undefined && !(parseInt(options.schemaVersion) >= 1)) {
+      return 'parsePayload.schemaVersion must be a positive integer';
+    }
+    return null;
+  }
+
+  /**
+   * Sanitize on the worker pool, on the main thread if the pool fails
+   */
+  async sanitize(html, strip, commentSelectors) {
+    try {
+      return await workerPool.run('sanitizeHtml', { html, strip, commentSelectors });
+    } catch (error) {
+      logger.warn('Worker sanitizeHtml failed, sanitizing on the main thread', { error: error.message, code: error.code });
+      return htmlSanitizer.sanitize(html, { strip, commentSelectors });
+    }
+  }
+
+  /**
+   * linkedin-parse request body for a detected post
+   * @param {Object} postData - { postId, outerHTML|postHTML, post }
+   * @param {Object} options - Normalized options (normalizeOptions)
+   * @param {Object} context - { commentSelectors } for stripping the comment thread
+   * @returns {Promise<Object>} { payload: { schema_version, outer_html?, post?, html_truncated? }, stats }
+   */
+  async buildParsePayload(postData, options, { commentSelectors = [] } = {}) {
+    const rawHtml = postData.outerHTML || postData.postHTML || '';
+    const model = postData.post || null;
+    // A post that could not be parsed still goes out as HTML
+    const format = options.format === 'model' && !model ? 'html' : options.format;
+    const payload = { schema_version: options.schemaVersion };
+    const removed = { scripts: 0, styles: 0, svg: 0, tracking: 0, comments: 0 };
+    let truncated = false;
+
+    if (format !== 'model') {
+      let html = rawHtml;
+      if (options.strip.length > 0 && rawHtml) {
+        const sanitized = await this.sanitize(rawHtml, options.strip, commentSelectors);
+        html = sanitized.html;
+        Object.assign(removed, sanitized.removed);
+      }
+      payload.outer_html = html;
+    }
+    if (format !== 'html') {
+      payload.post = model;
+    }
+
+    if (options.maxBytes > 0 && payload.outer_html && Buffer.byteLength(JSON.stringify(payload)) > options.maxBytes) {
+      ({ html: payload.outer_html, truncated } = this.fitHtml(payload, options.maxBytes));
+      payload.html_truncated = truncated;
+    }
+
+    const stats = {
+      postId: postData.postId,
+      format,
+      schemaVersion: options.schemaVersion,
+      // What the request used to carry: the raw outerHTML and the model
+      bytesBefore: Buffer.byteLength(JSON.stringify({ outer_html: rawHtml, post: model })),
+      bytesAfter: Buffer.byteLength(JSON.stringify(payload)),
+      removed,
+      truncated
+    };
+    logger.info('📦 linkedin-parse payload', stats);
+
+    return { payload, stats };
+  }
+
+  /**
+   * Shorten outer_html until the whole JSON body fits maxBytes
+   * (JSON escaping makes the HTML a little larger than its byte length, so this may take a few passes)
+   */
+  fitHtml(payload, maxBytes) {
+    const overhead = Buffer.byteLength(JSON.stringify({ ...payload, outer_html: '', html_truncated: true }));
+    let budget = maxBytes - overhead;
+
+    while (budget > 0) {
+      const html = htmlSanitizer.truncate(payload.outer_html, budget).html;
+      const excess = Buffer.byteLength(JSON.stringify(html)) - 2 - (maxBytes - overhead);
+      if (excess <= 0) return { html, truncated: true };
+      budget -= excess;
+    }
+    return { html: '', truncated: true };
+  }
+}
+
+module.exports = new WebhookPayloads();
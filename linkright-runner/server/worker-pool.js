@@ -0,0 +1,246 @@
+/**
+ * Worker Pool - worker_threads for CPU-heavy post work (hashing, scoring)
+ * Tasks are the functions exported by post-tasks.js. Each worker runs one task at a time and
+ * further tasks wait in a FIFO queue. A task that runs past its timeout is rejected and its
+ * worker is replaced; a worker that crashes rejects its task and is replaced the same way.
+ * WORKER_POOL_SIZE=0 runs the tasks inline on the main thread.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('./logger');
+
+const WORKER_SCRIPT = path.join(__dirname, 'post-worker.js');
+const DEFAULT_TASKS = path.join(__dirname, 'post-tasks.js');
+
+class WorkerPool {
+  /**
+   * @param {Object} options - { size, taskTimeoutMs, tasksModule }; defaults come from .env
+   *   (tests build their own pool around a tasks module of their own)
+   */
+  constructor(options = {}) {
+    const envSize = parseInt(process.env.WORKER_POOL_SIZE);
+    const defaultSize = Number.isNaN(envSize) ? Math.min(2, Math.max(1, os.cpus().length - 1)) : envSize;
+    this.size = Math.max(0, parseInt(options.size ?? defaultSize) || 0);
+    this.taskTimeoutMs = Math.max(1, parseInt(options.taskTimeoutMs ?? process.env.WORKER_TASK_TIMEOUT_MS) || 10000);
+    this.tasksModule = options.tasksModule || DEFAULT_TASKS;
+
+    // Started lazily on the first task; each entry is { worker, task }
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.inline = null;
+    this.resetMetrics();
+  }
+
+  /**
+   * Run a task on the pool
+   * @param {string} type - Function name in the tasks module
+   * @param {*} data - Structured-clonable input
+   * @param {Object} options - { timeoutMs } overrides WORKER_TASK_TIMEOUT_MS for this task
+   * @returns {Promise<*>} the task's result; rejects with the task's error, or with
+   *   code WORKER_TIMEOUT / WORKER_CRASHED
+   */
+  run(type, data, { timeoutMs = this.taskTimeoutMs } = {}) {
+    if (this.size === 0) {
+      return this.runInline(type, data);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, type, data, timeoutMs, resolve, reject, queuedAt: Date.now() });
+      this.metrics.peakQueued = Math.max(this.metrics.peakQueued, this.queue.length);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Main-thread fallback with the same results, errors and metrics as the pool
+   */
+  async runInline(type, data) {
+    if (!this.inline) this.inline = require(this.tasksModule);
+    const startedAt = Date.now();
+    try {
+      if (typeof this.inline[type] !== 'function') {
+        throw new Error(`Unknown worker task: ${type}`);
+      }
+      const result = await this.inline[type](data);
+      this.record(type, 'completed', Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      this.record(type, 'failed', Date.now() - startedAt);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find(entry => !entry.task);
+      if (!slot && this.workers.length < this.size) {
+        slot = this.spawn();
+      }
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      task.startedAt = Date.now();
+      task.timer = setTimeout(() => this.timeout(slot, task), task.timeoutMs);
+      slot.task = task;
+      slot.worker.ref();
+      slot.worker.postMessage({ id: task.id, type: task.type, data: task.data });
+    }
+  }
+
+  /**
+   * Start a worker; idle workers are unref'd so they never keep the process alive
+   */
+  spawn() {
+    const slot = { worker: new Worker(WORKER_SCRIPT, { workerData: { tasksModule: this.tasksModule } }), task: null };
+    slot.worker.unref();
+    this.metrics.workersStarted++;
+
+    slot.worker.on('message', message => this.settle(slot, message));
+    slot.worker.on('error', error => this.crash(slot, error));
+    slot.worker.on('exit', code => {
+      if (this.workers.includes(slot)) {
+        this.crash(slot, new Error(`Worker exited with code ${code}`));
+      }
+    });
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  /**
+   * A worker answered: resolve or reject its task, then give it the next one
+   */
+  settle(slot, { id, result, error }) {
+    const task = slot.task;
+    if (!task || task.id !== id) return;
+
+    clearTimeout(task.timer);
+    slot.task = null;
+    slot.worker.unref();
+
+    if (error) {
+      this.record(task.type, 'failed', Date.now() - task.startedAt);
+      task.reject(Object.assign(new Error(error.message), error));
+    } else {
+      this.record(task.type, 'completed', Date.now() - task.startedAt);
+      task.resolve(result);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * A task ran too long: reject it and replace its worker (it may be stuck in a loop)
+   */
+  timeout(slot, task) {
+    if (slot.task !== task) return;
+
+    this.record(task.type, 'timedOut', Date.now() - task.startedAt);
+    logger.warn('Worker task timed out, replacing the worker', { type: task.type, timeoutMs: task.timeoutMs });
+    this.remove(slot);
+    task.reject(Object.assign(new Error(`Worker task ${task.type} timed out after ${task.timeoutMs}ms`), { code: 'WORKER_TIMEOUT' }));
+    this.dispatch();
+  }
+
+  /**
+   * A worker died: reject its task and let dispatch() start a replacement
+   */
+  crash(slot, error) {
+    if (!this.workers.includes(slot)) return;
+
+    const task = slot.task;
+    this.metrics.crashed++;
+    logger.error('Worker crashed', { type: task ? task.type : null, error: error.message });
+    this.remove(slot);
+
+    if (task) {
+      clearTimeout(task.timer);
+      this.record(task.type, 'failed', Date.now() - task.startedAt);
+      task.reject(Object.assign(new Error(`Worker crashed during ${task.type}: ${error.message}`), { code: 'WORKER_CRASHED' }));
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Drop a worker from the pool and stop its thread
+   */
+  remove(slot) {
+    this.workers = this.workers.filter(entry => entry !== slot);
+    slot.task = null;
+    slot.worker.terminate().catch(() => {});
+  }
+
+  /**
+   * Count a finished task and its duration
+   * @param {string} outcome - completed | failed | timedOut
+   */
+  record(type, outcome, durationMs) {
+    const byType = this.metrics.byType[type] || (this.metrics.byType[type] = { completed: 0, failed: 0, timedOut: 0, totalMs: 0, maxMs: 0 });
+    byType[outcome]++;
+    byType.totalMs += durationMs;
+    byType.maxMs = Math.max(byType.maxMs, durationMs);
+    this.metrics[outcome]++;
+  }
+
+  /**
+   * Pool state and task counters (GET /api/runner/status → workers)
+   */
+  getMetrics() {
+    const byType = {};
+    for (const [type, counts] of Object.entries(this.metrics.byType)) {
+      const finished = counts.completed + counts.failed + counts.timedOut;
+      byType[type] = {
+        completed: counts.completed,
+        failed: counts.failed,
+        timedOut: counts.timedOut,
+        avgMs: finished ? Math.round(counts.totalMs / finished) : 0,
+        maxMs: counts.maxMs
+      };
+    }
+
+    return {
+      size: this.size,
+      mode: this.size === 0 ? 'inline' : 'threads',
+      workers: this.workers.length,
+      busy: this.workers.filter(entry => entry.task).length,
+      queued: this.queue.length,
+      peakQueued: this.metrics.peakQueued,
+      completed: this.metrics.completed,
+      failed: this.metrics.failed,
+      timedOut: this.metrics.timedOut,
+      crashed: this.metrics.crashed,
+      workersStarted: this.metrics.workersStarted,
+      byType
+    };
+  }
+
+  /**
+   * Zero the counters (the pool itself keeps running)
+   */
+  resetMetrics() {
+    this.metrics = { completed: 0, failed: 0, timedOut: 0, crashed: 0, workersStarted: 0, peakQueued: 0, byType: {} };
+  }
+
+  /**
+   * Stop every worker; queued and running tasks are rejected
+   */
+  async close() {
+    const pending = [...this.queue, ...this.workers.map(entry => entry.task).filter(Boolean)];
+    this.queue = [];
+    const workers = this.workers;
+    this.workers = [];
+
+    for (const task of pending) {
+      clearTimeout(task.timer);
+      task.reject(Object.assign(new Error('Worker pool closed'), { code: 'WORKER_POOL_CLOSED' }));
+    }
+    await Promise.all(workers.map(entry => entry.worker.terminate().catch(() => {})));
+  }
+}
+
+module.exports = new WorkerPool();
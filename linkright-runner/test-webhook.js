@@ -6,6 +6,9 @@
  * 1. Small payload (500 bytes) - baseline
  * 2. Medium payload (15 KB) - typical post
  * 3. Large payload (36 KB) - matches your failing logs
+ *
+ * Set WEBHOOK_URL to test against another endpoint, e.g. the mock server from tests/e2e:
+ *   WEBHOOK_URL=http://127.0.0.1:3102/webhook/linkedin-parse node test-webhook.js
  */
 
 // Generate realistic HTML similar to LinkedIn posts
@@ -39,7 +42,7 @@ const generateFakeLinkedInHTML = (size) => {
 };
 
 const testWebhook = async (payloadSize, label, timeout = 30000) => {
-  const url = 'https://n8n.linkright.in/webhook/linkedin-parse';
+  const url = process.env.WEBHOOK_URL || 'https://n8n.linkright.in/webhook/linkedin-parse';
 
   console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`🔍 Test ${label}: ${payloadSize} bytes`);
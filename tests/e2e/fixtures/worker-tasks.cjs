@@ -0,0 +1,23 @@
+// Tasks module for the worker pool tests (runner-worker-pool.spec.js)
+module.exports = {
+  echo(data) {
+    return data;
+  },
+
+  // Blocks the thread, like a runaway parse would
+  spin({ ms }) {
+    const until = Date.now() + ms;
+    while (Date.now() < until) { /* busy */ }
+    return ms;
+  },
+
+  fail({ message }) {
+    const error = new Error(message);
+    error.code = 'BAD_INPUT';
+    throw error;
+  },
+
+  crash() {
+    process.exit(3);
+  }
+};
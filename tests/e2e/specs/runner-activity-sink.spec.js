@@ -0,0 +1,175 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import { startMockWebhookServer, responses } from '../utils/mockWebhookServer.js';
+import { loadRunner, startRunnerServer, useTempRuns } from '../utils/runner.js';
+
+const runner = loadRunner();
+const activityOutbox = loadRunner('activity-outbox');
+
+/** @type {Awaited<ReturnType<typeof startMockWebhookServer>>} */
+let mock;
+const original = {
+  batchSize: runner.batchSize,
+  batchTimeout: runner.batchTimeout,
+  backoff: process.env.ACTIVITY_RETRY_BACKOFF_MS
+};
+
+const delivered = () => mock.requestsFor('activity').filter(request => request.body).flatMap(request => request.body.events);
+const readOutbox = () => (fs.existsSync(activityOutbox.outboxPath)
+  ? fs.readFileSync(activityOutbox.outboxPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+  : []);
+
+test.describe('Activity webhook sink', () => {
+  test.describe.configure({ mode: 'serial' });
+  const runs = useTempRuns('linkright-outbox-');
+
+  test.beforeAll(async () => {
+    mock = await startMockWebhookServer();
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  test.beforeEach(() => {
+    mock.reset();
+    mock.setDefault('activity', responses.json({ ok: true }));
+    runner.activityWebhook = `${mock.url}/webhook/activity`;
+    runner.batchSize = 3;
+    runner.batchTimeout = 50;
+    process.env.ACTIVITY_RETRY_BACKOFF_MS = '20';
+  });
+
+  test.afterEach(async () => {
+    runner.activityWebhook = null;
+    await runner.processRequestQueue();
+    runner.activityInFlight.clear();
+    clearTimeout(runner._activityRetryTimer);
+    runner._activityRetryTimer = null;
+    runner.batchSize = original.batchSize;
+    runner.batchTimeout = original.batchTimeout;
+    if (original.backoff === undefined) delete process.env.ACTIVITY_RETRY_BACKOFF_MS;
+    else process.env.ACTIVITY_RETRY_BACKOFF_MS = original.backoff;
+  });
+
+  test('batches forwarded session events into one POST per batchSize', async () => {
+    runner.emitEvent('post_detected', { postId: 'urn:li:activity:1' });
+    runner.emitEvent('decision', { postId: 'urn:li:activity:1', engage: 'yes' });
+    // Not in ACTIVITY_EVENTS by default
+    runner.emitEvent('paused', { reason: 'user' });
+    runner.emitEvent('comment_posted', { postId: 'urn:li:activity:1' });
+    runner.emitEvent('post_skipped', { postId: 'urn:li:activity:2', reason: 'duplicate' });
+
+    // Three events fill a batch right away; the fourth goes out after batchTimeout
+    await expect.poll(() => mock.requestsFor('activity').length).toBe(2);
+    const [first, second] = mock.requestsFor('activity');
+    expect(first.body).toMatchObject({ schema_version: 1, source: 'linkright-runner' });
+    expect(first.body.events.map(event => event.type)).toEqual(['post_detected', 'decision', 'comment_posted']);
+    expect(second.body.events.map(event => event.type)).toEqual(['post_skipped']);
+    expect(first.body.events[1]).toMatchObject({ attempt: 1, data: { postId: 'urn:li:activity:1', engage: 'yes' } });
+    expect(first.body.events[0].eventId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(first.headers['idempotency-key']).toMatch(/^activity-/);
+
+    await expect.poll(() => activityOutbox.size()).toBe(0);
+    expect(readOutbox()).toEqual([]);
+    expect(runner.getStatus().activity).toMatchObject({ webhook: runner.activityWebhook, pending: 0, queued: 0 });
+  });
+
+  test('keeps failed events on disk and delivers them again with the same eventIds', async () => {
+    const failedBefore = activityOutbox.metrics.failedAttempts;
+    mock.enqueue('activity', responses.error(503), responses.hangUp());
+    runner.emitEvent('error', { message: 'Selector missing' });
+    runner.emitEvent('post_skipped', { postId: 'urn:li:activity:3' });
+
+    // Written before the first attempt
+    expect(readOutbox().map(record => record.event.type)).toEqual(['error', 'post_skipped']);
+
+    await expect.poll(() => mock.requestsFor('activity').length, { timeout: 5000 }).toBe(3);
+    await expect.poll(() => activityOutbox.size()).toBe(0);
+
+    const attempts = mock.requestsFor('activity').map(request => request.body.events);
+    expect(attempts[2].map(event => event.eventId)).toEqual(attempts[0].map(event => event.eventId));
+    expect(attempts[2].map(event => event.attempt)).toEqual([3, 3]);
+    expect(runner.getStatus().activity).toMatchObject({ pending: 0, failedAttempts: failedBefore + 2, lastError: 'fetch failed' });
+  });
+
+  test('sends what an earlier run left in the outbox when a session starts', async () => {
+    const leftover = {
+      eventId: '7b0d5a6e-6f0e-4b7f-9d55-2b1f0c3c1a11',
+      event: { id: 9, type: 'comment_posted', timestamp: '2026-01-01T10:00:00.000Z', sessionId: 'session-old', data: { postId: 'urn:li:activity:9' } },
+      attempts: 4,
+      nextAttemptAt: Date.now() - 1000,
+      lastError: 'TIMEOUT'
+    };
+    fs.writeFileSync(activityOutbox.outboxPath, JSON.stringify(leftover) + '\n' + '{"eventId": "cut short\n');
+    activityOutbox.reset();
+
+    runner.emitEvent('session_started', { mode: 'default' });
+
+    await expect.poll(() => delivered().map(event => event.eventId)).toEqual([leftover.eventId]);
+    expect(delivered()[0]).toMatchObject({ attempt: 5, type: 'comment_posted', sessionId: 'session-old' });
+    await expect.poll(() => activityOutbox.size()).toBe(0);
+  });
+
+  test('a restarted server sends what the outbox holds without waiting for a session', async () => {
+    const leftover = {
+      eventId: '0f6f2a4c-3a53-4d7e-a0f4-5d2f8c1b7e22',
+      event: { id: 3, type: 'post_skipped', timestamp: '2026-01-01T10:00:00.000Z', sessionId: 'session-old', data: { postId: 'urn:li:activity:3' } },
+      attempts: 1,
+      nextAttemptAt: Date.now() - 1000,
+      lastError: 'HTTP 503'
+    };
+    fs.writeFileSync(activityOutbox.outboxPath, JSON.stringify(leftover) + '\n');
+
+    const server = await startRunnerServer({ RUNS_DIR: runs.dir, ACTIVITY_WEBHOOK_URL: `${mock.url}/webhook/activity`, ACTIVITY_FLUSH_MS: '50' });
+    try {
+      await expect.poll(() => delivered().map(event => event.eventId)).toEqual([leftover.eventId]);
+      expect(delivered()[0]).toMatchObject({ attempt: 2, type: 'post_skipped', sessionId: 'session-old' });
+      await expect.poll(() => readOutbox()).toEqual([]);
+    } finally {
+      server.stop();
+    }
+  });
+
+  test('a pending batch does not keep the process alive', async () => {
+    runner.emitEvent('post_detected', { postId: 'urn:li:activity:5' });
+
+    expect(runner._batchTimer).not.toBeNull();
+    expect(runner._batchTimer.hasRef()).toBe(false);
+    await expect.poll(() => delivered().length).toBe(1);
+  });
+
+  test('a full outbox drops the oldest tenth at once instead of rewriting on every event', async () => {
+    const maxRecords = activityOutbox.maxRecords;
+    const save = activityOutbox.save;
+    let saves = 0;
+    activityOutbox.maxRecords = 20;
+    activityOutbox.save = function () {
+      saves++;
+      return save.call(this);
+    };
+
+    try {
+      const event = (id) => ({ id, type: 'post_detected', timestamp: '2026-01-01T10:00:00.000Z', sessionId: 'session-full', data: {} });
+      for (let id = 1; id <= 30; id++) activityOutbox.add(event(id));
+
+      // Event 21 trims the outbox to 18, then every third event does again: 4 rewrites instead of 10
+      expect(saves).toBe(4);
+      expect(activityOutbox.metrics.dropped).toBe(12);
+      expect(readOutbox().map(record => record.event.id)).toEqual(Array.from({ length: 18 }, (_, i) => i + 13));
+    } finally {
+      activityOutbox.maxRecords = maxRecords;
+      activityOutbox.save = save;
+      activityOutbox.metrics.dropped = 0;
+    }
+  });
+
+  test('records nothing without an activity webhook', async () => {
+    runner.activityWebhook = null;
+    runner.emitEvent('post_detected', { postId: 'urn:li:activity:4' });
+
+    expect(activityOutbox.size()).toBe(0);
+    expect(runner.requestQueue).toHaveLength(0);
+  });
+});
@@ -0,0 +1,119 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import { loadRunner, useTempRuns } from '../utils/runner.js';
+
+const runner = loadRunner();
+
+const MINUTE_MS = 60 * 1000;
+
+test.describe('Session budget', () => {
+  test.describe.configure({ mode: 'serial' });
+  useTempRuns('linkright-budget-');
+
+  const saved = { env: { ...process.env }, thresholds: runner.thresholds, commentsPosted: runner.sessionStats.commentsPosted };
+
+  test.beforeEach(() => {
+    process.env.SESSION_TIMEOUT_MINS = '60';
+    process.env.MAX_COMMENTS_PER_DAY = '40';
+    runner.sessionStats.commentsPosted = 0;
+  });
+
+  test.afterEach(() => {
+    for (const key of ['SESSION_TIMEOUT_MINS', 'MAX_COMMENTS_PER_DAY']) {
+      if (saved.env[key] === undefined) delete process.env[key];
+      else process.env[key] = saved.env[key];
+    }
+    runner.thresholds = saved.thresholds;
+    runner.sessionStats.commentsPosted = saved.commentsPosted;
+  });
+
+  test('an explicit 0 turns the time limit and daily cap off instead of falling back to .env', () => {
+    runner.thresholds = runner.resolveThresholds({ maxActions: 5, maxSessionMinutes: 0, maxDailyComments: 0 });
+    expect(runner.getThresholds()).toMatchObject({ maxActions: 5, maxSessionMinutes: 0, maxDailyComments: 0 });
+
+    // Omitted limits keep the .env safety caps
+    runner.thresholds = runner.resolveThresholds({ maxActions: 5 });
+    expect(runner.getThresholds()).toMatchObject({ maxSessionMinutes: 60, maxDailyComments: 40 });
+
+    runner.thresholds = runner.resolveThresholds({ maxSessionMinutes: '15', maxDailyComments: '3' });
+    expect(runner.getThresholds()).toMatchObject({ maxActions: 10, maxSessionMinutes: 15, maxDailyComments: 3 });
+  });
+
+  test('ends the session when maxActions comments were posted', () => {
+    const limits = { maxActions: 2, maxSessionMinutes: 0, maxDailyComments: 0 };
+    runner.sessionStats.commentsPosted = 1;
+    expect(runner.getBudgetExhaustedReason(limits, Date.now())).toBeNull();
+
+    runner.sessionStats.commentsPosted = 2;
+    expect(runner.getBudgetExhaustedReason(limits, Date.now())).toBe('budget');
+  });
+
+  test('ends the session once the time limit has passed, unless it is 0', () => {
+    const startedAt = Date.now() - 16 * MINUTE_MS;
+    expect(runner.getBudgetExhaustedReason({ maxActions: 10, maxSessionMinutes: 20, maxDailyComments: 0 }, startedAt)).toBeNull();
+    expect(runner.getBudgetExhaustedReason({ maxActions: 10, maxSessionMinutes: 15, maxDailyComments: 0 }, startedAt)).toBe('time_limit');
+    expect(runner.getBudgetExhaustedReason({ maxActions: 10, maxSessionMinutes: 0, maxDailyComments: 0 }, startedAt - 24 * 60 * MINUTE_MS)).toBeNull();
+  });
+
+  test('looking for the next post stops at the time limit and waits while paused', async () => {
+    const saved = { page: runner.page, isInsidePost: runner.isInsidePost, feedSource: runner.feedSource, feedSourceState: runner.feedSourceState };
+    let tabs = 0;
+    try {
+      // End of the home feed: focus never reaches another post and the feed source never advances
+      const page = { keyboard: { press: async () => { tabs++; } }, waitForTimeout: (ms) => new Promise(resolve => setTimeout(resolve, Math.min(ms, 5))) };
+      runner.page = /** @type {any} */ (page);
+      runner.isInsidePost = async () => ({ postId: 'urn:li:activity:1' });
+      runner.feedSource = null;
+      runner.feedSourceState = { index: 0, postsOnPage: 1, tabsWithoutNewPost: 0 };
+      runner.keyboardLoopActive = true;
+      const limits = { maxActions: 10, maxSessionMinutes: 1, maxDailyComments: 0 };
+
+      const reason = await runner.tabToNextPost('urn:li:activity:1', limits, Date.now() - MINUTE_MS + 100);
+      expect(reason).toBe('time_limit');
+      expect(tabs).toBeGreaterThan(0);
+
+      // No Tab is pressed while paused; stopping ends the wait
+      tabs = 0;
+      runner.isPaused = true;
+      const paused = runner.tabToNextPost('urn:li:activity:1', limits, Date.now());
+      await new Promise(resolve => setTimeout(resolve, 20));
+      runner.stopRequested = true;
+      expect(await paused).toBeNull();
+      expect(tabs).toBe(0);
+    } finally {
+      Object.assign(runner, saved, { keyboardLoopActive: false, isPaused: false, stopRequested: false });
+    }
+  });
+
+  test('counts comments per day across sessions and stops at the daily cap', () => {
+    const limits = { maxActions: 10, maxSessionMinutes: 0, maxDailyComments: 2 };
+    // Yesterday's count is dropped on the next write
+    fs.writeFileSync(runner.getDailyUsagePath(), JSON.stringify({ '2000-01-01': 9 }));
+    expect(runner.getDailyCommentCount()).toBe(0);
+
+    expect(runner.recordDailyComment()).toBe(1);
+    expect(runner.getBudgetExhaustedReason(limits, Date.now())).toBeNull();
+
+    expect(runner.recordDailyComment()).toBe(2);
+    expect(runner.getBudgetExhaustedReason(limits, Date.now())).toBe('daily_cap');
+    expect(runner.getBudgetExhaustedReason({ ...limits, maxDailyComments: 0 }, Date.now())).toBeNull();
+    expect(JSON.parse(fs.readFileSync(runner.getDailyUsagePath(), 'utf8'))).toEqual({ [runner.getDayKey()]: 2 });
+  });
+
+  test('refuses targeted comments once the daily cap is reached', async () => {
+    const page = runner.page;
+    runner.thresholds = runner.resolveThresholds({ maxDailyComments: 1 });
+    runner.recordDailyComment();
+
+    try {
+      // Only the guard runs: a blocked comment never touches the page
+      runner.page = /** @type {any} */ ({});
+      const result = await runner.postComment('urn:li:activity:7250000000000000003', 'Nice one.');
+      expect(result).toMatchObject({ action: 'comment', status: 'blocked', success: false, reason: 'daily_cap', error: 'Daily comment cap reached (1/1)' });
+      expect(runner.getDailyCommentCount()).toBe(1);
+    } finally {
+      runner.page = page;
+    }
+  });
+});
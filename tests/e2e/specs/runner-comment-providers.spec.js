@@ -0,0 +1,160 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { startMockWebhookServer, responses } from '../utils/mockWebhookServer.js';
+import { loadRunner, startRunnerServer } from '../utils/runner.js';
+
+const commentProviders = loadRunner('comment-providers');
+
+const post = { postId: 'a', postText: 'Shipping the analytical engine next week. It computes Bernoulli numbers.', authorName: 'Ada Lovelace' };
+
+/** @type {Awaited<ReturnType<typeof startMockWebhookServer>>} */
+let mock;
+
+test.beforeAll(async () => {
+  mock = await startMockWebhookServer();
+});
+
+test.afterAll(async () => {
+  await mock.close();
+});
+
+test.beforeEach(() => {
+  mock.reset();
+});
+
+test.describe('Template provider', () => {
+  test('fills the placeholders and picks the same template for the same post', async () => {
+    const config = commentProviders.resolveConfig({
+      type: 'template',
+      template: { templates: '  {firstName} on "{excerpt}" - agreed.\n\nThanks {author}!  \n' }
+    });
+    expect(config.settings.templates).toEqual(['{firstName} on "{excerpt}" - agreed.', 'Thanks {author}!']);
+
+    // The seed is the post id's char codes: "a" (97) → second template, "b" (98) → first
+    expect(await commentProviders.generate(post, config)).toBe('Thanks Ada Lovelace!');
+    expect(await commentProviders.generate(post, config)).toBe('Thanks Ada Lovelace!');
+    expect(await commentProviders.generate({ ...post, postId: 'b' }, config))
+      .toBe('Ada on "Shipping the analytical engine next week." - agreed.');
+
+    const anonymous = await commentProviders.generate({ postId: 'a', postText: 'Hello.' }, config);
+    expect(anonymous).toBe('Thanks there!');
+  });
+
+  test('falls back to the built-in templates', async () => {
+    const config = commentProviders.resolveConfig({ type: 'template', template: { templates: '' } });
+    expect(config.settings.templates).toHaveLength(4);
+
+    const comment = await commentProviders.generate(post, config);
+    expect(comment).toBe('Great points here, Ada. This matches what I have seen in practice.');
+    // Lines that are all whitespace do not count as custom templates
+    expect(await commentProviders.generate(post, commentProviders.resolveConfig({ type: 'template', template: { templates: ' \n ' } })))
+      .toBe(comment);
+  });
+});
+
+test.describe('OpenAI-compatible provider', () => {
+  test('posts the chat request with the key and reads choices.0.message.content', async () => {
+    mock.enqueue('chat-completions', responses.chat('  "The engine is a great milestone, Ada."  '));
+    const config = commentProviders.resolveConfig({
+      type: 'openai',
+      openai: { baseUrl: `${mock.openaiBaseUrl}/`, apiKey: 'sk-test', model: 'gpt-4o-mini', systemPrompt: '', timeoutMs: 5000 }
+    });
+
+    expect(await commentProviders.generate(post, config)).toBe('The engine is a great milestone, Ada.');
+
+    const [request] = mock.requestsFor('chat-completions');
+    expect(request.headers.authorization).toBe('Bearer sk-test');
+    expect(request.body).toMatchObject({ model: 'gpt-4o-mini', temperature: 0.7, max_tokens: 160 });
+    // An empty system prompt keeps the default
+    expect(request.body.messages[0]).toMatchObject({ role: 'system', content: expect.stringContaining('short, genuine LinkedIn comments') });
+    expect(request.body.messages[1].content).toBe(`Post by Ada Lovelace:\n\n${post.postText}\n\nWrite a comment on this post.`);
+  });
+
+  test('asks for a reply when replying, without a key for local models', async () => {
+    const config = commentProviders.resolveConfig({ type: 'openai', openai: { baseUrl: mock.openaiBaseUrl } });
+
+    expect(await commentProviders.generate({ postText: 'Agreed, but what about memory?', actionType: 'reply' }, config))
+      .toBe('Really useful perspective, thanks for sharing.');
+
+    const [request] = mock.requestsFor('chat-completions');
+    expect(request.headers.authorization).toBeUndefined();
+    expect(request.body.model).toBe('llama3.1');
+    expect(request.body.messages[1].content).toBe('Post by unknown author:\n\nAgreed, but what about memory?\n\nWrite a reply to this comment.');
+  });
+
+  test('reads the comment from a custom responsePath', async () => {
+    mock.enqueue('chat-completions', responses.json({ output: [{ text: 'From the proxy.' }] }));
+    const config = commentProviders.resolveConfig({
+      type: 'openai',
+      openai: { baseUrl: mock.openaiBaseUrl, responsePath: 'output.0.text' }
+    });
+
+    expect(await commentProviders.generate(post, config)).toBe('From the proxy.');
+  });
+
+  test('fails when nothing is at the response path or the endpoint errors', async () => {
+    const config = commentProviders.resolveConfig({ type: 'openai', openai: { baseUrl: mock.openaiBaseUrl } });
+
+    mock.enqueue('chat-completions', responses.json({ choices: [] }));
+    await expect(commentProviders.generate(post, config))
+      .rejects.toThrow('Comment provider "openai" returned no comment (response path: choices.0.message.content)');
+
+    mock.enqueue('chat-completions', responses.chat('""'));
+    await expect(commentProviders.generate(post, config)).rejects.toThrow('returned no comment');
+
+    mock.enqueue('chat-completions', responses.error(401, 'Unauthorized'));
+    await expect(commentProviders.generate(post, config)).rejects.toMatchObject({ status: 401 });
+  });
+});
+
+test.describe('/api/comments/generate', () => {
+  /** @type {() => void} */
+  let stop;
+  let base = '';
+  const headers = { 'x-runner-token': 'comments-token', 'content-type': 'application/json' };
+
+  /**
+   * POST a generate request and return [status, body]
+   */
+  async function generate(body) {
+    const response = await fetch(`${base}/api/comments/generate`, { method: 'POST', headers, body: JSON.stringify(body) });
+    return [response.status, await response.json()];
+  }
+
+  test.beforeAll(async () => {
+    ({ base, stop } = await startRunnerServer({ RUNNER_TOKEN: 'comments-token' }));
+  });
+
+  test.afterAll(() => {
+    stop?.();
+  });
+
+  test('generates with the provider config the extension sends', async () => {
+    expect(await generate({
+      post: { postText: post.postText, authorName: 'Ada Lovelace' },
+      commentProvider: { type: 'template', template: { templates: 'Congrats {firstName}!' } }
+    })).toEqual([200, { comment: 'Congrats Ada!', provider: 'template' }]);
+
+    mock.enqueue('chat-completions', responses.chat('Congrats on shipping!'));
+    expect(await generate({
+      post: { postText: post.postText, actionType: 'reply' },
+      commentProvider: { type: 'openai', openai: { baseUrl: mock.openaiBaseUrl, model: 'qwen2.5', timeoutMs: 5000 } }
+    })).toEqual([200, { comment: 'Congrats on shipping!', provider: 'openai' }]);
+    expect(mock.requestsFor('chat-completions')[0].body.messages[1].content).toContain('Write a reply to this comment.');
+  });
+
+  test('answers 400 to a missing post text or an unknown provider, 500 when the provider fails', async () => {
+    expect(await generate({ post: { postText: '  ' }, commentProvider: 'template' }))
+      .toEqual([400, { error: 'post.postText is required' }]);
+    expect(await generate({ post: { postText: 'Hi' }, commentProvider: { type: 'cohere' } }))
+      .toEqual([400, { error: 'Unknown comment provider "cohere". Use one of: n8n, openai, template' }]);
+
+    mock.enqueue('chat-completions', responses.json({}));
+    const [status, body] = await generate({ post: { postText: 'Hi' }, commentProvider: { type: 'openai', openai: { baseUrl: mock.openaiBaseUrl } } });
+    expect(status).toBe(500);
+    expect(body).toEqual({ error: 'Failed to generate comment', message: 'Comment provider "openai" returned no comment (response path: choices.0.message.content)' });
+
+    const unauthorized = await fetch(`${base}/api/comments/generate`, { method: 'POST', body: '{}' });
+    expect(unauthorized.status).toBe(401);
+  });
+});
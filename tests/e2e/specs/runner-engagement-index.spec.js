@@ -0,0 +1,78 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { loadRunner, useTempRuns } from '../utils/runner.js';
+
+const engagementIndex = loadRunner('engagement-index');
+const runner = loadRunner();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.describe('Engagement index', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  const runs = useTempRuns('linkright-index-');
+
+  test('blocks a post commented on in an earlier session', () => {
+    const post = { postId: 'urn:li:activity:7250000000000000001', author: 'Jane Doe\nJane Doe\n• 2nd' };
+    expect(engagementIndex.check(post)).toMatchObject({ allowed: true });
+
+    engagementIndex.record({ ...post, sessionId: 'session-1', source: 'home' });
+
+    // A new process only has the file on disk
+    engagementIndex.reset();
+    expect(engagementIndex.check(post)).toMatchObject({ allowed: false, rule: 'same_post' });
+    expect(engagementIndex.check(post, { samePost: false })).toMatchObject({ allowed: true });
+    expect(engagementIndex.getStats()).toEqual({ posts: 1, authors: 1 });
+  });
+
+  test('author cooldown counts days since the last comment on that author', () => {
+    const old = { ts: new Date(Date.now() - 10 * DAY_MS).toISOString(), postId: 'urn:li:activity:7250000000000000002', author: 'jane doe', action: 'comment' };
+    fs.writeFileSync(engagementIndex.indexPath, JSON.stringify(old) + '\n');
+
+    const next = { postId: 'urn:li:activity:7250000000000000003', author: 'Jane  Doe • 2nd' };
+    expect(engagementIndex.check(next, { authorCooldownDays: 0 })).toMatchObject({ allowed: true });
+    expect(engagementIndex.check(next, { authorCooldownDays: 7 })).toMatchObject({ allowed: true });
+    expect(engagementIndex.check(next, { authorCooldownDays: 14 })).toMatchObject({
+      allowed: false,
+      rule: 'author_cooldown',
+      lastCommentedAt: old.ts
+    });
+    expect(engagementIndex.check({ ...next, author: 'John Smith' }, { authorCooldownDays: 14 })).toMatchObject({ allowed: true });
+  });
+
+  test('rebuilds a missing index from commented ledger records', () => {
+    const sessionDir = path.join(runs.dir, 'session-1700000000000');
+    fs.mkdirSync(sessionDir);
+    fs.writeFileSync(path.join(sessionDir, 'ledger.jsonl'), [
+      { ts: '2026-01-05T10:00:00.000Z', sessionId: 'session-1700000000000', postId: 'urn:li:activity:11', author: 'Jane Doe', outcome: 'commented' },
+      { ts: '2026-01-05T10:05:00.000Z', sessionId: 'session-1700000000000', postId: 'urn:li:activity:12', author: 'John Smith', outcome: 'skipped' },
+      { ts: '2026-01-05T10:10:00.000Z', sessionId: 'session-1700000000000', postId: 'urn:li:activity:13', mode: 'targeted', action: 'comment', outcome: 'done' }
+    ].map(record => JSON.stringify(record)).join('\n') + '\n');
+
+    expect(engagementIndex.check({ postId: 'urn:li:activity:11' })).toMatchObject({ allowed: false, rule: 'same_post' });
+    expect(engagementIndex.check({ postId: 'urn:li:activity:12' })).toMatchObject({ allowed: true });
+    expect(engagementIndex.check({ postId: 'urn:li:activity:13' })).toMatchObject({ allowed: false });
+    expect(fs.readFileSync(engagementIndex.indexPath, 'utf8').trim().split('\n')).toHaveLength(2);
+  });
+});
+
+test.describe('Own engagement on a post', () => {
+  test.afterEach(() => {
+    delete process.env.LINKEDIN_PROFILE_NAME;
+    runner.ownProfileName = null;
+  });
+
+  test('matches our comments by display name, ignoring the degree suffix', async () => {
+    process.env.LINKEDIN_PROFILE_NAME = 'Alex Morgan';
+
+    await expect(runner.getOwnEngagement({ likePressed: true, commentAuthors: [] })).resolves.toEqual({ liked: true, commented: false });
+    await expect(runner.getOwnEngagement({ commentAuthors: ['Priya Raman\n• 2nd', 'alex  morgan\n• You'] })).resolves.toEqual({ liked: false, commented: true });
+    await expect(runner.getOwnEngagement({ commentAuthors: ['Alexandra Morgan'] })).resolves.toEqual({ liked: false, commented: false });
+  });
+
+  test('without a known name no comment counts as ours', async () => {
+    await expect(runner.getOwnEngagement({ commentAuthors: ['Alex Morgan'] })).resolves.toEqual({ liked: false, commented: false });
+  });
+});
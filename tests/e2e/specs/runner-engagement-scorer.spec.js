@@ -0,0 +1,74 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { loadRunner } from '../utils/runner.js';
+
+const scorer = loadRunner('engagement-scorer');
+
+const busy = { reactions: 99, comments: 9, reposts: 9 };
+
+test.describe('Engagement scorer', () => {
+  test('scores metrics on a log scale with per-metric caps', () => {
+    expect(scorer.score({ metrics: busy }, { minScore: 0 })).toMatchObject({
+      engage: 'yes',
+      score: 35,
+      breakdown: { reactions: 20, comments: 10, reposts: 5, keywords: 0, author: 0 }
+    });
+
+    const viral = scorer.score({ metrics: { reactions: 99999, comments: 9999, reposts: 9999 } }, { minScore: 0 });
+    expect(viral.breakdown).toMatchObject({ reactions: 30, comments: 20, reposts: 10 });
+    expect(scorer.score({}, { minScore: 0 })).toMatchObject({ engage: 'yes', score: 0 });
+  });
+
+  test('every metric threshold must pass and the reason names each miss', () => {
+    const rules = { minReactions: 100, minComments: 5, minReposts: 10, minScore: 0 };
+    expect(scorer.score({ metrics: busy }, rules)).toMatchObject({ engage: 'no', score: 35, reason: '99 reactions < 100, 9 reposts < 10' });
+    expect(scorer.score({ metrics: { reactions: 100, comments: 5, reposts: 10 } }, rules).engage).toBe('yes');
+  });
+
+  test('minScore decides once the thresholds pass, default 30', () => {
+    expect(scorer.score({ metrics: busy }, { minScore: 36 })).toMatchObject({
+      engage: 'no',
+      reason: 'Score 35 < 36 (99 reactions, 9 comments, 9 reposts)'
+    });
+    expect(scorer.score({ metrics: busy }, { minScore: 35 })).toMatchObject({ engage: 'yes', reason: 'Score 35 (99 reactions, 9 comments, 9 reposts)' });
+    expect(scorer.score({ metrics: busy }).engage).toBe('yes');
+    expect(scorer.score({ metrics: { reactions: 9 } }).engage).toBe('no');
+    // Out-of-range and unset values are clamped or fall back to the default
+    expect(scorer.resolveRules({ minScore: 250 }).minScore).toBe(100);
+    expect(scorer.resolveRules({ minScore: '', minReactions: -3 })).toMatchObject({ minScore: 30, minReactions: 0 });
+  });
+
+  test('blocked authors are skipped before anything else', () => {
+    const result = scorer.score(
+      { metrics: busy, authorName: 'Spam Bot Inc.', text: 'AI hiring now' },
+      { blockedAuthors: 'spam bot, recruiter', preferredAuthors: ['spam bot'], includeKeywords: 'ai', minScore: 0 }
+    );
+    expect(result).toMatchObject({ engage: 'no', score: 0, reason: 'Blocked author "spam bot"' });
+  });
+
+  test('preferred authors skip the metric thresholds and earn 20 points', () => {
+    const rules = { minReactions: 500, preferredAuthors: 'Ada Lovelace\nGrace Hopper', minScore: 20 };
+    expect(scorer.score({ metrics: {}, authorName: 'Grace Hopper' }, rules)).toMatchObject({
+      engage: 'yes',
+      score: 20,
+      breakdown: { author: 20 },
+      reason: 'Score 20 (0 reactions, 0 comments, 0 reposts; preferred author "grace hopper")'
+    });
+    expect(scorer.score({ metrics: {}, authorName: 'Alan Turing' }, rules)).toMatchObject({ engage: 'no', reason: '0 reactions < 500' });
+  });
+
+  test('keywords match whole words only, case-insensitively', () => {
+    const rules = { includeKeywords: ['AI', 'c++', 'open source'], minScore: 0 };
+
+    // "ai" inside "said" or "maintain" is not a match
+    expect(scorer.score({ text: 'She said we maintain it.' }, rules).breakdown.keywords).toBe(0);
+    const matched = scorer.score({ text: 'Our AI team ships C++ and loves Open Source.' }, rules);
+    expect(matched.breakdown.keywords).toBe(20);
+    expect(matched.reason).toContain('keywords: ai, c++, open source');
+    expect(scorer.score({ text: 'KI und AI: (ai) überall' }, rules).breakdown.keywords).toBe(10);
+
+    expect(scorer.score({ metrics: busy, text: 'We are hiring!' }, { excludeKeywords: 'hiring', minScore: 0 }))
+      .toMatchObject({ engage: 'no', score: 0, reason: 'Excluded keyword "hiring"' });
+    expect(scorer.score({ metrics: busy, text: 'Rehiring soon' }, { excludeKeywords: 'hiring', minScore: 0 }).engage).toBe('yes');
+  });
+});
@@ -0,0 +1,105 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { loadRunner, startRunnerServer } from '../utils/runner.js';
+
+const runner = loadRunner();
+const runnerEvents = loadRunner('runner-events');
+
+/**
+ * Read SSE frames from a fetch response until `count` events arrived
+ */
+async function readEvents(response, count) {
+  const reader = /** @type {ReadableStreamDefaultReader<Uint8Array>} */ (response.body?.getReader());
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const type = frame.match(/^event: (.+)$/m)?.[1];
+      const data = frame.match(/^data: (.+)$/m)?.[1];
+      if (type && data) events.push({ type, data: JSON.parse(data) });
+    }
+  }
+
+  await reader.cancel();
+  return events;
+}
+
+test.describe('Runner event bus', () => {
+  test('publishes typed events with increasing ids and replays them by id', () => {
+    const first = runnerEvents.publish('post_detected', { sessionId: 'session-1', postId: 'urn:li:activity:1' });
+    const second = runnerEvents.publish('decision', { sessionId: 'session-1', postId: 'urn:li:activity:1', engage: 'no' });
+
+    expect(first).toMatchObject({ type: 'post_detected', sessionId: 'session-1', data: { postId: 'urn:li:activity:1' } });
+    expect(second.id).toBeGreaterThan(first.id);
+    expect(runnerEvents.since(first.id)).toEqual([second]);
+    expect(runnerEvents.since('not-a-number')).toEqual([]);
+  });
+
+  test('rejects unknown event types', () => {
+    expect(() => runnerEvents.publish('comment_liked', {})).toThrow('Unknown runner event type');
+  });
+
+  test('runner events carry the session id and current stats', () => {
+    /** @type {Array<any>} */
+    const received = [];
+    const unsubscribe = runnerEvents.subscribe(event => received.push(event));
+    const wasActive = runner.keyboardLoopActive;
+
+    try {
+      runner.sessionId = 'session-events';
+      runner.keyboardLoopActive = true;
+      runner.pause();
+      runner.resume();
+    } finally {
+      unsubscribe();
+      runner.keyboardLoopActive = wasActive;
+      runner.isPaused = false;
+      runner.sessionId = null;
+    }
+
+    expect(received.map(event => event.type)).toEqual(['paused', 'resumed']);
+    expect(received[0]).toMatchObject({ sessionId: 'session-events', data: { reason: 'user' } });
+    expect(received[0].data.stats).toHaveProperty('commentsPosted');
+  });
+});
+
+test.describe('GET /api/runner/events', () => {
+  /** @type {() => void} */
+  let stop;
+  let base = '';
+
+  test.beforeAll(async () => {
+    ({ base, stop } = await startRunnerServer({ RUNNER_TOKEN: 'events-token' }));
+  });
+
+  test.afterAll(() => {
+    stop?.();
+  });
+
+  test('opens with a status snapshot', async () => {
+    const response = await fetch(`${base}/api/runner/events`, { headers: { 'x-runner-token': 'events-token' } });
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+    const [snapshot] = await readEvents(response, 1);
+    expect(snapshot.type).toBe('status');
+    expect(snapshot.data).toMatchObject({ isRunning: false, status: 'stopped' });
+  });
+
+  test('accepts ?token= for EventSource clients, only on the event stream', async () => {
+    const stream = await fetch(`${base}/api/runner/events?token=events-token`);
+    expect(stream.status).toBe(200);
+    await stream.body?.cancel();
+
+    expect((await fetch(`${base}/api/runner/events`)).status).toBe(401);
+    expect((await fetch(`${base}/api/runner/status?token=events-token`)).status).toBe(401);
+  });
+});
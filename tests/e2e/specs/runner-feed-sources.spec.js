@@ -0,0 +1,80 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { loadRunner, startRunnerServer } from '../utils/runner.js';
+
+const feedSources = loadRunner('feed-sources');
+
+test.describe('Feed sources', () => {
+  test('resolve each source to the pages the runner visits', () => {
+    expect(feedSources.resolve(undefined)).toMatchObject({ type: 'home', urls: ['https://www.linkedin.com/feed/'], maxTabsWithoutPost: null });
+    expect(feedSources.resolve({ type: 'hashtag', hashtag: '#ProductManagement' }).urls)
+      .toEqual(['https://www.linkedin.com/feed/hashtag/productmanagement/']);
+    expect(feedSources.resolve({ type: 'search', keywords: 'b2b onboarding' }).urls)
+      .toEqual(['https://www.linkedin.com/search/results/content/?keywords=b2b+onboarding&origin=GLOBAL_SEARCH_HEADER']);
+    expect(feedSources.resolve({ type: 'profile', profile: 'https://www.linkedin.com/company/acme-corp/about/' }).urls)
+      .toEqual(['https://www.linkedin.com/company/acme-corp/posts/']);
+
+    const list = feedSources.resolve({
+      type: 'list',
+      profiles: 'https://www.linkedin.com/in/jane-doe/?miniProfileUrn=x\njohn-smith',
+      postsPerProfile: 2
+    }, { origin: 'http://127.0.0.1:4000/' });
+    expect(list.urls).toEqual([
+      'http://127.0.0.1:4000/in/jane-doe/recent-activity/all/',
+      'http://127.0.0.1:4000/in/john-smith/recent-activity/all/'
+    ]);
+    expect(list).toMatchObject({ postsPerPage: 2, params: { profiles: ['https://www.linkedin.com/in/jane-doe/?miniProfileUrn=x', 'john-smith'] } });
+  });
+
+  test('only accept post URNs outside the home feed', () => {
+    expect(feedSources.resolve('home').detection.idPattern).toBeNull();
+
+    const { detection } = feedSources.resolve({ type: 'search', keywords: 'ai' });
+    const pattern = new RegExp(/** @type {string} */ (detection.idPattern));
+    expect(pattern.test('urn:li:activity:7250000000000000001')).toBe(true);
+    expect(pattern.test('urn:li:fsd_profile:ACoAAB1234567')).toBe(false);
+  });
+
+  test('find one post by the id attributes of every surface', () => {
+    expect(feedSources.postSelector('urn:li:activity:7250000000000000001'))
+      .toBe('div[data-id="urn:li:activity:7250000000000000001"], div[data-urn="urn:li:activity:7250000000000000001"]');
+    // An id cannot break out of the attribute value
+    expect(feedSources.postSelector('x"] , body[x="')).toBe('div[data-id="x\\"] , body[x=\\""], div[data-urn="x\\"] , body[x=\\""]');
+  });
+
+  test('report what is missing from a source config', () => {
+    expect(feedSources.validate({ type: 'home' })).toBeNull();
+    expect(feedSources.validate({ type: 'trending' })).toContain('Unknown feed source "trending"');
+    expect(feedSources.validate({ type: 'hashtag', hashtag: '#' })).toBe('hashtag is required');
+    expect(feedSources.validate({ type: 'search' })).toBe('keywords is required');
+    expect(feedSources.validate({ type: 'profile', profile: 'not a profile' })).toContain('profile must be');
+    expect(feedSources.validate({ type: 'list', profiles: [] })).toContain('at least one profile');
+    expect(() => feedSources.resolve({ type: 'search', keywords: ' ' })).toThrow('keywords is required');
+  });
+});
+
+test.describe('/api/runner/start', () => {
+  test('answers 400 to a feedUrl or source it cannot use, before a browser starts', async () => {
+    const { base, stop } = await startRunnerServer({ RUNNER_TOKEN: 'start-token' });
+    /**
+     * POST a start request and return [status, body]
+     */
+    const start = async (body) => {
+      const response = await fetch(`${base}/api/runner/start`, {
+        method: 'POST',
+        headers: { 'x-runner-token': 'start-token', 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return [response.status, await response.json()];
+    };
+
+    try {
+      for (const feedUrl of ['http://', 'https://ex ample', 'ftp://example.com/feed', 'www.linkedin.com/feed/']) {
+        expect(await start({ feedUrl })).toEqual([400, { error: 'Invalid feedUrl. Must be an http:// or https:// URL' }]);
+      }
+      expect(await start({ source: { type: 'search' } })).toEqual([400, { error: 'Invalid source: keywords is required' }]);
+    } finally {
+      stop();
+    }
+  });
+});
@@ -0,0 +1,359 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFixtureServer } from '../utils/fixtureServer.js';
+import { startMockWebhookServer, responses } from '../utils/mockWebhookServer.js';
+import { loadRunner, useTempRuns } from '../utils/runner.js';
+
+const runner = loadRunner();
+const runnerEvents = loadRunner('runner-events');
+const ledger = loadRunner('session-ledger');
+const engagementIndex = loadRunner('engagement-index');
+const selectorRegistry = loadRunner('selector-registry');
+
+// Every test comments on the same fixture posts: each one gets an empty runs/ (and engagement index)
+const runs = useTempRuns();
+
+test('Runner: Tab → Like → Comment → paste → Post on the offline feed fixture', async () => {
+  const fixture = await startFixtureServer();
+  const comment = 'Great point - subtraction is an underrated process improvement.';
+  const webhooks = await startMockWebhookServer();
+  webhooks.setDefault('linkedin-reply', responses.comment(comment));
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lr-runner-profile-'));
+  /** @type {Array<any>} */
+  const events = [];
+  const unsubscribe = runnerEvents.subscribe(event => events.push(event));
+
+  try {
+    const started = await runner.start({ feedUrl: fixture.feedUrl, userDataDir, headless: true, slowMo: 0 });
+    expect(started.success).toBe(true);
+    await runner.context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: fixture.url });
+
+    runner.webhookUrl = webhooks.replyUrl;
+    runner.optimizeEngagement = false;
+    runner.thresholds = { maxActions: 2 };
+    runner.timing = { ...runner.defaults, tabDelayMin: 50, tabDelayMax: 100, cooldownMin: 100, cooldownMax: 200 };
+
+    // Resolves once the budget is spent and the runner has stopped itself
+    await runner.startKeyboardAutomation();
+
+    expect(runner.completedReason).toBe('budget');
+    const comments = fixture.events.filter(e => e.type === 'comment');
+    const likes = fixture.events.filter(e => e.type === 'like');
+    expect(comments).toHaveLength(2);
+    expect(comments[0].postId).toMatch(/^urn:li:activity:/);
+    expect(comments[0].text).toBe(comment);
+    expect(likes.map(e => e.postId)).toEqual(comments.map(e => e.postId));
+    expect(webhooks.requestsFor('linkedin-reply').map(r => r.body.postId)).toEqual(comments.map(e => e.postId));
+    // Parsed from the post's outerHTML on the worker pool
+    expect(webhooks.requestsFor('linkedin-reply')[0].body.post).toMatchObject({
+      author: { name: 'Priya Raman', headline: 'Head of Growth at Finlytics' },
+      counts: { reactions: 1204, comments: 87, reposts: 32 }
+    });
+
+    const types = events.map(event => event.type);
+    expect(types[0]).toBe('session_started');
+    expect(types.at(-1)).toBe('session_ended');
+    expect(types.filter(type => type === 'comment_generated')).toHaveLength(2);
+    expect(events.filter(event => event.type === 'comment_posted').map(event => event.data.postId)).toEqual(comments.map(e => e.postId));
+    expect(events.at(-1).data).toMatchObject({ reason: 'budget', stats: { commentsPosted: 2 } });
+  } finally {
+    unsubscribe();
+    if (runner.isRunning) await runner.stop();
+    await webhooks.close();
+    await fixture.close();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test('Runner: targeted like, comment and connect by activity URN on the offline fixtures', async () => {
+  const fixture = await startFixtureServer();
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lr-runner-profile-'));
+  const postId = 'urn:li:activity:7250000000000000003';
+
+  try {
+    const started = await runner.start({ feedUrl: fixture.feedUrl, userDataDir, headless: true, slowMo: 0 });
+    expect(started.success).toBe(true);
+
+    await expect(runner.likePost(postId)).resolves.toMatchObject({ action: 'like', target: postId, status: 'done', success: true });
+    // A second like must not toggle it off
+    await expect(runner.likePost(`https://www.linkedin.com/feed/update/${postId}/`)).resolves.toMatchObject({ status: 'already_done' });
+    expect(fixture.events.filter(e => e.postId === postId).map(e => e.type)).toEqual(['like']);
+
+    const comment = await runner.postComment(postId, 'One number they trust - that is the whole product brief.');
+    expect(comment).toMatchObject({ status: 'done', verified: true });
+    expect(fixture.events.filter(e => e.type === 'comment')).toEqual([
+      expect.objectContaining({ postId, text: 'One number they trust - that is the whole product brief.' })
+    ]);
+
+    // Connect with the post's author, with a note
+    const connect = await runner.sendConnection(postId, 'Enjoyed your post on customer interviews.');
+    expect(connect).toMatchObject({ status: 'done', success: true });
+    expect(connect.profileUrl).toContain('profile.html?member=7250000000000000003');
+
+    await expect(runner.sendConnection(`${fixture.url}/profile.html?connect=more`)).resolves.toMatchObject({ status: 'done' });
+    await expect(runner.sendConnection(`${fixture.url}/profile.html?degree=1st`)).resolves.toMatchObject({ status: 'already_done', state: 'connected' });
+    expect(fixture.events.filter(e => e.type === 'connect').map(e => e.note)).toEqual(['Enjoyed your post on customer interviews.', '']);
+
+    // Not on the page and no permalink page in the fixtures
+    await expect(runner.likePost('urn:li:activity:7250000000000000999')).resolves.toMatchObject({ status: 'not_found', success: false });
+    await expect(runner.likePost('not-a-post')).resolves.toMatchObject({ status: 'invalid' });
+  } finally {
+    if (runner.isRunning) await runner.stop();
+    await fixture.close();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test('Runner: post queue comments on the queued posts only and reports each item', async () => {
+  const fixture = await startFixtureServer();
+  const webhooks = await startMockWebhookServer();
+  webhooks.setDefault('linkedin-reply', responses.comment('Queued and answered.'));
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lr-runner-profile-'));
+  /** @type {Array<any>} */
+  const events = [];
+  const unsubscribe = runnerEvents.subscribe(event => events.push(event));
+
+  try {
+    const started = await runner.start({ feedUrl: fixture.feedUrl, userDataDir, headless: true, slowMo: 0 });
+    expect(started.success).toBe(true);
+    await runner.context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: fixture.url });
+
+    runner.webhookUrl = webhooks.replyUrl;
+    runner.optimizeEngagement = false;
+    runner.thresholds = { maxActions: 5 };
+    runner.timing = { ...runner.defaults, tabDelayMin: 50, tabDelayMax: 100, cooldownMin: 100, cooldownMax: 200 };
+
+    // The missing post goes last: its permalink 404s and leaves the feed
+    const { items } = runner.parseQueueInput([
+      'https://www.linkedin.com/feed/update/urn:li:activity:7250000000000000004/',
+      'urn:li:activity:7250000000000000002',
+      '7250000000000000999'
+    ]);
+    await runner.startQueueAutomation(items);
+
+    expect(runner.completedReason).toBe('queue_complete');
+    expect(fixture.events.filter(e => e.type === 'comment').map(e => e.postId)).toEqual([
+      'urn:li:activity:7250000000000000004',
+      'urn:li:activity:7250000000000000002'
+    ]);
+    expect(runner.getQueueSummary()).toMatchObject({ total: 3, counts: { commented: 2, not_found: 1 } });
+
+    const finished = events.filter(event => event.type === 'queue_item' && event.data.status !== 'in_progress');
+    expect(finished.map(event => event.data.status)).toEqual(['commented', 'commented', 'not_found']);
+    expect(events[0].data).toMatchObject({ runMode: 'queue', queueSize: 3 });
+    expect(events.at(-1).data).toMatchObject({ reason: 'queue_complete', stats: { commentsPosted: 2 } });
+  } finally {
+    unsubscribe();
+    if (runner.isRunning) await runner.stop();
+    await webhooks.close();
+    await fixture.close();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test('Runner: saved list source visits each person\'s activity page and ends when the list is done', async () => {
+  const fixture = await startFixtureServer();
+  const webhooks = await startMockWebhookServer();
+  webhooks.setDefault('linkedin-reply', responses.comment('Useful framing, thanks.'));
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lr-runner-profile-'));
+
+  try {
+    const started = await runner.start({
+      feedUrl: fixture.feedUrl,
+      source: { type: 'list', profiles: ['https://www.linkedin.com/in/priya-raman/', 'sam-lee'], postsPerProfile: 1 },
+      userDataDir,
+      headless: true,
+      slowMo: 0
+    });
+    expect(started.success).toBe(true);
+    expect(runner.page.url()).toBe(`${fixture.url}/in/priya-raman/recent-activity/all/`);
+    await runner.context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: fixture.url });
+
+    runner.webhookUrl = webhooks.replyUrl;
+    runner.optimizeEngagement = false;
+    runner.thresholds = { maxActions: 5 };
+    runner.timing = { ...runner.defaults, tabDelayMin: 50, tabDelayMax: 100, cooldownMin: 100, cooldownMax: 200 };
+
+    await runner.startKeyboardAutomation();
+
+    expect(runner.completedReason).toBe('source_exhausted');
+    const comments = fixture.events.filter(e => e.type === 'comment');
+    expect(comments).toHaveLength(2);
+    // One post per person; activity pages use data-urn and hold a people card that must not count as a post
+    expect(new Set(comments.map(e => e.postId)).size).toBe(2);
+    comments.forEach(e => expect(e.postId).toMatch(/^urn:li:activity:725000000001\d+$/));
+    expect(runner.getFeedSourceSummary()).toMatchObject({ type: 'list', page: 1 });
+
+    const records = ledger.readLedger(runner.lastSession.sessionId);
+    expect(records.map(record => record.source)).toEqual(['list', 'list']);
+    expect(records[1].sourcePage).toBe(`${fixture.url}/in/sam-lee/recent-activity/all/`);
+    expect(ledger.readSession(runner.lastSession.sessionId).source).toMatchObject({ type: 'list', page: 1 });
+  } finally {
+    if (runner.isRunning) await runner.stop();
+    await webhooks.close();
+    await fixture.close();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test('Runner: skips a post we already commented on and leaves an existing Like pressed', async () => {
+  const fixture = await startFixtureServer();
+  const webhooks = await startMockWebhookServer();
+  webhooks.setDefault('linkedin-reply', responses.comment('Race conditions all the way down.'));
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lr-runner-profile-'));
+  const [first, second] = ['urn:li:activity:7250000000000000001', 'urn:li:activity:7250000000000000002'];
+
+  try {
+    // First post carries our comment (by the nav avatar's name), the second our Like
+    const started = await runner.start({ feedUrl: `${fixture.feedUrl}?commented=1&liked=2`, userDataDir, headless: true, slowMo: 0 });
+    expect(started.success).toBe(true);
+    await runner.context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: fixture.url });
+
+    runner.webhookUrl = webhooks.replyUrl;
+    runner.optimizeEngagement = false;
+    runner.thresholds = { maxActions: 1 };
+    runner.timing = { ...runner.defaults, tabDelayMin: 50, tabDelayMax: 100, cooldownMin: 100, cooldownMax: 200 };
+
+    await runner.startKeyboardAutomation();
+
+    expect(runner.completedReason).toBe('budget');
+    expect(runner.ownProfileName).toBe('Alex Morgan');
+    expect(fixture.events.filter(e => e.type === 'like' || e.type === 'unlike')).toEqual([]);
+    expect(fixture.events.filter(e => e.type === 'comment').map(e => e.postId)).toEqual([second]);
+
+    const records = ledger.readLedger(runner.lastSession.sessionId);
+    expect(records.map(record => [record.postId, record.outcome])).toEqual([[first, 'already_engaged'], [second, 'commented']]);
+    expect(records[0]).toMatchObject({ engagement: { liked: false, commented: true }, decision: { source: 'dom', rule: 'same_post' } });
+    expect(records[1].engagement).toMatchObject({ liked: true, commented: false });
+    expect(engagementIndex.check({ postId: first })).toMatchObject({ allowed: false, rule: 'same_post' });
+  } finally {
+    if (runner.isRunning) await runner.stop();
+    await webhooks.close();
+    await fixture.close();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test('Runner: a comment LinkedIn refuses is not counted and the editor is cleared', async () => {
+  const fixture = await startFixtureServer();
+  const webhooks = await startMockWebhookServer();
+  webhooks.setDefault('linkedin-reply', responses.comment('Subtraction beats addition.'));
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lr-runner-profile-'));
+  const postId = 'urn:li:activity:7250000000000000001';
+
+  try {
+    const started = await runner.start({ feedUrl: `${fixture.feedUrl}?commentError=1`, userDataDir, headless: true, slowMo: 0 });
+    expect(started.success).toBe(true);
+    await runner.context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: fixture.url });
+
+    runner.webhookUrl = webhooks.replyUrl;
+    runner.optimizeEngagement = false;
+    runner.thresholds = { maxActions: 5 };
+    runner.timing = { ...runner.defaults, tabDelayMin: 50, tabDelayMax: 100, cooldownMin: 100, cooldownMax: 200 };
+
+    // The browser closes when the queue ends: read the editor right after the rollback
+    let editorText = null;
+    runner.clearCommentEditor = async function (post) {
+      await Object.getPrototypeOf(this).clearCommentEditor.call(this, post);
+      editorText = await post.locator('.ql-editor').innerText();
+    };
+
+    await runner.startQueueAutomation(runner.parseQueueInput([postId]).items);
+
+    expect(fixture.events.filter(e => e.type.startsWith('comment')).map(e => e.type)).toEqual(['comment_error']);
+    expect(runner.sessionStats.commentsPosted).toBe(0);
+    expect(runner.getQueueSummary().items[0]).toMatchObject({ status: 'failed', reason: expect.stringContaining('LinkedIn error') });
+    expect(editorText?.trim()).toBe('');
+
+    const [record] = ledger.readLedger(runner.lastSession.sessionId);
+    expect(record).toMatchObject({ outcome: 'failed', verification: { status: 'error_toast' } });
+    expect(engagementIndex.check({ postId })).toMatchObject({ allowed: true });
+  } finally {
+    delete runner.clearCommentEditor;
+    if (runner.isRunning) await runner.stop();
+    await webhooks.close();
+    await fixture.close();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test('Runner: selector health check reports matched, missing and ambiguous roles', async () => {
+  const fixture = await startFixtureServer();
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lr-runner-profile-'));
+  const profilePath = selectorRegistry.profilePath;
+  const profileDir = selectorRegistry.profileDir;
+  const role = (report, name) => report.roles.find(entry => entry.role === name);
+
+  try {
+    const started = await runner.start({ feedUrl: fixture.feedUrl, userDataDir, headless: true, slowMo: 0 });
+    expect(started.success).toBe(true);
+
+    const healthy = await runner.checkSelectorHealth({ posts: 3 });
+    expect(healthy).toMatchObject({ healthy: true, postsChecked: 3, editor: { opened: true }, summary: { ambiguous: 0, broken: [] } });
+    expect(healthy.postIds[0]).toBe('urn:li:activity:7250000000000000001');
+    expect(role(healthy, 'likeButton')).toMatchObject({ status: 'matched', matchedPosts: 3, totalPosts: 3 });
+    expect(role(healthy, 'likeButton').snippet).toContain('react-button__trigger');
+    expect(role(healthy, 'commentSubmit')).toMatchObject({ status: 'matched', matchedPosts: 1 });
+    expect(role(healthy, 'postLink')).toMatchObject({ status: 'missing', optional: true });
+    expect(JSON.parse(fs.readFileSync(healthy.reportPath, 'utf8')).id).toBe(healthy.id);
+    expect(fs.existsSync(path.join(runs.dir, healthy.id, 'screenshot.png'))).toBe(true);
+
+    // LinkedIn renamed the Like button and the Comment selector now also hits Repost and Send
+    const bundled = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+    const brokenPath = path.join(runs.dir, 'linkedin-broken.json');
+    fs.writeFileSync(brokenPath, JSON.stringify({
+      ...bundled,
+      roles: { ...bundled.roles, likeButton: ['button.reactions-react-button__trigger'], commentButton: ['.feed-shared-social-action-bar > button.artdeco-button'] }
+    }));
+    selectorRegistry.profileDir = runs.dir;
+    expect(selectorRegistry.reload('linkedin-broken').success).toBe(true);
+
+    const broken = await runner.checkSelectorHealth({ posts: 2 });
+    expect(broken.healthy).toBe(false);
+    expect(broken.summary.broken).toEqual(['likeButton', 'commentButton']);
+    expect(role(broken, 'likeButton')).toMatchObject({ status: 'missing', matchedPosts: 0 });
+    expect(role(broken, 'likeButton').snippet).toContain('data-id="urn:li:activity:7250000000000000001"');
+    expect(role(broken, 'commentButton')).toMatchObject({ status: 'ambiguous', note: 'Up to 3 matches in one post' });
+  } finally {
+    selectorRegistry.profileDir = profileDir;
+    selectorRegistry.load(profilePath);
+    if (runner.isRunning) await runner.stop();
+    await fixture.close();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test('Runner: likes and comments on a German feed with the de locale pack', async () => {
+  const fixture = await startFixtureServer();
+  const webhooks = await startMockWebhookServer();
+  webhooks.setDefault('linkedin-reply', responses.comment('Weniger Schritte, mehr Wirkung.'));
+  const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lr-runner-profile-'));
+
+  try {
+    const started = await runner.start({ feedUrl: `${fixture.feedUrl}?lang=de`, userDataDir, headless: true, slowMo: 0 });
+    expect(started.success).toBe(true);
+    await runner.context.grantPermissions(['clipboard-read', 'clipboard-write'], { origin: fixture.url });
+    expect(runner.getStatus().locale).toBe('de');
+
+    runner.webhookUrl = webhooks.replyUrl;
+    runner.optimizeEngagement = false;
+    runner.thresholds = { maxActions: 1 };
+    runner.timing = { ...runner.defaults, tabDelayMin: 50, tabDelayMax: 100, cooldownMin: 100, cooldownMax: 200 };
+
+    await runner.startKeyboardAutomation();
+
+    expect(runner.completedReason).toBe('budget');
+    expect(fixture.events.map(e => e.type)).toEqual(['like', 'comment']);
+    expect(fixture.events[1]).toMatchObject({ postId: 'urn:li:activity:7250000000000000001', text: 'Weniger Schritte, mehr Wirkung.' });
+    expect(runner.parseCount('1.204 Reaktionen')).toBe(1204);
+  } finally {
+    runner.locale = null;
+    if (runner.isRunning) await runner.stop();
+    await webhooks.close();
+    await fixture.close();
+    fs.rmSync(userDataDir, { recursive: true, force: true });
+  }
+});
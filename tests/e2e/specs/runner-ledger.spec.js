@@ -0,0 +1,95 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { loadRunner, useTempRuns } from '../utils/runner.js';
+
+const ledger = loadRunner('session-ledger');
+
+test.describe('Session ledger', () => {
+  test.describe.configure({ mode: 'serial' });
+  const runs = useTempRuns('linkright-ledger-');
+
+  test.afterEach(() => {
+    ledger.sessionId = null;
+  });
+
+  test('appends one JSON line per post and keeps session.json up to date', () => {
+    ledger.open('session-1700000000000', { mode: 'default' });
+    const entry = ledger.append({ postId: 'urn:li:activity:1', outcome: 'commented', comment: 'Well put.' });
+    ledger.append({ postId: 'urn:li:activity:2', outcome: 'skipped' });
+    ledger.updateSession({ stats: { commentsPosted: 1 } });
+
+    expect(entry).toMatchObject({ seq: 1, sessionId: 'session-1700000000000', postId: 'urn:li:activity:1' });
+    const lines = fs.readFileSync(path.join(runs.dir, 'session-1700000000000', 'ledger.jsonl'), 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).postId)).toEqual(['urn:li:activity:1', 'urn:li:activity:2']);
+    expect(ledger.readSession('session-1700000000000')).toMatchObject({ status: 'running', mode: 'default', stats: { commentsPosted: 1 } });
+
+    ledger.close({ completedReason: 'budget' });
+    expect(ledger.readSession('session-1700000000000')).toMatchObject({ status: 'completed', completedReason: 'budget' });
+    expect(ledger.readSession('session-1700000000000').endedAt).toBeTruthy();
+    // Closed: nothing more is recorded
+    expect(ledger.append({ postId: 'urn:li:activity:3' })).toBeNull();
+    expect(ledger.readLedger('session-1700000000000')).toHaveLength(2);
+  });
+
+  test('recovers from a crash: torn last line skipped, running sessions marked interrupted', () => {
+    const write = (id, session, lines = []) => {
+      fs.mkdirSync(path.join(runs.dir, id));
+      fs.writeFileSync(path.join(runs.dir, id, 'session.json'), JSON.stringify({ sessionId: id, ...session }));
+      fs.writeFileSync(path.join(runs.dir, id, 'ledger.jsonl'), lines.join('\n'));
+    };
+    write('session-1700000000001', { status: 'running' }, [
+      JSON.stringify({ postId: 'urn:li:activity:1', outcome: 'commented' }),
+      JSON.stringify({ postId: 'urn:li:activity:2', outcome: 'skipped' }),
+      '{"postId": "urn:li:activity:3", "outc'
+    ]);
+    write('session-1700000000002', { status: 'completed', completedReason: 'budget' });
+
+    expect(ledger.recoverInterruptedSessions()).toBe(1);
+    expect(ledger.readSession('session-1700000000001')).toMatchObject({ status: 'interrupted', completedReason: 'interrupted' });
+    expect(ledger.readSession('session-1700000000002')).toMatchObject({ status: 'completed', completedReason: 'budget' });
+    expect(ledger.recoverInterruptedSessions()).toBe(0);
+
+    // Records written before seq existed are numbered by position
+    expect(ledger.readLedger('session-1700000000001').map(record => [record.seq, record.postId]))
+      .toEqual([[1, 'urn:li:activity:1'], [2, 'urn:li:activity:2']]);
+
+    // Reopening continues the numbering after the torn line
+    ledger.open('session-1700000000001');
+    expect(ledger.append({ postId: 'urn:li:activity:4' }).seq).toBe(3);
+    expect(ledger.readLedger('session-1700000000001').map(record => record.postId)).toEqual(['urn:li:activity:1', 'urn:li:activity:2', 'urn:li:activity:4']);
+  });
+
+  test('the session summary counts feed, queue and targeted comments', () => {
+    ledger.open('session-1700000000003', { mode: 'default' });
+    ledger.append({ postId: 'urn:li:activity:1', outcome: 'commented' });
+    ledger.append({ postId: 'urn:li:activity:2', outcome: 'already_engaged' });
+    ledger.append({ postId: 'urn:li:activity:3', mode: 'targeted', action: 'comment', outcome: 'done' });
+    ledger.append({ postId: 'urn:li:activity:3', mode: 'targeted', action: 'like', outcome: 'done' });
+    ledger.append({ postId: 'urn:li:activity:4', mode: 'targeted', action: 'comment', outcome: 'blocked' });
+
+    expect(ledger.getSessionSummary('session-1700000000003')).toMatchObject({ postCount: 5, commentCount: 2 });
+  });
+
+  test('pages posts newest first with a seq cursor that survives appends', () => {
+    ledger.open('session-1700000000000');
+    for (let i = 1; i <= 5; i++) ledger.append({ postId: `urn:li:activity:${i}`, outcome: 'skipped' });
+
+    const first = ledger.getPosts('session-1700000000000', { limit: 2 });
+    expect(first.posts.map(post => post.seq)).toEqual([5, 4]);
+    expect(first.pagination).toMatchObject({ total: 5, limit: 2, hasMore: true, nextCursor: 4 });
+
+    // A live session keeps writing while the sidebar pages through older rows
+    ledger.append({ postId: 'urn:li:activity:6', outcome: 'commented' });
+
+    const second = ledger.getPosts('session-1700000000000', { limit: 2, before: first.pagination.nextCursor });
+    expect(second.posts.map(post => post.postId)).toEqual(['urn:li:activity:3', 'urn:li:activity:2']);
+
+    const last = ledger.getPosts('session-1700000000000', { limit: 2, before: second.pagination.nextCursor });
+    expect(last.posts.map(post => post.seq)).toEqual([1]);
+    expect(last.pagination).toMatchObject({ total: 6, hasMore: false, nextCursor: null });
+
+    expect(ledger.getPosts(null).posts).toEqual([]);
+  });
+});
@@ -0,0 +1,75 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { loadRunner } from '../utils/runner.js';
+
+const localePacks = loadRunner('locale-packs');
+const runner = loadRunner();
+
+test.describe('Locale packs', () => {
+  test.afterEach(() => {
+    runner.locale = null;
+  });
+
+  test('every bundled pack is valid and the page language picks one', () => {
+    expect(localePacks.list()).toEqual(['de', 'en', 'es', 'fr']);
+    for (const locale of localePacks.list()) {
+      expect(localePacks.validate(localePacks.get(locale))).toBeNull();
+    }
+
+    expect(localePacks.resolve('de-DE')).toBe('de');
+    expect(localePacks.resolve('fr_CA')).toBe('fr');
+    expect(localePacks.resolve('pt-BR')).toBe('en');
+    expect(localePacks.resolve('')).toBe('en');
+    expect(localePacks.get('es').labels.commentAria).toEqual(['Comentar']);
+  });
+
+  test('builds the connect-flow selectors from the page locale, English profile selectors last', () => {
+    expect(localePacks.connectSelectors('connectButton', 'de')).toEqual(['main button[aria-label^="Laden Sie"][aria-label*="vernetzen"]']);
+    expect(localePacks.connectSelectors('sendInvite', 'es')).toContain('button[aria-label="Enviar invitación"]');
+    expect(localePacks.connectSelectors('likeButton', 'de')).toEqual([]);
+
+    runner.locale = 'fr';
+    const pending = runner.connectSelectors('pendingButton');
+    expect(pending).toEqual(['main button[aria-label^="En attente"]', 'main button[aria-label^="Pending"]']);
+
+    // On an English page the pack and the profile agree, so nothing is tried twice
+    runner.locale = 'en';
+    expect(runner.connectSelectors('moreActions')).toEqual(['main button[aria-label="More actions"]']);
+
+    const broken = { ...localePacks.get('en'), connect: { ...localePacks.get('en').connect, pendingAria: [] } };
+    expect(localePacks.validate(broken)).toBe('connect.pendingAria must be a non-empty array of labels');
+  });
+
+  test('reads our own name from the avatar alt text in any pack\'s wording', () => {
+    expect(localePacks.nameFromPhotoAlt('Photo of Jane Doe')).toBe('Jane Doe');
+    expect(localePacks.nameFromPhotoAlt('Foto von Jane Doe', 'de')).toBe('Jane Doe');
+    expect(localePacks.nameFromPhotoAlt('Photo de Jeanne Dupont', 'fr')).toBe('Jeanne Dupont');
+    // The nav can render before the page locale is known
+    expect(localePacks.nameFromPhotoAlt('Foto de Juana Pérez')).toBe('Juana Pérez');
+    expect(localePacks.nameFromPhotoAlt('  Jane Doe ')).toBe('Jane Doe');
+    expect(localePacks.nameFromPhotoAlt(null)).toBe('');
+
+    expect(localePacks.validate({ ...localePacks.get('en'), labels: { ...localePacks.get('en').labels, photoAlt: '(' } }))
+      .toMatch(/^labels.photoAlt must be a regular expression/);
+  });
+
+  test('parseCount reads the count formats of the page locale', () => {
+    const cases = {
+      en: { '1,204 reactions': 1204, '1.2K': 1200, '5M': 5000000, '33 comments': 33, '4000000comments': 0 },
+      de: { '1.204 Reaktionen': 1204, '1,2 Mio. Aufrufe': 1200000, '2,3K': 2300, '87 Kommentare': 87, '1.2K': 1200 },
+      fr: { '1 234 réactions': 1234, '1\u202f234 réactions': 1234, '1,2 k': 1200, '12 commentaires': 12 },
+      es: { '1.234 reacciones': 1234, '5 mil': 5000, '1,2 mill.': 1200000 }
+    };
+
+    for (const [locale, counts] of Object.entries(cases)) {
+      runner.locale = locale;
+      for (const [text, count] of Object.entries(counts)) {
+        expect(runner.parseCount(text), `${locale}: ${text}`).toBe(count);
+      }
+    }
+
+    // The same label means different numbers in English and German
+    expect(runner.parseCount('1.234', 'en')).toBe(1);
+    expect(runner.parseCount('1.234', 'de')).toBe(1234);
+  });
+});
@@ -0,0 +1,237 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadRunner } from '../utils/runner.js';
+
+const postParser = loadRunner('post-parser');
+const htmlSanitizer = loadRunner('html-sanitizer');
+const runner = loadRunner();
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'linkedin-posts');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+test.describe('Post parser', () => {
+  test('parses author, text, hashtags, mentions, links, age and counts of a text post', () => {
+    const model = postParser.parse(fixture('text-post.html'));
+
+    expect(model).toMatchObject({
+      postId: 'urn:li:activity:7251000000000000001',
+      author: {
+        name: 'Priya Raman',
+        headline: 'Head of Growth at Finlytics | Ex-Stripe',
+        profileUrl: 'https://www.linkedin.com/in/priya-raman-42',
+        degree: 2
+      },
+      mediaType: null,
+      isRepost: false,
+      repost: null,
+      age: '3h',
+      ageMinutes: 180,
+      counts: { reactions: 1204, comments: 87, reposts: 32 },
+      missing: []
+    });
+    // Screen-reader copies and the "…see more" toggle are not part of the text; <br> breaks lines
+    expect(model.text).toBe([
+      'We cut onboarding from 14 days to 3 & nobody missed the old steps.',
+      '',
+      'Thanks to Daniel Okafor and the team at Northwind Analytics.',
+      'Full write-up: https://lnkd.in/eK3xYz',
+      '',
+      '#onboarding #ProductDesign #SaaS #onboarding'
+    ].join('\n'));
+    // The comment's hashtag, mention and link are not the post's
+    expect(model.hashtags).toEqual(['onboarding', 'ProductDesign', 'SaaS']);
+    expect(model.mentions).toEqual([
+      { name: 'Daniel Okafor', url: 'https://www.linkedin.com/in/daniel-okafor-7b' },
+      { name: 'Northwind Analytics', url: 'https://www.linkedin.com/company/northwind-analytics/' }
+    ]);
+    expect(model.links).toEqual(['https://lnkd.in/eK3xYz']);
+  });
+
+  test('reads counts and labels in the page locale', () => {
+    const german = postParser.parse(fixture('image-post-de.html'), { locale: 'de' });
+
+    expect(german).toMatchObject({
+      author: { name: 'Jonas Weber', profileUrl: 'https://www.linkedin.com/in/jonas-weber/', degree: 2 },
+      mediaType: 'image',
+      hashtags: ['Fertigung', 'Leipzig'],
+      age: '5 Std.',
+      ageMinutes: null,
+      counts: { reactions: 1204, comments: 87, reposts: 1200 }
+    });
+    // The English format reads "1.204" as 1
+    expect(postParser.parse(fixture('image-post-de.html')).counts.reactions).toBe(1);
+    // Degree badges: "1st" (en), "1." (de), "1er" / "2e" (fr), "1.º" (es)
+    expect(['• 1st', '· 1.', '• 1er', '2e', '• 1.º', '3rd+', 'Following', '21st'].map(label => postParser.parseDegree(label)))
+      .toEqual([1, 1, 1, 2, 1, 3, null, null]);
+  });
+
+  test('detects the media type of video, document, poll and text-only posts', () => {
+    const posts = fixture('media-posts.html').split(/(?=<div class="feed-shared-update-v2" data-id=)/).slice(1);
+    const parsed = posts.map(html => {
+      const model = postParser.parse(html);
+      return [html.match(/data-media="(\w+)"/)[1], model.mediaType, model.author.degree, model.ageMinutes];
+    });
+
+    expect(parsed).toEqual([
+      ['video', 'video', null, 43200],
+      ['document', 'document', 1, 2880],
+      ['poll', 'poll', 3, 45],
+      ['none', null, null, 10080]
+    ]);
+  });
+
+  test('tells reposts from original posts', () => {
+    const repost = postParser.parse(fixture('repost-article.html'));
+    expect(repost).toMatchObject({
+      author: { name: 'Mei Lin Chen', profileUrl: 'https://www.linkedin.com/in/mei-lin-chen/' },
+      mediaType: 'article',
+      isRepost: true,
+      repost: { by: 'Alex Morgan', originalAuthor: 'Mei Lin Chen' },
+      links: ['https://northwind.example/blog/one-number?utm_source=linkedin'],
+      counts: { reactions: 2300, comments: 156, reposts: null },
+      missing: ['counts.reposts']
+    });
+
+    // Repost with thoughts: the quoted post's author, hashtags and counts stay inside the quote
+    const quote = postParser.parse(fixture('quote-repost.html'));
+    expect(quote).toMatchObject({
+      author: { name: 'Alex Morgan', headline: 'Engineering Manager' },
+      text: 'This matches what we saw last quarter.',
+      hashtags: [],
+      isRepost: true,
+      repost: { by: 'Alex Morgan', originalAuthor: 'Daniel Okafor', originalText: 'Most flaky tests are not flaky. #testing' },
+      counts: { reactions: 12 }
+    });
+  });
+
+  test('copes with malformed markup and selectors outside the supported subset', () => {
+    const html = [
+      '<div data-urn="urn:li:activity:9" class=feed-shared-update-v2>',
+      '<script>if (a < b) document.write("<div class=\'update-components-text\'>no</div>")</script>',
+      '<span class="update-components-actor__name">Ada <b>Lovelace</span></b>',
+      '<div class="update-components-text">Line one<br/>Line&nbsp;two &#x1F680; &amp;&lt;tag&gt;</i></div>',
+      '<button aria-label="1.2K reactions">'
+    ].join('');
+    const selectors = {
+      ...postParser.getSelectors(),
+      postText: ['.update-components-text'],
+      // Pseudo-classes are not supported: the selector matches nothing instead of throwing
+      repostHeader: ['.update-components-header:first-child']
+    };
+
+    expect(postParser.parse(html, { selectors })).toMatchObject({
+      postId: 'urn:li:activity:9',
+      author: { name: 'Ada Lovelace' },
+      text: 'Line one\nLine two 🚀 &<tag>',
+      isRepost: false,
+      counts: { reactions: 1200 }
+    });
+    expect(postParser.parse('').postId).toBeNull();
+  });
+
+  test('a capture cut off mid-tag keeps what arrived and leaks no markup', () => {
+    const html = fixture('truncated-post.html');
+    const model = postParser.parse(html);
+
+    expect(model).toMatchObject({
+      postId: 'urn:li:activity:7251000000000000031',
+      author: { name: 'Jonas Weber', headline: 'Staff Engineer at Contoso', profileUrl: 'https://www.linkedin.com/in/jonas-weber-3a', degree: 1 },
+      text: 'Postmortems are for systems, not people.\nWe publish ours internally within 48 hours. #sre',
+      hashtags: ['sre'],
+      mentions: [],
+      ageMinutes: 300,
+      counts: { reactions: 342, comments: 18, reposts: null },
+      missing: ['counts.reposts']
+    });
+
+    // The unclosed comment thread is still recognised as the comments, and the cut tag is gone
+    const { html: sanitized, removed } = htmlSanitizer.sanitize(html, { commentSelectors: ['.comments-comment-list'] });
+    expect(removed.comments).toBe(1);
+    expect(sanitized).not.toContain('Lea Fischer');
+    expect(postParser.toHtml(postParser.parseHtml(html))).not.toContain('comments-comment-social-bar');
+    expect(postParser.parse(sanitized)).toMatchObject({ text: model.text, counts: model.counts });
+  });
+
+  test('recovers malformed post markup the way a browser does', () => {
+    const html = fixture('malformed-post.html');
+    const model = postParser.parse(html);
+
+    expect(model).toMatchObject({
+      postId: 'urn:li:activity:7251000000000000032',
+      author: { name: 'Mara Okonkwo', headline: 'VP Engineering & Platform', profileUrl: 'https://www.linkedin.com/in/mara-okonkwo/', degree: 2 },
+      counts: { reactions: 2310, comments: 96, reposts: 41 },
+      missing: []
+    });
+    // Neither the commented-out text nor the comment box draft is the post's text
+    expect(model.text).toBe([
+      'Three things that cut our incident count in half:',
+      'Error budgets per team',
+      'On-call handbooks next to the code',
+      'Postmortems within 48h',
+      'More in the thread from #reliability and #oncall folks like Sam Reyes.'
+    ].join('\n'));
+    // The open hashtag link ends where the mention starts; its tag is the first word
+    expect(model.hashtags).toEqual(['reliability', 'oncall']);
+    expect(model.mentions).toEqual([{ name: 'Sam Reyes', url: 'https://www.linkedin.com/in/sam-reyes/' }]);
+
+    // Unclosed <p>, <li> and <a> end where the next one starts, so child selectors still see siblings
+    const root = postParser.parseHtml(html);
+    expect(postParser.querySelectorAll(root, '.update-components-text > p')).toHaveLength(2);
+    expect(postParser.querySelectorAll(root, 'ul > li')).toHaveLength(3);
+    expect(postParser.querySelectorAll(root, 'a a')).toHaveLength(0);
+    expect(postParser.querySelectorAll(root, '[data-tracking*="b>c"]')).toHaveLength(1);
+
+    expect(postParser.toHtml(postParser.parseHtml('<ul><li>a<ul><li>b</ul><li>c</ul><dl><dt>x<dd>y</dl>'))).toBe(
+      '<ul><li>a<ul><li>b</li></ul></li><li>c</li></ul><dl><dt>x</dt><dd>y</dd></dl>'
+    );
+    expect(postParser.toHtml(postParser.parseHtml('<button><p>in<div>out</div></button>'))).toBe('<button><p>in</p><div>out</div></button>');
+    // NUL, lone surrogates and out-of-range references read as U+FFFD
+    expect(postParser.toHtml(postParser.parseHtml('&#0;&#xD800;&#x110000;&#65;'))).toBe('\uFFFD\uFFFD\uFFFDA');
+  });
+
+  test('the ledger summary drops the text, links and mentions', () => {
+    const summary = postParser.summarize(postParser.parse(fixture('text-post.html')));
+
+    expect(summary).toEqual({
+      author: { name: 'Priya Raman', headline: 'Head of Growth at Finlytics | Ex-Stripe', profileUrl: 'https://www.linkedin.com/in/priya-raman-42', degree: 2 },
+      mediaType: null,
+      isRepost: false,
+      repostedBy: null,
+      age: '3h',
+      counts: { reactions: 1204, comments: 87, reposts: 32 },
+      hashtags: ['onboarding', 'ProductDesign', 'SaaS'],
+      mentions: 2,
+      links: 1,
+      missing: []
+    });
+    expect(postParser.summarize(null)).toBeNull();
+  });
+
+  test.describe('in the runner', () => {
+    test.afterEach(() => {
+      runner.locale = null;
+      runner.scoring = null;
+    });
+
+    test('parsePostModel parses on the worker pool with the page locale', async () => {
+      runner.locale = 'de';
+      const model = await runner.parsePostModel({ postId: 'urn:li:activity:7251000000000000002', postHTML: fixture('image-post-de.html') });
+      expect(model).toMatchObject({ author: { name: 'Jonas Weber' }, counts: { reactions: 1204, comments: 87 } });
+
+      await expect(runner.parsePostModel({ postId: 'urn:li:activity:1' })).resolves.toBeNull();
+    });
+
+    test('the local scorer uses the model counts without a page', async () => {
+      const post = postParser.parse(fixture('text-post.html'));
+      runner.scoring = { source: 'local' };
+
+      const result = await runner.scorePostLocally({ postId: post.postId, postContent: '', authorName: '', post });
+
+      expect(result.metrics).toEqual({ reactions: 1204, comments: 87, reposts: 32 });
+      expect(result).toMatchObject({ engage: 'yes', source: 'local' });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { loadRunner } from '../utils/runner.js';
+
+const runner = loadRunner();
+
+test.describe('Post queue input', () => {
+  test('accepts permalinks, URNs and bare activity ids', () => {
+    const { items, invalid, duplicates } = runner.parseQueueInput([
+      'https://www.linkedin.com/feed/update/urn:li:activity:7250000000000000001/',
+      'https://www.linkedin.com/posts/jane-doe_product-activity-7250000000000000002-AbCd?utm_source=share',
+      'urn%3Ali%3Aactivity%3A7250000000000000003',
+      '7250000000000000004'
+    ]);
+
+    expect(items.map(item => item.postId)).toEqual([
+      'urn:li:activity:7250000000000000001',
+      'urn:li:activity:7250000000000000002',
+      'urn:li:activity:7250000000000000003',
+      'urn:li:activity:7250000000000000004'
+    ]);
+    expect(invalid).toEqual([]);
+    expect(duplicates).toBe(0);
+  });
+
+  test('reads CSV text, reports lines without a post and drops duplicates', () => {
+    const csv = [
+      'url,author,note',
+      '"https://www.linkedin.com/feed/update/urn:li:activity:7250000000000000001/",Jane Doe,hiring post',
+      'Jane Doe;urn:li:activity:7250000000000000002',
+      'urn:li:activity:7250000000000000001,duplicate',
+      '',
+      'https://www.linkedin.com/in/jane-doe/'
+    ].join('\r\n');
+
+    const { items, invalid, duplicates } = runner.parseQueueInput(csv);
+
+    expect(items).toEqual([
+      { input: 'https://www.linkedin.com/feed/update/urn:li:activity:7250000000000000001/', postId: 'urn:li:activity:7250000000000000001' },
+      { input: 'urn:li:activity:7250000000000000002', postId: 'urn:li:activity:7250000000000000002' }
+    ]);
+    expect(invalid).toEqual(['url,author,note', 'https://www.linkedin.com/in/jane-doe/']);
+    expect(duplicates).toBe(1);
+  });
+});
@@ -0,0 +1,144 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { loadRunner, startRunnerServer } from '../utils/runner.js';
+
+const runner = loadRunner();
+const runnerEvents = loadRunner('runner-events');
+
+const post = { postId: 'urn:li:activity:7250000000000000010', authorName: 'Ada Lovelace', postContent: 'Shipping the analytical engine next week.' };
+
+/**
+ * Wait until the runner holds a comment for review and return it
+ */
+async function pendingReview() {
+  await expect.poll(() => runner.pendingReview?.id).toBeTruthy();
+  return runner.pendingReview;
+}
+
+test.describe('Review mode', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  const saved = { timeoutMs: runner.reviewTimeoutMs };
+
+  test.afterEach(() => {
+    // Never leave a review hanging for the next test
+    if (runner.pendingReview) runner.submitReview({ action: 'reject' });
+    runner.reviewTimeoutMs = saved.timeoutMs;
+  });
+
+  test('holds the comment until it is approved', async () => {
+    /** @type {Array<any>} */
+    const events = [];
+    const unsubscribe = runnerEvents.subscribe(event => events.push(event));
+
+    try {
+      const review = runner.awaitCommentReview(post, 'Great milestone!', async () => 'unused');
+      const pending = await pendingReview();
+
+      expect(pending).toMatchObject({ postId: post.postId, author: 'Ada Lovelace', postExcerpt: post.postContent, comment: 'Great milestone!' });
+      expect(Date.parse(pending.expiresAt) - Date.parse(pending.createdAt)).toBe(runner.reviewTimeoutMs);
+      expect(events.find(event => event.type === 'review_pending')?.data.review).toEqual(pending);
+
+      expect(runner.submitReview({ id: pending.id, action: 'approve' })).toEqual({ success: true, action: 'approve' });
+      expect(await review).toMatchObject({ approved: true, action: 'approve', comment: 'Great milestone!', regenerations: 0 });
+      expect(runner.pendingReview).toBeNull();
+      expect(events.find(event => event.type === 'review_resolved')?.data).toMatchObject({ postId: post.postId, reviewId: pending.id, action: 'approve' });
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  test('posts the edited text instead, and refuses an empty edit', async () => {
+    const review = runner.awaitCommentReview(post, 'Great milestone!', async () => 'unused');
+    const pending = await pendingReview();
+
+    expect(runner.submitReview({ id: pending.id, action: 'edit', comment: '   ' })).toEqual({ success: false, error: 'Edited comment is empty' });
+    expect(runner.pendingReview).toBe(pending);
+
+    expect(runner.submitReview({ id: pending.id, action: 'edit', comment: '  Congrats on the engine!  ' })).toEqual({ success: true, action: 'edit' });
+    expect(await review).toMatchObject({ approved: true, action: 'edit', comment: 'Congrats on the engine!' });
+  });
+
+  test('regenerate asks for a new comment and reviews it again', async () => {
+    const drafts = ['Second take.', null];
+    const regenerate = async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return drafts.shift();
+    };
+    const review = runner.awaitCommentReview(post, 'First take.', regenerate);
+
+    const first = await pendingReview();
+    expect(runner.submitReview({ id: first.id, action: 'regenerate' })).toEqual({ success: true, action: 'regenerate' });
+
+    await expect.poll(() => runner.pendingReview?.comment).toBe('Second take.');
+    const second = runner.pendingReview;
+    expect(second.id).not.toBe(first.id);
+    // A decision for the replaced draft is refused
+    expect(runner.submitReview({ id: first.id, action: 'approve' })).toEqual({ success: false, error: 'Review is no longer pending' });
+
+    // A regeneration that returns nothing keeps the current draft
+    runner.submitReview({ id: second.id, action: 'regenerate' });
+    await expect.poll(() => runner.pendingReview && runner.pendingReview.id !== second.id).toBe(true);
+    expect(runner.pendingReview.comment).toBe('Second take.');
+
+    runner.submitReview({ action: 'approve' });
+    expect(await review).toMatchObject({ approved: true, action: 'approve', comment: 'Second take.', regenerations: 2 });
+  });
+
+  test('reject and an unanswered review both skip the comment', async () => {
+    const rejected = runner.awaitCommentReview(post, 'Great milestone!', async () => 'unused');
+    await pendingReview();
+    expect(runner.submitReview({ action: 'reject' })).toEqual({ success: true, action: 'reject' });
+    expect(await rejected).toMatchObject({ approved: false, action: 'reject', comment: null });
+
+    runner.reviewTimeoutMs = 50;
+    /** @type {Array<any>} */
+    const resolved = [];
+    const unsubscribe = runnerEvents.subscribe(event => event.type === 'review_resolved' && resolved.push(event.data));
+    try {
+      const timedOut = await runner.awaitCommentReview(post, 'Great milestone!', async () => 'unused');
+      expect(timedOut).toMatchObject({ approved: false, action: 'timeout', comment: null, regenerations: 0 });
+      expect(timedOut.waitedMs).toBeGreaterThanOrEqual(40);
+      expect(runner.pendingReview).toBeNull();
+      // The sidebar hears of a timeout too, so it can drop the panel
+      expect(resolved).toEqual([expect.objectContaining({ action: 'timeout' })]);
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  test('rejects unknown actions and decisions with nothing pending', async () => {
+    expect(runner.submitReview({ action: 'approve' })).toEqual({ success: false, error: 'No comment awaiting review' });
+
+    const review = runner.awaitCommentReview(post, 'Great milestone!', async () => 'unused');
+    await pendingReview();
+    expect(runner.submitReview({ action: 'like' })).toEqual({ success: false, error: 'Invalid review action. Use approve, edit, regenerate or reject' });
+    expect(runner.pendingReview).not.toBeNull();
+
+    runner.submitReview({ action: 'reject' });
+    await review;
+  });
+});
+
+test.describe('/api/runner/review', () => {
+  /** @type {() => void} */
+  let stop;
+  let base = '';
+  const headers = { 'x-runner-token': 'review-token', 'content-type': 'application/json' };
+
+  test.beforeAll(async () => {
+    ({ base, stop } = await startRunnerServer({ RUNNER_TOKEN: 'review-token' }));
+  });
+
+  test.afterAll(() => {
+    stop?.();
+  });
+
+  test('reports no pending review and answers 400 to a decision', async () => {
+    expect(await (await fetch(`${base}/api/runner/review`, { headers })).json()).toEqual({ reviewMode: false, pending: null });
+
+    const response = await fetch(`${base}/api/runner/review`, { method: 'POST', headers, body: JSON.stringify({ action: 'approve' }) });
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ success: false, error: 'No comment awaiting review' });
+  });
+});
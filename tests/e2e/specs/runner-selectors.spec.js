@@ -0,0 +1,104 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadRunner } from '../utils/runner.js';
+
+const selectorRegistry = loadRunner('selector-registry');
+const feedSources = loadRunner('feed-sources');
+
+const bundled = JSON.parse(fs.readFileSync(new URL('../../../selectors/linkedin.json', import.meta.url), 'utf8'));
+
+test.describe('Selector registry', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  const originalPath = selectorRegistry.profilePath;
+  const originalDir = selectorRegistry.profileDir;
+  let tempDir = '';
+
+  /**
+   * Write a copy of the bundled profile with some roles changed
+   */
+  function writeProfile(name, roles = {}, extra = {}) {
+    const file = path.join(tempDir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify({ ...bundled, name, ...extra, roles: { ...bundled.roles, ...roles } }));
+    return file;
+  }
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkright-selectors-'));
+    selectorRegistry.profileDir = tempDir;
+  });
+
+  test.afterEach(() => {
+    selectorRegistry.profileDir = originalDir;
+    selectorRegistry.unwatch();
+    selectorRegistry.load(originalPath);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('the bundled profile defines every role the runner looks up', () => {
+    expect(selectorRegistry.validate(bundled)).toBeNull();
+
+    selectorRegistry.load(originalPath);
+    expect(selectorRegistry.get('likeButton')[0]).toBe('button.react-button__trigger');
+    expect(selectorRegistry.selector('commentBox')).toBe('.comments-comment-box, .comments-comment-box-comment, .comment-box');
+    expect(selectorRegistry.pick('post', 'commentIcon')).toEqual({
+      post: bundled.roles.post.join(', '),
+      commentIcon: 'svg[data-test-icon="comment-small"]'
+    });
+    expect(() => selectorRegistry.get('shareButton')).toThrow('Unknown selector role: shareButton');
+  });
+
+  test('switching profiles applies to the next lookup, a bad profile is refused', () => {
+    const file = writeProfile('linkedin-next', { postText: ['.update-components-text-v2'] }, { version: '2026.01.0' });
+    const before = selectorRegistry.getInfo();
+
+    const switched = selectorRegistry.reload('linkedin-next');
+    expect(switched).toMatchObject({ success: true, profile: { name: 'linkedin-next', version: '2026.01.0', revision: before.revision + 1 } });
+    expect(feedSources.detection('home').textSelector).toBe('.update-components-text-v2');
+
+    const roles = { ...bundled.roles };
+    delete roles.commentEditor;
+    fs.writeFileSync(path.join(tempDir, 'broken.json'), JSON.stringify({ ...bundled, roles }));
+    const refused = selectorRegistry.reload('broken.json');
+    expect(refused).toMatchObject({ success: false, error: expect.stringContaining('Missing roles: commentEditor') });
+    expect(selectorRegistry.getInfo()).toMatchObject({ name: 'linkedin-next', path: file });
+
+    expect(selectorRegistry.reload('linkedin-missing')).toMatchObject({ success: false, error: expect.stringContaining('ENOENT') });
+  });
+
+  test('only bare profile names are reloaded, never a path', () => {
+    const file = writeProfile('linkedin-next');
+    selectorRegistry.load(originalPath);
+
+    for (const profile of [file, '../linkedin-next', `..${path.sep}selectors${path.sep}linkedin`, 'sub/linkedin-next', 'sub\\linkedin-next', '.hidden', '/etc/passwd']) {
+      expect(selectorRegistry.reload(profile), profile).toMatchObject({
+        success: false,
+        error: 'profile must be a profile name under selectors/, not a path',
+        profile: { path: originalPath }
+      });
+    }
+  });
+
+  test('a profile that is not JSON is refused without quoting the file', () => {
+    fs.writeFileSync(path.join(tempDir, 'leaky.json'), 'RUNNER_TOKEN=hunter2\nOPENAI_API_KEY=sk-secret');
+
+    const refused = selectorRegistry.reload('leaky');
+    expect(refused).toMatchObject({ success: false, error: `Selector profile ${path.join(tempDir, 'leaky.json')} is not valid JSON` });
+    expect(refused.error).not.toContain('hunter2');
+  });
+
+  test('edits to the watched profile file are picked up', async () => {
+    const file = writeProfile('linkedin-watched');
+    selectorRegistry.load(file);
+    selectorRegistry.watch(100);
+
+    // mtime must move for the watcher to see the edit
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    writeProfile('linkedin-watched', { likeButton: ['button.reactions-react-button'] });
+
+    await expect.poll(() => selectorRegistry.get('likeButton'), { timeout: 5000 }).toEqual(['button.reactions-react-button']);
+  });
+});
@@ -0,0 +1,145 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startRunnerServer } from '../utils/runner.js';
+
+const TOKEN = 'sessions-token';
+const headers = { 'x-runner-token': TOKEN };
+
+/**
+ * Write runs/<sessionId> the way the ledger leaves it: session.json, ledger.jsonl and artifacts
+ */
+function writeSession(runsDir, sessionId, session, posts = [], artifacts = {}) {
+  const dir = path.join(runsDir, sessionId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'session.json'), JSON.stringify({ sessionId, ...session }));
+  fs.writeFileSync(path.join(dir, 'ledger.jsonl'), posts.map((post, index) => JSON.stringify({ seq: index + 1, sessionId, ...post }) + '\n').join(''));
+  for (const [name, content] of Object.entries(artifacts)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+}
+
+test.describe('Session history API', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  /** @type {() => void} */
+  let stop;
+  let base = '';
+  let runsDir = '';
+
+  test.beforeAll(async () => {
+    runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkright-sessions-api-'));
+    writeSession(runsDir, 'session-1700000000000', { status: 'completed', completedReason: 'budget', mode: 'default' }, [
+      { postId: 'urn:li:activity:1', outcome: 'commented' },
+      { postId: 'urn:li:activity:2', outcome: 'skipped' },
+      { postId: 'urn:li:activity:3', outcome: 'commented' }
+    ], { 'trace.zip': 'trace-bytes' });
+    writeSession(runsDir, 'session-1700000100000', { status: 'interrupted', completedReason: 'interrupted' });
+    writeSession(runsDir, 'session-1700000200000', { status: 'completed', completedReason: 'time_limit' }, [
+      { postId: 'urn:li:activity:4', outcome: 'skipped' },
+      { postId: 'urn:li:activity:5', outcome: 'commented' },
+      { postId: 'urn:li:activity:6', outcome: 'skipped' },
+      { postId: 'urn:li:activity:7', outcome: 'error' }
+    ]);
+
+    ({ base, stop } = await startRunnerServer({ RUNNER_TOKEN: TOKEN, RUNS_DIR: runsDir }));
+  });
+
+  test.afterAll(() => {
+    stop?.();
+    fs.rmSync(runsDir, { recursive: true, force: true });
+  });
+
+  test('lists sessions newest first with offset paging', async () => {
+    const first = await (await fetch(`${base}/api/sessions?limit=2`, { headers })).json();
+    expect(first.sessions.map(session => session.sessionId)).toEqual(['session-1700000200000', 'session-1700000100000']);
+    expect(first.pagination).toEqual({ total: 3, offset: 0, limit: 2, hasMore: true });
+
+    const second = await (await fetch(`${base}/api/sessions?limit=2&offset=2`, { headers })).json();
+    expect(second.sessions).toHaveLength(1);
+    expect(second.sessions[0]).toMatchObject({
+      sessionId: 'session-1700000000000',
+      status: 'completed',
+      completedReason: 'budget',
+      postCount: 3,
+      commentCount: 2,
+      artifacts: ['trace.zip']
+    });
+    expect(second.pagination.hasMore).toBe(false);
+
+    expect((await fetch(`${base}/api/sessions`)).status).toBe(401);
+  });
+
+  test('returns one session with a page of its ledger and its artifacts', async () => {
+    const response = await fetch(`${base}/api/sessions/session-1700000000000?limit=2`, { headers });
+    expect(response.status).toBe(200);
+    const detail = await response.json();
+
+    expect(detail.session).toMatchObject({ sessionId: 'session-1700000000000', mode: 'default', postCount: 3 });
+    expect(detail.posts.map(post => post.seq)).toEqual([3, 2]);
+    expect(detail.pagination).toMatchObject({ total: 3, hasMore: true, nextCursor: 2 });
+    expect(detail.artifacts).toEqual([expect.objectContaining({ name: 'trace.zip', type: 'trace', size: 11 })]);
+
+    const older = await (await fetch(`${base}/api/sessions/session-1700000000000?limit=2&before=2`, { headers })).json();
+    expect(older.posts.map(post => post.postId)).toEqual(['urn:li:activity:1']);
+    expect(older.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  test('status?last pages the newest session on disk while the runner is idle', async () => {
+    const first = await (await fetch(`${base}/api/runner/status?last=3`, { headers })).json();
+    expect(first).toMatchObject({ isRunning: false, session: { sessionId: 'session-1700000200000', completedReason: 'time_limit' } });
+    expect(first.posts.map(post => post.postId)).toEqual(['urn:li:activity:7', 'urn:li:activity:6', 'urn:li:activity:5']);
+    expect(first.pagination).toEqual({ sessionId: 'session-1700000200000', total: 4, limit: 3, hasMore: true, nextCursor: 2 });
+
+    const second = await (await fetch(`${base}/api/runner/status?last=3&before=${first.pagination.nextCursor}`, { headers })).json();
+    expect(second.posts.map(post => post.seq)).toEqual([1]);
+    expect(second.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+
+    // Without ?last the status stays small
+    const plain = await (await fetch(`${base}/api/runner/status`, { headers })).json();
+    expect(plain).not.toHaveProperty('posts');
+  });
+
+  test('answers 404 for unknown sessions and ids that are not session-<ms>', async () => {
+    // A directory that exists but is not a session id is never read
+    fs.mkdirSync(path.join(runsDir, 'session-abc'));
+    fs.writeFileSync(path.join(runsDir, 'session-abc', 'session.json'), '{}');
+
+    for (const id of ['session-1699999999999', 'session-abc', 'selector-health-1700000000000', '..%2F..%2Fserver']) {
+      const response = await fetch(`${base}/api/sessions/${id}`, { headers });
+      expect(response.status, id).toBe(404);
+      expect(await response.json()).toEqual({ error: 'Session not found' });
+    }
+  });
+
+  test('streams listed artifacts only, never the ledger or a path outside the session', async () => {
+    const artifact = await fetch(`${base}/api/sessions/session-1700000000000/artifacts/trace.zip`, { headers });
+    expect(artifact.status).toBe(200);
+    expect(await artifact.text()).toBe('trace-bytes');
+
+    for (const name of ['ledger.jsonl', 'session.json', 'missing.png', '..%2Fsession-1700000100000%2Fsession.json', '..%2F..%2F..%2Fpackage.json']) {
+      const response = await fetch(`${base}/api/sessions/session-1700000000000/artifacts/${name}`, { headers });
+      expect(response.status, name).toBe(404);
+      expect(await response.json()).toEqual({ error: 'Artifact not found' });
+    }
+
+    const invalid = await fetch(`${base}/api/sessions/session-abc/artifacts/session.json`, { headers });
+    expect(invalid.status).toBe(404);
+    expect(await invalid.json()).toEqual({ error: 'Session not found' });
+  });
+
+  test('deletes a session directory and nothing outside runs/', async () => {
+    const response = await fetch(`${base}/api/sessions/session-1700000100000`, { method: 'DELETE', headers });
+    expect(await response.json()).toEqual({ success: true, message: 'Session deleted', sessionId: 'session-1700000100000' });
+    expect(fs.existsSync(path.join(runsDir, 'session-1700000100000'))).toBe(false);
+    expect((await fetch(`${base}/api/sessions/session-1700000100000`, { method: 'DELETE', headers })).status).toBe(404);
+
+    for (const id of ['session-abc', '..%2F..%2Fserver']) {
+      expect((await fetch(`${base}/api/sessions/${id}`, { method: 'DELETE', headers })).status, id).toBe(404);
+    }
+    expect(fs.existsSync(path.join(runsDir, 'session-abc'))).toBe(true);
+    expect(fs.readdirSync(runsDir).sort()).toEqual(['session-1700000000000', 'session-1700000200000', 'session-abc']);
+  });
+});
@@ -0,0 +1,120 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import crypto from 'crypto';
+import { startMockWebhookServer, responses } from '../utils/mockWebhookServer.js';
+import { loadRunner } from '../utils/runner.js';
+
+const webhookClient = loadRunner('webhook-client');
+
+/** @type {Awaited<ReturnType<typeof startMockWebhookServer>>} */
+let mock;
+
+test.describe('Webhook client', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  test.beforeAll(async () => {
+    mock = await startMockWebhookServer();
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  test.beforeEach(() => {
+    mock.reset();
+  });
+
+  test('retries retryable failures with the same idempotency key', async () => {
+    mock.enqueue('linkedin-parse', responses.error(503), responses.hangUp(), responses.decision('no'));
+    const key = webhookClient.idempotencyKey('linkedin-parse', 'urn:li:activity:1');
+
+    const result = await webhookClient.request(mock.parseUrl, { postId: 'urn:li:activity:1' }, {
+      retries: 3,
+      retryBackoffMs: 5,
+      idempotencyKey: key,
+      schema: 'engage'
+    });
+
+    expect(result).toMatchObject({ body: { engage: 'no' }, attempts: 3 });
+    const keys = mock.requestsFor('linkedin-parse').map(request => request.headers['idempotency-key']);
+    expect(keys).toEqual([key, key, key]);
+    // Stable per post and endpoint, different across them
+    expect(webhookClient.idempotencyKey('linkedin-parse', 'urn:li:activity:1')).toBe(key);
+    expect(webhookClient.idempotencyKey('linkedin-reply', 'urn:li:activity:1')).not.toBe(key);
+  });
+
+  test('does not retry client errors or schema violations', async () => {
+    mock.setDefault('linkedin-parse', responses.error(400, 'Bad Request'));
+    await expect(webhookClient.request(mock.parseUrl, {}, { retries: 2, retryBackoffMs: 5 }))
+      .rejects.toMatchObject({ errorType: 'HTTP_ERROR', status: 400, attempts: 1 });
+
+    mock.reset();
+    mock.setDefault('linkedin-parse', responses.json([{ engage: 'yes' }, { engage: 'no' }]));
+    await expect(webhookClient.request(mock.parseUrl, {}, { retries: 2, retryBackoffMs: 5, schema: 'engage' }))
+      .rejects.toMatchObject({ errorType: 'SCHEMA_INVALID', attempts: 1, message: /response must be object, got array/ });
+    expect(mock.requestsFor('linkedin-parse')).toHaveLength(1);
+  });
+
+  test('unwraps the one-item array n8n answers with before checking the schema', async () => {
+    mock.setDefault('linkedin-parse', responses.json([{ engage: 'yes' }]));
+    await expect(webhookClient.request(mock.parseUrl, {}, { schema: 'engage' }))
+      .resolves.toMatchObject({ body: { engage: 'yes' }, attempts: 1 });
+
+    // Without a schema the body is returned as sent
+    await expect(webhookClient.request(mock.parseUrl, {}))
+      .resolves.toMatchObject({ body: [{ engage: 'yes' }] });
+  });
+
+  test('retries 429 and gives up with the last error once the retries are used up', async () => {
+    mock.setDefault('linkedin-parse', responses.error(429, 'Too Many Requests'));
+    await expect(webhookClient.request(mock.parseUrl, {}, { retries: 2, retryBackoffMs: 5 }))
+      .rejects.toMatchObject({ errorType: 'HTTP_ERROR', status: 429, attempts: 3 });
+  });
+
+  test('stops retrying when shouldStop says so', async () => {
+    mock.setDefault('linkedin-parse', responses.error(500));
+    const seen = [];
+
+    await expect(webhookClient.request(mock.parseUrl, {}, {
+      retries: 5,
+      retryBackoffMs: 5,
+      onAttempt: (attempt) => { seen.push(attempt); },
+      shouldStop: () => seen.length >= 2
+    })).rejects.toMatchObject({ errorType: 'HTTP_ERROR', attempts: 2 });
+    expect(seen).toEqual([1, 2]);
+  });
+
+  test('backoff doubles per retry with 50-100% jitter', () => {
+    for (let retry = 1; retry <= 4; retry++) {
+      const full = 100 * Math.pow(2, retry - 1);
+      for (let i = 0; i < 20; i++) {
+        const delay = webhookClient.backoffDelay(retry, 100);
+        expect(delay).toBeGreaterThanOrEqual(full / 2);
+        expect(delay).toBeLessThanOrEqual(full);
+      }
+    }
+  });
+
+  test('signs the body with the outbound secret, and only when one is set', async () => {
+    await webhookClient.post(mock.parseUrl, { postId: 'urn:li:activity:2' }, { signingSecret: 'outbound-secret' });
+    await webhookClient.post(mock.parseUrl, { postId: 'urn:li:activity:3' }, { signingSecret: '' });
+
+    const [signed, unsigned] = mock.requestsFor('linkedin-parse');
+    const timestamp = signed.headers['x-linkright-timestamp'];
+    const expected = crypto.createHmac('sha256', 'outbound-secret').update(`${timestamp}.${signed.rawBody}`).digest('hex');
+    expect(signed.headers['x-linkright-signature']).toBe(`sha256=${expected}`);
+    expect(Math.abs(Date.now() / 1000 - Number(timestamp))).toBeLessThan(60);
+    expect(unsigned.headers['x-linkright-signature']).toBeUndefined();
+  });
+
+  test('validates responses against the schema subset', () => {
+    expect(webhookClient.validate({ engage: 'YES' }, 'engage')).toEqual([]);
+    expect(webhookClient.validate({ Engage: 'no' }, 'engage')).toEqual([]);
+    expect(webhookClient.validate({ engage: 'maybe' }, 'engage')).toEqual([expect.stringMatching(/response\.engage does not match/)]);
+    expect(webhookClient.validate({ decision: 'yes' }, 'engage')).toEqual([expect.stringMatching(/matches none of/)]);
+    expect(webhookClient.validate({ comment: 'Nice.' }, 'comment')).toEqual([]);
+    expect(webhookClient.validate({ comment: '  ' }, 'comment')).toEqual(['response.comment is empty']);
+    expect(webhookClient.validate({}, 'comment')).toEqual(['response.comment is required']);
+    expect(webhookClient.validate({ count: 2 }, { type: 'object', properties: { count: { type: 'integer', enum: [1, 2] } } })).toEqual([]);
+  });
+});
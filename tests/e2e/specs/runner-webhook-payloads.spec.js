@@ -0,0 +1,131 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadRunner } from '../utils/runner.js';
+
+const htmlSanitizer = loadRunner('html-sanitizer');
+const webhookPayloads = loadRunner('webhook-payloads');
+const postParser = loadRunner('post-parser');
+const selectorRegistry = loadRunner('selector-registry');
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'linkedin-posts');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const commentSelectors = () => selectorRegistry.get('commentSection').concat(selectorRegistry.get('commentBox'));
+const bytes = (value) => Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+
+test.describe('HTML sanitizer', () => {
+  test('strips scripts, styles, icons, tracking and the comment thread but keeps the post', () => {
+    const html = fixture('tracked-post.html');
+    const { html: sanitized, removed } = htmlSanitizer.sanitize(html, { commentSelectors: commentSelectors() });
+
+    expect(removed).toEqual({ scripts: 2, styles: 2, svg: 2, tracking: 10, comments: 3 });
+    expect(sanitized).not.toMatch(/<script|<noscript|<style|<svg|style=|ember\d|data-(?!id=|urn=)|trk=public|lipi=|comments-comment|Leo Marsh/);
+    expect(sanitized).toContain('data-id="urn:li:activity:7251000000000000077"');
+    // Links to other sites keep their query string
+    expect(sanitized).toContain('href="https://example.com/guide?trk=keep-foreign"');
+    expect(sanitized).toContain('href="https://www.linkedin.com/pulse/blameless-postmortems-ana-souza#top"');
+    expect(bytes(sanitized)).toBeLessThan(bytes(html) / 2);
+
+    // A workflow parsing the sanitized HTML reads the same post
+    const before = postParser.parse(html);
+    const after = postParser.parse(sanitized);
+    expect(after).toMatchObject({ postId: before.postId, author: before.author, text: before.text, counts: before.counts, age: before.age });
+  });
+
+  test('strips only the requested parts', () => {
+    const { html, removed } = htmlSanitizer.sanitize(fixture('tracked-post.html'), { strip: ['scripts'] });
+
+    expect(removed).toEqual({ scripts: 2, styles: 0, svg: 0, tracking: 0, comments: 0 });
+    expect(html).not.toContain('<script');
+    expect(html).toContain('<svg');
+    expect(html).toContain('data-view-tracking-scope=');
+    expect(html).toContain('Leo Marsh');
+  });
+
+  test('truncates at the end of a tag within the UTF-8 byte budget', () => {
+    expect(htmlSanitizer.truncate('<p>short</p>', 100)).toEqual({ html: '<p>short</p>', truncated: false });
+    // "é" is two bytes: 9 bytes end inside the second tag, so the cut falls back to the first one
+    expect(htmlSanitizer.truncate('<a>é</a><b>x</b>', 9)).toEqual({ html: '<a>é</a>', truncated: true });
+    expect(htmlSanitizer.truncate('<a>é</a>', 4)).toEqual({ html: '<a>', truncated: true });
+    expect(htmlSanitizer.truncate('no tags at all', 5)).toEqual({ html: '', truncated: true });
+  });
+
+  test('rejects unknown strip options', () => {
+    expect(htmlSanitizer.validateStrip(['scripts', 'svg'])).toBeNull();
+    expect(htmlSanitizer.validateStrip('scripts')).toMatch(/array/);
+    expect(htmlSanitizer.validateStrip(['scripts', 'fonts'])).toMatch(/Unknown strip option\(s\): fonts/);
+  });
+});
+
+test.describe('linkedin-parse payload builder', () => {
+  const html = fixture('tracked-post.html');
+  const model = postParser.parse(html);
+  const postData = { postId: model.postId, outerHTML: html, post: model };
+  const options = (overrides = {}) => webhookPayloads.normalizeOptions({ maxBytes: 0, ...overrides });
+
+  test('sends sanitized HTML and the post model by default', async () => {
+    const { payload, stats } = await webhookPayloads.buildParsePayload(postData, options(), { commentSelectors: commentSelectors() });
+
+    expect(Object.keys(payload)).toEqual(['schema_version', 'outer_html', 'post']);
+    expect(payload.schema_version).toBe(1);
+    expect(payload.post).toEqual(model);
+    expect(payload.outer_html).not.toContain('<script');
+    expect(stats).toMatchObject({ postId: model.postId, format: 'both', schemaVersion: 1, truncated: false, removed: { scripts: 2, comments: 3 } });
+    expect(stats.bytesAfter).toBe(bytes(payload));
+    expect(stats.bytesBefore).toBe(bytes({ outer_html: html, post: model }));
+    expect(stats.bytesAfter).toBeLessThan(stats.bytesBefore);
+  });
+
+  test('model format sends only the model and falls back to HTML without one', async () => {
+    const { payload } = await webhookPayloads.buildParsePayload(postData, options({ format: 'model', schemaVersion: 2 }));
+    expect(payload).toEqual({ schema_version: 2, post: model });
+
+    const { payload: fallback, stats } = await webhookPayloads.buildParsePayload({ ...postData, post: null }, options({ format: 'model' }));
+    expect(stats.format).toBe('html');
+    expect(fallback.post).toBeUndefined();
+    expect(fallback.outer_html).toContain('Postmortems work when nobody is on trial.');
+  });
+
+  test('html format without stripping sends the outerHTML as detected', async () => {
+    const { payload } = await webhookPayloads.buildParsePayload(postData, options({ format: 'html', strip: [] }));
+    expect(payload).toEqual({ schema_version: 1, outer_html: html });
+  });
+
+  test('caps the whole body at maxBytes by cutting the HTML', async () => {
+    const { payload, stats } = await webhookPayloads.buildParsePayload(postData, options({ maxBytes: 1500 }), { commentSelectors: commentSelectors() });
+
+    expect(bytes(payload)).toBeLessThanOrEqual(1500);
+    expect(payload.html_truncated).toBe(true);
+    expect(payload.post).toEqual(model);
+    expect(payload.outer_html).toMatch(/^<div[^>]*data-id="urn:li:activity:7251000000000000077".*>$/s);
+    expect(stats.truncated).toBe(true);
+
+    // Nothing to cut when the body already fits
+    const { payload: small } = await webhookPayloads.buildParsePayload(postData, options({ maxBytes: 50000 }));
+    expect(small.html_truncated).toBeUndefined();
+  });
+
+  test('options come from .env unless the session sets them', () => {
+    const saved = { ...process.env };
+    try {
+      Object.assign(process.env, { PARSE_PAYLOAD_FORMAT: 'html', PARSE_PAYLOAD_STRIP: 'scripts, svg', PARSE_PAYLOAD_MAX_BYTES: '8000', PARSE_SCHEMA_VERSION: '3' });
+      expect(webhookPayloads.normalizeOptions()).toEqual({ format: 'html', strip: ['scripts', 'svg'], maxBytes: 8000, schemaVersion: 3 });
+      expect(webhookPayloads.normalizeOptions({ format: 'model', strip: [], maxBytes: 0 })).toEqual({ format: 'model', strip: [], maxBytes: 0, schemaVersion: 3 });
+    } finally {
+      for (const key of ['PARSE_PAYLOAD_FORMAT', 'PARSE_PAYLOAD_STRIP', 'PARSE_PAYLOAD_MAX_BYTES', 'PARSE_SCHEMA_VERSION']) {
+        if (saved[key] === undefined) delete process.env[key];
+        else process.env[key] = saved[key];
+      }
+    }
+  });
+
+  test('validates session options', () => {
+    expect(webhookPayloads.validate({ format: 'both', strip: ['tracking'], maxBytes: 0, schemaVersion: 2 })).toBeNull();
+    expect(webhookPayloads.validate({ format: 'xml' })).toMatch(/Unknown parse payload format "xml"/);
+    expect(webhookPayloads.validate({ strip: ['fonts'] })).toMatch(/Unknown strip option\(s\): fonts/);
+    expect(webhookPayloads.validate({ maxBytes: -1 })).toMatch(/maxBytes/);
+    expect(webhookPayloads.validate({ schemaVersion: 0 })).toMatch(/schemaVersion/);
+  });
+});
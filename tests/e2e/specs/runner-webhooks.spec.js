@@ -0,0 +1,316 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import vm from 'vm';
+import { startMockWebhookServer, responses } from '../utils/mockWebhookServer.js';
+import { loadRunner, runnerDir } from '../utils/runner.js';
+
+const runner = loadRunner();
+const webhookClient = loadRunner('webhook-client');
+
+/**
+ * A localhost port with nothing listening on it
+ */
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+  await new Promise((resolve) => server.close(() => resolve(undefined)));
+  return port;
+}
+
+/**
+ * Run the extension's background.js with stubbed chrome APIs and the given stored settings,
+ * and return its global scope (getLatestSettings, buildRunnerPayload, ...)
+ */
+function loadBackgroundScript(settings) {
+  const events = { addListener: () => {} };
+  const chrome = {
+    runtime: { onInstalled: events, onMessage: events, onSuspend: events },
+    commands: { onCommand: events },
+    action: { onClicked: events },
+    windows: { onFocusChanged: events },
+    management: { onEnabled: events, onDisabled: events },
+    storage: { local: { get: (keys, callback) => callback({ 'linkright.settings': settings }) } }
+  };
+  const context = vm.createContext({ chrome, console, setTimeout, clearTimeout });
+  vm.runInContext(fs.readFileSync(path.join(runnerDir, '..', 'background.js'), 'utf8'), context);
+  return context;
+}
+
+/** @type {Awaited<ReturnType<typeof startMockWebhookServer>>} */
+let mock;
+
+test.describe('Runner webhooks against the mock n8n server', () => {
+  test.describe.configure({ mode: 'serial' });
+
+  test.beforeAll(async () => {
+    mock = await startMockWebhookServer();
+  });
+
+  test.afterAll(async () => {
+    await mock.close();
+  });
+
+  test.beforeEach(() => {
+    mock.reset();
+    runner._domCache.clear();
+    runner.postAnalysisWebhook = mock.parseUrl;
+    runner.webhookUrl = mock.replyUrl;
+    runner.decisionPolicy = null;
+    runner.parsePayload = null;
+    runner.resetDecisionBreaker();
+  });
+
+  test.describe('executeWebhookRequest error classification', () => {
+    const call = (timeout = 2000) => runner.executeWebhookRequest({
+      url: mock.parseUrl,
+      payload: { outer_html: '<div data-id="urn:li:activity:1">post</div>' },
+      timeout
+    });
+
+    test('returns the parsed body and sends the payload as JSON', async () => {
+      mock.enqueue('linkedin-parse', responses.decision('no'));
+
+      await expect(call()).resolves.toEqual({ engage: 'no' });
+
+      const [request] = mock.requestsFor('linkedin-parse');
+      expect(request.headers['content-type']).toBe('application/json');
+      expect(request.body).toEqual({ outer_html: '<div data-id="urn:li:activity:1">post</div>' });
+    });
+
+    test('HTTP_ERROR on a 5xx status', async () => {
+      mock.enqueue('linkedin-parse', responses.error(503, 'Service Unavailable'));
+      await expect(call()).rejects.toMatchObject({ errorType: 'HTTP_ERROR', status: 503 });
+    });
+
+    test('EMPTY_RESPONSE on an empty 200 body', async () => {
+      mock.enqueue('linkedin-parse', responses.empty());
+      await expect(call()).rejects.toMatchObject({ errorType: 'EMPTY_RESPONSE' });
+    });
+
+    test('INVALID_JSON on a malformed body', async () => {
+      mock.enqueue('linkedin-parse', responses.malformed());
+      await expect(call()).rejects.toMatchObject({ errorType: 'INVALID_JSON' });
+    });
+
+    test('TIMEOUT when the webhook answers after the deadline', async () => {
+      mock.enqueue('linkedin-parse', responses.delay(1000, responses.decision('yes')));
+      await expect(call(200)).rejects.toMatchObject({ errorType: 'TIMEOUT' });
+    });
+
+    test('CONNECTION_RESET when the webhook drops the socket', async () => {
+      mock.enqueue('linkedin-parse', responses.hangUp());
+      await expect(call()).rejects.toMatchObject({ errorType: 'CONNECTION_RESET' });
+    });
+
+    test('CONNECTION_REFUSED when nothing is listening', async () => {
+      const port = await closedPort();
+      const request = runner.executeWebhookRequest({ url: `http://127.0.0.1:${port}/webhook/linkedin-parse`, payload: {}, timeout: 2000 });
+      await expect(request).rejects.toMatchObject({ errorType: 'CONNECTION_REFUSED' });
+    });
+
+    test('DNS_FAILURE for an unresolvable host', () => {
+      const error = new Error('fetch failed', { cause: Object.assign(new Error('getaddrinfo ENOTFOUND n8n.invalid'), { code: 'ENOTFOUND' }) });
+      expect(runner.classifyWebhookError(error, 'https://n8n.invalid/webhook/linkedin-parse', 1000).errorType).toBe('DNS_FAILURE');
+    });
+  });
+
+  test.describe('checkEngagementDecision', () => {
+    const post = (postId) => ({ postId, outerHTML: `<div data-id="${postId}">post</div>` });
+
+    test('normalizes the n8n decision', async () => {
+      mock.enqueue('linkedin-parse', responses.json({ Engage: 'NO' }));
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:11'))).resolves.toMatchObject({ engage: 'no', defaulted: false });
+    });
+
+    test('reads the decision from a one-item n8n array', async () => {
+      mock.enqueue('linkedin-parse', responses.json([{ engage: 'no' }]));
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:23'))).resolves.toMatchObject({ engage: 'no', defaulted: false });
+      expect(runner.decisionBreaker.consecutiveFailures).toBe(0);
+    });
+
+    for (const [label, response] of [
+      ['a 5xx status', responses.error(500)],
+      ['an empty body', responses.empty()],
+      ['malformed JSON', responses.malformed()],
+      ['a dropped connection', responses.hangUp()]
+    ]) {
+      test(`fails open on ${label}`, async () => {
+        mock.enqueue('linkedin-parse', response);
+        await expect(runner.checkEngagementDecision(post('urn:li:activity:12'))).resolves.toMatchObject({ engage: 'yes', defaulted: true });
+        expect(mock.requestsFor('linkedin-parse')).toHaveLength(1);
+      });
+    }
+
+    test('sends the parsed post model next to the outerHTML', async () => {
+      const model = { postId: 'urn:li:activity:10', author: { name: 'Jordan Example', degree: 2 }, mediaType: 'image' };
+      mock.enqueue('linkedin-parse', responses.decision('yes'));
+
+      await runner.checkEngagementDecision({ ...post('urn:li:activity:10'), post: model });
+
+      const [request] = mock.requestsFor('linkedin-parse');
+      expect(request.body).toEqual({ schema_version: 1, outer_html: '<div data-id="urn:li:activity:10">post</div>', post: model });
+    });
+
+    test('sends the session\'s payload format and schema version, the same body on every retry', async () => {
+      const model = { postId: 'urn:li:activity:20', author: { name: 'Jordan Example' } };
+      runner.parsePayload = { format: 'model', schemaVersion: 2 };
+      runner.decisionPolicy = { onFailure: 'retry', retries: 1, retryBackoffMs: 10 };
+      mock.enqueue('linkedin-parse', responses.error(502), responses.decision('yes'));
+
+      await runner.checkEngagementDecision({ postId: 'urn:li:activity:20', outerHTML: '<div data-id="urn:li:activity:20"><script>track()</script>post</div>', post: model });
+
+      const bodies = mock.requestsFor('linkedin-parse').map(request => request.body);
+      expect(bodies).toEqual([{ schema_version: 2, post: model }, { schema_version: 2, post: model }]);
+    });
+
+    test('fails open when no analysis webhook is configured', async () => {
+      runner.postAnalysisWebhook = null;
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:13'))).resolves.toMatchObject({ engage: 'yes', defaulted: true, reason: 'not_configured' });
+      expect(mock.requests).toHaveLength(0);
+    });
+
+    test('skip policy fails closed', async () => {
+      runner.decisionPolicy = { onFailure: 'skip' };
+      mock.enqueue('linkedin-parse', responses.error(503));
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:14'))).resolves.toMatchObject({ engage: 'no', defaulted: true, reason: 'HTTP_ERROR' });
+    });
+
+    test('retry policy retries with backoff and uses the first real answer', async () => {
+      runner.decisionPolicy = { onFailure: 'retry', retries: 2, retryBackoffMs: 10 };
+      mock.enqueue('linkedin-parse', responses.error(502), responses.empty(), responses.decision('yes'));
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:15'))).resolves.toMatchObject({ engage: 'yes', defaulted: false, attempts: 3 });
+    });
+
+    test('retry policy skips once the retries are used up', async () => {
+      runner.decisionPolicy = { onFailure: 'retry', retries: 1, retryBackoffMs: 10 };
+      mock.setDefault('linkedin-parse', responses.error(500));
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:16'))).resolves.toMatchObject({ engage: 'no', defaulted: true, attempts: 2 });
+      expect(mock.requestsFor('linkedin-parse')).toHaveLength(2);
+    });
+
+    test('a policy without a breaker threshold never trips the breaker', async () => {
+      runner.decisionPolicy = { onFailure: 'engage' };
+      expect(runner.getDecisionPolicy()).toMatchObject({ breakerThreshold: 0, breakerAction: 'pause' });
+      mock.setDefault('linkedin-parse', responses.error(500));
+
+      for (let i = 0; i < 6; i++) {
+        await expect(runner.checkEngagementDecision(post(`urn:li:activity:3${i}`))).resolves.toMatchObject({ engage: 'yes', reason: 'HTTP_ERROR' });
+      }
+      expect(runner.isPaused).toBe(false);
+      expect(runner.decisionBreaker).toMatchObject({ open: false, trippedAt: null, consecutiveFailures: 6 });
+    });
+
+    test('circuit breaker skips remaining posts without calling the webhook', async () => {
+      runner.decisionPolicy = { onFailure: 'engage', breakerThreshold: 2, breakerAction: 'skip_all' };
+      mock.setDefault('linkedin-parse', responses.error(500));
+
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:17'))).resolves.toMatchObject({ engage: 'yes', reason: 'HTTP_ERROR' });
+      // The failure that trips the breaker is not engaged either
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:18'))).resolves.toMatchObject({ engage: 'no', defaulted: true, reason: 'breaker_open' });
+      expect(runner.decisionBreaker).toMatchObject({ open: true, consecutiveFailures: 2 });
+
+      await expect(runner.checkEngagementDecision(post('urn:li:activity:19'))).resolves.toMatchObject({ engage: 'no', defaulted: true, reason: 'circuit_open' });
+      expect(mock.requestsFor('linkedin-parse')).toHaveLength(2);
+    });
+
+    test('a breaker that pauses the session skips the post that tripped it', async () => {
+      runner.decisionPolicy = { onFailure: 'engage', breakerThreshold: 1, breakerAction: 'pause' };
+      mock.setDefault('linkedin-parse', responses.error(500));
+      const wasActive = runner.keyboardLoopActive;
+      runner.keyboardLoopActive = true;
+
+      try {
+        await expect(runner.checkEngagementDecision(post('urn:li:activity:22'))).resolves.toMatchObject({ engage: 'no', defaulted: true, reason: 'breaker_open' });
+        expect(runner.isPaused).toBe(true);
+        expect(runner.decisionBreaker).toMatchObject({ open: false, action: 'pause', consecutiveFailures: 1 });
+      } finally {
+        runner.keyboardLoopActive = wasActive;
+        runner.isPaused = false;
+      }
+    });
+  });
+
+  test.describe('callWebhookFromRunner', () => {
+    const postData = {
+      postId: 'urn:li:activity:21',
+      postText: 'Shipping less, but better.',
+      authorName: 'Jordan Example',
+      actionType: 'comment',
+      timestamp: new Date().toISOString()
+    };
+
+    test('returns the generated comment without forwarding the runner token', async () => {
+      mock.enqueue('linkedin-reply', responses.comment('Well said.'));
+
+      await expect(runner.callWebhookFromRunner(postData)).resolves.toBe('Well said.');
+
+      const [request] = mock.requestsFor('linkedin-reply');
+      expect(request.headers['x-runner-token']).toBeUndefined();
+      expect(request.headers['idempotency-key']).toMatch(/^linkedin-reply-[0-9a-f]{32}$/);
+      expect(request.body).toMatchObject({ schema_version: 1, postId: postData.postId, postContent: postData.postText, authorName: postData.authorName });
+    });
+
+    test('sends the workflow token and signature configured for the n8n provider', async () => {
+      mock.enqueue('linkedin-reply', responses.comment('Signed.'));
+
+      const provider = { type: 'n8n', n8n: { token: 'workflow-token', signingSecret: 'outbound-secret' } };
+      await expect(runner.generateComment(postData, provider)).resolves.toBe('Signed.');
+
+      const [request] = mock.requestsFor('linkedin-reply');
+      expect(request.headers['x-runner-token']).toBe('workflow-token');
+      const { signature } = webhookClient.sign(request.rawBody, 'outbound-secret', request.headers['x-linkright-timestamp']);
+      expect(request.headers['x-linkright-signature']).toBe(signature);
+    });
+
+    test('a session started from the extension never sends the runner token to the workflow', async () => {
+      const saved = { commentProvider: runner.commentProvider };
+      const start = async (settings) => {
+        const background = loadBackgroundScript({ webhookUrl: mock.replyUrl, xRunnerToken: 'runner-secret', ...settings });
+        const payload = background.buildRunnerPayload(await background.getLatestSettings());
+        // What start-keyboard does with the payload
+        runner.webhookUrl = payload.webhookUrl;
+        runner.commentProvider = payload.commentProvider;
+        return payload;
+      };
+
+      try {
+        const payload = await start({});
+        expect(JSON.stringify(payload.commentProvider)).not.toContain('runner-secret');
+        mock.enqueue('linkedin-reply', responses.comment('Well said.'));
+        await expect(runner.generateComment(postData)).resolves.toBe('Well said.');
+        expect(mock.requestsFor('linkedin-reply')[0].headers['x-runner-token']).toBeUndefined();
+
+        // Only the separate Webhook Token setting reaches the workflow
+        await start({ n8nToken: 'workflow-token' });
+        mock.enqueue('linkedin-reply', responses.comment('Signed.'));
+        await expect(runner.generateComment(postData)).resolves.toBe('Signed.');
+        expect(mock.requestsFor('linkedin-reply')[1].headers['x-runner-token']).toBe('workflow-token');
+      } finally {
+        runner.commentProvider = saved.commentProvider;
+      }
+    });
+
+    test('sends the parsed post model to linkedin-reply', async () => {
+      const model = { postId: postData.postId, author: { name: postData.authorName, headline: 'Founder' }, hashtags: ['shipping'] };
+      mock.enqueue('linkedin-reply', responses.comment('Agreed.'));
+
+      await expect(runner.callWebhookFromRunner({ ...postData, post: model })).resolves.toBe('Agreed.');
+      expect(mock.requestsFor('linkedin-reply')[0].body.post).toEqual(model);
+    });
+
+    for (const [label, response] of [
+      ['a 5xx status', responses.error(502, 'Bad Gateway')],
+      ['a body without comment', responses.json({ text: 'wrong field' })],
+      ['malformed JSON', responses.malformed()]
+    ]) {
+      test(`returns null on ${label}`, async () => {
+        mock.enqueue('linkedin-reply', response);
+        await expect(runner.callWebhookFromRunner(postData)).resolves.toBeNull();
+      });
+    }
+  });
+});
@@ -0,0 +1,103 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadRunner } from '../utils/runner.js';
+
+const workerPool = loadRunner('worker-pool');
+const postTasks = loadRunner('post-tasks');
+const ledger = loadRunner('session-ledger');
+
+const WorkerPool = workerPool.constructor;
+const TEST_TASKS = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'worker-tasks.cjs');
+
+test.describe('Worker pool', () => {
+  let pools = [];
+  const createPool = options => {
+    const pool = new WorkerPool(options);
+    pools.push(pool);
+    return pool;
+  };
+
+  test.afterEach(async () => {
+    await Promise.all(pools.map(pool => pool.close()));
+    pools = [];
+  });
+
+  test('hashes and scores posts on worker threads with the same results as the main thread', async () => {
+    const pool = createPool({ size: 2 });
+    const text = '  Shipping   a new release\n today ';
+    const post = { metrics: { reactions: 40, comments: 6, reposts: 2 }, authorName: 'Ada Lovelace', text };
+    const rules = { minReactions: 5, minComments: 2, minReposts: 1, includeKeywords: ['release'] };
+
+    const [hash, score] = await Promise.all([
+      pool.run('hashContent', text),
+      pool.run('scorePost', { post, rules })
+    ]);
+
+    expect(hash).toBe(postTasks.hashContent('Shipping a new release today'));
+    expect(hash).toBe(ledger.hashContent(text));
+    expect(score).toEqual(postTasks.scorePost({ post, rules }));
+    expect(score.engage).toBe('yes');
+
+    const metrics = pool.getMetrics();
+    expect(metrics).toMatchObject({ size: 2, mode: 'threads', busy: 0, queued: 0, completed: 2, failed: 0 });
+    expect(metrics.byType.hashContent.completed).toBe(1);
+    expect(metrics.byType.scorePost.completed).toBe(1);
+  });
+
+  test('queues tasks beyond the pool size and runs them in order', async () => {
+    const pool = createPool({ size: 1, tasksModule: TEST_TASKS });
+
+    const results = await Promise.all([1, 2, 3].map(n => pool.run('echo', { n })));
+
+    expect(results).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+    expect(pool.getMetrics()).toMatchObject({ workers: 1, workersStarted: 1, peakQueued: 2, completed: 3 });
+  });
+
+  test('propagates task errors and unknown task types to the caller', async () => {
+    const pool = createPool({ size: 1, tasksModule: TEST_TASKS });
+
+    const error = await pool.run('fail', { message: 'No post text' }).catch(err => err);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('No post text');
+    expect(error.code).toBe('BAD_INPUT');
+
+    await expect(pool.run('parseEverything', {})).rejects.toThrow('Unknown worker task: parseEverything');
+
+    // The worker survives task errors
+    await expect(pool.run('echo', 'still here')).resolves.toBe('still here');
+    expect(pool.getMetrics()).toMatchObject({ failed: 2, completed: 1, workersStarted: 1 });
+  });
+
+  test('rejects a task that runs past its timeout and replaces the worker', async () => {
+    const pool = createPool({ size: 1, tasksModule: TEST_TASKS, taskTimeoutMs: 5000 });
+
+    const error = await pool.run('spin', { ms: 3000 }, { timeoutMs: 200 }).catch(err => err);
+    expect(error.code).toBe('WORKER_TIMEOUT');
+    expect(error.message).toContain('timed out after 200ms');
+
+    await expect(pool.run('echo', 'next')).resolves.toBe('next');
+    const metrics = pool.getMetrics();
+    expect(metrics).toMatchObject({ timedOut: 1, completed: 1, workersStarted: 2 });
+    expect(metrics.byType.spin.timedOut).toBe(1);
+  });
+
+  test('rejects the task of a crashed worker and starts a new one', async () => {
+    const pool = createPool({ size: 1, tasksModule: TEST_TASKS });
+
+    const error = await pool.run('crash', {}).catch(err => err);
+    expect(error.code).toBe('WORKER_CRASHED');
+
+    await expect(pool.run('echo', 'recovered')).resolves.toBe('recovered');
+    expect(pool.getMetrics()).toMatchObject({ crashed: 1, failed: 1, completed: 1, workersStarted: 2 });
+  });
+
+  test('WORKER_POOL_SIZE=0 runs tasks inline on the main thread', async () => {
+    const pool = createPool({ size: 0, tasksModule: TEST_TASKS });
+
+    await expect(pool.run('echo', { inline: true })).resolves.toEqual({ inline: true });
+    await expect(pool.run('fail', { message: 'inline failure' })).rejects.toMatchObject({ code: 'BAD_INPUT' });
+    expect(pool.getMetrics()).toMatchObject({ mode: 'inline', workers: 0, workersStarted: 0, completed: 1, failed: 1 });
+  });
+});
@@ -0,0 +1,86 @@
+// @ts-check
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.resolve(__dirname, '..', 'fixtures', 'linkedin-feed');
+
+/**
+ * Start a local server that serves recorded LinkedIn feed HTML (no network needed).
+ *   GET    /feed/                → fixtures/linkedin-feed/feed.html
+ *   GET    /feed/hashtag/<tag>/  → feed.html
+ *   GET    /search/results/content/, /in/<id>/recent-activity/all/, /company/<id>/posts/ → activity.html
+ *   GET    /<name>.html          → any other recorded page in fixtures/linkedin-feed
+ *   POST   /__fixture/events     → likes, comments and invitations reported by the fixture pages
+ *   GET    /__fixture/events     → recorded events
+ *   DELETE /__fixture/events     → reset recorded events
+ * Returns { url, feedUrl, events, resetEvents, close }
+ */
+export async function startFixtureServer({ port = 0, host = '127.0.0.1' } = {}) {
+  /** @type {Array<Object>} */
+  const events = [];
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url || '/', `http://${host}`);
+
+    if (pathname === '/__fixture/events') {
+      if (req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          try {
+            events.push({ ...JSON.parse(body), receivedAt: new Date().toISOString() });
+            res.writeHead(204).end();
+          } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Invalid JSON' }));
+          }
+        });
+        return;
+      }
+      if (req.method === 'DELETE') {
+        events.length = 0;
+        res.writeHead(204).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(events));
+      return;
+    }
+
+    const file = pathname === '/' || pathname === '/feed' || pathname === '/feed/' || pathname.startsWith('/feed/hashtag/')
+      ? 'feed.html'
+      : /^\/(search\/results\/content|in\/[^/]+\/recent-activity|company\/[^/]+\/posts)/.test(pathname)
+        ? 'activity.html'
+        : path.basename(pathname);
+    const filePath = path.join(FIXTURE_DIR, file);
+
+    if (!file.endsWith('.html') || !fs.existsSync(filePath)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Fixture not found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  await new Promise((resolve) => server.listen(port, host, () => resolve(undefined)));
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  const baseUrl = `http://${host}:${address.port}`;
+
+  return {
+    url: baseUrl,
+    feedUrl: `${baseUrl}/feed/`,
+    events,
+    resetEvents: () => { events.length = 0; },
+    close: () => new Promise((resolve) => server.close(() => resolve(undefined)))
+  };
+}
+
+// Standalone: `npm run fixtures` then start the runner with { "feedUrl": "<printed url>" }
+if (process.argv[1] && path.resolve(process.argv[1]) === url.fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.FIXTURE_PORT || '') || 3101;
+  startFixtureServer({ port }).then(({ feedUrl }) => {
+    console.log(`LinkedIn feed fixture server listening on ${feedUrl}`);
+  });
+}
@@ -0,0 +1,178 @@
+// @ts-check
+import http from 'http';
+import path from 'path';
+import url from 'url';
+
+/**
+ * Default answers when nothing is scripted for a route
+ */
+const DEFAULT_RESPONSES = {
+  'linkedin-reply': { body: { comment: 'Thanks for sharing - this is a really useful perspective.' } },
+  'linkedin-parse': { body: { engage: 'yes' } },
+  'chat-completions': { body: { choices: [{ message: { role: 'assistant', content: 'Really useful perspective, thanks for sharing.' } }] } }
+};
+
+/**
+ * Response builders for scripting the mock. Every response may also carry delayMs.
+ *   comment('text')        → 200 { comment }
+ *   decision('no')         → 200 { engage }
+ *   chat('text')           → 200 { choices: [{ message: { content } }] } (OpenAI-compatible)
+ *   json({...})            → 200 with an arbitrary JSON body
+ *   error(503, 'down')     → non-2xx status with a text body
+ *   malformed()            → 200 with a body that is not valid JSON
+ *   empty()                → 200 with an empty body
+ *   hangUp()               → socket reset without any response
+ *   delay(ms, response)    → any of the above after ms
+ */
+export const responses = {
+  comment: (text) => ({ body: { comment: text } }),
+  decision: (engage) => ({ body: { engage } }),
+  chat: (content) => ({ body: { choices: [{ message: { role: 'assistant', content } }] } }),
+  json: (body) => ({ body }),
+  error: (status = 500, text = 'Internal Server Error') => ({ status, raw: text }),
+  malformed: (text = '{"comment": "unterminated') => ({ raw: text }),
+  empty: () => ({ raw: '' }),
+  hangUp: () => ({ hangUp: true }),
+  delay: (delayMs, response = {}) => ({ ...response, delayMs })
+};
+
+/**
+ * Start a local stand-in for the n8n webhooks (no network needed).
+ *   POST   /webhook/linkedin-reply   → next scripted response, else { comment }
+ *   POST   /webhook/linkedin-parse   → next scripted response, else { engage: 'yes' }
+ *   POST   /webhook/<other>          → next scripted response, else 404
+ *   POST   /v1/chat/completions      → route "chat-completions": next scripted response, else a chat reply
+ *   POST   /__mock/script            → { route, responses: [...], default? } queue responses over HTTP
+ *   GET    /__mock/requests          → recorded webhook requests
+ *   DELETE /__mock/requests          → reset recorded requests and scripts
+ * Returns { url, replyUrl, parseUrl, openaiBaseUrl, requests, enqueue, setDefault, requestsFor, reset, close }
+ */
+export async function startMockWebhookServer({ port = 0, host = '127.0.0.1' } = {}) {
+  /** @type {Array<Object>} */
+  const requests = [];
+  /** @type {Map<string, Array<Object>>} */
+  const queues = new Map();
+  /** @type {Map<string, Object>} */
+  const defaults = new Map(Object.entries(DEFAULT_RESPONSES));
+
+  const enqueue = (route, ...scripted) => {
+    if (!queues.has(route)) queues.set(route, []);
+    queues.get(route)?.push(...scripted);
+  };
+
+  const setDefault = (route, response) => {
+    defaults.set(route, response);
+  };
+
+  const reset = () => {
+    requests.length = 0;
+    queues.clear();
+    defaults.clear();
+    for (const [route, response] of Object.entries(DEFAULT_RESPONSES)) defaults.set(route, response);
+  };
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url || '/', `http://${host}`);
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+      if (pathname === '/__mock/requests') {
+        if (req.method === 'DELETE') {
+          reset();
+          res.writeHead(204).end();
+          return;
+        }
+        sendJson(res, 200, requests);
+        return;
+      }
+
+      if (pathname === '/__mock/script' && req.method === 'POST') {
+        try {
+          const script = JSON.parse(rawBody);
+          if (!script.route) throw new Error('route is required');
+          if (Array.isArray(script.responses)) enqueue(script.route, ...script.responses);
+          if (script.default) setDefault(script.route, script.default);
+          sendJson(res, 200, { route: script.route, queued: queues.get(script.route)?.length || 0 });
+        } catch (error) {
+          sendJson(res, 400, { error: error.message });
+        }
+        return;
+      }
+
+      const match = pathname === '/v1/chat/completions' ? [pathname, 'chat-completions'] : pathname.match(/^\/webhook\/([\w-]+)$/);
+      if (!match || req.method !== 'POST') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+        return;
+      }
+
+      const route = match[1];
+      let body = null;
+      try {
+        body = rawBody ? JSON.parse(rawBody) : null;
+      } catch (error) {
+        body = null;
+      }
+
+      requests.push({
+        route,
+        method: req.method,
+        headers: req.headers,
+        body,
+        rawBody,
+        receivedAt: new Date().toISOString()
+      });
+
+      const response = queues.get(route)?.shift() || defaults.get(route);
+      if (!response) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end(`No response scripted for ${route}`);
+        return;
+      }
+
+      setTimeout(() => {
+        if (response.hangUp) {
+          req.socket.resetAndDestroy();
+          return;
+        }
+        if (res.destroyed) return;
+
+        if (response.raw !== undefined) {
+          res.writeHead(response.status || 200, { 'Content-Type': 'application/json' }).end(response.raw);
+          return;
+        }
+        sendJson(res, response.status || 200, response.body ?? {});
+      }, response.delayMs || 0);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, host, () => resolve(undefined)));
+  const address = /** @type {import('net').AddressInfo} */ (server.address());
+  const baseUrl = `http://${host}:${address.port}`;
+
+  return {
+    url: baseUrl,
+    replyUrl: `${baseUrl}/webhook/linkedin-reply`,
+    parseUrl: `${baseUrl}/webhook/linkedin-parse`,
+    openaiBaseUrl: `${baseUrl}/v1`,
+    requests,
+    enqueue,
+    setDefault,
+    requestsFor: (route) => requests.filter(request => request.route === route),
+    reset,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve(undefined));
+    })
+  };
+}
+
+// Standalone: `npm run mock-webhooks` then point the runner's webhook settings at the printed URLs
+if (process.argv[1] && path.resolve(process.argv[1]) === url.fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.MOCK_WEBHOOK_PORT || '') || 3102;
+  startMockWebhookServer({ port }).then(({ replyUrl, parseUrl }) => {
+    console.log(`Mock n8n webhooks listening on ${replyUrl} and ${parseUrl}`);
+  });
+}
@@ -0,0 +1,87 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import url from 'url';
+import { createRequire } from 'module';
+import { spawn } from 'child_process';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * linkright-runner/ - its server modules are CommonJS and resolve their deps (playwright, express)
+ * from linkright-runner/node_modules, so run npm install there before the runner specs
+ */
+export const runnerDir = path.resolve(path.dirname(url.fileURLToPath(import.meta.url)), '..', '..', '..', 'linkright-runner');
+
+/**
+ * Require a runner server module, e.g. loadRunner('session-ledger'). Modules are singletons,
+ * so every spec in a worker shares the same instances.
+ * @param {string} [name] - file name under linkright-runner/server without .js (default: the runner)
+ */
+export function loadRunner(name = 'playwright-runner') {
+  return require(path.join(runnerDir, 'server', `${name}.js`));
+}
+
+/**
+ * Give each test in the calling scope an empty runs/ in a temp dir and restore the real one afterwards.
+ * Session ledgers, video, traces, the engagement index, the activity outbox and daily-usage.json all
+ * live under ledger.runsRoot, so the developer's own runs/ and daily cap are left alone.
+ * @param {string} [prefix] - temp dir name prefix
+ * @returns {{ dir: string }} holds the current test's runs dir
+ */
+export function useTempRuns(prefix = 'lr-runs-') {
+  const ledger = loadRunner('session-ledger');
+  const engagementIndex = loadRunner('engagement-index');
+  const activityOutbox = loadRunner('activity-outbox');
+  const runs = { dir: '' };
+  let original = '';
+
+  test.beforeEach(() => {
+    original = ledger.runsRoot;
+    runs.dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    ledger.runsRoot = runs.dir;
+    engagementIndex.reset();
+    activityOutbox.reset();
+  });
+
+  test.afterEach(() => {
+    ledger.runsRoot = original;
+    engagementIndex.reset();
+    activityOutbox.reset();
+    fs.rmSync(runs.dir, { recursive: true, force: true });
+  });
+
+  return runs;
+}
+
+/**
+ * A free localhost port
+ */
+export async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+  await new Promise((resolve) => server.close(() => resolve(undefined)));
+  return port;
+}
+
+/**
+ * Spawn server/index.js on a free port and wait for /health. Call stop() in afterAll.
+ * @param {Record<string, string>} [env] - extra env, e.g. RUNNER_TOKEN or RUNS_DIR
+ * @returns {Promise<{ base: string, stop: () => void }>}
+ */
+export async function startRunnerServer(env = {}) {
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const server = spawn(process.execPath, ['server/index.js'], {
+    cwd: runnerDir,
+    env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', ...env },
+    stdio: 'ignore'
+  });
+
+  await expect.poll(async () => (await fetch(`${base}/health`).catch(() => null))?.status, { timeout: 15000 }).toBe(200);
+  return { base, stop: () => server.kill() };
+}